@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+
+/**
+ * Wallet Consistency Checker
+ *
+ * Compares the keystore backend (KEYSTORE_BACKEND) with the users table and
+ * reports anything that has drifted apart, e.g. wallets left behind by
+ * reset_users.js or a failed join:
+ *
+ *   - keystores with no users row (orphans)
+ *   - users rows for bot-managed wallets with no keystore
+ *   - keystores whose address doesn't match users.wallet_address
+ *   - addresses registered to more than one Telegram user
+ *
+ * By default nothing is changed. With --fix, safe fixes are applied:
+ *   - orphaned keystores and escrow records are moved to quarantine
+ *   - a missing keystore is restored from quarantine if one matches the registered address
+ *   - a keystore filed under the wrong user is re-linked to the user who owns its address
+ * Mismatches and duplicate addresses that can't be resolved are only reported.
+ *
+ * Use --relink-orphans together with --fix to register orphaned keystores in
+ * the users table instead of quarantining them (e.g. after a failed join).
+ *
+ * Usage: node scripts/check_wallets.js [--fix] [--relink-orphans]
+ */
+
+require('dotenv').config();
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+const { getKeystoreOptions, createKeystore } = require('../src/modules/wallets/keystores');
+
+// Database path - same as used in the main application
+const DB_PATH = process.env.DB_PATH || './dao_bot.sqlite';
+
+// Get absolute path if relative
+const dbPath = path.isAbsolute(DB_PATH)
+  ? DB_PATH
+  : path.join(process.cwd(), DB_PATH);
+
+const args = process.argv.slice(2);
+const fix = args.includes('--fix');
+const relinkOrphans = args.includes('--relink-orphans');
+
+if (!fs.existsSync(dbPath)) {
+  console.error(`Database file doesn't exist at: ${dbPath}`);
+  process.exit(1);
+}
+
+const backend = process.env.KEYSTORE_BACKEND || 'file';
+
+console.log(`
+🩺 ALPHIN DAO WALLET CHECK 🩺
+============================
+Comparing "${backend}" keystores with the users table${fix ? ' and applying safe fixes' : ' (report only, use --fix to repair)'}.
+`);
+
+// Open database connection
+const db = new sqlite3.Database(dbPath);
+const options = getKeystoreOptions(db);
+const wallets = createKeystore(backend, 'wallets', options);
+const escrow = createKeystore(backend, 'escrow', options);
+const quarantine = createKeystore(backend, 'quarantine', options);
+
+// Findings and what was done about them
+const report = {
+  orphans: [],
+  missing: [],
+  mismatches: [],
+  duplicates: [],
+  actions: []
+};
+
+// Function to load all users rows
+function getUsers() {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT telegram_id, wallet_address, join_date, custody FROM users', (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(rows.map(row => ({ ...row, telegram_id: String(row.telegram_id) })));
+    });
+  });
+}
+
+// Function to register an orphaned keystore in the users table
+function insertUser(telegramId, address) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO users (telegram_id, wallet_address, join_date, custody) VALUES (?, ?, ?, 'bot')`,
+      [telegramId, address, Date.now()],
+      err => {
+        if (err) reject(err);
+        else resolve();
+      }
+    );
+  });
+}
+
+// Function to move a record into quarantine, keeping where it came from and why
+async function quarantineRecord(store, collection, telegramId, record, reason) {
+  const quarantineId = `${collection}-${telegramId}-${Date.now()}`;
+
+  await quarantine.put(quarantineId, {
+    collection,
+    telegramId,
+    reason,
+    quarantinedAt: Date.now(),
+    record
+  });
+
+  // Only remove the original once the quarantined copy reads back
+  const copy = await quarantine.get(quarantineId);
+  if (!copy || copy.record.address !== record.address) {
+    throw new Error(`quarantined copy of ${collection}/${telegramId} could not be verified`);
+  }
+  await store.delete(telegramId);
+
+  report.actions.push(`Quarantined ${collection}/${telegramId} as ${quarantineId} (${reason})`);
+}
+
+// Function to load quarantined wallet keystores by address
+async function getQuarantinedWallets() {
+  const byAddress = new Map();
+
+  for (const quarantineId of await quarantine.list()) {
+    const entry = await quarantine.get(quarantineId);
+    if (entry && entry.collection === 'wallets' && entry.record && entry.record.address) {
+      byAddress.set(entry.record.address.toLowerCase(), { quarantineId, entry });
+    }
+  }
+
+  return byAddress;
+}
+
+// Function to compare keystores with the users table
+async function checkWallets() {
+  const users = await getUsers();
+  const usersById = new Map(users.map(user => [user.telegram_id, user]));
+  const usersByAddress = new Map();
+
+  // Duplicate addresses
+  users.forEach(user => {
+    const address = user.wallet_address.toLowerCase();
+    usersByAddress.set(address, [...(usersByAddress.get(address) || []), user]);
+  });
+  usersByAddress.forEach((owners, address) => {
+    if (owners.length > 1) {
+      report.duplicates.push({ address, telegramIds: owners.map(user => user.telegram_id) });
+    }
+  });
+
+  const walletIds = new Set(await wallets.list());
+  const relinked = new Set();
+
+  for (const telegramId of Array.from(walletIds)) {
+    const record = await wallets.get(telegramId);
+    const address = record && record.address ? record.address.toLowerCase() : null;
+    const user = usersById.get(telegramId);
+
+    // Keystore with no users row
+    if (!user) {
+      report.orphans.push({ collection: 'wallets', telegramId, address });
+
+      if (fix && relinkOrphans && address && !usersByAddress.has(address)) {
+        await insertUser(telegramId, record.address);
+        report.actions.push(`Re-linked orphaned keystore ${telegramId} to ${record.address} in the users table`);
+      } else if (fix) {
+        await quarantineRecord(wallets, 'wallets', telegramId, record, 'no users row');
+      }
+      continue;
+    }
+
+    // Keystore whose address doesn't match the registered one
+    if (address !== user.wallet_address.toLowerCase()) {
+      report.mismatches.push({ telegramId, keystoreAddress: address, registeredAddress: user.wallet_address });
+
+      // If the keystore belongs to another member who has none, it was filed under the wrong ID
+      const owners = address ? (usersByAddress.get(address) || []) : [];
+      const owner = owners.length === 1 ? owners[0] : null;
+      if (fix && owner && !walletIds.has(owner.telegram_id) && !relinked.has(owner.telegram_id)) {
+        await wallets.put(owner.telegram_id, record);
+        await wallets.delete(telegramId);
+        walletIds.delete(telegramId);
+        relinked.add(owner.telegram_id);
+        report.actions.push(`Re-linked keystore for ${record.address} from ${telegramId} to its owner ${owner.telegram_id}`);
+      }
+    }
+  }
+
+  // Bot-managed users with no keystore
+  const quarantined = await getQuarantinedWallets();
+  for (const user of users) {
+    if (user.custody === 'external' || walletIds.has(user.telegram_id) || relinked.has(user.telegram_id)) {
+      continue;
+    }
+
+    report.missing.push({ telegramId: user.telegram_id, address: user.wallet_address });
+
+    const match = quarantined.get(user.wallet_address.toLowerCase());
+    if (fix && match) {
+      await wallets.put(user.telegram_id, match.entry.record);
+      await quarantine.delete(match.quarantineId);
+      report.actions.push(`Restored keystore for ${user.telegram_id} from quarantine ${match.quarantineId}`);
+    }
+  }
+
+  // Recovery escrow records with no users row, or for a different address
+  for (const telegramId of await escrow.list()) {
+    const record = await escrow.get(telegramId);
+    const user = usersById.get(telegramId);
+    const address = record && record.address ? record.address.toLowerCase() : null;
+
+    if (!user || address !== user.wallet_address.toLowerCase()) {
+      report.orphans.push({ collection: 'escrow', telegramId, address });
+
+      if (fix) {
+        await quarantineRecord(escrow, 'escrow', telegramId, record, user ? 'address mismatch' : 'no users row');
+      }
+    }
+  }
+}
+
+// Function to print the findings
+function printReport() {
+  console.log(`Orphaned keystores (no users row): ${report.orphans.length}`);
+  report.orphans.forEach(item => console.log(`  - ${item.collection}/${item.telegramId} (${item.address || 'no address'})`));
+
+  console.log(`\nUsers with no keystore: ${report.missing.length}`);
+  report.missing.forEach(item => console.log(`  - ${item.telegramId} (${item.address})`));
+
+  console.log(`\nAddress mismatches: ${report.mismatches.length}`);
+  report.mismatches.forEach(item => {
+    console.log(`  - ${item.telegramId}: keystore ${item.keystoreAddress || 'none'}, users table ${item.registeredAddress}`);
+  });
+
+  console.log(`\nDuplicate addresses: ${report.duplicates.length}`);
+  report.duplicates.forEach(item => console.log(`  - ${item.address}: ${item.telegramIds.join(', ')}`));
+
+  if (fix) {
+    console.log(`\nFixes applied: ${report.actions.length}`);
+    report.actions.forEach(action => console.log(`  - ${action}`));
+  }
+}
+
+// Main function
+async function main() {
+  let exitCode = 0;
+
+  try {
+    await checkWallets();
+    printReport();
+
+    const findings = report.orphans.length + report.missing.length + report.mismatches.length + report.duplicates.length;
+    if (findings === 0) {
+      console.log('\n✨ Keystores and users table are consistent.');
+    } else if (!fix) {
+      exitCode = 1;
+      console.log('\n⚠️ Inconsistencies found. Run again with --fix to apply safe fixes.');
+    }
+  } catch (error) {
+    exitCode = 1;
+    console.error('Error checking wallets:', error);
+  } finally {
+    // Close the database connection
+    db.close((err) => {
+      if (err) {
+        console.error('Error closing database:', err);
+      }
+      process.exit(exitCode);
+    });
+  }
+}
+
+// Run the script
+main();
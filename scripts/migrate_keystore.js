@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Keystore Migration Script
+ *
+ * Moves every wallet keystore, recovery escrow and quarantined record from one
+ * keystore backend (file, sqlite or envelope) to another, and checks that each
+ * copy reads back unchanged and belongs to the address registered in the users table.
+ *
+ * Usage: node scripts/migrate_keystore.js <from> <to> [--dry-run] [--delete-source]
+ *
+ * Records are only removed from the source with --delete-source, and only if
+ * every record was verified. Set KEYSTORE_BACKEND to the new backend afterwards.
+ */
+
+require('dotenv').config();
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+const util = require('util');
+const { KEYSTORE_BACKENDS, getKeystoreOptions, createKeystore } = require('../src/modules/wallets/keystores');
+
+// Database path - same as used in the main application
+const DB_PATH = process.env.DB_PATH || './dao_bot.sqlite';
+
+// Get absolute path if relative
+const dbPath = path.isAbsolute(DB_PATH)
+  ? DB_PATH
+  : path.join(process.cwd(), DB_PATH);
+
+const args = process.argv.slice(2);
+const [from, to] = args.filter(arg => !arg.startsWith('--'));
+const dryRun = args.includes('--dry-run');
+const deleteSource = args.includes('--delete-source');
+
+if (!KEYSTORE_BACKENDS.includes(from) || !KEYSTORE_BACKENDS.includes(to) || from === to) {
+  console.error(`Usage: node scripts/migrate_keystore.js <from> <to> [--dry-run] [--delete-source]`);
+  console.error(`Backends: ${KEYSTORE_BACKENDS.join(', ')} (from and to must differ)`);
+  process.exit(1);
+}
+
+if (!fs.existsSync(dbPath)) {
+  console.error(`Database file doesn't exist at: ${dbPath}`);
+  process.exit(1);
+}
+
+const db = new sqlite3.Database(dbPath);
+const options = getKeystoreOptions(db);
+
+// The envelope backend stores its wrapped records in another backend
+const storageOf = backend => backend === 'envelope' ? options.envelopeBackend : backend;
+
+// Converting in place (e.g. file -> envelope over files) overwrites the source,
+// so there is nothing separate to delete
+if (deleteSource && storageOf(from) === storageOf(to)) {
+  console.error(`--delete-source can't be used when ${from} and ${to} share the same ${storageOf(from)} storage.`);
+  process.exit(1);
+}
+
+console.log(`
+🔐 ALPHIN DAO KEYSTORE MIGRATION 🔐
+==================================
+Moving wallet keystores from "${from}" to "${to}"${dryRun ? ' (dry run)' : ''}.
+`);
+
+// Function to load registered addresses by Telegram ID
+function getRegisteredAddresses() {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT telegram_id, wallet_address FROM users', (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(new Map(rows.map(row => [String(row.telegram_id), row.wallet_address.toLowerCase()])));
+    });
+  });
+}
+
+// Function to migrate one collection ('wallets', 'escrow' or 'quarantine')
+async function migrateCollection(collection, addresses) {
+  const source = createKeystore(from, collection, options);
+  const target = createKeystore(to, collection, options);
+  const ids = await source.list();
+  const result = { collection, migrated: [], failed: [] };
+
+  console.log(`Found ${ids.length} ${collection} records in "${from}"`);
+
+  for (const telegramId of ids) {
+    try {
+      const record = await source.get(telegramId);
+      const registered = addresses.get(String(telegramId));
+
+      // Only move records whose address matches the users table
+      // (quarantined records are kept because they don't match it)
+      if (collection === 'quarantine') {
+        if (!record || !record.record) {
+          throw new Error('quarantined record could not be read');
+        }
+      } else if (!registered) {
+        throw new Error('no user is registered with this Telegram ID');
+      } else if (!record || String(record.address).toLowerCase() !== registered) {
+        throw new Error(`record address ${record && record.address} does not match registered ${registered}`);
+      }
+
+      if (!dryRun) {
+        await target.put(telegramId, record);
+
+        // Read the copy back through the target backend before trusting it
+        const copy = await target.get(telegramId);
+        if (!util.isDeepStrictEqual(copy, record)) {
+          throw new Error('copy read back from the target does not match the source');
+        }
+      }
+
+      result.migrated.push(telegramId);
+      console.log(`✅ ${collection}/${telegramId} (${record.address || record.record.address})`);
+    } catch (error) {
+      result.failed.push(telegramId);
+      console.error(`❌ ${collection}/${telegramId}: ${error.message}`);
+    }
+  }
+
+  return result;
+}
+
+// Main function
+async function main() {
+  let exitCode = 0;
+
+  try {
+    const addresses = await getRegisteredAddresses();
+    const results = [];
+
+    for (const collection of ['wallets', 'escrow', 'quarantine']) {
+      results.push(await migrateCollection(collection, addresses));
+    }
+
+    const failures = results.reduce((count, result) => count + result.failed.length, 0);
+
+    console.log('\nSummary:');
+    results.forEach(result => {
+      console.log(`  - ${result.collection}: ${result.migrated.length} ${dryRun ? 'verified' : 'migrated'}, ${result.failed.length} failed`);
+    });
+
+    if (failures > 0) {
+      exitCode = 1;
+      console.log('\n⚠️ Some records could not be migrated. Nothing was deleted from the source.');
+    } else if (deleteSource && !dryRun) {
+      for (const result of results) {
+        const source = createKeystore(from, result.collection, options);
+        for (const telegramId of result.migrated) {
+          await source.delete(telegramId);
+        }
+      }
+      console.log(`\n🧹 Removed migrated records from "${from}".`);
+    }
+
+    if (failures === 0 && !dryRun) {
+      console.log(`\n✨ Migration complete! Set KEYSTORE_BACKEND=${to} and restart the bot.`);
+    }
+  } catch (error) {
+    exitCode = 1;
+    console.error('Error migrating keystores:', error);
+  } finally {
+    // Close the database connection
+    db.close((err) => {
+      if (err) {
+        console.error('Error closing database:', err);
+      }
+      process.exit(exitCode);
+    });
+  }
+}
+
+// Run the script
+main();
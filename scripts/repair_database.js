@@ -46,10 +46,34 @@ async function repairDatabase() {
         db.run(`CREATE TABLE IF NOT EXISTS users (
           telegram_id TEXT PRIMARY KEY,
           wallet_address TEXT NOT NULL,
-          join_date INTEGER NOT NULL
+          join_date INTEGER NOT NULL,
+          custody TEXT NOT NULL DEFAULT 'bot',
+          username TEXT
         )`);
         console.log('- Users table checked');
         
+        // Add custody column to users tables created before wallet linking
+        db.run(`ALTER TABLE users ADD COLUMN custody TEXT NOT NULL DEFAULT 'bot'`, err => {
+          if (err) {
+            if (!err.message.includes('duplicate column')) {
+              console.error('Error adding custody column:', err.message);
+            }
+          } else {
+            console.log('- Added missing column: custody');
+          }
+        });
+        
+        // Add username column used to resolve @member recipients
+        db.run(`ALTER TABLE users ADD COLUMN username TEXT`, err => {
+          if (err) {
+            if (!err.message.includes('duplicate column')) {
+              console.error('Error adding username column:', err.message);
+            }
+          } else {
+            console.log('- Added missing column: username');
+          }
+        });
+        
         // Create or update proposal_cache table
         db.run(`CREATE TABLE IF NOT EXISTS proposal_cache (
           proposal_id TEXT PRIMARY KEY,
@@ -63,7 +87,11 @@ async function repairDatabase() {
           against_votes TEXT,
           abstain_votes TEXT,
           last_updated INTEGER NOT NULL,
-          is_executed INTEGER DEFAULT 0
+          is_executed INTEGER DEFAULT 0,
+          eta INTEGER,
+          snapshot INTEGER,
+          deadline INTEGER,
+          dao_id TEXT NOT NULL DEFAULT 'default'
         )`);
         console.log('- Proposal cache table checked');
         
@@ -74,10 +102,191 @@ async function repairDatabase() {
           vote_type INTEGER,
           vote_timestamp INTEGER NOT NULL,
           tx_hash TEXT,
+          reason TEXT,
+          dao_id TEXT NOT NULL DEFAULT 'default',
           PRIMARY KEY (telegram_id, proposal_id)
         )`);
         console.log('- User votes table checked');
         
+        // Create or update pin_attempts table
+        db.run(`CREATE TABLE IF NOT EXISTS pin_attempts (
+          telegram_id TEXT PRIMARY KEY,
+          failed_attempts INTEGER NOT NULL DEFAULT 0,
+          locked_until INTEGER,
+          last_failed_at INTEGER
+        )`);
+        console.log('- PIN attempts table checked');
+        
+        // Create or update guardian recovery tables
+        db.run(`CREATE TABLE IF NOT EXISTS recovery_guardians (
+          telegram_id TEXT NOT NULL,
+          guardian_id TEXT NOT NULL,
+          threshold INTEGER NOT NULL,
+          added_at INTEGER NOT NULL,
+          PRIMARY KEY (telegram_id, guardian_id)
+        )`);
+        db.run(`CREATE TABLE IF NOT EXISTS recovery_requests (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          telegram_id TEXT NOT NULL,
+          status TEXT NOT NULL,
+          threshold INTEGER NOT NULL,
+          created_at INTEGER NOT NULL,
+          expires_at INTEGER NOT NULL,
+          executable_after INTEGER,
+          closed_at INTEGER
+        )`);
+        db.run(`CREATE TABLE IF NOT EXISTS recovery_approvals (
+          request_id INTEGER NOT NULL,
+          guardian_id TEXT NOT NULL,
+          approved_at INTEGER NOT NULL,
+          PRIMARY KEY (request_id, guardian_id)
+        )`);
+        db.run(`CREATE TABLE IF NOT EXISTS recovery_audit (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          telegram_id TEXT NOT NULL,
+          request_id INTEGER,
+          event TEXT NOT NULL,
+          actor_id TEXT,
+          details TEXT,
+          created_at INTEGER NOT NULL
+        )`);
+        console.log('- Guardian recovery tables checked');
+        
+        // Create keystore_entries table (sqlite and envelope keystore backends)
+        db.run(`CREATE TABLE IF NOT EXISTS keystore_entries (
+          collection TEXT NOT NULL,
+          telegram_id TEXT NOT NULL,
+          data TEXT NOT NULL,
+          updated_at INTEGER NOT NULL,
+          PRIMARY KEY (collection, telegram_id)
+        )`);
+        console.log('- Keystore entries table checked');
+        
+        // Create proposal_authors table (Telegram member who submitted each proposal)
+        db.run(`CREATE TABLE IF NOT EXISTS proposal_authors (
+          proposal_id TEXT PRIMARY KEY,
+          telegram_id TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          dao_id TEXT NOT NULL DEFAULT 'default'
+        )`);
+        console.log('- Proposal authors table checked');
+        
+        // Create multi-DAO tables (DAOs each member joined, and the DAO picked in private chat)
+        db.run(`CREATE TABLE IF NOT EXISTS dao_members (
+          dao_id TEXT NOT NULL,
+          telegram_id TEXT NOT NULL,
+          joined_at INTEGER NOT NULL,
+          PRIMARY KEY (dao_id, telegram_id)
+        )`);
+        db.run(`CREATE TABLE IF NOT EXISTS user_dao_context (
+          telegram_id TEXT PRIMARY KEY,
+          dao_id TEXT NOT NULL,
+          updated_at INTEGER NOT NULL
+        )`);
+        console.log('- DAO membership tables checked');
+        
+        // Create proposal_notifications table (one-off proposal notifications already sent)
+        db.run(`CREATE TABLE IF NOT EXISTS proposal_notifications (
+          proposal_id TEXT NOT NULL,
+          event TEXT NOT NULL,
+          sent_at INTEGER NOT NULL,
+          PRIMARY KEY (proposal_id, event)
+        )`);
+        console.log('- Proposal notifications table checked');
+        
+        // Create admin_transactions table (transactions sent from the admin wallet)
+        db.run(`CREATE TABLE IF NOT EXISTS admin_transactions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          label TEXT NOT NULL,
+          chat_id TEXT,
+          request TEXT NOT NULL,
+          status TEXT NOT NULL,
+          nonce INTEGER,
+          tx_hash TEXT,
+          tx_hashes TEXT,
+          fees TEXT,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          error TEXT,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        )`);
+        console.log('- Admin transactions table checked');
+        
+        // Create governor event index tables (last indexed block, and the events found up to it)
+        db.run(`CREATE TABLE IF NOT EXISTS governance_index_checkpoints (
+          governor_address TEXT PRIMARY KEY,
+          last_block INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        )`);
+        console.log('- Governance index checkpoints table checked');
+        db.run(`CREATE TABLE IF NOT EXISTS indexed_proposals (
+          governor_address TEXT NOT NULL,
+          proposal_id TEXT NOT NULL,
+          proposer TEXT NOT NULL,
+          targets TEXT NOT NULL,
+          call_values TEXT NOT NULL,
+          signatures TEXT NOT NULL,
+          calldatas TEXT NOT NULL,
+          start_block TEXT,
+          end_block TEXT,
+          description TEXT,
+          block_number INTEGER NOT NULL,
+          block_timestamp INTEGER,
+          tx_hash TEXT NOT NULL,
+          log_index INTEGER NOT NULL,
+          PRIMARY KEY (governor_address, proposal_id)
+        )`);
+        console.log('- Indexed proposals table checked');
+        db.run(`CREATE TABLE IF NOT EXISTS indexed_votes (
+          governor_address TEXT NOT NULL,
+          proposal_id TEXT NOT NULL,
+          voter TEXT NOT NULL,
+          support INTEGER NOT NULL,
+          weight TEXT NOT NULL,
+          reason TEXT,
+          block_number INTEGER NOT NULL,
+          block_timestamp INTEGER,
+          tx_hash TEXT NOT NULL,
+          log_index INTEGER NOT NULL,
+          PRIMARY KEY (governor_address, tx_hash, log_index)
+        )`);
+        console.log('- Indexed votes table checked');
+        db.run(`CREATE TABLE IF NOT EXISTS indexed_proposal_outcomes (
+          governor_address TEXT NOT NULL,
+          proposal_id TEXT NOT NULL,
+          outcome TEXT NOT NULL,
+          block_number INTEGER NOT NULL,
+          block_timestamp INTEGER,
+          tx_hash TEXT NOT NULL,
+          log_index INTEGER NOT NULL,
+          PRIMARY KEY (governor_address, tx_hash, log_index)
+        )`);
+        console.log('- Indexed proposal outcomes table checked');
+        
+        // Add reason column to user_votes
+        db.run("ALTER TABLE user_votes ADD COLUMN reason TEXT", err => {
+          if (err) {
+            if (!err.message.includes('duplicate column')) {
+              console.error('Error adding reason column:', err.message);
+            }
+          } else {
+            console.log('- Added missing column: reason');
+          }
+        });
+        
+        // Add dao_id columns (rows from before multi-DAO support belong to the default DAO)
+        ['user_votes', 'proposal_authors'].forEach(table => {
+          db.run(`ALTER TABLE ${table} ADD COLUMN dao_id TEXT NOT NULL DEFAULT 'default'`, err => {
+            if (err) {
+              if (!err.message.includes('duplicate column')) {
+                console.error(`Error adding dao_id column to ${table}:`, err.message);
+              }
+            } else {
+              console.log(`- Added missing column: ${table}.dao_id`);
+            }
+          });
+        });
+        
         // Add missing columns to proposal_cache
         const proposalCacheColumns = [
           "title TEXT",
@@ -89,7 +298,11 @@ async function repairDatabase() {
           "for_votes TEXT",
           "against_votes TEXT",
           "abstain_votes TEXT",
-          "is_executed INTEGER DEFAULT 0"
+          "is_executed INTEGER DEFAULT 0",
+          "eta INTEGER",
+          "snapshot INTEGER",
+          "deadline INTEGER",
+          "dao_id TEXT NOT NULL DEFAULT 'default'"
         ];
         
         proposalCacheColumns.forEach(colDef => {
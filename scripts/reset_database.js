@@ -106,7 +106,9 @@ function recreateDatabase() {
         db.run(`CREATE TABLE IF NOT EXISTS users (
           telegram_id TEXT PRIMARY KEY,
           wallet_address TEXT NOT NULL,
-          join_date INTEGER NOT NULL
+          join_date INTEGER NOT NULL,
+          custody TEXT NOT NULL DEFAULT 'bot',
+          username TEXT
         )`);
         console.log('✅ Created users table');
         
@@ -123,7 +125,11 @@ function recreateDatabase() {
           against_votes TEXT,
           abstain_votes TEXT,
           last_updated INTEGER NOT NULL,
-          is_executed INTEGER DEFAULT 0
+          is_executed INTEGER DEFAULT 0,
+          eta INTEGER,
+          snapshot INTEGER,
+          deadline INTEGER,
+          dao_id TEXT NOT NULL DEFAULT 'default'
         )`);
         console.log('✅ Created proposal_cache table');
         
@@ -134,10 +140,167 @@ function recreateDatabase() {
           vote_type INTEGER,
           vote_timestamp INTEGER NOT NULL,
           tx_hash TEXT,
+          reason TEXT,
+          dao_id TEXT NOT NULL DEFAULT 'default',
           PRIMARY KEY (telegram_id, proposal_id)
         )`);
         console.log('✅ Created user_votes table');
         
+        // Create pin_attempts table
+        db.run(`CREATE TABLE IF NOT EXISTS pin_attempts (
+          telegram_id TEXT PRIMARY KEY,
+          failed_attempts INTEGER NOT NULL DEFAULT 0,
+          locked_until INTEGER,
+          last_failed_at INTEGER
+        )`);
+        console.log('✅ Created pin_attempts table');
+        
+        // Create guardian recovery tables
+        db.run(`CREATE TABLE IF NOT EXISTS recovery_guardians (
+          telegram_id TEXT NOT NULL,
+          guardian_id TEXT NOT NULL,
+          threshold INTEGER NOT NULL,
+          added_at INTEGER NOT NULL,
+          PRIMARY KEY (telegram_id, guardian_id)
+        )`);
+        db.run(`CREATE TABLE IF NOT EXISTS recovery_requests (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          telegram_id TEXT NOT NULL,
+          status TEXT NOT NULL,
+          threshold INTEGER NOT NULL,
+          created_at INTEGER NOT NULL,
+          expires_at INTEGER NOT NULL,
+          executable_after INTEGER,
+          closed_at INTEGER
+        )`);
+        db.run(`CREATE TABLE IF NOT EXISTS recovery_approvals (
+          request_id INTEGER NOT NULL,
+          guardian_id TEXT NOT NULL,
+          approved_at INTEGER NOT NULL,
+          PRIMARY KEY (request_id, guardian_id)
+        )`);
+        db.run(`CREATE TABLE IF NOT EXISTS recovery_audit (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          telegram_id TEXT NOT NULL,
+          request_id INTEGER,
+          event TEXT NOT NULL,
+          actor_id TEXT,
+          details TEXT,
+          created_at INTEGER NOT NULL
+        )`);
+        console.log('✅ Created guardian recovery tables');
+        
+        // Create keystore_entries table (sqlite and envelope keystore backends)
+        db.run(`CREATE TABLE IF NOT EXISTS keystore_entries (
+          collection TEXT NOT NULL,
+          telegram_id TEXT NOT NULL,
+          data TEXT NOT NULL,
+          updated_at INTEGER NOT NULL,
+          PRIMARY KEY (collection, telegram_id)
+        )`);
+        console.log('✅ Created keystore_entries table');
+        
+        // Create proposal_authors table (Telegram member who submitted each proposal)
+        db.run(`CREATE TABLE IF NOT EXISTS proposal_authors (
+          proposal_id TEXT PRIMARY KEY,
+          telegram_id TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          dao_id TEXT NOT NULL DEFAULT 'default'
+        )`);
+        console.log('✅ Created proposal_authors table');
+        
+        // Create multi-DAO tables (DAOs each member joined, and the DAO picked in private chat)
+        db.run(`CREATE TABLE IF NOT EXISTS dao_members (
+          dao_id TEXT NOT NULL,
+          telegram_id TEXT NOT NULL,
+          joined_at INTEGER NOT NULL,
+          PRIMARY KEY (dao_id, telegram_id)
+        )`);
+        db.run(`CREATE TABLE IF NOT EXISTS user_dao_context (
+          telegram_id TEXT PRIMARY KEY,
+          dao_id TEXT NOT NULL,
+          updated_at INTEGER NOT NULL
+        )`);
+        console.log('✅ Created dao_members and user_dao_context tables');
+        
+        // Create proposal_notifications table (one-off proposal notifications already sent)
+        db.run(`CREATE TABLE IF NOT EXISTS proposal_notifications (
+          proposal_id TEXT NOT NULL,
+          event TEXT NOT NULL,
+          sent_at INTEGER NOT NULL,
+          PRIMARY KEY (proposal_id, event)
+        )`);
+        console.log('✅ Created proposal_notifications table');
+        
+        // Create admin_transactions table (transactions sent from the admin wallet)
+        db.run(`CREATE TABLE IF NOT EXISTS admin_transactions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          label TEXT NOT NULL,
+          chat_id TEXT,
+          request TEXT NOT NULL,
+          status TEXT NOT NULL,
+          nonce INTEGER,
+          tx_hash TEXT,
+          tx_hashes TEXT,
+          fees TEXT,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          error TEXT,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        )`);
+        console.log('✅ Created admin_transactions table');
+        
+        // Create governor event index tables (last indexed block, and the events found up to it)
+        db.run(`CREATE TABLE IF NOT EXISTS governance_index_checkpoints (
+          governor_address TEXT PRIMARY KEY,
+          last_block INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        )`);
+        console.log('✅ Created governance_index_checkpoints table');
+        db.run(`CREATE TABLE IF NOT EXISTS indexed_proposals (
+          governor_address TEXT NOT NULL,
+          proposal_id TEXT NOT NULL,
+          proposer TEXT NOT NULL,
+          targets TEXT NOT NULL,
+          call_values TEXT NOT NULL,
+          signatures TEXT NOT NULL,
+          calldatas TEXT NOT NULL,
+          start_block TEXT,
+          end_block TEXT,
+          description TEXT,
+          block_number INTEGER NOT NULL,
+          block_timestamp INTEGER,
+          tx_hash TEXT NOT NULL,
+          log_index INTEGER NOT NULL,
+          PRIMARY KEY (governor_address, proposal_id)
+        )`);
+        console.log('✅ Created indexed_proposals table');
+        db.run(`CREATE TABLE IF NOT EXISTS indexed_votes (
+          governor_address TEXT NOT NULL,
+          proposal_id TEXT NOT NULL,
+          voter TEXT NOT NULL,
+          support INTEGER NOT NULL,
+          weight TEXT NOT NULL,
+          reason TEXT,
+          block_number INTEGER NOT NULL,
+          block_timestamp INTEGER,
+          tx_hash TEXT NOT NULL,
+          log_index INTEGER NOT NULL,
+          PRIMARY KEY (governor_address, tx_hash, log_index)
+        )`);
+        console.log('✅ Created indexed_votes table');
+        db.run(`CREATE TABLE IF NOT EXISTS indexed_proposal_outcomes (
+          governor_address TEXT NOT NULL,
+          proposal_id TEXT NOT NULL,
+          outcome TEXT NOT NULL,
+          block_number INTEGER NOT NULL,
+          block_timestamp INTEGER,
+          tx_hash TEXT NOT NULL,
+          log_index INTEGER NOT NULL,
+          PRIMARY KEY (governor_address, tx_hash, log_index)
+        )`);
+        console.log('✅ Created indexed_proposal_outcomes table');
+        
         resolve();
       } catch (error) {
         reject(error);
@@ -68,6 +68,32 @@ function resetProposalCache() {
   });
 }
 
+// Function to clear DAO memberships and the DAO each member picked
+function resetDaoMembers() {
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM dao_members', function(err) {
+      if (err) {
+        // Databases from before multi-DAO support don't have the table
+        if (err.message.includes('no such table')) {
+          resolve(0);
+          return;
+        }
+        reject(err);
+        return;
+      }
+      const removed = this.changes;
+      db.run('DELETE FROM user_dao_context', (contextErr) => {
+        if (contextErr && !contextErr.message.includes('no such table')) {
+          reject(contextErr);
+          return;
+        }
+        console.log(`✅ Removed ${removed} DAO memberships`);
+        resolve(removed);
+      });
+    });
+  });
+}
+
 // Function to list the wallet directory
 function listWalletDirectory() {
   const walletDir = process.env.WALLET_DIRECTORY || './wallets';
@@ -93,6 +119,7 @@ function listWalletDirectory() {
       console.log(`  - ${file}`);
     });
     console.log(`\nYou can delete them with: rm ${walletDir}/*.json`);
+    console.log('Or move them to quarantine with: npm run check-wallets -- --fix');
   } else {
     console.log('\nNo wallet files found in the wallet directory.');
   }
@@ -102,6 +129,7 @@ function listWalletDirectory() {
 async function main() {
   try {
     await resetUsers();
+    await resetDaoMembers();
     await resetProposalCache();
     
     // Provide instructions for wallet cleanup
@@ -5,15 +5,15 @@ const fs = require('fs');
 
 // Import modules
 const AIService = require('./modules/ai/aiService');
-const BlockchainManager = require('./modules/blockchain/blockchainManager');
+const DaoRegistry = require('./modules/daos/daoRegistry');
 const WalletManager = require('./modules/wallets/walletManager');
 const CommandHandler = require('./modules/commands/commandHandler');
 const TextProcessor = require('./modules/text/textProcessor');
-const GamificationService = require('./modules/gamification/gamificationService');
 const DatabaseService = require('./modules/database/databaseService');
-const ProposalMonitor = require('./modules/blockchain/proposalMonitor');
 const helpers = require('./utils/helpers');
-const BlockchainService = require('./modules/blockchain/blockchainService');
+const PinLockoutService = require('./modules/security/pinLockoutService');
+const SigningSessionManager = require('./modules/wallets/signingSessionManager');
+const GuardianRecoveryService = require('./modules/security/guardianRecoveryService');
 
 // Initialize the bot
 const bot = new TelegramBot(process.env.BOT_TOKEN, { polling: true });
@@ -65,6 +65,7 @@ db.serialize(() => {
     vote_type INTEGER, /* 0=against, 1=for, 2=abstain */
     vote_timestamp INTEGER NOT NULL,
     tx_hash TEXT,
+    reason TEXT,
     PRIMARY KEY (telegram_id, proposal_id)
   )`);
 });
@@ -78,44 +79,39 @@ if (!fs.existsSync(walletDir)) {
 
 // Initialize services
 const aiService = new AIService(process.env.OPENAI_API_KEY);
-const blockchainManager = new BlockchainManager({
-  rpcUrl: process.env.BLOCKCHAIN_RPC_URL,
-  tokenAddress: process.env.TOKEN_ADDRESS,
-  governorAddress: process.env.GOVERNOR_ADDRESS,
-  adminPrivateKey: process.env.ADMIN_PRIVATE_KEY
-});
-const walletManager = new WalletManager();
-const textProcessor = new TextProcessor(aiService);
 const databaseService = new DatabaseService('./dao_bot.sqlite');
-const gamificationService = new GamificationService(blockchainManager);
-const proposalMonitor = new ProposalMonitor(
-  blockchainManager,
-  databaseService,
-  bot,
-  process.env.COMMUNITY_GROUP_ID
-);
-const blockchainService = new BlockchainService({
+// One blockchain manager, gamification service and proposal monitor per DAO (DAOS_CONFIG,
+// or a single DAO from TOKEN_ADDRESS, GOVERNOR_ADDRESS, ...), all using the same admin wallet
+const daoRegistry = new DaoRegistry(DaoRegistry.loadDefinitions(), {
   rpcUrl: process.env.BLOCKCHAIN_RPC_URL,
-  tokenAddress: process.env.TOKEN_ADDRESS,
-  governorAddress: process.env.GOVERNOR_ADDRESS,
   adminPrivateKey: process.env.ADMIN_PRIVATE_KEY,
-  databaseService: databaseService // Asegúrate de pasar databaseService aquí
+  databaseService: databaseService, // Persists admin wallet transactions
+  bot
 });
+const pinLockoutService = new PinLockoutService(databaseService, bot);
+const signingSessions = new SigningSessionManager(bot);
+const walletManager = new WalletManager(pinLockoutService, signingSessions);
+const guardianRecoveryService = new GuardianRecoveryService(databaseService, walletManager, bot);
+const textProcessor = new TextProcessor(aiService);
 
 // Initialize command handler
 const commandHandler = new CommandHandler(
   bot, 
-  blockchainManager, 
+  daoRegistry, 
   walletManager, 
   aiService,
   textProcessor,
-  gamificationService,
   databaseService,
-  process.env.COMMUNITY_GROUP_ID
+  guardianRecoveryService
 );
 
 // Handle direct messages that aren't commands
 bot.on('message', (msg) => {
+  // Keep members' usernames current so they can be referred to as @username
+  if (msg.from) {
+    walletManager.updateUsername(msg.from.id, msg.from.username).catch(() => {});
+  }
+  
   // Skip command messages
   if (msg.text && msg.text.startsWith('/')) return;
   
@@ -195,20 +191,40 @@ bot.onText(/\/start vote_(.+)_(.+)/, (msg, match) => {
 
 // Start proposal monitoring
 const monitoringInterval = process.env.PROPOSAL_MONITOR_INTERVAL || 300000; // 5 minutes default
-proposalMonitor.startMonitoring(parseInt(monitoringInterval));
+daoRegistry.startMonitoring(parseInt(monitoringInterval));
+
+// Report admin wallet transaction retries and failures to the chat that started them
+daoRegistry.setTransactionReporter((chatId, message) => bot.sendMessage(chatId, message));
+
+// Make sure the RPC endpoint is on BLOCKCHAIN_NETWORK before following up
+// transactions left pending by the last shutdown
+daoRegistry.verifyNetwork()
+  .then(network => {
+    console.log(`Connected to blockchain network: ${network ? `${network.name} (chain ID ${network.chainId})` : 'Unknown'}`);
+    return daoRegistry.resumePendingTransactions();
+  })
+  .catch(error => {
+    console.error(`Network check failed: ${error.message}`);
+    process.exit(1);
+  });
 
 // Log startup with version info
 console.log(`Alphin DAO Bot v${process.env.npm_package_version || '1.0.0'} is running...`);
-console.log(`Connected to blockchain network: ${process.env.BLOCKCHAIN_NETWORK || 'Unknown'}`);
+console.log(`Managing ${daoRegistry.getAll().length} DAO(s): ${daoRegistry.getAll().map(dao => dao.name).join(', ')}`);
 console.log(`Proposal monitoring started with interval: ${monitoringInterval}ms`);
 
 // Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('Stopping proposal monitor...');
-  proposalMonitor.stopMonitoring();
+const shutdown = () => {
+  console.log('Ending signing sessions...');
+  walletManager.lockAllWallets();
+  console.log('Stopping proposal monitors...');
+  daoRegistry.stopMonitoring();
   console.log('Closing database connection...');
   db.close();
   console.log('Stopping bot...');
   bot.stopPolling();
   process.exit(0);
-});
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,144 @@
+const { ethers } = require('ethers');
+
+/**
+ * Batched contract reads
+ *
+ * Bundles view calls into Multicall3 aggregate3 calls where Multicall3 is
+ * deployed, and otherwise makes them one by one with a limited number in
+ * flight so the RPC provider isn't flooded. A call that reverts yields null
+ * instead of failing the whole batch.
+ */
+
+// Multicall3 has the same address on most EVM chains
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)'
+];
+
+class BatchReader {
+  /**
+   * Create BatchReader instance
+   * @param {ethers.providers.Provider} provider - Provider to read through
+   * @param {Object} [options] - Reader settings, defaulting to environment variables
+   * @param {string} [options.multicallAddress] - Multicall3 address (MULTICALL3_ADDRESS)
+   * @param {number} [options.batchSize] - Calls per aggregate3 call (MULTICALL_BATCH_SIZE)
+   * @param {number} [options.concurrency] - Calls in flight without Multicall3 (RPC_READ_CONCURRENCY)
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.multicallAddress = options.multicallAddress || process.env.MULTICALL3_ADDRESS || MULTICALL3_ADDRESS;
+    this.batchSize = options.batchSize || parseInt(process.env.MULTICALL_BATCH_SIZE || '100');
+    this.concurrency = options.concurrency || parseInt(process.env.RPC_READ_CONCURRENCY || '5');
+    this.multicall = new ethers.Contract(this.multicallAddress, MULTICALL3_ABI, provider);
+
+    // Whether Multicall3 is deployed, checked on first use
+    this.hasMulticall = null;
+  }
+
+  /**
+   * Make a list of view calls
+   * @param {Array<Object>} calls - Calls as { contract, method, args }
+   * @returns {Promise<Array>} - Results in the same order (unwrapped if the function has a single output), null for failed calls
+   */
+  async read(calls) {
+    if (calls.length === 0) {
+      return [];
+    }
+
+    if (await this.isMulticallDeployed()) {
+      try {
+        return await this.readWithMulticall(calls);
+      } catch (error) {
+        console.warn(`Multicall3 read failed, falling back to individual calls: ${error.message}`);
+      }
+    }
+
+    return this.readIndividually(calls);
+  }
+
+  /**
+   * Check whether Multicall3 is deployed on the connected chain
+   * @returns {Promise<boolean>} - True if it has code at the configured address
+   */
+  async isMulticallDeployed() {
+    if (this.hasMulticall === null) {
+      try {
+        const code = await this.provider.getCode(this.multicallAddress);
+        this.hasMulticall = code !== '0x';
+        console.log(`Multicall3 ${this.hasMulticall ? 'found' : 'not deployed'} at ${this.multicallAddress}`);
+      } catch (error) {
+        // Try again next time rather than caching a network error
+        console.warn(`Could not check for Multicall3: ${error.message}`);
+        return false;
+      }
+    }
+    return this.hasMulticall;
+  }
+
+  /**
+   * Make the calls through Multicall3, batchSize calls per request
+   * @param {Array<Object>} calls - Calls as { contract, method, args }
+   * @returns {Promise<Array>} - Results in order, null for failed calls
+   */
+  async readWithMulticall(calls) {
+    const results = [];
+
+    for (let i = 0; i < calls.length; i += this.batchSize) {
+      const batch = calls.slice(i, i + this.batchSize);
+      const responses = await this.multicall.callStatic.aggregate3(batch.map(call => ({
+        target: call.contract.address,
+        allowFailure: true,
+        callData: call.contract.interface.encodeFunctionData(call.method, call.args || [])
+      })));
+
+      responses.forEach((response, index) => {
+        results.push(response.success ? this.decode(batch[index], response.returnData) : null);
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Decode the data returned by one call
+   * @param {Object} call - Call as { contract, method, args }
+   * @param {string} returnData - ABI-encoded result
+   * @returns {*} - Decoded result, or null if it can't be decoded
+   */
+  decode(call, returnData) {
+    try {
+      const decoded = call.contract.interface.decodeFunctionResult(call.method, returnData);
+      return decoded.length === 1 ? decoded[0] : decoded;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Make the calls one by one, at most `concurrency` at a time
+   * @param {Array<Object>} calls - Calls as { contract, method, args }
+   * @returns {Promise<Array>} - Results in order, null for failed calls
+   */
+  async readIndividually(calls) {
+    const results = new Array(calls.length).fill(null);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < calls.length) {
+        const index = next++;
+        const call = calls[index];
+        try {
+          results[index] = await call.contract.callStatic[call.method](...(call.args || []));
+        } catch (error) {
+          console.warn(`Read of ${call.method} failed: ${error.reason || error.message}`);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, calls.length) }, worker));
+    return results;
+  }
+}
+
+module.exports = BatchReader;
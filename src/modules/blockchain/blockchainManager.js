@@ -1,48 +1,123 @@
 const BlockchainService = require('./blockchainService');
+const { toProposalCalls, buildTokenTransfer } = require('./proposalActions');
+const { formatTimeRemaining } = require('../../utils/helpers');
 const ethers = require('ethers');
 
 class BlockchainManager {
   /**
    * Manager for all blockchain-related operations
    * @param {Object} config - Configuration for blockchain service
+   * @param {Array<string>} [config.admins] - Telegram IDs of the DAO's admins (defaults to DAO_ADMINS)
+   * @param {string} [config.welcomeTokens] - Tokens sent to new members (defaults to WELCOME_TOKENS)
+   * @param {string} [config.welcomeAdmins] - Tokens sent to new admins (defaults to WELCOME_ADMINS)
+   * @param {string} [config.targetAddress] - Target of text-only proposals (defaults to TARGET_ADDRESS, then the token)
    */
   constructor(config) {
     this.service = new BlockchainService(config);
+    this.admins = config.admins || (process.env.DAO_ADMINS ? process.env.DAO_ADMINS.split(',').map(id => id.trim()) : []);
+    this.welcomeTokens = config.welcomeTokens || process.env.WELCOME_TOKENS || "10";
+    this.welcomeAdmins = config.welcomeAdmins || process.env.WELCOME_ADMINS || "10000";
+    this.targetAddress = config.targetAddress || process.env.TARGET_ADDRESS;
   }
   
   /**
-   * Send welcome tokens to a new user
+   * Check if a user is one of the DAO's admins
+   * @param {string|number} userId - Telegram user ID
+   * @returns {boolean} - True if the user is an admin
+   */
+  isAdmin(userId) {
+    return !!userId && this.admins.includes(userId.toString());
+  }
+  
+  /**
+   * Report admin wallet transaction retries and failures to the chat that started them
+   * @param {Function} reporter - Called with (chatId, message)
+   */
+  setTransactionReporter(reporter) {
+    this.service.setTransactionReporter(reporter);
+  }
+  
+  /**
+   * Follow up admin wallet transactions left pending by a restart
+   */
+  async resumePendingTransactions() {
+    try {
+      await this.service.resumePendingTransactions();
+    } catch (error) {
+      console.error('Error resuming pending admin transactions:', error);
+    }
+  }
+  
+  /**
+   * Check BLOCKCHAIN_NETWORK against the chain the RPC endpoint is on
+   * @returns {Promise<Object|null>} - Network in use, or null if it isn't known
+   * @throws {Error} - If the RPC endpoint is on another chain
+   */
+  async verifyNetwork() {
+    return this.service.verifyNetwork();
+  }
+  
+  /**
+   * Get the network the DAO is on
+   * @returns {Object|null} - Network (see NetworkRegistry), or null if it isn't known
+   */
+  getNetwork() {
+    return this.service.network;
+  }
+  
+  /**
+   * Get a block explorer URL for an address or transaction
+   * @param {string} hash - Address or transaction hash
+   * @param {string} [type] - 'address' or 'tx'
+   * @returns {string} - Explorer URL, or an empty string if the network isn't known
+   */
+  getExplorerUrl(hash, type = 'address') {
+    return this.service.getExplorerUrl(hash, type);
+  }
+  
+  /**
+   * Get the state of the RPC endpoints
+   * @returns {Promise<Object|null>} - Active endpoint and health of each one, or null if blockchain features are disabled
+   */
+  async getRpcStatus() {
+    return this.service.getRpcStatus();
+  }
+  
+  /**
+   * Send welcome tokens to a new user, and delegate them to the user so they can vote
    * @param {string} userAddress - User's wallet address
    * @param {string} userId - User's Telegram ID
+   * @param {ethers.Wallet} [userWallet] - User's decrypted wallet, to sign the delegation; without it
+   *   the user delegates later (e.g. with /undelegate) unless the token can't take signed delegations
    * @returns {Promise<Object>} - Transaction details
    */
-  async sendWelcomeTokens(userAddress, userId) {
+  async sendWelcomeTokens(userAddress, userId, userWallet = null) {
     console.log(`Sending welcome tokens to ${userAddress} for user ID: ${userId || 'unknown'}`);
     
     // Determine if user is an admin by ID
-    const adminsList = process.env.DAO_ADMINS ? process.env.DAO_ADMINS.split(',') : [];
-    const isAdmin = userId && adminsList.includes(userId.toString());
+    const isAdmin = this.isAdmin(userId);
     
     // Choose token amount based on admin status
     let welcomeAmount;
     if (isAdmin) {
-      welcomeAmount = process.env.WELCOME_ADMINS || "10000";
+      welcomeAmount = this.welcomeAdmins;
       console.log(`User ID ${userId} is an admin, sending ${welcomeAmount} tokens`);
     } else {
-      welcomeAmount = process.env.WELCOME_TOKENS || "10";
+      welcomeAmount = this.welcomeTokens;
       console.log(`User is a regular member, sending ${welcomeAmount} tokens`);
     }
     
     try {
       // Transfer tokens from admin wallet to user
-      const txResult = await this.service.transferTokens(userAddress, welcomeAmount);
+      // New members are in a private chat with the bot, so their ID is also the chat to report to
+      const txResult = await this.service.transferTokens(userAddress, welcomeAmount, { chatId: userId });
       console.log('Welcome tokens sent:', txResult);
       
       // Try to delegate tokens, but don't fail if delegation fails
       let delegationSuccess = false;
       try {
         // Automatically delegate tokens to self to enable voting
-        await this.delegateTokens(userAddress, userAddress);
+        await this.delegateTokens(userWallet || userAddress, userAddress, { chatId: userId });
         delegationSuccess = true;
       } catch (delegationError) {
         console.error('Warning: Token delegation failed, but tokens were sent successfully:', delegationError);
@@ -64,14 +139,18 @@ class BlockchainManager {
   
   /**
    * Delegate tokens to enable voting
-   * @param {string} delegatorAddress - The address delegating tokens
+   * @param {ethers.Wallet|string} delegator - Wallet delegating tokens, which signs the delegation,
+   *   or only its address when the bot can't sign for it
    * @param {string} delegateeAddress - The address receiving delegation
+   * @param {Object} [options] - Optional parameters
+   * @param {string} [options.chatId] - Chat to report transaction retries and failures to
    * @returns {Promise<Object>} - Delegation result
    */
-  async delegateTokens(delegatorAddress, delegateeAddress) {
+  async delegateTokens(delegator, delegateeAddress, options = {}) {
     try {
+      const delegatorAddress = typeof delegator === 'string' ? delegator : delegator.address;
       console.log(`Attempting to delegate tokens from ${delegatorAddress} to ${delegateeAddress}`);
-      const result = await this.service.delegateVotes(delegatorAddress, delegateeAddress);
+      const result = await this.service.delegateVotes(delegator, delegateeAddress, { chatId: options.chatId });
       
       // Check if the delegation was successful
       if (result.status === 'success') {
@@ -95,29 +174,104 @@ class BlockchainManager {
     }
   }
   
+  /**
+   * Get who an address delegates its votes to, and its voting power
+   * @param {string} address - Wallet address
+   * @returns {Promise<Object>} - { delegate, balance, votes, received }, delegate being null until the tokens are first delegated
+   */
+  async getDelegation(address) {
+    return this.service.getDelegation(address);
+  }
+  
+  /**
+   * Get the EIP-712 Delegation a user signs to delegate from their own wallet
+   * @param {string} delegatorAddress - Address of the user's wallet
+   * @param {string} delegateeAddress - Address receiving the votes
+   * @returns {Promise<{payload: Object, delegation: Object}>} - eth_signTypedData_v4 payload, and the Delegation to submit with the signature
+   */
+  async getDelegationSigningRequest(delegatorAddress, delegateeAddress) {
+    if (!this.service.blockchainEnabled) {
+      throw new Error('Signing with your own wallet is not available while blockchain features are disabled');
+    }
+    
+    const { domain, types, value } = await this.service.getDelegationTypedData(delegatorAddress, delegateeAddress);
+    return {
+      payload: ethers.utils._TypedDataEncoder.getPayload(domain, types, value),
+      delegation: value
+    };
+  }
+  
+  /**
+   * Delegate votes with a Delegation signed in the user's own wallet
+   * @param {string} delegatorAddress - Address of the user's wallet
+   * @param {Object} delegation - Delegation from getDelegationSigningRequest
+   * @param {string} signature - EIP-712 signature of the Delegation
+   * @param {Object} [options] - Optional parameters
+   * @param {string} [options.chatId] - Chat to report transaction retries and failures to
+   * @returns {Promise<Object>} - Delegation result
+   */
+  async delegateBySignature(delegatorAddress, delegation, signature, options = {}) {
+    try {
+      const result = await this.service.delegateBySignature(delegatorAddress, delegation, signature.trim(), { chatId: options.chatId });
+      
+      if (result.status !== 'success') {
+        throw new Error(result.message);
+      }
+      
+      console.log(`Successfully delegated tokens by signature. Transaction: ${result.txHash}`);
+      return {
+        success: true,
+        txHash: result.txHash,
+        blockNumber: result.blockNumber
+      };
+    } catch (error) {
+      console.error('Error delegating tokens by signature:', error);
+      throw new Error(`Failed to delegate tokens: ${error.message}`);
+    }
+  }
+  
   /**
    * Create a proposal on the blockchain
    * @param {Object} proposal - Proposal data
+   * @param {Array<Object>} [proposal.actions] - Actions built with proposalActions; a text-only proposal gets a single no-op call
    * @param {ethers.Wallet} userWallet - User's wallet for proposal creation
+   * @param {Object} [options] - Optional parameters
+   * @param {string} [options.chatId] - Chat to report transaction retries and failures to
+   * @param {Object|null} [options.preflight] - Result of simulateProposalActions already shown to the member,
+   *   so the actions aren't simulated again
    * @returns {Promise<Object>} - Proposal creation result
    */
-  async createProposal(proposal, userWallet) {
+  async createProposal(proposal, userWallet, options = {}) {
     try {
+      const actions = proposal.actions || [];
+      const calls = actions.length > 0
+        ? toProposalCalls(actions)
+        : {
+          targets: [this.targetAddress || this.service.tokenAddress],
+          values: ["0"], // No ETH is being sent
+          calldatas: ["0x"] // Empty calldata for text-only proposals
+        };
+      
+      // The proposal is submitted either way: the state its actions depend on may change before execution
+      const preflight = options.preflight !== undefined ? options.preflight : await this.simulateProposalActions(actions);
+      if (preflight && !preflight.success) {
+        console.warn(`Proposal "${proposal.title}" would revert at execution:`, preflight.failures);
+      }
+      
       const formattedProposal = {
         title: proposal.title,
         description: proposal.description,
-        targets: [process.env.TARGET_ADDRESS || this.service.tokenAddress],
-        values: ["0"], // No ETH is being sent
-        calldatas: ["0x"] // Empty calldata for simple proposals
+        ...calls
       };
       
       // Create the proposal using admin wallet (paying gas fees)
-      const result = await this.service.createProposal(formattedProposal);
+      const result = await this.service.createProposal(formattedProposal, { chatId: options.chatId });
       
       return {
         success: true,
         proposalId: result.proposalId,
-        txHash: result.txHash
+        txHash: result.txHash,
+        preflight
       };
     } catch (error) {
       console.error('Error creating proposal:', error);
@@ -125,14 +279,85 @@ class BlockchainManager {
     }
   }
   
+  /**
+   * Simulate a proposal's actions as the governor (or its timelock) would run them at execution
+   * @param {Array<Object>} actions - Actions built with proposalActions
+   * @returns {Promise<Object|null>} - { success, gasEstimate, failures: [{ index, reason }] },
+   *   or null for text-only proposals and when the simulation couldn't run
+   */
+  async simulateProposalActions(actions) {
+    if (!actions || actions.length === 0 || !this.service.blockchainEnabled) {
+      return null;
+    }
+    
+    try {
+      const { targets, values, calldatas } = toProposalCalls(actions);
+      return await this.service.simulateProposalCalls(targets, values, calldatas);
+    } catch (error) {
+      console.error('Error simulating proposal actions:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Get the treasury address, its token balance and the token symbol
+   * @returns {Promise<{address: string, balance: string, symbol: string}>} - Treasury details
+   */
+  async getTreasuryInfo() {
+    if (!this.service.blockchainEnabled) {
+      throw new Error('Treasury transfers are not available while blockchain features are disabled');
+    }
+    
+    const { symbol } = await this.service.getTokenInfo();
+    const balance = await this.getTokenBalance(this.service.treasuryAddress);
+    
+    return { address: this.service.treasuryAddress, balance, symbol };
+  }
+  
+  /**
+   * Build the action for a treasury transfer proposal, checking the treasury can cover it
+   * @param {string} recipient - Address receiving the tokens
+   * @param {string} amount - Amount in whole tokens, e.g. "250" or "12.5"
+   * @returns {Promise<Object>} - { action, amount, symbol, treasury } where treasury is getTreasuryInfo()
+   */
+  async buildTreasuryTransfer(recipient, amount) {
+    const treasury = await this.getTreasuryInfo();
+    const { decimals } = await this.service.getTokenInfo();
+    
+    let units;
+    try {
+      units = ethers.utils.parseUnits(String(amount).trim(), decimals);
+    } catch (error) {
+      throw new Error(`"${amount}" is not a valid ${treasury.symbol} amount. Please send a number such as 250 or 12.5.`);
+    }
+    
+    if (units.lte(0)) {
+      throw new Error('The amount must be greater than zero.');
+    }
+    
+    if (ethers.utils.parseUnits(treasury.balance, decimals).lt(units)) {
+      throw new Error(`The treasury only holds ${treasury.balance} ${treasury.symbol}.`);
+    }
+    
+    return {
+      action: buildTokenTransfer(this.service.tokenAddress, recipient, units.toString()),
+      amount: ethers.utils.formatUnits(units, decimals),
+      symbol: treasury.symbol,
+      treasury
+    };
+  }
+  
   /**
    * Submit a vote on a proposal
    * @param {string} proposalId - ID of the proposal
    * @param {ethers.Wallet} userWallet - User's wallet for voting
    * @param {number} voteType - 0: against, 1: for, 2: abstain
+   * @param {string|null} [reason] - Optional reason for the vote
+   * @param {Object} [options] - Optional parameters
+   * @param {string} [options.chatId] - Chat to report transaction retries and failures to
    * @returns {Promise<Object>} - Voting result
    */
-  async castVote(proposalId, userWallet, voteType) {
+  async castVote(proposalId, userWallet, voteType, reason = null, options = {}) {
     try {
       console.log(`Casting vote on proposal ${proposalId}, vote type: ${voteType}, voter: ${userWallet.address}`);
       
@@ -145,7 +370,7 @@ class BlockchainManager {
       }
       
       // Vote using the service (admin pays gas) - now with validation checks
-      const result = await this.service.voteOnProposal(userWallet, proposalId, voteType);
+      const result = await this.service.voteOnProposal(userWallet, proposalId, voteType, reason, { chatId: options.chatId });
       
       // Simply pass through the result - the service now handles all error cases
       // and returns a structured response with added validation checks
@@ -170,6 +395,67 @@ class BlockchainManager {
     }
   }
   
+  /**
+   * Get the EIP-712 payload a user signs to vote from their own wallet
+   * @param {string} proposalId - ID of the proposal
+   * @param {string} voterAddress - Address of the linked wallet
+   * @param {number} voteType - 0: against, 1: for, 2: abstain
+   * @param {string|null} [reason] - Optional reason, signed along with the vote if the governor supports it
+   * @returns {Promise<Object>} - eth_signTypedData_v4 payload
+   */
+  async getBallotSigningRequest(proposalId, voterAddress, voteType, reason = null) {
+    if (!this.service.blockchainEnabled) {
+      throw new Error('Signing with your own wallet is not available while blockchain features are disabled');
+    }
+    
+    const { domain, types, value } = await this.service.getBallotTypedData(proposalId, voterAddress, voteType, reason);
+    return ethers.utils._TypedDataEncoder.getPayload(domain, types, value);
+  }
+  
+  /**
+   * Submit a vote signed with the user's own wallet
+   * @param {string} proposalId - ID of the proposal
+   * @param {string} voterAddress - Address of the linked wallet
+   * @param {number} voteType - 0: against, 1: for, 2: abstain
+   * @param {string} signature - EIP-712 signature of the Ballot
+   * @param {string|null} [reason] - Optional reason for the vote
+   * @param {Object} [options] - Optional parameters
+   * @param {string} [options.chatId] - Chat to report transaction retries and failures to
+   * @returns {Promise<Object>} - Voting result
+   */
+  async castVoteBySignature(proposalId, voterAddress, voteType, signature, reason = null, options = {}) {
+    try {
+      console.log(`Casting externally signed vote on proposal ${proposalId}, vote type: ${voteType}, voter: ${voterAddress}`);
+      
+      if (!proposalId) {
+        throw new Error('Invalid proposal ID');
+      }
+      
+      const result = await this.service.castVoteBySignature(voterAddress, proposalId, voteType, signature.trim(), reason, { chatId: options.chatId });
+      console.log(`Vote result: ${JSON.stringify(result)}`);
+      
+      return result;
+    } catch (error) {
+      console.error('Error casting vote by signature:', error);
+      
+      // Return a structured error response
+      return {
+        success: false,
+        error: error.message,
+        errorDetails: error.toString()
+      };
+    }
+  }
+  
+  /**
+   * Get on-chain vote history for an address
+   * @param {string} address - Voter address
+   * @returns {Promise<Array<Object>>} - Votes cast by the address
+   */
+  async getVoteHistory(address) {
+    return this.service.getVotesCastBy(address);
+  }
+  
   /**
    * Get token balance for a user
    * @param {string} address - User's wallet address
@@ -214,11 +500,72 @@ class BlockchainManager {
     }
   }
   
+  /**
+   * Whether proposals must be queued in a timelock before they can be executed
+   * @returns {boolean} - True for GovernorTimelockControl-style governors
+   */
+  isTimelocked() {
+    return this.service.hasTimelock;
+  }
+  
+  /**
+   * Queue a passed proposal in the governor's timelock
+   * @param {string} proposalId - Proposal ID to queue
+   * @param {Object} options - Optional parameters
+   * @param {Function} options.statusCallback - Callback function to report status updates
+   * @param {string} [options.chatId] - Chat to report transaction retries and failures to
+   * @returns {Promise<{success: boolean, queued: boolean, reason: string}>} Result of the operation, with txHash and eta when queued
+   */
+  async queueProposal(proposalId, options = {}) {
+    try {
+      const statusCallback = options.statusCallback || ((status) => console.log(`Proposal queue status: ${status}`));
+      
+      if (!this.isTimelocked()) {
+        return { success: true, queued: false, reason: 'This governor has no timelock. Passed proposals can be executed directly with /execute' };
+      }
+      
+      statusCallback("Checking proposal state...");
+      
+      const state = await this.service.getProposalState(proposalId);
+      statusCallback(`Current proposal state: ${state}`);
+      
+      if (state === 'Unknown') {
+        return { success: false, queued: false, reason: 'Proposal not found' };
+      }
+      
+      if (state !== 'Succeeded') {
+        const reason = state === 'Queued'
+          ? 'Proposal is already queued'
+          : `Proposal is in ${state} state and cannot be queued`;
+        
+        return { success: true, queued: false, reason };
+      }
+      
+      statusCallback("Queueing proposal in the timelock...");
+      
+      const result = await this.service.queueProposal(proposalId, { chatId: options.chatId });
+      
+      statusCallback("Proposal queued!");
+      
+      return {
+        success: true,
+        queued: true,
+        txHash: result.txHash,
+        eta: result.eta,
+        blockExplorerUrl: this.service.getBlockExplorerUrl(result.txHash)
+      };
+    } catch (error) {
+      console.error('Error queueing proposal:', error);
+      return { success: false, queued: false, reason: error.message };
+    }
+  }
+  
   /**
    * Verify approvals and finalize a proposal if it has passed
    * @param {string} proposalId - Proposal ID to check
    * @param {Object} options - Optional parameters
    * @param {Function} options.statusCallback - Callback function to report status updates
+   * @param {string} [options.chatId] - Chat to report transaction retries and failures to
    * @returns {Promise<{success: boolean, executed: boolean, reason: string}>} Result of the operation
    */
   async verifyApprovalsAndFinalizeProposal(proposalId, options = {}) {
@@ -228,18 +575,34 @@ class BlockchainManager {
       
       statusCallback("Checking proposal state...");
       
-      // Check if proposal exists
-      const proposal = await this.service.getProposalById(proposalId);
-      if (!proposal) {
-        return { success: false, executed: false, reason: 'Proposal not found' };
-      }
-      
       // Get current proposal state
       const state = await this.service.getProposalState(proposalId);
       statusCallback(`Current proposal state: ${state}`);
       
-      // If proposal is not in Succeeded state, it can't be executed
-      if (state !== 'Succeeded') {
+      if (state === 'Unknown') {
+        return { success: false, executed: false, reason: 'Proposal not found' };
+      }
+      
+      // With a timelock, a passed proposal has to be queued and wait out the delay first
+      if (this.isTimelocked() && state === 'Succeeded') {
+        return { success: true, executed: false, reason: 'Proposal has passed but must be queued in the timelock first. Use /queue' };
+      }
+      
+      if (this.isTimelocked() && state === 'Queued') {
+        const eta = await this.service.getProposalEta(proposalId);
+        if (eta && eta > Math.floor(Date.now() / 1000)) {
+          return {
+            success: true,
+            executed: false,
+            eta,
+            reason: `Proposal is queued and can be executed in ${formatTimeRemaining(eta)} (${new Date(eta * 1000).toUTCString()})`
+          };
+        }
+      }
+      
+      // Only Succeeded (no timelock) or Queued (timelock) proposals can be executed
+      const executableState = this.isTimelocked() ? 'Queued' : 'Succeeded';
+      if (state !== executableState) {
         const reason = state === 'Executed' 
           ? 'Proposal has already been executed' 
           : `Proposal is in ${state} state and cannot be executed`;
@@ -254,7 +617,7 @@ class BlockchainManager {
         statusCallback("Executing proposal on the blockchain...");
         
         // Execute the proposal
-        const result = await this.service.executeProposal(proposalId);
+        const result = await this.service.executeProposal(proposalId, { chatId: options.chatId });
         
         statusCallback("Proposal execution complete!");
         
@@ -291,6 +654,48 @@ class BlockchainManager {
     }
   }
   
+  /**
+   * Check whether a proposal can currently be cancelled
+   * @param {string} proposalId - Proposal ID
+   * @returns {Promise<{cancellable: boolean, reason: string|null}>} - Whether it can be cancelled, and why not
+   */
+  async canCancelProposal(proposalId) {
+    try {
+      return await this.service.canCancelProposal(proposalId);
+    } catch (error) {
+      console.error('Error checking proposal cancellation:', error);
+      return { cancellable: false, reason: error.message };
+    }
+  }
+  
+  /**
+   * Cancel a proposal on the blockchain
+   * @param {string} proposalId - Proposal ID to cancel
+   * @param {Object} [options] - Optional parameters
+   * @param {string} [options.chatId] - Chat to report transaction retries and failures to
+   * @returns {Promise<{success: boolean, canceled: boolean, reason: string}>} Result of the operation, with txHash when cancelled
+   */
+  async cancelProposal(proposalId, options = {}) {
+    try {
+      const check = await this.service.canCancelProposal(proposalId);
+      if (!check.cancellable) {
+        return { success: true, canceled: false, reason: check.reason };
+      }
+      
+      const result = await this.service.cancelProposal(proposalId, { chatId: options.chatId });
+      
+      return {
+        success: true,
+        canceled: true,
+        txHash: result.txHash,
+        blockExplorerUrl: this.service.getBlockExplorerUrl(result.txHash)
+      };
+    } catch (error) {
+      console.error('Error cancelling proposal:', error);
+      return { success: false, canceled: false, reason: error.message };
+    }
+  }
+  
   /**
    * Get all proposals (active or not)
    * @returns {Promise<Array>} Array of all proposals
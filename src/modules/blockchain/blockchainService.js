@@ -2,6 +2,15 @@
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const TransactionQueue = require('./transactionQueue');
+const FeePolicy = require('./feePolicy');
+const ProposalIndexer = require('./proposalIndexer');
+const BatchReader = require('./batchReader');
+const RpcProviderPool = require('./rpcProviderPool');
+const NetworkRegistry = require('./networkRegistry');
+const revertReasons = require('./revertReasons');
+const GovernanceSimulator = require('./governanceSimulator');
+const SimulatedProvider = require('./simulatedProvider');
 
 /**
  * Service for blockchain interactions using OpenZeppelin governance standards
@@ -10,46 +19,103 @@ class BlockchainService {
   /**
    * Constructor for blockchain service
    * @param {Object} config - Configuration for the service
-   * @param {string} config.rpcUrl - URL of the RPC provider
+   * @param {string} config.rpcUrl - URL of the RPC provider, or several separated by commas for failover
    * @param {string} config.tokenAddress - Address of the token contract (ERC20Votes)
    * @param {string} config.governorAddress - Address of the governor contract
    * @param {string} config.adminPrivateKey - Private key of the admin wallet (for gas fees)
+   * @param {string} [config.treasuryAddress] - Address holding the DAO's tokens (defaults to the governor)
+   * @param {Object} [config.databaseService] - DatabaseService used to persist admin wallet transactions, the proposal index and vote tallies
+   * @param {number} [config.deploymentBlock] - Block the governor was deployed in (defaults to GOVERNOR_DEPLOYMENT_BLOCK)
+   * @param {BlockchainService} [config.sharedService] - Service of another DAO whose provider, admin wallet and transaction queue are reused
+   * @param {string} [config.networkName] - Network key from NetworkRegistry (defaults to BLOCKCHAIN_NETWORK, detected from the chain ID if empty)
    */
   constructor(config) {
-    const { rpcUrl, tokenAddress, governorAddress, adminPrivateKey } = config;
-    
-    // Check if blockchain features should be enabled
-    this.blockchainEnabled = !!(rpcUrl && tokenAddress && governorAddress && adminPrivateKey &&
-                               adminPrivateKey !== 'your_admin_wallet_private_key');
-    
-    // Initialize mock data for when blockchain is disabled
-    this.mockProposalData = [
-      {
-        id: `mock-${Date.now()}`,
-        proposalId: `mock-${Date.now()}`,
-        title: "Mock Proposal (Blockchain Disabled)",
-        description: "This is a mock proposal because blockchain features are disabled.",
-        state: "Active",
-        proposer: "0x0000000000000000000000000000000000000000",
-        votes: {
-          forVotes: "0",
-          againstVotes: "0",
-          abstainVotes: "0"
-        }
-      }
-    ];
+    const { rpcUrl, tokenAddress, governorAddress, adminPrivateKey, treasuryAddress, databaseService, deploymentBlock, sharedService } = config;
+    
+    // Explorer links work even with blockchain features disabled; the network is checked against the RPC endpoint in verifyNetwork
+    this.networkName = config.networkName !== undefined ? config.networkName : process.env.BLOCKCHAIN_NETWORK;
+    this.network = NetworkRegistry.get(this.networkName);
+    
+    // Placeholders left from .env.example count as missing
+    const isSet = value => !!value && !String(value).startsWith('your_');
+    const settings = {
+      BLOCKCHAIN_RPC_URL: rpcUrl,
+      TOKEN_ADDRESS: tokenAddress,
+      GOVERNOR_ADDRESS: governorAddress,
+      ADMIN_PRIVATE_KEY: adminPrivateKey
+    };
+    const missing = Object.keys(settings).filter(name => !isSet(settings[name]));
+    const configured = missing.length === 0;
+    
+    // The offline governance simulator only runs when asked for with BLOCKCHAIN_SIMULATOR=true,
+    // and never in place of a real endpoint; it deploys its own contracts, so addresses are ignored
+    this.simulated = !configured && process.env.BLOCKCHAIN_SIMULATOR === 'true' && !isSet(rpcUrl) && !isSet(adminPrivateKey);
+    
+    // A half-configured chain is a mistake, not a request to turn blockchain features off
+    if (!configured && !this.simulated && missing.length < Object.keys(settings).length) {
+      throw new Error(`Blockchain configuration is incomplete: ${missing.join(', ')} ${missing.length === 1 ? 'is' : 'are'} missing. Set BLOCKCHAIN_RPC_URL, TOKEN_ADDRESS, GOVERNOR_ADDRESS and ADMIN_PRIVATE_KEY (or the DAO's addresses in DAOS_CONFIG), or none of them.`);
+    }
+    
+    this.blockchainEnabled = configured || this.simulated;
     
     if (!this.blockchainEnabled) {
-      console.log('Blockchain features are disabled - some or all required blockchain configuration is missing');
+      console.log('Blockchain features are disabled - no blockchain is configured');
       return;
     }
     
+    if (this.simulated) {
+      console.warn('BLOCKCHAIN_SIMULATOR=true - using the offline governance simulator. Its chain is lost on restart; never use it for a live DAO.');
+    }
+    
     // Save addresses and configure provider
     try {
-      this.provider = new ethers.providers.JsonRpcProvider(rpcUrl);
       this.tokenAddress = tokenAddress;
       this.governorAddress = governorAddress;
-      this.adminWallet = new ethers.Wallet(adminPrivateKey, this.provider);
+      this.treasuryAddress = treasuryAddress || governorAddress;
+      this.db = databaseService || null;
+      
+      // DAOs run by the same bot share one admin wallet, so they also share its
+      // transaction queue (and the RPC endpoints) to keep nonces from colliding
+      const shared = sharedService && sharedService.txQueue ? sharedService : null;
+      
+      if (shared) {
+        this.provider = shared.provider;
+        this.adminWallet = shared.adminWallet;
+        this.batchReader = shared.batchReader;
+        this.feePolicy = shared.feePolicy;
+        this.txQueue = shared.txQueue;
+      } else if (this.simulated) {
+        this.provider = new SimulatedProvider(new GovernanceSimulator());
+        this.provider.simulator.startAutoMining();
+        this.adminWallet = new ethers.Wallet(GovernanceSimulator.ADMIN_PRIVATE_KEY, this.provider);
+      } else {
+        // Requests fail over between the configured endpoints, which are health-checked in the background
+        this.provider = new RpcProviderPool(RpcProviderPool.parseUrls(rpcUrl));
+        this.provider.startHealthChecks();
+        this.adminWallet = new ethers.Wallet(adminPrivateKey, this.provider);
+      }
+      
+      if (!shared) {
+        // Proposal states and tallies are read in batches (Multicall3 where deployed)
+        this.batchReader = new BatchReader(this.provider, {
+          multicallAddress: process.env.MULTICALL3_ADDRESS || (this.network && this.network.multicallAddress) || undefined
+        });
+        
+        // Everything the admin wallet sends goes through one queue, so nonces never collide
+        this.feePolicy = FeePolicy.fromEnv();
+        this.txQueue = new TransactionQueue(this.adminWallet, databaseService, this.feePolicy);
+      }
+      
+      // Each simulated DAO gets its own token and governor, owned by the admin wallet
+      let startBlock = deploymentBlock;
+      if (this.simulated) {
+        const deployment = this.provider.simulator.deployGovernance(this.adminWallet.address);
+        this.tokenAddress = deployment.tokenAddress;
+        this.governorAddress = deployment.governorAddress;
+        this.treasuryAddress = deployment.treasuryAddress;
+        startBlock = deployment.blockNumber;
+        this.network = { ...NetworkRegistry.get('local'), chainId: this.provider.simulator.chainId };
+      }
       
       console.log(`Initializing Alphin blockchain service...`);
       
@@ -66,6 +132,17 @@ class BlockchainService {
         this.tokenAbi = tokenABI;
         this.governorAbi = governorABI;
         
+        // GovernorTimelockControl-style governors queue passed proposals before execution
+        this.hasTimelock = this.detectTimelock(governorABI);
+        console.log(`Governor timelock: ${this.hasTimelock ? 'enabled (proposals are queued before execution)' : 'not detected'}`);
+        
+        // Vote reasons can only go on-chain by signature if the governor has castVoteWithReasonAndParamsBySig
+        // ('v4' or 'v5', whose ExtendedBallot and arguments differ), otherwise they are kept by the bot
+        this.voteReasonBySig = this.detectVoteReasonBySig(governorABI);
+        
+        // adminDelegateFor lets the token owner move anyone's votes, so it is only used when explicitly allowed
+        this.allowAdminDelegation = process.env.ALLOW_ADMIN_DELEGATION === 'true';
+        
         // Initialize contracts
         this.tokenContract = new ethers.Contract(
           this.tokenAddress,
@@ -79,6 +156,11 @@ class BlockchainService {
           this.adminWallet
         );
         
+        // Proposal history is read from a persistent event index when there is a database
+        this.indexer = databaseService
+          ? new ProposalIndexer(this.governorContract, this.provider, databaseService, { startBlock })
+          : null;
+        
         console.log(`BlockchainService initialized with token ${this.tokenAddress} and governor ${this.governorAddress}`);
       } catch (error) {
         console.error("Error initializing contracts:", error);
@@ -90,13 +172,70 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Set the function used to report admin transaction status to a chat
+   * @param {Function} reporter - Called with (chatId, message)
+   */
+  setTransactionReporter(reporter) {
+    if (this.txQueue) {
+      this.txQueue.setReporter(reporter);
+    }
+  }
+  
+  /**
+   * Follow up admin transactions that were still pending when the bot stopped
+   */
+  async resumePendingTransactions() {
+    if (this.blockchainEnabled && this.txQueue) {
+      await this.txQueue.resumePending();
+    }
+  }
+  
+  /**
+   * Check the configured network against the chain the RPC endpoint is on,
+   * and detect the network if none is configured
+   * @returns {Promise<Object|null>} - Network in use (see NetworkRegistry), or null if it isn't known
+   * @throws {Error} - If the RPC endpoint is on another chain than BLOCKCHAIN_NETWORK
+   */
+  async verifyNetwork() {
+    if (!this.blockchainEnabled || this.simulated) {
+      return this.network;
+    }
+    
+    try {
+      this.network = await NetworkRegistry.verify(this.provider, this.networkName);
+    } catch (error) {
+      // A mismatch is a configuration error; an endpoint that can't be reached is checked again on use
+      if (error.code) {
+        console.warn(`Could not check the RPC endpoint's chain ID: ${error.message}`);
+      } else {
+        throw error;
+      }
+    }
+    return this.network;
+  }
+  
+  /**
+   * Get the state of the RPC endpoints, after checking them
+   * @returns {Promise<Object|null>} - Pool status (see RpcProviderPool.getStatus), or null if blockchain features are disabled
+   */
+  async getRpcStatus() {
+    if (!this.blockchainEnabled) {
+      return null;
+    }
+    
+    return this.provider.checkHealth();
+  }
+  
   /**
    * Transfer tokens from admin wallet to a new user
    * @param {string} toAddress - User's wallet address
    * @param {number|string} amount - Amount of tokens to transfer
+   * @param {Object} [txOptions] - Transaction queue options
+   * @param {string} [txOptions.chatId] - Chat to report retries and failures to
    * @returns {Promise<Object>} - Transaction details
    */
-  async transferTokens(toAddress, amount) {
+  async transferTokens(toAddress, amount, txOptions = {}) {
     if (!this.blockchainEnabled) {
       return { status: 'error', message: 'Blockchain features are disabled' };
     }
@@ -115,16 +254,14 @@ class BlockchainService {
         throw new Error(`Insufficient admin balance for transfer`);
       }
       
-      // Execute transfer with gas estimation
-      const gasLimit = await this.tokenContract.estimateGas.transfer(toAddress, amountWithDecimals);
-      const tx = await this.tokenContract.transfer(toAddress, amountWithDecimals, {
-        gasLimit: gasLimit.mul(12).div(10) // Add 20% buffer
+      // Execute transfer with gas estimation, within the transfer gas cap
+      const gasEstimate = await this.tokenContract.estimateGas.transfer(toAddress, amountWithDecimals);
+      const request = await this.tokenContract.populateTransaction.transfer(toAddress, amountWithDecimals, {
+        gasLimit: this.feePolicy.gasLimitFor('transfer', gasEstimate)
       });
       
-      console.log(`Transfer transaction sent: ${tx.hash}`);
-      
-      // Wait for confirmation
-      const receipt = await tx.wait();
+      // Send through the admin transaction queue and wait for confirmation
+      const receipt = await this.txQueue.send('token transfer', request, txOptions);
       console.log(`Transfer confirmed in block ${receipt.blockNumber}`);
       
       return {
@@ -139,121 +276,256 @@ class BlockchainService {
   }
 
   /**
-   * Delegate voting power using the admin wallet to pay for gas
-   * @param {string} delegatorAddress - Address delegating voting power
+   * Delegate voting power, with the admin wallet paying for gas
+   * The delegator's wallet signs an EIP-712 Delegation that is relayed through
+   * delegateBySig, so only the holder of the tokens can move their votes. Tokens
+   * without delegateBySig fall back to the owner-only adminDelegateFor only when
+   * ALLOW_ADMIN_DELEGATION=true.
+   * @param {ethers.Wallet|string} delegator - Delegator's wallet, or only its address when the bot can't sign for it
    * @param {string} delegateeAddress - Address receiving voting power
-   * @returns {Promise<Object>} - Transaction details
+   * @param {Object} [txOptions] - Transaction queue options (chatId to report to)
+   * @returns {Promise<Object>} - Transaction details, with status 'error' and a message if the delegation can't be made
    */
-  async delegateVotes(delegatorAddress, delegateeAddress) {
+  async delegateVotes(delegator, delegateeAddress, txOptions = {}) {
     if (!this.blockchainEnabled) {
       return { status: 'error', message: 'Blockchain features are disabled' };
     }
     
+    const delegatorAddress = typeof delegator === 'string' ? delegator : delegator.address;
     console.log(`Delegating votes from ${delegatorAddress} to ${delegateeAddress}`);
     
     try {
-      // Check token balance
-      const balance = await this.tokenContract.balanceOf(delegatorAddress);
-      
-      if (balance.isZero()) {
-        throw new Error('No tokens to delegate');
-      }
-      
-      // First try using the adminDelegateFor function which is more secure
-      // This function should be added to the token contract to allow the admin to delegate on behalf of users
-      try {
-        console.log('Attempting to use adminDelegateFor function...');
-        
-        // Check if the function exists on the contract
-        if (typeof this.tokenContract.adminDelegateFor === 'function') {
-          // Add 30% buffer to gas estimate
-          const gasLimit = 200000; // Safe default
-          
-          // Call the adminDelegateFor function
-          const tx = await this.tokenContract.adminDelegateFor(
-            delegatorAddress, 
-            delegateeAddress,
-            { gasLimit }
-          );
-          
-          console.log(`Admin delegation transaction sent: ${tx.hash}`);
-          
-          // Wait for confirmation
-          const receipt = await tx.wait();
-          
-          return {
-            status: 'success',
-            method: 'adminDelegateFor',
-            txHash: receipt.transactionHash,
-            blockNumber: receipt.blockNumber
-          };
-        } else {
-          console.log('adminDelegateFor function not found on contract, falling back to standard delegation');
+      if (!(await this.canDelegateBySig())) {
+        if (this.allowAdminDelegation) {
+          return await this.adminDelegateFor(delegatorAddress, delegateeAddress, txOptions);
         }
-      } catch (adminError) {
-        console.warn('Error using adminDelegateFor:', adminError.message);
-        console.log('Falling back to standard delegation method...');
-      }
-      
-      // Standard delegation method - this might not work if the contract doesn't support it
-      // Get the function signature and encoded parameters for the delegate call
-      const data = this.tokenContract.interface.encodeFunctionData('delegate', [delegateeAddress]);
-      
-      // Estimate gas for the transaction with a safe fallback
-      let gasLimit;
-      try {
-        const gasEstimate = await this.provider.estimateGas({
-          from: this.adminWallet.address,
-          to: this.tokenAddress,
-          data: data
-        });
-        
-        // Add 30% buffer to gas estimate
-        gasLimit = gasEstimate.mul(13).div(10);
-      } catch (gasError) {
-        console.warn('Error estimating gas:', gasError.message);
-        gasLimit = ethers.BigNumber.from("200000"); // Safe default for ethers v5
-        // For ethers v6, use: gasLimit = ethers.parseUnits("200000", "wei");
+        return {
+          status: 'error',
+          delegationError: true,
+          message: 'The token does not accept signed delegations (delegateBySig), so the bot can\'t delegate for you. Please delegate from your own wallet by calling delegate() on the token.'
+        };
       }
       
-      // Create and send the transaction
-      const tx = await this.adminWallet.sendTransaction({
-        to: this.tokenAddress,
-        data: data,
-        gasLimit: gasLimit
-      });
-      
-      console.log(`Delegation transaction sent: ${tx.hash}`);
-      
-      // Wait for confirmation
-      const receipt = await tx.wait();
-      
-      return {
-        status: 'success',
-        method: 'standardDelegate',
-        txHash: receipt.transactionHash,
-        blockNumber: receipt.blockNumber
-      };
-    } catch (error) {
-      console.error('Error delegating votes:', error);
-      
-      // Special handling for reverted transactions
-      if (error.message.includes('execution reverted')) {
-        // This usually happens because the admin wallet doesn't have permission
-        console.log('Delegation transaction reverted - likely a permission issue');
-        
+      if (typeof delegator === 'string') {
         return {
           status: 'error',
-          delegationError: true,
-          message: 'Token delegation failed. This usually happens because the token contract does not support delegation by the admin wallet.',
-          technicalError: error.message
+          signatureRequired: true,
+          message: 'The delegation has to be signed by the delegator\'s wallet.'
         };
       }
       
+      // The user's wallet signs, the admin wallet relays and pays for gas
+      const { domain, types, value } = await this.getDelegationTypedData(delegatorAddress, delegateeAddress);
+      const signature = await delegator._signTypedData(domain, types, value);
+      return await this.delegateBySignature(delegatorAddress, value, signature, txOptions);
+    } catch (error) {
+      console.error('Error delegating votes:', error);
       throw new Error(`Failed to delegate votes: ${error.message}`);
     }
   }
   
+  /**
+   * Check whether the token takes delegations signed by the delegator (delegateBySig)
+   * The ABI has to have delegateBySig and nonces, and the token has to answer nonces();
+   * the result is kept once known
+   * @returns {Promise<boolean>} - True if delegations can be relayed through delegateBySig
+   */
+  async canDelegateBySig() {
+    if (this.delegateBySigSupported !== undefined) {
+      return this.delegateBySigSupported;
+    }
+    
+    const functions = this.tokenAbi.filter(item => item.type === 'function').map(item => item.name);
+    if (!functions.includes('delegateBySig') || !functions.includes('nonces')) {
+      console.warn(`Token ABI has no delegateBySig, ${this.allowAdminDelegation ? 'delegations fall back to adminDelegateFor (ALLOW_ADMIN_DELEGATION=true)' : 'members have to delegate from their own wallets'}`);
+      this.delegateBySigSupported = false;
+      return false;
+    }
+    
+    try {
+      await this.tokenContract.nonces(ethers.constants.AddressZero);
+      this.delegateBySigSupported = true;
+    } catch (error) {
+      if (!revertReasons.isRevert(error)) {
+        throw error;
+      }
+      // Tokens deployed without EIP-712 signatures (ERC20Permit) revert here
+      console.warn(`Token does not answer nonces() (${this.describeRevert(error)}), ${this.allowAdminDelegation ? 'delegations fall back to adminDelegateFor (ALLOW_ADMIN_DELEGATION=true)' : 'members have to delegate from their own wallets'}`);
+      this.delegateBySigSupported = false;
+    }
+    
+    return this.delegateBySigSupported;
+  }
+  
+  /**
+   * Delegate votes through the token's owner-only adminDelegateFor, for tokens
+   * that can't take signed delegations, when ALLOW_ADMIN_DELEGATION=true
+   * This lets the admin wallet move votes without the member's signature.
+   * @param {string} delegatorAddress - Address delegating voting power
+   * @param {string} delegateeAddress - Address receiving voting power
+   * @param {Object} [txOptions] - Transaction queue options (chatId to report to)
+   * @returns {Promise<Object>} - Transaction details, with status 'error' and a message if the token rejects it
+   */
+  async adminDelegateFor(delegatorAddress, delegateeAddress, txOptions = {}) {
+    if (typeof this.tokenContract.adminDelegateFor !== 'function') {
+      return {
+        status: 'error',
+        delegationError: true,
+        message: 'The token supports neither delegateBySig nor adminDelegateFor, so votes can only be delegated from the member\'s own wallet.'
+      };
+    }
+    
+    console.warn(`Delegating votes of ${delegatorAddress} with the admin wallet through adminDelegateFor, without the member's signature (ALLOW_ADMIN_DELEGATION=true)`);
+    
+    let gasEstimate;
+    try {
+      gasEstimate = await this.tokenContract.estimateGas.adminDelegateFor(delegatorAddress, delegateeAddress);
+    } catch (error) {
+      if (!revertReasons.isRevert(error)) {
+        throw error;
+      }
+      return {
+        status: 'error',
+        delegationError: true,
+        message: `The token rejected the delegation by the admin wallet: ${this.describeRevert(error)}`
+      };
+    }
+    
+    const request = await this.tokenContract.populateTransaction.adminDelegateFor(delegatorAddress, delegateeAddress, {
+      gasLimit: this.feePolicy.gasLimitFor('delegation', gasEstimate)
+    });
+    const receipt = await this.txQueue.send('delegation', request, txOptions);
+    
+    return {
+      status: 'success',
+      method: 'adminDelegateFor',
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    };
+  }
+  
+  /**
+   * Get who an address delegates its votes to, and the voting power it holds
+   * @param {string} address - Wallet address
+   * @returns {Promise<{delegate: (string|null), balance: string, votes: string, received: string}>}
+   *   Delegate (null until the tokens are first delegated), and the balance, current votes and votes delegated by others, in tokens
+   */
+  async getDelegation(address) {
+    if (!this.blockchainEnabled) {
+      return { delegate: null, balance: '0.0', votes: '0.0', received: '0.0' };
+    }
+    
+    const [delegate, balance, votes, decimals] = await Promise.all([
+      this.tokenContract.delegates(address),
+      this.tokenContract.balanceOf(address),
+      this.tokenContract.getVotes(address),
+      this.getTokenDecimals()
+    ]);
+    
+    // An address delegating to itself counts its own balance among its votes
+    const selfDelegated = delegate.toLowerCase() === address.toLowerCase();
+    const received = selfDelegated ? votes.sub(balance) : votes;
+    
+    return {
+      delegate: delegate === ethers.constants.AddressZero ? null : delegate,
+      balance: ethers.utils.formatUnits(balance, decimals),
+      votes: ethers.utils.formatUnits(votes, decimals),
+      received: ethers.utils.formatUnits(received, decimals)
+    };
+  }
+  
+  /**
+   * Build the EIP-712 Delegation typed data a delegator signs for delegateBySig
+   * @param {string} delegatorAddress - Address whose votes are delegated
+   * @param {string} delegateeAddress - Address receiving the votes
+   * @param {number} [expiry] - Unix timestamp after which the token rejects the signature (an hour from now by default)
+   * @returns {Promise<{domain: Object, types: Object, value: Object}>} - Typed data to sign
+   */
+  async getDelegationTypedData(delegatorAddress, delegateeAddress, expiry = Math.floor(Date.now() / 1000) + 3600) {
+    const [name, nonce, network] = await Promise.all([
+      this.tokenContract.name(),
+      this.tokenContract.nonces(delegatorAddress),
+      this.provider.getNetwork()
+    ]);
+    
+    return {
+      domain: {
+        name,
+        version: '1',
+        chainId: network.chainId,
+        verifyingContract: this.tokenAddress
+      },
+      types: {
+        Delegation: [
+          { name: 'delegatee', type: 'address' },
+          { name: 'nonce', type: 'uint256' },
+          { name: 'expiry', type: 'uint256' }
+        ]
+      },
+      value: {
+        delegatee: delegateeAddress,
+        nonce: nonce.toString(),
+        expiry
+      }
+    };
+  }
+  
+  /**
+   * Delegate votes with a Delegation signed by the delegator, relayed through
+   * delegateBySig with the admin wallet paying gas
+   * @param {string} delegatorAddress - Address expected to have signed the Delegation
+   * @param {Object} delegation - Signed Delegation value from getDelegationTypedData ({ delegatee, nonce, expiry })
+   * @param {string} signature - EIP-712 signature of the Delegation
+   * @param {Object} [txOptions] - Transaction queue options (chatId to report to)
+   * @returns {Promise<Object>} - Delegation result, with status 'error' and a message if the signature or token rejects it
+   */
+  async delegateBySignature(delegatorAddress, delegation, signature, txOptions = {}) {
+    if (!this.blockchainEnabled) {
+      return { status: 'error', message: 'Blockchain features are disabled' };
+    }
+    
+    // delegateBySig moves the votes of whoever signed, so make sure that is the delegator
+    const { domain, types } = await this.getDelegationTypedData(delegatorAddress, delegation.delegatee, delegation.expiry);
+    let signer;
+    try {
+      signer = ethers.utils.verifyTypedData(domain, types, delegation, signature);
+    } catch (signatureError) {
+      return { status: 'error', message: 'That does not look like a valid signature. Please paste the full 0x... signature.' };
+    }
+    
+    if (signer.toLowerCase() !== delegatorAddress.toLowerCase()) {
+      console.warn(`Delegation for ${delegatorAddress} was signed by ${signer}`);
+      return { status: 'error', message: `The delegation was signed by ${signer}, not by your wallet. Make sure you sign the exact payload with your address.` };
+    }
+    
+    console.log(`Delegating votes from ${delegatorAddress} to ${delegation.delegatee} by signature`);
+    
+    const sig = ethers.utils.splitSignature(signature);
+    const args = [delegation.delegatee, delegation.nonce, delegation.expiry, sig.v, sig.r, sig.s];
+    
+    let gasEstimate;
+    try {
+      gasEstimate = await this.tokenContract.estimateGas.delegateBySig(...args);
+    } catch (error) {
+      if (!revertReasons.isRevert(error)) {
+        throw error;
+      }
+      return { status: 'error', message: `The token rejected the delegation: ${this.describeRevert(error)}` };
+    }
+    
+    const request = await this.tokenContract.populateTransaction.delegateBySig(...args, {
+      gasLimit: this.feePolicy.gasLimitFor('delegation', gasEstimate)
+    });
+    const receipt = await this.txQueue.send('delegation', request, txOptions);
+    
+    return {
+      status: 'success',
+      method: 'delegateBySig',
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    };
+  }
+  
   /**
    * Get token balance for an address
    * @param {string} address - Wallet address to check
@@ -274,6 +546,26 @@ class BlockchainService {
     }
   }
   
+  /**
+   * Get the token's symbol and decimals
+   * @returns {Promise<{symbol: string, decimals: number}>} - Token details (cached after the first call)
+   */
+  async getTokenInfo() {
+    if (!this.blockchainEnabled) {
+      return { symbol: 'APH', decimals: 18 };
+    }
+    
+    if (!this.tokenInfo) {
+      const [symbol, decimals] = await Promise.all([
+        this.tokenContract.symbol(),
+        this.tokenContract.decimals()
+      ]);
+      this.tokenInfo = { symbol, decimals };
+    }
+    
+    return this.tokenInfo;
+  }
+  
   /**
    * Create a new proposal
    * @param {Object} proposal - Proposal details
@@ -282,15 +574,12 @@ class BlockchainService {
    * @param {Array<string>} proposal.targets - Contract addresses to call
    * @param {Array<string>} proposal.values - ETH values to send with calls
    * @param {Array<string>} proposal.calldatas - Function call data
+   * @param {Object} [txOptions] - Transaction queue options (chatId to report to)
    * @returns {Promise<Object>} - Proposal creation result
    */
-  async createProposal(proposal) {
+  async createProposal(proposal, txOptions = {}) {
     if (!this.blockchainEnabled) {
-      return { 
-        status: 'error', 
-        message: 'Blockchain features are disabled',
-        proposalId: `mock-${Date.now()}`
-      };
+      throw new Error('Blockchain features are disabled');
     }
     
     const { title, description, targets, values, calldatas } = proposal;
@@ -310,10 +599,10 @@ class BlockchainService {
         calldatas,
         fullDescription
       );
-      const gasLimit = gasEstimate.mul(12).div(10); // Add 20% buffer to gas estimate
+      const gasLimit = this.feePolicy.gasLimitFor('proposal', gasEstimate);
 
-      // Submit proposal to governor
-      const tx = await this.governorContract.propose(
+      // Submit proposal to governor through the admin transaction queue
+      const request = await this.governorContract.populateTransaction.propose(
         targets,
         values,
         calldatas,
@@ -321,10 +610,8 @@ class BlockchainService {
         { gasLimit }
       );
       
-      console.log(`Proposal transaction sent: ${tx.hash}`);
-      
       // Wait for confirmation
-      const receipt = await tx.wait();
+      const receipt = await this.txQueue.send('proposal', request, txOptions);
       
       // Get proposal ID from the ProposalCreated event
       const proposalId = this.getProposalIdFromReceipt(receipt);
@@ -347,9 +634,15 @@ class BlockchainService {
    */
   getProposalIdFromReceipt(receipt) {
     try {
-      // Find ProposalCreated event in logs
-      const proposalCreatedEvent = receipt.events.find(
-        event => event.event === 'ProposalCreated'
+      // Find ProposalCreated event in logs (receipts from the provider aren't decoded)
+      const proposalCreatedEvent = (receipt.events || receipt.logs.map(log => {
+        try {
+          return { event: 'ProposalCreated', args: this.governorContract.interface.decodeEventLog('ProposalCreated', log.data, log.topics) };
+        } catch (error) {
+          return null;
+        }
+      })).find(
+        event => event && event.event === 'ProposalCreated'
       );
       
       if (proposalCreatedEvent && proposalCreatedEvent.args) {
@@ -371,15 +664,17 @@ class BlockchainService {
    * @param {ethers.Wallet} userWallet - User's wallet for voting
    * @param {string} proposalId - ID of the proposal
    * @param {number} voteType - 0: against, 1: for, 2: abstain
-   * @returns {Promise<Object>} - Transaction details
+   * @param {string|null} [reason] - Optional reason for the vote
+   * @param {Object} [txOptions] - Transaction queue options (chatId to report to)
+   * @returns {Promise<Object>} - Transaction details, with reasonOnChain when a reason was recorded on-chain
    */
-  async voteOnProposal(userWallet, proposalId, voteType) {
+  async voteOnProposal(userWallet, proposalId, voteType, reason = null, txOptions = {}) {
     if (!this.blockchainEnabled) {
-      console.log('Blockchain disabled - simulating vote on proposal');
-      return { 
-        txHash: `mock-${Date.now()}`, 
-        success: true,
-        method: 'simulation'
+      return {
+        success: false,
+        status: 'failed',
+        method: 'validation',
+        error: 'Blockchain features are disabled'
       };
     }
     
@@ -389,76 +684,9 @@ class BlockchainService {
       
       console.log(`Attempting to vote on proposal ${proposalId} for voter ${voterAddress}, vote type: ${voteType}`);
       
-      // VALIDATION STEP 1: Check if proposal is in active state
-      try {
-        const proposalState = await this.governorContract.state(proposalId);
-        console.log(`Proposal ${proposalId} is in state: ${proposalState} (0=Pending, 1=Active, 2=Canceled, 3=Defeated, 4=Succeeded, 5=Queued, 6=Expired, 7=Executed)`);
-        
-        // State 1 is Active in OpenZeppelin Governor
-        if (proposalState !== 1) {
-          const states = ['Pending', 'Active', 'Canceled', 'Defeated', 'Succeeded', 'Queued', 'Expired', 'Executed'];
-          return {
-            success: false,
-            status: 'failed',
-            method: 'validation',
-            error: `Proposal is not in active state. Current state: ${states[proposalState]}`
-          };
-        }
-      } catch (stateError) {
-        console.error(`Error checking proposal state:`, stateError);
-        return {
-          success: false,
-          status: 'failed',
-          method: 'validation',
-          error: `Failed to check proposal state: ${stateError.message}`
-        };
-      }
-      
-      // VALIDATION STEP 2: Check if user has already voted
-      try {
-        // Try to get the user's vote receipt - throws an error if user hasn't voted
-        // This requires a custom getter but we can detect the revert patterns instead
-        
-        // Method 1: Call castVote with callStatic to see if it would revert
-        // If it reverts with 'already voted', then user has already voted
-        try {
-          // This won't actually submit a transaction, just simulate it
-          await this.governorContract.callStatic.castVote(proposalId, voteType, { from: voterAddress });
-          // If we get here, the call didn't revert, so user hasn't voted yet
-          console.log(`User ${voterAddress} has not voted on proposal ${proposalId} yet`);
-        } catch (callError) {
-          // Check if the error is due to already voted
-          if (callError.message.includes('already cast vote') || 
-              callError.message.includes('AlreadyCast') ||
-              callError.message.includes('already voted')) {
-            return {
-              success: false,
-              status: 'failed', 
-              method: 'validation',
-              error: 'User has already voted on this proposal'
-            };
-          }
-          // If it's another error, continue with the validation
-          console.log(`Vote simulation error not related to already voted: ${callError.message}`);
-        }
-        
-        // Method 2: As a backup, we can also check if user had voting power at snapshot
-        const snapshotBlock = await this.governorContract.proposalSnapshot(proposalId);
-        const votingPower = await this.governorContract.getVotes(voterAddress, snapshotBlock);
-        
-        console.log(`User ${voterAddress} had ${votingPower.toString()} voting power at snapshot block ${snapshotBlock}`);
-        
-        if (votingPower.isZero()) {
-          return {
-            success: false,
-            status: 'failed',
-            method: 'validation',
-            error: 'User had no voting power at the proposal snapshot. Make sure tokens were delegated before the proposal was created.'
-          };
-        }
-      } catch (validationError) {
-        console.error(`Error in vote validation:`, validationError);
-        // Continue with voting, as the validation might fail for non-critical reasons
+      const validationFailure = await this.validateVote(voterAddress, proposalId, voteType);
+      if (validationFailure) {
+        return validationFailure;
       }
       
       // All validation passed, proceed with voting
@@ -468,123 +696,24 @@ class BlockchainService {
       try {
         console.log(`Attempting to vote with meta-transaction (user signs, admin pays gas)...`);
         
-        // Ensure proposalId is a BigNumber for proper encoding
-        const proposalIdBN = ethers.BigNumber.from(proposalId);
-        
-        // Step 1: Get the domain data for EIP-712 signature
-        let name;
-        try {
-          name = await this.governorContract.name();
-        } catch (nameError) {
-          console.warn('Could not get governor name, using default:', nameError.message);
-          name = 'Governor';
-        }
-        
-        const chainId = (await this.provider.getNetwork()).chainId;
-        console.log(`Creating vote signature for chain ID: ${chainId}`);
-        
-        // Create domain separator for EIP-712 signing
-        const domain = {
-          name: name,
-          version: '1',
-          chainId: chainId,
-          verifyingContract: this.governorAddress
-        };
-
-        // Define the ballot type structure (following EIP-712)
-        const types = {
-          Ballot: [
-            { name: 'proposalId', type: 'uint256' },
-            { name: 'support', type: 'uint8' }
-          ]
-        };
-
-        // The vote data
-        const value = {
-          proposalId: proposalIdBN.toString(),
-          support: voteType
-        };
-        
-        console.log(`Creating signature for proposal ${proposalIdBN.toString()}, vote type: ${voteType}`);
-        console.log(`Using domain:`, domain);
+        // Step 1: Build the EIP-712 Ballot for this vote
+        const { domain, types, value } = await this.getBallotTypedData(proposalId, voterAddress, voteType, reason);
         
         // Step 2: Have user sign the vote data
         // This creates a cryptographic proof that the user authorized this specific vote
         const signature = await userWallet._signTypedData(domain, types, value);
         console.log(`Got signature: ${signature}`);
         
-        // Step 3: Parse the signature into the r, s, v components needed by the contract
-        const sig = ethers.utils.splitSignature(signature);
-        console.log(`Split signature - v: ${sig.v}, r: ${sig.r}, s: ${sig.s}`);
-        
-        // Step 4: Submit the vote WITH the user's signature, FROM the admin wallet
+        // Step 3: Submit the vote WITH the user's signature, FROM the admin wallet
         // This lets the admin pay gas fees while the vote is cryptographically from the user
-        const gasLimit = ethers.BigNumber.from("500000"); // Higher gas limit for castVoteBySig
-
         console.log(`Submitting vote by signature for user ${voterAddress}`);
+        const result = await this.submitVoteBySig(voterAddress, proposalId, voteType, signature, reason, txOptions);
         
-        // Connect with admin wallet to ensure proper gas payment
-        const governorWithSigner = this.governorContract.connect(this.adminWallet);
-        
-        // Call the castVoteBySig function with careful error handling
-        let tx;
-        try {
-          // First try a gas estimation to catch early failures
-          const gasEstimate = await governorWithSigner.estimateGas.castVoteBySig(
-            proposalIdBN,
-            voteType,
-            sig.v,
-            sig.r,
-            sig.s
-          );
-          
-          console.log(`Gas estimate for castVoteBySig: ${gasEstimate.toString()}`);
-          
-          // Add buffer to gas estimate
-          const gasWithBuffer = gasEstimate.mul(12).div(10); // 20% buffer
-          
-          // Then send the actual transaction
-          tx = await governorWithSigner.castVoteBySig(
-            proposalIdBN,
-            voteType,
-            sig.v,
-            sig.r,
-            sig.s,
-            { gasLimit: gasWithBuffer }
-          );
-        } catch (estimateError) {
-          console.warn(`Gas estimation failed for castVoteBySig: ${estimateError.message}`);
-          console.log(`Trying with fixed gas limit...`);
-          
-          // If gas estimation fails, try with fixed gas limit
-          tx = await governorWithSigner.castVoteBySig(
-            proposalIdBN,
-            voteType,
-            sig.v,
-            sig.r,
-            sig.s,
-            { gasLimit: gasLimit }
-          );
-        }
-        
-        console.log(`Vote by signature transaction sent: ${tx.hash}`);
-        
-        // Wait for transaction to be mined
-        const receipt = await tx.wait();
-        console.log(`Vote by signature transaction confirmed in block ${receipt.blockNumber}`);
-        
-        // Check if transaction was successful
-        if (receipt.status === 1) {
-          console.log(`Vote successful with meta-transaction, tx hash: ${receipt.transactionHash}`);
-          return { 
-            txHash: receipt.transactionHash, 
-            success: true,
-            method: 'meta-transaction'
-          };
-        } else {
-          console.warn(`Vote transaction failed with status: ${receipt.status}`);
-          throw new Error("Transaction was mined but failed");
-        }
+        console.log(`Vote successful with meta-transaction, tx hash: ${result.txHash}`);
+        return { 
+          ...result,
+          method: 'meta-transaction'
+        };
       } catch (metaTxError) {
         console.error(`Error in meta-transaction voting:`, metaTxError);
         console.log(`Falling back to direct vote through user-signed transaction...`);
@@ -602,8 +731,12 @@ class BlockchainService {
             userWithProvider
           );
           
+          // Votes with a reason go through castVoteWithReason
+          const voteArgs = reason ? [proposalId, voteType, reason] : [proposalId, voteType];
+          const voteMethod = reason ? 'castVoteWithReason' : 'castVote';
+          
           // Use the user's wallet, but have admin wallet handle the gas payment
-          const gasEstimate = await governorWithUser.estimateGas.castVote(proposalId, voteType);
+          const gasEstimate = await governorWithUser.estimateGas[voteMethod](...voteArgs);
           const gasWithBuffer = gasEstimate.mul(13).div(10); // 30% buffer
           
           console.log(`Using direct user vote with gas limit ${gasWithBuffer.toString()}`);
@@ -611,7 +744,7 @@ class BlockchainService {
           // Submit the transaction - user signs, but admin wallet address is set as fee payer
           // This requires a network supporting fee delegation (like Arbitrum or specific testnets)
           // Not all networks support this feature
-          const tx = await governorWithUser.castVote(proposalId, voteType, { 
+          const tx = await governorWithUser[voteMethod](...voteArgs, { 
             gasLimit: gasWithBuffer
           });
           
@@ -626,7 +759,8 @@ class BlockchainService {
             return { 
               txHash: receipt.transactionHash, 
               success: true,
-              method: 'direct-user-vote'
+              method: 'direct-user-vote',
+              reasonOnChain: Boolean(reason)
             };
           } else {
             throw new Error("User transaction was mined but failed");
@@ -644,14 +778,15 @@ class BlockchainService {
             
             // 1. Try castVoteFor if available (custom function that some contracts have)
             if (typeof this.governorContract.castVoteFor === 'function') {
-              const tx = await this.governorContract.castVoteFor(
-                voterAddress, proposalId, voteType, { gasLimit: 300000 }
+              const gasLimit = await this.feePolicy.getGasLimit('vote', () =>
+                this.governorContract.estimateGas.castVoteFor(voterAddress, proposalId, voteType)
+              );
+              const request = await this.governorContract.populateTransaction.castVoteFor(
+                voterAddress, proposalId, voteType, { gasLimit }
               );
-              
-              console.log(`Admin-assisted vote transaction sent: ${tx.hash}`);
               
               // Wait for transaction completion
-              const receipt = await tx.wait();
+              const receipt = await this.txQueue.send('vote', request, txOptions);
               
               if (receipt.status === 1) {
                 return {
@@ -666,13 +801,14 @@ class BlockchainService {
               
               // 2. In emergency, cast vote as admin (this is centralized but ensures functionality)
               // This should be clearly communicated to the user
-              const tx = await this.governorContract.castVote(proposalId, voteType, { 
-                gasLimit: 300000
+              const gasLimit = await this.feePolicy.getGasLimit('vote', () =>
+                this.governorContract.estimateGas.castVote(proposalId, voteType)
+              );
+              const request = await this.governorContract.populateTransaction.castVote(proposalId, voteType, { 
+                gasLimit
               });
               
-              console.log(`Simple admin vote transaction sent: ${tx.hash}`);
-              
-              const receipt = await tx.wait();
+              const receipt = await this.txQueue.send('vote', request, txOptions);
               
               if (receipt.status === 1) {
                 return {
@@ -741,23 +877,369 @@ class BlockchainService {
   }
   
   /**
-   * Get information about a proposal
+   * Check that a vote can be cast before submitting it
+   * @param {string} voterAddress - Address of the voter
    * @param {string} proposalId - ID of the proposal
-   * @returns {Promise<Object>} - Proposal information
+   * @param {number} voteType - 0: against, 1: for, 2: abstain
+   * @returns {Promise<Object|null>} - Failed vote result, or null if the vote can go ahead
    */
-  async getProposalInfo(proposalId) {
+  async validateVote(voterAddress, proposalId, voteType) {
+    // VALIDATION STEP 1: Check if proposal is in active state
+    try {
+      const proposalState = await this.governorContract.state(proposalId);
+      console.log(`Proposal ${proposalId} is in state: ${proposalState} (0=Pending, 1=Active, 2=Canceled, 3=Defeated, 4=Succeeded, 5=Queued, 6=Expired, 7=Executed)`);
+      
+      // State 1 is Active in OpenZeppelin Governor
+      if (proposalState !== 1) {
+        const states = ['Pending', 'Active', 'Canceled', 'Defeated', 'Succeeded', 'Queued', 'Expired', 'Executed'];
+        return {
+          success: false,
+          status: 'failed',
+          method: 'validation',
+          error: `Proposal is not in active state. Current state: ${states[proposalState]}`
+        };
+      }
+    } catch (stateError) {
+      console.error(`Error checking proposal state:`, stateError);
+      return {
+        success: false,
+        status: 'failed',
+        method: 'validation',
+        error: `Failed to check proposal state: ${stateError.message}`
+      };
+    }
+    
+    // VALIDATION STEP 2: Check if user has already voted
+    try {
+      // Try to get the user's vote receipt - throws an error if user hasn't voted
+      // This requires a custom getter but we can detect the revert patterns instead
+      
+      // Method 1: Call castVote with callStatic to see if it would revert
+      // If it reverts with 'already voted', then user has already voted
+      try {
+        // This won't actually submit a transaction, just simulate it
+        // (connected to the provider: a contract connected to the admin wallet can't override from)
+        await this.governorContract.connect(this.provider).callStatic.castVote(proposalId, voteType, { from: voterAddress });
+        // If we get here, the call didn't revert, so user hasn't voted yet
+        console.log(`User ${voterAddress} has not voted on proposal ${proposalId} yet`);
+      } catch (callError) {
+        // Check if the error is due to already voted
+        if (callError.message.includes('already cast vote') || 
+            callError.message.includes('AlreadyCast') ||
+            callError.message.includes('vote already cast') ||
+            callError.message.includes('already voted')) {
+          return {
+            success: false,
+            status: 'failed', 
+            method: 'validation',
+            error: 'User has already voted on this proposal'
+          };
+        }
+        // If it's another error, continue with the validation
+        console.log(`Vote simulation error not related to already voted: ${callError.message}`);
+      }
+      
+      // Method 2: As a backup, we can also check if user had voting power at snapshot
+      const snapshotBlock = await this.governorContract.proposalSnapshot(proposalId);
+      const votingPower = await this.governorContract.getVotes(voterAddress, snapshotBlock);
+      
+      console.log(`User ${voterAddress} had ${votingPower.toString()} voting power at snapshot block ${snapshotBlock}`);
+      
+      if (votingPower.isZero()) {
+        return {
+          success: false,
+          status: 'failed',
+          method: 'validation',
+          error: 'User had no voting power at the proposal snapshot. Make sure tokens were delegated before the proposal was created.'
+        };
+      }
+    } catch (validationError) {
+      console.error(`Error in vote validation:`, validationError);
+      // Continue with voting, as the validation might fail for non-critical reasons
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Build the EIP-712 Ballot typed data for a vote
+   * With a reason, and a governor that supports it, this is an ExtendedBallot carrying the reason
+   * (OpenZeppelin v5 ExtendedBallots also carry the voter and their governor nonce)
+   * @param {string} proposalId - ID of the proposal
+   * @param {string} voterAddress - Address that signs the vote
+   * @param {number} voteType - 0: against, 1: for, 2: abstain
+   * @param {string|null} [reason] - Optional reason for the vote
+   * @returns {Promise<{domain: Object, types: Object, value: Object}>} - Typed data to sign
+   */
+  async getBallotTypedData(proposalId, voterAddress, voteType, reason = null) {
+    // Ensure proposalId is a BigNumber for proper encoding
+    const proposalIdBN = ethers.BigNumber.from(proposalId);
+    
+    // Get the domain data for EIP-712 signature
+    let name;
+    try {
+      name = await this.governorContract.name();
+    } catch (nameError) {
+      console.warn('Could not get governor name, using default:', nameError.message);
+      name = 'Governor';
+    }
+    
+    const chainId = (await this.provider.getNetwork()).chainId;
+    console.log(`Creating vote signature for chain ID: ${chainId}`);
+    
+    // Create domain separator for EIP-712 signing
+    const domain = {
+      name: name,
+      version: '1',
+      chainId: chainId,
+      verifyingContract: this.governorAddress
+    };
+
+    // Votes with a reason sign an ExtendedBallot for castVoteWithReasonAndParamsBySig
+    if (reason && this.voteReasonBySig === 'v5') {
+      const nonce = await this.governorContract.nonces(voterAddress);
+      return {
+        domain,
+        types: {
+          ExtendedBallot: [
+            { name: 'proposalId', type: 'uint256' },
+            { name: 'support', type: 'uint8' },
+            { name: 'voter', type: 'address' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'reason', type: 'string' },
+            { name: 'params', type: 'bytes' }
+          ]
+        },
+        value: {
+          proposalId: proposalIdBN.toString(),
+          support: voteType,
+          voter: voterAddress,
+          nonce: nonce.toString(),
+          reason: reason,
+          params: '0x'
+        }
+      };
+    }
+    
+    if (reason && this.voteReasonBySig === 'v4') {
+      return {
+        domain,
+        types: {
+          ExtendedBallot: [
+            { name: 'proposalId', type: 'uint256' },
+            { name: 'support', type: 'uint8' },
+            { name: 'reason', type: 'string' },
+            { name: 'params', type: 'bytes' }
+          ]
+        },
+        value: {
+          proposalId: proposalIdBN.toString(),
+          support: voteType,
+          reason: reason,
+          params: '0x'
+        }
+      };
+    }
+    
+    // Define the ballot type structure (following EIP-712)
+    const types = {
+      Ballot: [
+        { name: 'proposalId', type: 'uint256' },
+        { name: 'support', type: 'uint8' }
+      ]
+    };
+
+    // The vote data
+    const value = {
+      proposalId: proposalIdBN.toString(),
+      support: voteType
+    };
+    
+    console.log(`Creating signature for proposal ${proposalIdBN.toString()}, vote type: ${voteType}`);
+    console.log(`Using domain:`, domain);
+    
+    return { domain, types, value };
+  }
+  
+  /**
+   * Submit a signed Ballot through castVoteBySig, with the admin wallet paying gas
+   * A reason is submitted through castVoteWithReasonAndParamsBySig when the governor supports it
+   * (the signature must then be of the ExtendedBallot from getBallotTypedData)
+   * @param {string} voterAddress - Address that signed the vote
+   * @param {string} proposalId - ID of the proposal
+   * @param {number} voteType - 0: against, 1: for, 2: abstain
+   * @param {string} signature - EIP-712 signature of the Ballot
+   * @param {string|null} [reason] - Optional reason for the vote
+   * @param {Object} [txOptions] - Transaction queue options (chatId to report to)
+   * @returns {Promise<Object>} - Transaction details, with reasonOnChain when the reason was submitted
+   */
+  async submitVoteBySig(voterAddress, proposalId, voteType, signature, reason = null, txOptions = {}) {
+    const proposalIdBN = ethers.BigNumber.from(proposalId);
+    
+    // Parse the signature into the r, s, v components needed by the contract
+    const sig = ethers.utils.splitSignature(signature);
+    console.log(`Split signature - v: ${sig.v}, r: ${sig.r}, s: ${sig.s}`);
+    
+    // Connect with admin wallet to ensure proper gas payment
+    const governorWithSigner = this.governorContract.connect(this.adminWallet);
+    
+    // Votes with a reason go through castVoteWithReasonAndParamsBySig (empty params),
+    // which takes the voter and the whole signature on OpenZeppelin v5 and v, r, s before that
+    const withReason = Boolean(reason) && Boolean(this.voteReasonBySig);
+    const voteMethod = withReason ? 'castVoteWithReasonAndParamsBySig' : 'castVoteBySig';
+    let voteArgs = [proposalIdBN, voteType, sig.v, sig.r, sig.s];
+    if (withReason) {
+      voteArgs = this.voteReasonBySig === 'v5'
+        ? [proposalIdBN, voteType, voterAddress, reason, '0x', signature]
+        : [proposalIdBN, voteType, reason, '0x', sig.v, sig.r, sig.s];
+    }
+    
+    // Estimate gas first to catch early failures, falling back to the vote gas cap
+    const gasLimit = await this.feePolicy.getGasLimit('vote', () =>
+      governorWithSigner.estimateGas[voteMethod](...voteArgs)
+    );
+    console.log(`Gas limit for ${voteMethod}: ${gasLimit.toString()}`);
+    
+    const request = await governorWithSigner.populateTransaction[voteMethod](...voteArgs, { gasLimit });
+    
+    // Send through the admin transaction queue and wait for it to be mined
+    const receipt = await this.txQueue.send('vote', request, txOptions);
+    console.log(`Vote by signature transaction confirmed in block ${receipt.blockNumber}`);
+    
+    // Check if transaction was successful
+    if (receipt.status === 1) {
+      return { 
+        txHash: receipt.transactionHash, 
+        success: true,
+        reasonOnChain: withReason
+      };
+    } else {
+      console.warn(`Vote transaction failed with status: ${receipt.status}`);
+      throw new Error("Transaction was mined but failed");
+    }
+  }
+  
+  /**
+   * Vote with a Ballot signature made outside the bot (e.g. a linked hardware wallet)
+   * @param {string} voterAddress - Address expected to have signed the Ballot
+   * @param {string} proposalId - ID of the proposal
+   * @param {number} voteType - 0: against, 1: for, 2: abstain
+   * @param {string} signature - EIP-712 signature of the Ballot
+   * @param {string|null} [reason] - Optional reason, which must match the signed ExtendedBallot if the governor supports it
+   * @param {Object} [txOptions] - Transaction queue options (chatId to report to)
+   * @returns {Promise<Object>} - Transaction details
+   */
+  async castVoteBySignature(voterAddress, proposalId, voteType, signature, reason = null, txOptions = {}) {
     if (!this.blockchainEnabled) {
       return {
-        id: proposalId,
-        title: "Mock Proposal (Blockchain Disabled)",
-        description: "This is a mock proposal because blockchain features are disabled.",
-        status: "active",
-        forVotes: "0",
-        againstVotes: "0",
-        abstainVotes: "0"
+        success: false,
+        status: 'failed',
+        method: 'validation',
+        error: 'Blockchain features are disabled'
       };
     }
     
+    try {
+      // Make sure the signature is for this exact Ballot and from the linked wallet,
+      // otherwise castVoteBySig would count the vote for whoever did sign it
+      const { domain, types, value } = await this.getBallotTypedData(proposalId, voterAddress, voteType, reason);
+      
+      let signer;
+      try {
+        signer = ethers.utils.verifyTypedData(domain, types, value, signature);
+      } catch (signatureError) {
+        return {
+          success: false,
+          status: 'failed',
+          method: 'validation',
+          error: 'That does not look like a valid signature. Please paste the full 0x... signature.'
+        };
+      }
+      
+      if (signer.toLowerCase() !== voterAddress.toLowerCase()) {
+        console.warn(`Ballot for ${voterAddress} was signed by ${signer}`);
+        return {
+          success: false,
+          status: 'failed',
+          method: 'validation',
+          error: `The ballot was signed by ${signer}, not by your linked wallet. Make sure you sign the exact payload with the linked address.`
+        };
+      }
+      
+      const validationFailure = await this.validateVote(voterAddress, proposalId, voteType);
+      if (validationFailure) {
+        return validationFailure;
+      }
+      
+      console.log(`Submitting externally signed vote for ${voterAddress}`);
+      const result = await this.submitVoteBySig(voterAddress, proposalId, voteType, signature, reason, txOptions);
+      
+      return {
+        ...result,
+        method: 'external-signature'
+      };
+    } catch (error) {
+      console.error('Error in castVoteBySignature:', error);
+      
+      // There is no fallback for external signatures, so report the failure directly
+      return {
+        success: false,
+        status: 'failed',
+        method: 'all-methods-failed',
+        error: `Could not submit your signed vote: ${error.message}`
+      };
+    }
+  }
+  
+  /**
+   * Get the votes cast by an address, including those cast outside the bot
+   * @param {string} voterAddress - Address of the voter
+   * @returns {Promise<Array<Object>>} - Votes with proposalId, support, reason, timestamp and txHash
+   */
+  async getVotesCastBy(voterAddress) {
+    if (!this.blockchainEnabled) {
+      return [];
+    }
+    
+    try {
+      if (this.indexer) {
+        await this.syncProposalIndex();
+        return this.indexer.getVotesCastBy(voterAddress);
+      }
+      
+      const currentBlock = await this.provider.getBlockNumber();
+      const fromBlock = Math.max(0, currentBlock - 10000);
+      
+      // VoteCast indexes the voter, so this only fetches this address's votes
+      const filter = this.governorContract.filters.VoteCast(voterAddress);
+      const events = await this.governorContract.queryFilter(filter, fromBlock, 'latest');
+      
+      return Promise.all(events.map(async (event) => {
+        const block = await event.getBlock();
+        return {
+          proposalId: event.args.proposalId.toString(),
+          support: Number(event.args.support),
+          reason: event.args.reason || null,
+          timestamp: block.timestamp,
+          txHash: event.transactionHash
+        };
+      }));
+    } catch (error) {
+      console.error(`Error getting votes cast by ${voterAddress}:`, error);
+      return [];
+    }
+  }
+  
+  /**
+   * Get information about a proposal
+   * @param {string} proposalId - ID of the proposal
+   * @returns {Promise<Object>} - Proposal information
+   */
+  async getProposalInfo(proposalId) {
+    if (!this.blockchainEnabled) {
+      throw new Error('Blockchain features are disabled');
+    }
+    
     try {
       // Get proposal state
       const state = await this.governorContract.state(proposalId);
@@ -784,6 +1266,7 @@ class BlockchainService {
       return {
         id: proposalId,
         state: states[state],
+        eta: states[state] === 'Queued' ? await this.getProposalEta(proposalId) : null,
         votes
       };
     } catch (error) {
@@ -798,47 +1281,33 @@ class BlockchainService {
    */
   async getActiveProposals() {
     if (!this.blockchainEnabled) {
-      return [{
-        id: `mock-${Date.now()}`,
-        title: "Mock Proposal (Blockchain Disabled)",
-        description: "This is a mock proposal because blockchain features are disabled.",
-        status: "active",
-        proposer: "0x0000000000000000000000000000000000000000",
-        forVotes: "0",
-        againstVotes: "0",
-        abstainVotes: "0"
-      }];
+      return [];
     }
     
     try {
-      // Get the current block number
-      const currentBlock = await this.provider.getBlockNumber();
-      const fromBlock = Math.max(0, currentBlock - 8000); // Last 10,000 blocks
+      // Executed and canceled proposals can't be active, so skip their state lookups
+      const records = (await this.getProposalRecords()).filter(record => !record.executed && !record.canceled);
       
-      // Get ProposalCreated events
-      const filter = this.governorContract.filters.ProposalCreated();
-      const events = await this.governorContract.queryFilter(filter, fromBlock);
-      
-      console.log(`Found ${events.length} proposal events`);
+      console.log(`Found ${records.length} open proposals`);
       
       // Filter for active proposals
       const activeProposals = [];
       
-      for (const event of events) {
-        const proposalId = event.args.proposalId.toString();
+      for (const record of records) {
+        const proposalId = record.proposalId;
         
         try {
           const state = await this.governorContract.state(proposalId);
           
           if (state === 1) { // Active state
-            const description = event.args.description;
+            const description = record.description;
             const title = description.split('\n')[0].replace('# ', '');
             
             activeProposals.push({
               proposalId,
               title,
               description: description.substring(title.length + 2).trim(),
-              proposer: event.args.proposer
+              proposer: record.proposer
             });
           }
         } catch (error) {
@@ -874,54 +1343,241 @@ class BlockchainService {
   }
 
   /**
-   * Execute a proposal that has passed voting
-   * @param {string} proposalId - ID of the proposal to execute
-   * @returns {Promise<{txHash: string}>} Transaction receipt
+   * Detect from the governor ABI whether proposals go through a timelock
+   * (queue() and proposalEta() alone don't tell: every OpenZeppelin v5 Governor has them)
+   * @param {Array<Object>} abi - Governor ABI
+   * @returns {boolean} - True if the governor has timelock() and queue()
+   */
+  detectTimelock(abi) {
+    const functions = abi.filter(item => item.type === 'function').map(item => item.name);
+    return functions.includes('timelock') && functions.includes('queue');
+  }
+  
+  /**
+   * Detect from the governor ABI whether votes with a reason can be cast by signature,
+   * going by the exact castVoteWithReasonAndParamsBySig inputs since they changed in OpenZeppelin v5
+   * @param {Array<Object>} abi - Governor ABI
+   * @returns {string|null} - 'v4' for (proposalId, support, reason, params, v, r, s),
+   *   'v5' for (proposalId, support, voter, reason, params, signature), null otherwise
+   */
+  detectVoteReasonBySig(abi) {
+    const shapes = {
+      'uint256,uint8,string,bytes,uint8,bytes32,bytes32': 'v4',
+      'uint256,uint8,address,string,bytes,bytes': 'v5'
+    };
+    
+    const method = abi.find(item => item.type === 'function' && item.name === 'castVoteWithReasonAndParamsBySig');
+    if (!method) {
+      return null;
+    }
+    
+    const shape = shapes[method.inputs.map(input => input.type).join(',')] || null;
+    if (shape === 'v5' && !abi.some(item => item.type === 'function' && item.name === 'nonces')) {
+      return null;
+    }
+    return shape;
+  }
+  
+  /**
+   * Get the arguments needed to queue or execute a proposal, from its ProposalCreated event
+   * @param {string} proposalId - ID of the proposal
+   * @returns {Promise<{targets: Array<string>, values: Array<string>, calldatas: Array<string>, descriptionHash: string}>}
+   */
+  async getProposalCall(proposalId) {
+    const record = await this.getProposalRecord(proposalId);
+    
+    if (!record) {
+      throw new Error('Proposal details cannot be retrieved');
+    }
+    
+    return {
+      targets: record.targets,
+      values: record.values,
+      calldatas: record.calldatas,
+      descriptionHash: ethers.utils.id(record.description)
+    };
+  }
+  
+  /**
+   * Bring the proposal index up to the latest block. Sync errors are logged, so callers
+   * carry on with what has been indexed so far.
+   */
+  async syncProposalIndex() {
+    if (!this.indexer) {
+      return;
+    }
+    
+    try {
+      await this.indexer.sync();
+    } catch (error) {
+      console.error('Error syncing proposal index:', error.message);
+    }
+  }
+  
+  /**
+   * Get the ProposalCreated details of every proposal, from the event index when there is one
+   * @returns {Promise<Array<Object>>} - Proposal records (proposalId, proposer, targets, values,
+   *   signatures, calldatas, startBlock, endBlock, description, blockNumber), newest first
+   */
+  async getProposalRecords() {
+    if (this.indexer) {
+      await this.syncProposalIndex();
+      return this.indexer.getProposals();
+    }
+    
+    // Without a database, only proposals from the last 10000 blocks can be found
+    const currentBlock = await this.provider.getBlockNumber();
+    const fromBlock = Math.max(0, currentBlock - 10000);
+    const events = await this.governorContract.queryFilter(this.governorContract.filters.ProposalCreated(), fromBlock, 'latest');
+    
+    return events.filter(event => event.args).reverse().map(event => ({
+      proposalId: event.args.proposalId.toString(),
+      proposer: event.args.proposer,
+      targets: event.args[2],
+      // Positional: "values" clashes with Array.prototype.values on ethers results
+      values: event.args[3].map(v => v.toString()),
+      signatures: event.args[4],
+      calldatas: event.args[5],
+      startBlock: event.args.startBlock.toString(),
+      endBlock: event.args.endBlock.toString(),
+      description: event.args.description || '',
+      blockNumber: event.blockNumber,
+      txHash: event.transactionHash,
+      executed: false,
+      canceled: false
+    }));
+  }
+  
+  /**
+   * Get the ProposalCreated details of one proposal
+   * @param {string} proposalId - ID of the proposal
+   * @returns {Promise<Object|null>} - Proposal record, or null if it can't be found
+   */
+  async getProposalRecord(proposalId) {
+    if (this.indexer) {
+      const record = await this.indexer.getProposal(proposalId);
+      if (record) {
+        return record;
+      }
+      
+      // The proposal may have been created since the last sync
+      await this.syncProposalIndex();
+      return this.indexer.getProposal(proposalId);
+    }
+    
+    const records = await this.getProposalRecords();
+    return records.find(record => record.proposalId === proposalId.toString()) || null;
+  }
+  
+  /**
+   * Get the time after which a queued proposal can be executed
+   * @param {string} proposalId - ID of the proposal
+   * @returns {Promise<number|null>} - Unix timestamp in seconds, or null if not queued (or no timelock)
    */
-  async executeProposal(proposalId) {
+  async getProposalEta(proposalId) {
+    if (!this.blockchainEnabled || !this.hasTimelock) {
+      return null;
+    }
+    
+    const eta = await this.governorContract.proposalEta(proposalId);
+    return eta.isZero() ? null : eta.toNumber();
+  }
+  
+  /**
+   * Queue a passed proposal in the timelock
+   * @param {string} proposalId - ID of the proposal to queue
+   * @param {Object} [txOptions] - Transaction queue options (chatId to report to)
+   * @returns {Promise<{txHash: string, eta: number|null}>} - Transaction hash and when the proposal becomes executable
+   */
+  async queueProposal(proposalId, txOptions = {}) {
     if (!this.blockchainEnabled) {
-      console.log('Blockchain is disabled. Simulating proposal execution...');
-      return { txHash: this.generateRandomHash() };
+      throw new Error('Blockchain features are disabled');
+    }
+    
+    if (!this.hasTimelock) {
+      throw new Error('This governor has no timelock, so proposals are executed without queueing');
     }
     
     try {
-      // Ensure proposal exists and is in Succeeded state
       const proposalState = await this.getProposalState(proposalId);
       if (proposalState !== 'Succeeded') {
-        throw new Error(`Proposal is in ${proposalState} state and cannot be executed`);
+        throw new Error(`Proposal is in ${proposalState} state and cannot be queued`);
       }
       
-      // Connect admin wallet to provider
-      const adminWallet = new ethers.Wallet(this.adminPrivateKey, this.provider);
+      const { targets, values, calldatas, descriptionHash } = await this.getProposalCall(proposalId);
       
-      // Get proposal info to retrieve the details needed for execution
-      const proposal = await this.getProposalById(proposalId);
-      if (!proposal || !proposal.descriptionHash) {
-        throw new Error('Proposal details cannot be retrieved');
-      }
+      console.log(`Queueing proposal ${proposalId}...`);
       
-      console.log(`Executing proposal ${proposalId}...`);
-      
-      // Create governor contract instance connected to admin wallet
-      const governor = new ethers.Contract(
-        this.governorAddress,
-        this.governorAbi,
-        adminWallet
+      const gasEstimate = await this.governorContract.estimateGas.queue(targets, values, calldatas, descriptionHash);
+      const request = await this.governorContract.populateTransaction.queue(
+        targets,
+        values,
+        calldatas,
+        descriptionHash,
+        { gasLimit: this.feePolicy.gasLimitFor('queue', gasEstimate) }
       );
       
-      // Execute the proposal
-      const targets = proposal.targets || [];
-      const values = proposal.values || [];
-      const calldatas = proposal.calldatas || [];
-      const descriptionHash = proposal.descriptionHash;
+      const receipt = await this.txQueue.send('proposal queue', request, txOptions);
+      console.log(`Proposal queued in tx: ${receipt.transactionHash}`);
       
+      return {
+        txHash: receipt.transactionHash,
+        eta: await this.getProposalEta(proposalId)
+      };
+    } catch (error) {
+      console.error('Error queueing proposal:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Execute a proposal that has passed voting (and, with a timelock, has been queued and waited out its delay)
+   * @param {string} proposalId - ID of the proposal to execute
+   * @param {Object} [txOptions] - Transaction queue options (chatId to report to)
+   * @returns {Promise<{txHash: string}>} Transaction receipt
+   */
+  async executeProposal(proposalId, txOptions = {}) {
+    if (!this.blockchainEnabled) {
+      throw new Error('Blockchain features are disabled');
+    }
+    
+    try {
+      // Without a timelock proposals are executed once Succeeded, with one once Queued
+      const proposalState = await this.getProposalState(proposalId);
+      const executableState = this.hasTimelock ? 'Queued' : 'Succeeded';
+      if (proposalState !== executableState) {
+        throw new Error(`Proposal is in ${proposalState} state and cannot be executed`);
+      }
+      
+      if (this.hasTimelock) {
+        const eta = await this.getProposalEta(proposalId);
+        const latestBlock = await this.provider.getBlock('latest');
+        if (eta && latestBlock.timestamp < eta) {
+          throw new Error(`Proposal is queued in the timelock until ${new Date(eta * 1000).toUTCString()}`);
+        }
+      }
+      
+      // Get the details needed for execution from the ProposalCreated event
+      const { targets, values, calldatas, descriptionHash } = await this.getProposalCall(proposalId);
+      
+      console.log(`Executing proposal ${proposalId}...`);
       console.log(`Execute params: targets=${targets}, values=${values}, calldatas length=${calldatas.length}, descHash=${descriptionHash}`);
       
-      // Set a higher gas limit for execution as it can be complex
-      const gasLimit = ethers.utils.hexlify(1000000); // 1M gas units
+      // Run the execution as a call first, so a proposal that would revert isn't sent
+      let gasEstimate;
+      try {
+        await this.governorContract.callStatic.execute(targets, values, calldatas, descriptionHash);
+        gasEstimate = await this.governorContract.estimateGas.execute(targets, values, calldatas, descriptionHash);
+      } catch (error) {
+        if (!revertReasons.isRevert(error)) {
+          throw error;
+        }
+        throw new Error(`Proposal would revert at execution: ${this.describeRevert(error)}`);
+      }
+      const gasLimit = this.feePolicy.gasLimitFor('execute', gasEstimate);
       
       // Execute the proposal transaction
-      const tx = await governor.execute(
+      const request = await this.governorContract.populateTransaction.execute(
         targets,
         values,
         calldatas,
@@ -930,7 +1586,7 @@ class BlockchainService {
       );
       
       // Wait for transaction confirmation
-      const receipt = await tx.wait();
+      const receipt = await this.txQueue.send('proposal execution', request, txOptions);
       console.log(`Proposal executed in tx: ${receipt.transactionHash}`);
       
       return { txHash: receipt.transactionHash };
@@ -940,17 +1596,171 @@ class BlockchainService {
     }
   }
   
+  /**
+   * Get the address that makes a proposal's calls when it is executed: the
+   * timelock for GovernorTimelockControl-style governors, the governor otherwise
+   * @returns {Promise<string>} - Executor address
+   */
+  async getExecutorAddress() {
+    if (!this.hasTimelock) {
+      return this.governorAddress;
+    }
+    
+    if (!this.timelockAddress) {
+      try {
+        const governor = new ethers.Contract(this.governorAddress, ['function timelock() view returns (address)'], this.provider);
+        this.timelockAddress = await governor.timelock();
+      } catch (error) {
+        console.warn(`Could not read the governor's timelock, simulating calls from the governor: ${error.reason || error.message}`);
+        return this.governorAddress;
+      }
+    }
+    return this.timelockAddress;
+  }
+  
+  /**
+   * Simulate a proposal's calls as the executor would make them, without sending a transaction.
+   * Each call runs against the current chain state, not after the calls before it.
+   * @param {Array<string>} targets - Contract addresses to call
+   * @param {Array<string>} values - ETH values to send with calls
+   * @param {Array<string>} calldatas - Function call data
+   * @returns {Promise<{success: boolean, gasEstimate: string, failures: Array<{index: number, reason: string}>}>}
+   *   Whether every call succeeds, their total gas estimate, and the reason each failing call reverts
+   */
+  async simulateProposalCalls(targets, values, calldatas) {
+    if (!this.blockchainEnabled) {
+      throw new Error('Blockchain features are disabled');
+    }
+    
+    const executor = await this.getExecutorAddress();
+    const failures = [];
+    let gasEstimate = ethers.BigNumber.from(0);
+    
+    for (let index = 0; index < targets.length; index++) {
+      const tx = { from: executor, to: targets[index], value: ethers.BigNumber.from(values[index] || 0), data: calldatas[index] };
+      
+      try {
+        gasEstimate = gasEstimate.add(await this.provider.estimateGas(tx));
+      } catch (error) {
+        // Nodes refuse to estimate a call sending more than the executor holds, e.g. a treasury payout
+        if (error.code === 'INSUFFICIENT_FUNDS') {
+          const balance = await this.provider.getBalance(executor);
+          const symbol = this.network && this.network.nativeCurrency ? this.network.nativeCurrency.symbol : 'ETH';
+          failures.push({
+            index,
+            reason: `executor balance too low: sends ${ethers.utils.formatEther(tx.value)} ${symbol} but ${executor} holds ${ethers.utils.formatEther(balance)} ${symbol}`
+          });
+          continue;
+        }
+        if (!revertReasons.isRevert(error)) {
+          throw error;
+        }
+        
+        // Some nodes leave the revert data out of gas estimation errors; eth_call returns it
+        let data = revertReasons.getRevertData(error);
+        if (data === null) {
+          data = await this.provider.call(tx).catch(callError => revertReasons.getRevertData(callError));
+        }
+        failures.push({ index, reason: this.describeRevert({ data }) });
+      }
+    }
+    
+    return { success: failures.length === 0, gasEstimate: gasEstimate.toString(), failures };
+  }
+  
+  /**
+   * Explain why a call to the token, the governor or one of a proposal's targets reverted
+   * @param {Error|Object} error - Error from ethers, or { data } with the revert data
+   * @returns {string} - Decoded reason string, panic or custom error
+   */
+  describeRevert(error) {
+    const data = revertReasons.getRevertData(error);
+    if (data === null && error.reason) {
+      return error.reason;
+    }
+    return revertReasons.decodeRevert(data, [this.governorContract.interface, this.tokenContract.interface]);
+  }
+  
+  /**
+   * Check whether the governor would accept cancelling a proposal, without sending a transaction
+   * @param {string} proposalId - ID of the proposal
+   * @returns {Promise<{cancellable: boolean, reason: string|null}>} - Whether it can be cancelled, and why not
+   */
+  async canCancelProposal(proposalId) {
+    if (!this.blockchainEnabled) {
+      return { cancellable: false, reason: 'Blockchain features are disabled' };
+    }
+    
+    const proposalState = await this.getProposalState(proposalId);
+    if (['Canceled', 'Defeated', 'Executed', 'Expired'].includes(proposalState)) {
+      return { cancellable: false, reason: `Proposal is already ${proposalState.toLowerCase()}` };
+    }
+    
+    try {
+      const { targets, values, calldatas, descriptionHash } = await this.getProposalCall(proposalId);
+      await this.governorContract.callStatic.cancel(targets, values, calldatas, descriptionHash);
+      return { cancellable: true, reason: null };
+    } catch (error) {
+      // OpenZeppelin governors only let the proposer cancel while the proposal is Pending
+      return {
+        cancellable: false,
+        reason: `The governor rejected the cancellation while the proposal is ${proposalState} (${error.reason || error.errorName || error.message})`
+      };
+    }
+  }
+  
+  /**
+   * Cancel a proposal. Proposals are submitted by the admin wallet, so it is the on-chain proposer.
+   * @param {string} proposalId - ID of the proposal to cancel
+   * @param {Object} [txOptions] - Transaction queue options (chatId to report to)
+   * @returns {Promise<{txHash: string}>} Transaction receipt
+   */
+  async cancelProposal(proposalId, txOptions = {}) {
+    if (!this.blockchainEnabled) {
+      throw new Error('Blockchain features are disabled');
+    }
+    
+    try {
+      const { targets, values, calldatas, descriptionHash } = await this.getProposalCall(proposalId);
+      
+      console.log(`Cancelling proposal ${proposalId}...`);
+      
+      const gasEstimate = await this.governorContract.estimateGas.cancel(targets, values, calldatas, descriptionHash);
+      const request = await this.governorContract.populateTransaction.cancel(
+        targets,
+        values,
+        calldatas,
+        descriptionHash,
+        { gasLimit: this.feePolicy.gasLimitFor('cancel', gasEstimate) }
+      );
+      
+      const receipt = await this.txQueue.send('proposal cancellation', request, txOptions);
+      console.log(`Proposal cancelled in tx: ${receipt.transactionHash}`);
+      
+      return { txHash: receipt.transactionHash };
+    } catch (error) {
+      console.error('Error cancelling proposal:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a block explorer URL for an address or transaction
+   * @param {string} hash - Address or transaction hash
+   * @param {string} [type] - 'address' or 'tx'
+   * @returns {string} Block explorer URL, or an empty string if the network isn't known
+   */
+  getExplorerUrl(hash, type = 'address') {
+    return NetworkRegistry.getExplorerUrl(this.network, hash, type);
+  }
+  
   /**
    * Get a block explorer URL for a transaction
    * @param {string} txHash - Transaction hash
-   * @returns {string} Block explorer URL
+   * @returns {string} Block explorer URL, or an empty string if the network isn't known
    */
   getBlockExplorerUrl(txHash) {
-    const networkConfig = this.config.networks[this.config.networkName];
-    if (!networkConfig || !networkConfig.blockExplorerUrl) {
-      return '';
-    }
-    return `${networkConfig.blockExplorerUrl}/tx/${txHash}`;
+    return this.getExplorerUrl(txHash, 'tx');
   }
 
   /**
@@ -959,7 +1769,7 @@ class BlockchainService {
    */
   async getProposalById(proposalId) {
     if (!this.blockchainEnabled) {
-      return this.mockProposalData.find(p => p.id === proposalId);
+      return null;
     }
 
     try {
@@ -992,7 +1802,7 @@ class BlockchainService {
    */
   async getAllProposals() {
     if (!this.blockchainEnabled) {
-      return this.mockProposalData || [];
+      return [];
     }
 
     try {
@@ -1002,55 +1812,46 @@ class BlockchainService {
         return [];
       }
       
-      // Get proposal created events from contract
-      const governor = new ethers.Contract(
-        this.governorAddress,
-        this.governorAbi,
-        this.provider
-      );
+      // Proposal history comes from the event index (or recent blocks without a database)
+      const records = await this.getProposalRecords();
       
-      // Get filter for ProposalCreated events
-      const filter = governor.filters.ProposalCreated();
+      // State, tallies, snapshot and deadline of every proposal in batched reads
+      const chainData = await this.getProposalChainData(records.map(record => record.proposalId));
       
-      // Get all events from the last 10000 blocks or from contract deployment
-      const currentBlock = await this.provider.getBlockNumber();
-      const fromBlock = Math.max(0, currentBlock - 10000);
-      
-      const events = await governor.queryFilter(filter, fromBlock, 'latest');
-      
-      // Process events into proposal objects
-      const proposals = await Promise.all(events.map(async (event) => {
-        if (!event.args) {
-          console.warn('Proposal event missing args, skipping...');
-          return null;
-        }
-        
-        const proposalId = event.args.proposalId.toString();
-        let state = 'Unknown';
+      // Process records into proposal objects
+      const proposals = await Promise.all(records.map(async (record) => {
+        const proposalId = record.proposalId;
+        const data = chainData[proposalId];
+        let state = data.state;
         
-        try {
-          state = await this.getProposalState(proposalId);
-        } catch (stateError) {
-          console.warn(`Could not get state for proposal ${proposalId}:`, stateError.message);
+        // Fall back to a single lookup (which can infer the state) if the batched read failed
+        if (!state) {
+          try {
+            state = await this.getProposalState(proposalId);
+          } catch (stateError) {
+            console.warn(`Could not get state for proposal ${proposalId}:`, stateError.message);
+            state = 'Unknown';
+          }
         }
         
         return {
           id: proposalId,
           proposalId: proposalId,
-          proposer: event.args.proposer,
-          targets: event.args.targets || [],
-          values: Array.isArray(event.args.values) 
-            ? event.args.values.map(v => v.toString())
-            : [],
-          signatures: event.args.signatures || [],
-          calldatas: event.args.calldatas || [],
-          startBlock: event.args.startBlock ? event.args.startBlock.toString() : '0',
-          endBlock: event.args.endBlock ? event.args.endBlock.toString() : '0',
-          description: event.args.description || '',
-          descriptionHash: event.args.descriptionHash || '',
+          proposer: record.proposer,
+          targets: record.targets,
+          values: record.values,
+          signatures: record.signatures,
+          calldatas: record.calldatas,
+          startBlock: record.startBlock || '0',
+          endBlock: record.endBlock || '0',
+          description: record.description,
+          descriptionHash: ethers.utils.id(record.description),
           state: state,
-          createdAt: event.blockNumber || 0,
-          votes: {
+          eta: state === 'Queued' ? data.eta : null,
+          snapshot: data.snapshot,
+          deadline: data.deadline,
+          createdAt: record.blockNumber || 0,
+          votes: data.votes || {
             forVotes: '0',
             againstVotes: '0',
             abstainVotes: '0'
@@ -1058,17 +1859,72 @@ class BlockchainService {
         };
       }));
       
-      // Filter out nulls from any failed mappings
-      const validProposals = proposals.filter(p => p !== null);
+      // Keep the cached tallies current between proposal monitor runs
+      if (this.db) {
+        try {
+          await this.db.updateProposalTallies(proposals.filter(p => chainData[p.id].votes));
+        } catch (cacheError) {
+          console.warn('Could not cache proposal tallies:', cacheError.message);
+        }
+      }
       
       // Sort proposals by creation time or block number (newest first)
-      return validProposals.sort((a, b) => b.createdAt - a.createdAt);
+      return proposals.sort((a, b) => b.createdAt - a.createdAt);
     } catch (error) {
       console.error('Error getting all proposals:', error);
       return [];
     }
   }
 
+  /**
+   * Read the state, vote tallies, snapshot, deadline and (with a timelock) eta of proposals in batches
+   * @param {Array<string>} proposalIds - IDs of the proposals
+   * @returns {Promise<Object>} - By proposal ID: { state, votes, snapshot, deadline, eta }, with null for reads that failed
+   */
+  async getProposalChainData(proposalIds) {
+    const methods = ['state', 'proposalVotes', 'proposalSnapshot', 'proposalDeadline'];
+    if (this.hasTimelock) {
+      methods.push('proposalEta');
+    }
+    
+    const calls = [];
+    proposalIds.forEach(proposalId => {
+      methods.forEach(method => calls.push({ contract: this.governorContract, method, args: [proposalId] }));
+    });
+    
+    const [results, decimals] = await Promise.all([this.batchReader.read(calls), this.getTokenDecimals()]);
+    
+    const chainData = {};
+    proposalIds.forEach((proposalId, index) => {
+      const [state, votes, snapshot, deadline, eta] = results.slice(index * methods.length, (index + 1) * methods.length);
+      
+      chainData[proposalId] = {
+        state: state === null ? null : this.getProposalStateDescription(Number(state)),
+        votes: votes === null ? null : {
+          forVotes: ethers.utils.formatUnits(votes.forVotes, decimals),
+          againstVotes: ethers.utils.formatUnits(votes.againstVotes, decimals),
+          abstainVotes: ethers.utils.formatUnits(votes.abstainVotes, decimals)
+        },
+        snapshot: snapshot === null ? null : snapshot.toString(),
+        deadline: deadline === null ? null : deadline.toString(),
+        eta: eta && !eta.isZero() ? eta.toNumber() : null
+      };
+    });
+    
+    return chainData;
+  }
+  
+  /**
+   * Get the token's decimals, read once
+   * @returns {Promise<number>} - Token decimals
+   */
+  async getTokenDecimals() {
+    if (this.tokenDecimals === undefined) {
+      this.tokenDecimals = await this.tokenContract.decimals();
+    }
+    return this.tokenDecimals;
+  }
+  
   /**
    * Get the state of a proposal as a string
    * @param {string} proposalId - ID of the proposal to check
@@ -1076,7 +1932,7 @@ class BlockchainService {
    */
   async getProposalState(proposalId) {
     if (!this.blockchainEnabled) {
-      return 'Active'; // Default state for mock proposals
+      return 'Unknown';
     }
     
     try {
@@ -0,0 +1,218 @@
+const { ethers } = require('ethers');
+
+/**
+ * Fee and gas policy for transactions sent from the admin wallet
+ *
+ * Prices EIP-1559 transactions (gasPrice on legacy networks) within
+ * configurable caps, bumps the fees of transactions that have been pending
+ * too long, and limits the gas each kind of action may use. It only talks
+ * to the provider it is given, so it can be exercised against a local dev
+ * chain (e.g. anvil) without the rest of the bot.
+ */
+
+// Gas limit caps per admin action: estimates above the cap are refused, and
+// the cap is used as the limit when estimation isn't possible
+const DEFAULT_GAS_CAPS = {
+  transfer: 150000,
+  delegation: 200000,
+  vote: 500000,
+  proposal: 3000000,
+  queue: 500000,
+  execute: 1000000,
+  cancel: 300000
+};
+
+// Tip used when the node doesn't suggest one
+const DEFAULT_PRIORITY_FEE = ethers.utils.parseUnits('1.5', 'gwei');
+
+// Nodes only accept a replacement that pays at least 10% more
+const MIN_BUMP_PERCENT = 10;
+
+class FeePolicy {
+  /**
+   * Create FeePolicy instance
+   * @param {Object} [options] - Policy settings
+   * @param {string|null} [options.maxFeeGwei] - Cap on maxFeePerGas (gasPrice on legacy networks), null for none
+   * @param {string|null} [options.maxPriorityFeeGwei] - Cap on maxPriorityFeePerGas, null for none
+   * @param {number} [options.bumpPercent] - Fee increase when a stuck transaction is replaced
+   * @param {number} [options.stuckAfterSeconds] - How long a transaction may be pending before it is replaced
+   * @param {number} [options.gasBufferPercent] - Margin added to gas estimates
+   * @param {Object} [options.gasCaps] - Gas limit caps by action, overriding DEFAULT_GAS_CAPS
+   */
+  constructor(options = {}) {
+    this.maxFee = options.maxFeeGwei ? ethers.utils.parseUnits(String(options.maxFeeGwei), 'gwei') : null;
+    this.maxPriorityFee = options.maxPriorityFeeGwei ? ethers.utils.parseUnits(String(options.maxPriorityFeeGwei), 'gwei') : null;
+    this.bumpPercent = Math.max(MIN_BUMP_PERCENT, options.bumpPercent || 20);
+    this.stuckAfterMs = (options.stuckAfterSeconds || 120) * 1000;
+    this.gasBufferPercent = options.gasBufferPercent === undefined ? 20 : options.gasBufferPercent;
+    this.gasCaps = { ...DEFAULT_GAS_CAPS, ...(options.gasCaps || {}) };
+  }
+
+  /**
+   * Create a policy from environment variables (ADMIN_TX_*)
+   * @param {Object} [env] - Environment, defaults to process.env
+   * @returns {FeePolicy} - Configured policy
+   */
+  static fromEnv(env = process.env) {
+    const gasCaps = {};
+    Object.keys(DEFAULT_GAS_CAPS).forEach(action => {
+      const cap = env[`ADMIN_TX_GAS_CAP_${action.toUpperCase()}`];
+      if (cap) gasCaps[action] = parseInt(cap);
+    });
+
+    return new FeePolicy({
+      maxFeeGwei: env.ADMIN_TX_MAX_FEE_GWEI || null,
+      maxPriorityFeeGwei: env.ADMIN_TX_MAX_PRIORITY_FEE_GWEI || null,
+      bumpPercent: parseInt(env.ADMIN_TX_FEE_BUMP_PERCENT || '20'),
+      stuckAfterSeconds: parseInt(env.ADMIN_TX_CONFIRM_TIMEOUT_SECONDS || '120'),
+      gasBufferPercent: parseInt(env.ADMIN_TX_GAS_BUFFER_PERCENT || '20'),
+      gasCaps
+    });
+  }
+
+  /**
+   * Get the fees for a new transaction
+   * @param {Object} provider - ethers provider
+   * @returns {Promise<Object>} - maxFeePerGas and maxPriorityFeePerGas, or gasPrice on legacy networks
+   */
+  async getFees(provider) {
+    const [block, feeData] = await Promise.all([provider.getBlock('latest'), provider.getFeeData()]);
+
+    if (!block || !block.baseFeePerGas) {
+      return { gasPrice: this.capFee(feeData.gasPrice, this.maxFee) };
+    }
+
+    const priorityFee = this.capFee(await this.getSuggestedPriorityFee(provider, feeData), this.maxPriorityFee);
+
+    // Leave room for the base fee to double before the transaction is priced out
+    const maxFee = this.capFee(block.baseFeePerGas.mul(2).add(priorityFee), this.maxFee);
+
+    return {
+      maxFeePerGas: maxFee,
+      maxPriorityFeePerGas: priorityFee.gt(maxFee) ? maxFee : priorityFee
+    };
+  }
+
+  /**
+   * Get the tip the node suggests, falling back to ethers' default
+   * @param {Object} provider - ethers provider
+   * @param {Object} feeData - Result of provider.getFeeData()
+   * @returns {Promise<ethers.BigNumber>} - Priority fee in wei
+   */
+  async getSuggestedPriorityFee(provider, feeData) {
+    if (typeof provider.send === 'function') {
+      try {
+        return ethers.BigNumber.from(await provider.send('eth_maxPriorityFeePerGas', []));
+      } catch (error) {
+        // Not every node implements eth_maxPriorityFeePerGas
+      }
+    }
+    return feeData.maxPriorityFeePerGas || DEFAULT_PRIORITY_FEE;
+  }
+
+  /**
+   * Get higher fees to replace a stuck transaction at the same nonce
+   * @param {Object} fees - Fees of the pending transaction
+   * @param {Object} networkFees - Current fees from getFees
+   * @returns {Object|null} - Bumped fees, or null if the caps leave no room for a valid replacement
+   */
+  bumpFees(fees, networkFees) {
+    const bump = value => ethers.BigNumber.from(value).mul(100 + this.bumpPercent).div(100);
+    const atLeast = (value, floor) => (floor && ethers.BigNumber.from(floor).gt(value) ? ethers.BigNumber.from(floor) : value);
+    const isValidReplacement = (bumped, previous) =>
+      bumped.gte(ethers.BigNumber.from(previous).mul(100 + MIN_BUMP_PERCENT).div(100));
+
+    if (fees.maxFeePerGas) {
+      const maxFee = this.capFee(atLeast(bump(fees.maxFeePerGas), networkFees.maxFeePerGas), this.maxFee);
+      let priorityFee = this.capFee(atLeast(bump(fees.maxPriorityFeePerGas), networkFees.maxPriorityFeePerGas), this.maxPriorityFee);
+      priorityFee = priorityFee.gt(maxFee) ? maxFee : priorityFee;
+
+      if (!isValidReplacement(maxFee, fees.maxFeePerGas) || !isValidReplacement(priorityFee, fees.maxPriorityFeePerGas)) {
+        return null;
+      }
+      return { maxFeePerGas: maxFee, maxPriorityFeePerGas: priorityFee };
+    }
+
+    const gasPrice = this.capFee(atLeast(bump(fees.gasPrice), networkFees.gasPrice), this.maxFee);
+    return isValidReplacement(gasPrice, fees.gasPrice) ? { gasPrice } : null;
+  }
+
+  /**
+   * Apply a fee cap
+   * @param {ethers.BigNumber} value - Fee in wei
+   * @param {ethers.BigNumber|null} cap - Cap in wei, or null for none
+   * @returns {ethers.BigNumber} - The lower of the two
+   */
+  capFee(value, cap) {
+    const fee = ethers.BigNumber.from(value);
+    return cap && fee.gt(cap) ? cap : fee;
+  }
+
+  /**
+   * Check whether a transaction has been pending longer than the threshold
+   * @param {number} sentAt - When it was (last) submitted, in milliseconds
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {boolean} - True if it should be replaced
+   */
+  isStuck(sentAt, now = Date.now()) {
+    return now - sentAt >= this.stuckAfterMs;
+  }
+
+  /**
+   * Time left before a pending transaction counts as stuck
+   * @param {number} sentAt - When it was (last) submitted, in milliseconds
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {number} - Milliseconds, 0 if it is already stuck
+   */
+  timeUntilStuck(sentAt, now = Date.now()) {
+    return Math.max(0, sentAt + this.stuckAfterMs - now);
+  }
+
+  /**
+   * Get the gas limit cap for an action
+   * @param {string} action - transfer, delegation, vote, proposal, queue, execute or cancel
+   * @returns {ethers.BigNumber} - Gas cap
+   */
+  getGasCap(action) {
+    if (!this.gasCaps[action]) {
+      throw new Error(`No gas cap configured for "${action}"`);
+    }
+    return ethers.BigNumber.from(this.gasCaps[action]);
+  }
+
+  /**
+   * Turn a gas estimate into a gas limit, refusing estimates above the action's cap
+   * @param {string} action - Action being sent
+   * @param {ethers.BigNumber} estimate - Gas estimate
+   * @returns {ethers.BigNumber} - Estimate plus buffer, no higher than the cap
+   */
+  gasLimitFor(action, estimate) {
+    const cap = this.getGasCap(action);
+
+    if (ethers.BigNumber.from(estimate).gt(cap)) {
+      throw new Error(`This ${action} needs ${estimate.toString()} gas, above the ${cap.toString()} cap (ADMIN_TX_GAS_CAP_${action.toUpperCase()})`);
+    }
+
+    const limit = ethers.BigNumber.from(estimate).mul(100 + this.gasBufferPercent).div(100);
+    return limit.gt(cap) ? cap : limit;
+  }
+
+  /**
+   * Estimate the gas limit for an action, using the cap when estimation fails
+   * @param {string} action - Action being sent
+   * @param {Function} estimateGas - Returns a Promise for the gas estimate
+   * @returns {Promise<ethers.BigNumber>} - Gas limit
+   */
+  async getGasLimit(action, estimateGas) {
+    let estimate;
+    try {
+      estimate = await estimateGas();
+    } catch (error) {
+      console.warn(`Gas estimation failed for ${action}, using the ${this.getGasCap(action).toString()} cap: ${error.reason || error.message}`);
+      return this.getGasCap(action);
+    }
+    return this.gasLimitFor(action, estimate);
+  }
+}
+
+module.exports = FeePolicy;
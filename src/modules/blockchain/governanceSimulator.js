@@ -0,0 +1,1104 @@
+const { ethers } = require('ethers');
+const tokenAbi = require('../../../contracts/abis/ERC20VotesToken.json');
+const governorAbi = require('../../../contracts/abis/Governor.json');
+
+/**
+ * In-process chain running the DAO's token and governor
+ *
+ * Used instead of a real network when no blockchain is configured. It keeps
+ * ERC20Votes balances, delegation and vote checkpoints, and a Governor with
+ * snapshot voting power, Pending/Active/Succeeded/Defeated/Executed/Canceled
+ * states, quorum and execution of the proposal's calls. Transactions are
+ * executed against the same ABIs as the deployed contracts and revert with
+ * the same reason strings, each one in its own block. Blocks are also mined
+ * on a timer, or on demand with mine(), so proposals move through voting.
+ *
+ * State lives in memory: every run starts a fresh chain with new contract
+ * addresses, so proposal IDs never clash with those of an earlier run.
+ */
+
+// Well-known development key (the first Hardhat/Anvil account), used as the admin wallet
+const ADMIN_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+const ZERO_ADDRESS = ethers.constants.AddressZero;
+
+// OpenZeppelin Governor ProposalState
+const STATE = { Pending: 0, Active: 1, Canceled: 2, Defeated: 3, Succeeded: 4, Queued: 5, Expired: 6, Executed: 7 };
+
+// Gas used by each function, also returned as its estimate
+const GAS_USED = {
+  transfer: 52000,
+  transferFrom: 60000,
+  approve: 46000,
+  delegate: 95000,
+  delegateBySig: 105000,
+  adminDelegateFor: 100000,
+  propose: 180000,
+  castVote: 85000,
+  castVoteWithReason: 90000,
+  castVoteBySig: 95000,
+  execute: 120000,
+  cancel: 70000
+};
+const DEFAULT_GAS_USED = 50000;
+
+/**
+ * Error thrown when a call reverts
+ */
+class SimulatedRevert extends Error {
+  /**
+   * @param {string|null} reason - Revert reason string, or null for a revert without one
+   */
+  constructor(reason) {
+    super(reason ? `execution reverted: ${reason}` : 'execution reverted');
+    this.reason = reason;
+    this.data = reason
+      ? ethers.utils.hexConcat(['0x08c379a0', ethers.utils.defaultAbiCoder.encode(['string'], [reason])])
+      : '0x';
+  }
+}
+
+class GovernanceSimulator {
+  /**
+   * Create GovernanceSimulator instance
+   * @param {Object} [options] - Chain settings, defaulting to the SIMULATOR_* environment variables
+   * @param {number} [options.chainId] - Chain ID (SIMULATOR_CHAIN_ID)
+   * @param {number} [options.blockTimeSeconds] - Seconds between blocks (SIMULATOR_BLOCK_TIME_SECONDS)
+   * @param {number} [options.votingDelay] - Blocks between a proposal and the start of voting (SIMULATOR_VOTING_DELAY_BLOCKS)
+   * @param {number} [options.votingPeriod] - Blocks voting stays open (SIMULATOR_VOTING_PERIOD_BLOCKS)
+   * @param {number} [options.quorumPercent] - Share of the supply at the snapshot that must vote for or abstain (SIMULATOR_QUORUM_PERCENT)
+   * @param {string} [options.initialSupply] - Whole tokens minted to the admin wallet (SIMULATOR_INITIAL_SUPPLY)
+   * @param {string} [options.treasuryTokens] - Whole tokens moved from the admin wallet to the governor (SIMULATOR_TREASURY_TOKENS)
+   * @param {string} [options.salt] - 32-byte hex salt for contract addresses, random by default
+   */
+  constructor(options = {}) {
+    const env = process.env;
+    this.chainId = options.chainId || parseInt(env.SIMULATOR_CHAIN_ID || '31337');
+    this.blockTimeSeconds = options.blockTimeSeconds || parseInt(env.SIMULATOR_BLOCK_TIME_SECONDS || '12');
+    this.votingDelay = options.votingDelay !== undefined ? options.votingDelay : parseInt(env.SIMULATOR_VOTING_DELAY_BLOCKS || '1');
+    this.votingPeriod = options.votingPeriod || parseInt(env.SIMULATOR_VOTING_PERIOD_BLOCKS || '50');
+    this.quorumPercent = options.quorumPercent !== undefined ? options.quorumPercent : parseInt(env.SIMULATOR_QUORUM_PERCENT || '4');
+    this.initialSupply = String(options.initialSupply || env.SIMULATOR_INITIAL_SUPPLY || '1000000');
+    this.treasuryTokens = String(options.treasuryTokens !== undefined ? options.treasuryTokens : (env.SIMULATOR_TREASURY_TOKENS || '100000'));
+    this.salt = options.salt || ethers.utils.hexlify(ethers.utils.randomBytes(32));
+
+    this.tokenInterface = new ethers.utils.Interface(tokenAbi);
+    this.governorInterface = new ethers.utils.Interface(governorAbi);
+
+    // Everything a revert has to roll back is in this.state, so it can be cloned
+    this.state = { nonces: {}, contracts: {} };
+    this.blocks = [];
+    this.transactions = {};
+    this.logs = [];
+    this.deployments = 0;
+
+    // Added to the clock by mine(), so tests can move time forward
+    this.timeOffset = 0;
+    this.miningTimer = null;
+
+    this.mineBlock([]);
+  }
+
+  /**
+   * Private key of the account that deploys the contracts and holds the initial supply
+   * @returns {string} - Private key
+   */
+  static get ADMIN_PRIVATE_KEY() {
+    return ADMIN_PRIVATE_KEY;
+  }
+
+  /**
+   * Error class of reverted calls, carrying the revert reason and data
+   * @returns {Function} - SimulatedRevert
+   */
+  static get SimulatedRevert() {
+    return SimulatedRevert;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Blocks
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Get the latest block
+   * @returns {Object} - Block
+   */
+  get latestBlock() {
+    return this.blocks[this.blocks.length - 1];
+  }
+
+  /**
+   * Get a block by number or tag
+   * @param {number|string} blockTag - Block number, or 'latest', 'pending', 'earliest', 'safe' or 'finalized'
+   * @returns {Object|null} - Block, or null if it hasn't been mined
+   */
+  getBlock(blockTag) {
+    if (blockTag === 'earliest') {
+      return this.blocks[0];
+    }
+    if (typeof blockTag === 'string' && !ethers.utils.isHexString(blockTag)) {
+      return this.latestBlock;
+    }
+    return this.blocks[ethers.BigNumber.from(blockTag).toNumber()] || null;
+  }
+
+  /**
+   * Get a block by hash
+   * @param {string} hash - Block hash
+   * @returns {Object|null} - Block, or null if there is no such block
+   */
+  getBlockByHash(hash) {
+    return this.blocks.find(block => block.hash === hash) || null;
+  }
+
+  /**
+   * Get the timestamp the next block will have
+   * @returns {number} - Unix timestamp in seconds
+   */
+  nextTimestamp() {
+    const now = Math.floor(Date.now() / 1000) + this.timeOffset;
+    return this.blocks.length === 0 ? now : Math.max(now, this.latestBlock.timestamp + 1);
+  }
+
+  /**
+   * Append a block holding already executed transactions
+   * @param {Array<Object>} transactions - Transactions with their receipts' logs and status
+   * @returns {Object} - Mined block
+   */
+  mineBlock(transactions) {
+    const number = this.blocks.length;
+    const parentHash = number === 0 ? ethers.constants.HashZero : this.latestBlock.hash;
+    const timestamp = transactions.length > 0 && transactions[0].timestamp ? transactions[0].timestamp : this.nextTimestamp();
+    const hash = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+      ['bytes32', 'uint256', 'uint256', 'bytes32'],
+      [parentHash, number, timestamp, this.salt]
+    ));
+
+    const block = {
+      number,
+      hash,
+      parentHash,
+      timestamp,
+      gasUsed: transactions.reduce((total, tx) => total + tx.gasUsed, 0),
+      transactions: transactions.map(tx => tx.hash)
+    };
+    this.blocks.push(block);
+
+    let logIndex = 0;
+    transactions.forEach((tx, index) => {
+      tx.blockNumber = number;
+      tx.blockHash = hash;
+      tx.transactionIndex = index;
+      tx.logs.forEach(log => {
+        Object.assign(log, { blockNumber: number, blockHash: hash, transactionHash: tx.hash, transactionIndex: index, logIndex: logIndex++ });
+        this.logs.push(log);
+      });
+      this.transactions[tx.hash] = tx;
+    });
+
+    return block;
+  }
+
+  /**
+   * Mine empty blocks, moving the clock forward one block time per block
+   * @param {number} [count] - Number of blocks
+   * @returns {number} - Latest block number
+   */
+  mine(count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.timeOffset += this.blockTimeSeconds;
+      this.mineBlock([]);
+    }
+    return this.latestBlock.number;
+  }
+
+  /**
+   * Mine an empty block every block time, as a real chain would
+   */
+  startAutoMining() {
+    if (this.miningTimer) {
+      return;
+    }
+
+    this.miningTimer = setInterval(() => {
+      if (Math.floor(Date.now() / 1000) + this.timeOffset - this.latestBlock.timestamp >= this.blockTimeSeconds) {
+        this.mineBlock([]);
+      }
+    }, this.blockTimeSeconds * 1000);
+
+    // Don't keep the process alive just for mining
+    this.miningTimer.unref();
+  }
+
+  /**
+   * Stop mining on a timer
+   */
+  stopAutoMining() {
+    clearInterval(this.miningTimer);
+    this.miningTimer = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Accounts and contracts
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Get the next nonce of an account
+   * @param {string} address - Account address
+   * @returns {number} - Number of transactions it has sent
+   */
+  getNonce(address) {
+    return this.state.nonces[address.toLowerCase()] || 0;
+  }
+
+  /**
+   * Check whether an address holds one of the simulated contracts
+   * @param {string} address - Address
+   * @returns {boolean} - True for a token or governor
+   */
+  isContract(address) {
+    return Boolean(address && this.state.contracts[address.toLowerCase()]);
+  }
+
+  /**
+   * Deploy a token and governor pair, mint the supply to the owner and fund the governor as treasury
+   * @param {string} owner - Account deploying the contracts (the admin wallet)
+   * @returns {Object} - { tokenAddress, governorAddress, treasuryAddress, blockNumber }
+   */
+  deployGovernance(owner) {
+    const index = this.deployments++;
+    const address = (contractName) => ethers.utils.getCreate2Address(
+      owner,
+      ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(['bytes32', 'uint256'], [this.salt, index])),
+      ethers.utils.id(contractName)
+    );
+    const tokenAddress = address('AlphinToken');
+    const governorAddress = address('AlphinGovernor');
+
+    this.state.contracts[tokenAddress.toLowerCase()] = {
+      kind: 'token',
+      address: tokenAddress,
+      name: 'Alphin Token',
+      symbol: 'APH',
+      decimals: 18,
+      owner: owner.toLowerCase(),
+      totalSupply: 0n,
+      totalSupplyCheckpoints: [],
+      balances: {},
+      allowances: {},
+      delegates: {},
+      checkpoints: {},
+      nonces: {}
+    };
+
+    this.state.contracts[governorAddress.toLowerCase()] = {
+      kind: 'governor',
+      address: governorAddress,
+      name: 'Alphin Governor',
+      token: tokenAddress.toLowerCase(),
+      votingDelay: this.votingDelay,
+      votingPeriod: this.votingPeriod,
+      quorumPercent: this.quorumPercent,
+      proposalThreshold: 0n,
+      proposals: {}
+    };
+
+    // Deployment, mint and treasury funding go in one block, like a deploy script
+    const blockNumber = this.blocks.length;
+    const ctx = { from: owner.toLowerCase(), blockNumber, timestamp: this.nextTimestamp(), logs: [] };
+    const token = this.state.contracts[tokenAddress.toLowerCase()];
+    this.tokenUpdate(ctx, token, ZERO_ADDRESS, owner.toLowerCase(), ethers.utils.parseUnits(this.initialSupply, 18).toBigInt());
+    if (Number(this.treasuryTokens) > 0) {
+      this.tokenUpdate(ctx, token, owner.toLowerCase(), governorAddress.toLowerCase(), ethers.utils.parseUnits(this.treasuryTokens, 18).toBigInt());
+    }
+
+    const hash = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(['bytes32', 'address', 'uint256'], [this.salt, owner, index]));
+    this.mineBlock([{
+      hash,
+      from: owner,
+      to: null,
+      contractAddress: tokenAddress,
+      nonce: null,
+      data: '0x',
+      value: '0',
+      status: 1,
+      gasUsed: 3000000,
+      timestamp: ctx.timestamp,
+      logs: ctx.logs
+    }]);
+
+    console.log(`Simulated token ${tokenAddress} and governor ${governorAddress} deployed in block ${blockNumber}`);
+    return { tokenAddress, governorAddress, treasuryAddress: governorAddress, blockNumber };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Calls and transactions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Run a call against the latest block without changing state (eth_call)
+   * @param {Object} call - { from, to, data }
+   * @returns {string} - ABI-encoded return data
+   * @throws {SimulatedRevert} - If the call reverts
+   */
+  call({ from, to, data }) {
+    const saved = this.state;
+    this.state = structuredClone(saved);
+    try {
+      const ctx = { from: (from || ZERO_ADDRESS).toLowerCase(), blockNumber: this.latestBlock.number, timestamp: this.latestBlock.timestamp, logs: [] };
+      return this.dispatch(ctx, to, data || '0x');
+    } finally {
+      this.state = saved;
+    }
+  }
+
+  /**
+   * Estimate the gas a transaction uses, by running it in the next block without keeping its effects
+   * @param {Object} tx - { from, to, data }
+   * @returns {number} - Gas used
+   * @throws {SimulatedRevert} - If the transaction would revert
+   */
+  estimateGas({ from, to, data }) {
+    const saved = this.state;
+    this.state = structuredClone(saved);
+    try {
+      const ctx = { from: (from || ZERO_ADDRESS).toLowerCase(), blockNumber: this.blocks.length, timestamp: this.nextTimestamp(), logs: [] };
+      this.dispatch(ctx, to, data || '0x');
+      return this.gasUsedBy(to, data);
+    } finally {
+      this.state = saved;
+    }
+  }
+
+  /**
+   * Execute a signed transaction in a new block. A reverted transaction is still
+   * mined (status 0), with its effects rolled back.
+   * @param {Object} tx - Parsed transaction (ethers.utils.parseTransaction)
+   * @returns {string} - Transaction hash
+   * @throws {Error} - If the transaction can't be included (wrong chain or nonce)
+   */
+  sendTransaction(tx) {
+    if (tx.chainId && tx.chainId !== this.chainId) {
+      throw new Error(`invalid chain id ${tx.chainId}, the simulated chain is ${this.chainId}`);
+    }
+
+    const from = tx.from.toLowerCase();
+    const expectedNonce = this.getNonce(from);
+    if (tx.nonce < expectedNonce) {
+      throw new Error(`nonce too low: next nonce ${expectedNonce}, tx nonce ${tx.nonce}`);
+    }
+    if (tx.nonce > expectedNonce) {
+      throw new Error(`nonce too high: next nonce ${expectedNonce}, tx nonce ${tx.nonce}`);
+    }
+
+    const ctx = { from, blockNumber: this.blocks.length, timestamp: this.nextTimestamp(), logs: [] };
+    const saved = structuredClone(this.state);
+    let status = 1;
+    let revertReason = null;
+
+    try {
+      this.dispatch(ctx, tx.to, tx.data || '0x');
+    } catch (error) {
+      if (!(error instanceof SimulatedRevert)) {
+        throw error;
+      }
+      this.state = saved;
+      ctx.logs = [];
+      status = 0;
+      revertReason = error.reason;
+      console.warn(`Simulated transaction ${tx.hash} reverted: ${error.reason || 'no reason'}`);
+    }
+
+    // The nonce is used even if the transaction reverts
+    this.state.nonces[from] = expectedNonce + 1;
+
+    const gasUsed = this.gasUsedBy(tx.to, tx.data);
+    this.mineBlock([{
+      ...tx,
+      from: tx.from,
+      contractAddress: null,
+      status,
+      revertReason,
+      gasUsed: tx.gasLimit && tx.gasLimit.lt(gasUsed) ? tx.gasLimit.toNumber() : gasUsed,
+      timestamp: ctx.timestamp,
+      logs: ctx.logs
+    }]);
+
+    return tx.hash;
+  }
+
+  /**
+   * Get a mined transaction
+   * @param {string} hash - Transaction hash
+   * @returns {Object|null} - Transaction with its status, logs and block, or null if unknown
+   */
+  getTransaction(hash) {
+    return this.transactions[hash] || null;
+  }
+
+  /**
+   * Get logs matching an eth_getLogs filter
+   * @param {Object} filter - { address, topics, fromBlock, toBlock, blockHash }
+   * @returns {Array<Object>} - Matching logs
+   */
+  getLogs(filter) {
+    const toNumber = (tag, fallback) => {
+      if (tag === undefined || tag === null) return fallback;
+      const block = this.getBlock(tag);
+      return block ? block.number : this.latestBlock.number;
+    };
+
+    let fromBlock = toNumber(filter.fromBlock, this.latestBlock.number);
+    let toBlock = toNumber(filter.toBlock, this.latestBlock.number);
+    if (filter.blockHash) {
+      const block = this.getBlockByHash(filter.blockHash);
+      if (!block) return [];
+      fromBlock = toBlock = block.number;
+    }
+
+    const addresses = filter.address ? [].concat(filter.address).map(address => address.toLowerCase()) : null;
+    const topics = filter.topics || [];
+
+    return this.logs.filter(log => {
+      if (log.blockNumber < fromBlock || log.blockNumber > toBlock) return false;
+      if (addresses && !addresses.includes(log.address.toLowerCase())) return false;
+      return topics.every((topic, index) => {
+        if (topic === null || topic === undefined) return true;
+        const wanted = [].concat(topic).map(t => t.toLowerCase());
+        return log.topics[index] !== undefined && wanted.includes(log.topics[index].toLowerCase());
+      });
+    });
+  }
+
+  /**
+   * Get the gas a call uses
+   * @param {string} to - Called address
+   * @param {string} data - Calldata
+   * @returns {number} - Gas used
+   */
+  gasUsedBy(to, data) {
+    const contract = to && this.state.contracts[to.toLowerCase()];
+    if (!contract || !data || data === '0x') {
+      return 21000;
+    }
+
+    try {
+      const iface = contract.kind === 'token' ? this.tokenInterface : this.governorInterface;
+      return GAS_USED[iface.getFunction(data.slice(0, 10)).name] || DEFAULT_GAS_USED;
+    } catch (error) {
+      return DEFAULT_GAS_USED;
+    }
+  }
+
+  /**
+   * Run calldata against an address
+   * @param {Object} ctx - { from, blockNumber, timestamp, logs }
+   * @param {string|null} to - Called address
+   * @param {string} data - Calldata
+   * @returns {string} - ABI-encoded return data
+   * @throws {SimulatedRevert} - If the call reverts
+   */
+  dispatch(ctx, to, data) {
+    const contract = to && this.state.contracts[to.toLowerCase()];
+
+    // Accounts without code accept any call
+    if (!contract) {
+      return '0x';
+    }
+
+    const iface = contract.kind === 'token' ? this.tokenInterface : this.governorInterface;
+    const handlers = contract.kind === 'token' ? this.tokenFunctions() : this.governorFunctions();
+
+    let parsed;
+    try {
+      parsed = iface.parseTransaction({ data });
+    } catch (error) {
+      // No fallback function
+      throw new SimulatedRevert(null);
+    }
+
+    const handler = handlers[parsed.name];
+    if (!handler) {
+      throw new SimulatedRevert(null);
+    }
+
+    // Handlers return a function's single output, or an array of its outputs
+    const result = handler(ctx, contract, parsed.args);
+    const outputs = parsed.functionFragment.outputs.length;
+    return iface.encodeFunctionResult(parsed.functionFragment, outputs === 0 ? [] : outputs === 1 ? [result] : result);
+  }
+
+  /**
+   * Add an event log emitted by a contract
+   * @param {Object} ctx - Call context
+   * @param {Object} contract - Emitting contract
+   * @param {string} eventName - Event name
+   * @param {Array} values - Event arguments
+   */
+  emit(ctx, contract, eventName, values) {
+    const iface = contract.kind === 'token' ? this.tokenInterface : this.governorInterface;
+    const { data, topics } = iface.encodeEventLog(iface.getEvent(eventName), values);
+    ctx.logs.push({ address: contract.address, data, topics, removed: false });
+  }
+
+  /**
+   * Recover the signer of EIP-712 typed data
+   * @param {Object} domain - EIP-712 domain
+   * @param {Object} types - EIP-712 types
+   * @param {Object} value - Signed value
+   * @param {Object} signature - { v, r, s }
+   * @returns {string} - Lower-case signer address
+   */
+  recoverTypedData(domain, types, value, { v, r, s }) {
+    try {
+      return ethers.utils.verifyTypedData(domain, types, value, { v, r, s }).toLowerCase();
+    } catch (error) {
+      throw new SimulatedRevert('ECDSA: invalid signature');
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // ERC20Votes token
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Get the token's functions, by ABI name
+   * @returns {Object} - Handlers called with (ctx, token, args), returning the function's output
+   */
+  tokenFunctions() {
+    return {
+      name: (ctx, token) => token.name,
+      symbol: (ctx, token) => token.symbol,
+      decimals: (ctx, token) => token.decimals,
+      totalSupply: (ctx, token) => token.totalSupply,
+      balanceOf: (ctx, token, args) => token.balances[args.account.toLowerCase()] || 0n,
+      allowance: (ctx, token, args) => this.getAllowance(token, args.owner, args.spender),
+      nonces: (ctx, token, args) => BigInt(token.nonces[args.owner.toLowerCase()] || 0),
+      delegates: (ctx, token, args) => token.delegates[args.account.toLowerCase()] || ZERO_ADDRESS,
+      numCheckpoints: (ctx, token, args) => (token.checkpoints[args.account.toLowerCase()] || []).length,
+      checkpoints: (ctx, token, args) => {
+        const checkpoint = (token.checkpoints[args.account.toLowerCase()] || [])[args.pos];
+        if (!checkpoint) {
+          throw new SimulatedRevert(null);
+        }
+        return [checkpoint.fromBlock, checkpoint.votes];
+      },
+      getVotes: (ctx, token, args) => this.latestCheckpoint(token.checkpoints[args.account.toLowerCase()]),
+      getPastVotes: (ctx, token, args) => this.getPastVotes(ctx, token, args.account, args.blockNumber),
+      getPastTotalSupply: (ctx, token, args) => this.getPastTotalSupply(ctx, token, args.blockNumber),
+
+      transfer: (ctx, token, args) => {
+        this.tokenTransfer(ctx, token, ctx.from, args.to.toLowerCase(), args.amount.toBigInt());
+        return true;
+      },
+      transferFrom: (ctx, token, args) => {
+        this.spendAllowance(token, args.from, ctx.from, args.amount.toBigInt());
+        this.tokenTransfer(ctx, token, args.from.toLowerCase(), args.to.toLowerCase(), args.amount.toBigInt());
+        return true;
+      },
+      approve: (ctx, token, args) => {
+        this.setAllowance(ctx, token, ctx.from, args.spender.toLowerCase(), args.amount.toBigInt());
+        return true;
+      },
+      increaseAllowance: (ctx, token, args) => {
+        const current = this.getAllowance(token, ctx.from, args.spender);
+        this.setAllowance(ctx, token, ctx.from, args.spender.toLowerCase(), current + args.addedValue.toBigInt());
+        return true;
+      },
+      decreaseAllowance: (ctx, token, args) => {
+        const current = this.getAllowance(token, ctx.from, args.spender);
+        if (current < args.subtractedValue.toBigInt()) {
+          throw new SimulatedRevert('ERC20: decreased allowance below zero');
+        }
+        this.setAllowance(ctx, token, ctx.from, args.spender.toLowerCase(), current - args.subtractedValue.toBigInt());
+        return true;
+      },
+
+      delegate: (ctx, token, args) => {
+        this.delegate(ctx, token, ctx.from, args.delegatee.toLowerCase());
+      },
+      delegateBySig: (ctx, token, args) => {
+        if (BigInt(ctx.timestamp) > args.expiry.toBigInt()) {
+          throw new SimulatedRevert('ERC20Votes: signature expired');
+        }
+
+        const signer = this.recoverTypedData(
+          { name: token.name, version: '1', chainId: this.chainId, verifyingContract: token.address },
+          { Delegation: [{ name: 'delegatee', type: 'address' }, { name: 'nonce', type: 'uint256' }, { name: 'expiry', type: 'uint256' }] },
+          { delegatee: args.delegatee, nonce: args.nonce, expiry: args.expiry },
+          { v: args.v, r: args.r, s: args.s }
+        );
+
+        const nonce = token.nonces[signer] || 0;
+        if (args.nonce.toNumber() !== nonce) {
+          throw new SimulatedRevert('ERC20Votes: invalid nonce');
+        }
+        token.nonces[signer] = nonce + 1;
+
+        this.delegate(ctx, token, signer, args.delegatee.toLowerCase());
+      },
+      adminDelegateFor: (ctx, token, args) => {
+        if (ctx.from !== token.owner) {
+          throw new SimulatedRevert('Ownable: caller is not the owner');
+        }
+        this.delegate(ctx, token, args.delegator.toLowerCase(), args.delegatee.toLowerCase());
+        this.emit(ctx, token, 'AdminDelegation', [args.delegator, args.delegatee, ctx.from]);
+      }
+    };
+  }
+
+  /**
+   * Move tokens between accounts, checking the sender's balance
+   * @param {Object} ctx - Call context
+   * @param {Object} token - Token state
+   * @param {string} from - Sender
+   * @param {string} to - Recipient
+   * @param {bigint} amount - Amount in base units
+   */
+  tokenTransfer(ctx, token, from, to, amount) {
+    if (from === ZERO_ADDRESS) {
+      throw new SimulatedRevert('ERC20: transfer from the zero address');
+    }
+    if (to === ZERO_ADDRESS) {
+      throw new SimulatedRevert('ERC20: transfer to the zero address');
+    }
+    if ((token.balances[from] || 0n) < amount) {
+      throw new SimulatedRevert('ERC20: transfer amount exceeds balance');
+    }
+    this.tokenUpdate(ctx, token, from, to, amount);
+  }
+
+  /**
+   * Update balances, supply and voting power for a transfer, mint or burn
+   * @param {Object} ctx - Call context
+   * @param {Object} token - Token state
+   * @param {string} from - Sender, or the zero address for a mint
+   * @param {string} to - Recipient, or the zero address for a burn
+   * @param {bigint} amount - Amount in base units
+   */
+  tokenUpdate(ctx, token, from, to, amount) {
+    if (from === ZERO_ADDRESS) {
+      token.totalSupply += amount;
+      this.writeCheckpoint(ctx, token.totalSupplyCheckpoints, token.totalSupply);
+    } else {
+      token.balances[from] = (token.balances[from] || 0n) - amount;
+    }
+
+    if (to === ZERO_ADDRESS) {
+      token.totalSupply -= amount;
+      this.writeCheckpoint(ctx, token.totalSupplyCheckpoints, token.totalSupply);
+    } else {
+      token.balances[to] = (token.balances[to] || 0n) + amount;
+    }
+
+    this.emit(ctx, token, 'Transfer', [from, to, amount]);
+    this.moveVotingPower(ctx, token, token.delegates[from] || ZERO_ADDRESS, token.delegates[to] || ZERO_ADDRESS, amount);
+  }
+
+  /**
+   * Delegate an account's voting power
+   * @param {Object} ctx - Call context
+   * @param {Object} token - Token state
+   * @param {string} delegator - Account delegating
+   * @param {string} delegatee - Account receiving the voting power
+   */
+  delegate(ctx, token, delegator, delegatee) {
+    const current = token.delegates[delegator] || ZERO_ADDRESS;
+    token.delegates[delegator] = delegatee;
+
+    this.emit(ctx, token, 'DelegateChanged', [delegator, current, delegatee]);
+    this.moveVotingPower(ctx, token, current, delegatee, token.balances[delegator] || 0n);
+  }
+
+  /**
+   * Move voting power between delegates, writing a checkpoint for each
+   * @param {Object} ctx - Call context
+   * @param {Object} token - Token state
+   * @param {string} from - Delegate losing votes (zero address for none)
+   * @param {string} to - Delegate gaining votes (zero address for none)
+   * @param {bigint} amount - Votes moved
+   */
+  moveVotingPower(ctx, token, from, to, amount) {
+    if (from === to || amount === 0n) {
+      return;
+    }
+
+    [[from, -amount], [to, amount]].forEach(([account, change]) => {
+      if (account === ZERO_ADDRESS) {
+        return;
+      }
+      const checkpoints = token.checkpoints[account] = token.checkpoints[account] || [];
+      const previous = this.latestCheckpoint(checkpoints);
+      const votes = previous + change;
+      this.writeCheckpoint(ctx, checkpoints, votes);
+      this.emit(ctx, token, 'DelegateVotesChanged', [account, previous, votes]);
+    });
+  }
+
+  /**
+   * Record a value from the current block on
+   * @param {Object} ctx - Call context
+   * @param {Array<Object>} checkpoints - Checkpoints as { fromBlock, votes }
+   * @param {bigint} votes - New value
+   */
+  writeCheckpoint(ctx, checkpoints, votes) {
+    const last = checkpoints[checkpoints.length - 1];
+    if (last && last.fromBlock === ctx.blockNumber) {
+      last.votes = votes;
+    } else {
+      checkpoints.push({ fromBlock: ctx.blockNumber, votes });
+    }
+  }
+
+  /**
+   * Get the latest value of a checkpoint list
+   * @param {Array<Object>} [checkpoints] - Checkpoints as { fromBlock, votes }
+   * @returns {bigint} - Latest value, 0 without checkpoints
+   */
+  latestCheckpoint(checkpoints) {
+    return checkpoints && checkpoints.length > 0 ? checkpoints[checkpoints.length - 1].votes : 0n;
+  }
+
+  /**
+   * Get the value of a checkpoint list at the end of a past block
+   * @param {Object} ctx - Call context
+   * @param {Array<Object>} [checkpoints] - Checkpoints as { fromBlock, votes }
+   * @param {ethers.BigNumber|number} blockNumber - Past block
+   * @returns {bigint} - Value at that block
+   */
+  checkpointAt(ctx, checkpoints, blockNumber) {
+    const block = ethers.BigNumber.from(blockNumber).toNumber();
+    if (block >= ctx.blockNumber) {
+      throw new SimulatedRevert('ERC20Votes: future lookup');
+    }
+
+    const past = (checkpoints || []).filter(checkpoint => checkpoint.fromBlock <= block);
+    return past.length > 0 ? past[past.length - 1].votes : 0n;
+  }
+
+  /**
+   * Get an account's voting power at the end of a past block
+   * @param {Object} ctx - Call context
+   * @param {Object} token - Token state
+   * @param {string} account - Account address
+   * @param {ethers.BigNumber|number} blockNumber - Past block
+   * @returns {bigint} - Votes
+   */
+  getPastVotes(ctx, token, account, blockNumber) {
+    return this.checkpointAt(ctx, token.checkpoints[account.toLowerCase()], blockNumber);
+  }
+
+  /**
+   * Get the total supply at the end of a past block
+   * @param {Object} ctx - Call context
+   * @param {Object} token - Token state
+   * @param {ethers.BigNumber|number} blockNumber - Past block
+   * @returns {bigint} - Total supply
+   */
+  getPastTotalSupply(ctx, token, blockNumber) {
+    return this.checkpointAt(ctx, token.totalSupplyCheckpoints, blockNumber);
+  }
+
+  /**
+   * Get an allowance
+   * @param {Object} token - Token state
+   * @param {string} owner - Token owner
+   * @param {string} spender - Approved spender
+   * @returns {bigint} - Allowance
+   */
+  getAllowance(token, owner, spender) {
+    return (token.allowances[owner.toLowerCase()] || {})[spender.toLowerCase()] || 0n;
+  }
+
+  /**
+   * Set an allowance
+   * @param {Object} ctx - Call context
+   * @param {Object} token - Token state
+   * @param {string} owner - Token owner
+   * @param {string} spender - Approved spender
+   * @param {bigint} amount - New allowance
+   */
+  setAllowance(ctx, token, owner, spender, amount) {
+    token.allowances[owner] = token.allowances[owner] || {};
+    token.allowances[owner][spender] = amount;
+    this.emit(ctx, token, 'Approval', [owner, spender, amount]);
+  }
+
+  /**
+   * Use part of an allowance for transferFrom
+   * @param {Object} token - Token state
+   * @param {string} owner - Token owner
+   * @param {string} spender - Spender
+   * @param {bigint} amount - Amount spent
+   */
+  spendAllowance(token, owner, spender, amount) {
+    const current = this.getAllowance(token, owner, spender);
+    if (current === ethers.constants.MaxUint256.toBigInt()) {
+      return;
+    }
+    if (current < amount) {
+      throw new SimulatedRevert('ERC20: insufficient allowance');
+    }
+    token.allowances[owner.toLowerCase()][spender.toLowerCase()] = current - amount;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Governor
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Get the governor's functions, by ABI name
+   * @returns {Object} - Handlers called with (ctx, governor, args), returning the function's output
+   */
+  governorFunctions() {
+    return {
+      name: (ctx, governor) => governor.name,
+      COUNTING_MODE: () => 'support=bravo&quorum=for,abstain',
+      BALLOT_TYPEHASH: () => ethers.utils.id('Ballot(uint256 proposalId,uint8 support)'),
+      votingDelay: (ctx, governor) => governor.votingDelay,
+      votingPeriod: (ctx, governor) => governor.votingPeriod,
+      quorum: (ctx, governor, args) => this.quorum(ctx, governor, args.blockNumber),
+      getVotes: (ctx, governor, args) => this.getPastVotes(ctx, this.state.contracts[governor.token], args.account, args.blockNumber),
+      hashProposal: (ctx, governor, args) => ethers.BigNumber.from(this.hashProposal(args.targets, args[1], args.calldatas, args.descriptionHash)),
+      state: (ctx, governor, args) => this.proposalState(ctx, governor, args.proposalId.toString()),
+      proposalSnapshot: (ctx, governor, args) => this.getProposal(governor, args.proposalId).voteStart,
+      proposalDeadline: (ctx, governor, args) => this.getProposal(governor, args.proposalId).voteEnd,
+      proposalVotes: (ctx, governor, args) => {
+        const proposal = this.getProposal(governor, args.proposalId);
+        return [proposal.againstVotes, proposal.forVotes, proposal.abstainVotes];
+      },
+
+      // Positional arguments: "values" clashes with Array.prototype.values on ethers results
+      propose: (ctx, governor, args) => this.propose(ctx, governor, args[0], args[1], args[2], args[3]),
+      execute: (ctx, governor, args) => this.execute(ctx, governor, args[0], args[1], args[2], args[3]),
+      cancel: (ctx, governor, args) => this.cancel(ctx, governor, args[0], args[1], args[2], args[3]),
+
+      castVote: (ctx, governor, args) => this.castVote(ctx, governor, args.proposalId, ctx.from, args.support, ''),
+      castVoteWithReason: (ctx, governor, args) => this.castVote(ctx, governor, args.proposalId, ctx.from, args.support, args.reason),
+      castVoteBySig: (ctx, governor, args) => {
+        const voter = this.recoverTypedData(
+          { name: governor.name, version: '1', chainId: this.chainId, verifyingContract: governor.address },
+          { Ballot: [{ name: 'proposalId', type: 'uint256' }, { name: 'support', type: 'uint8' }] },
+          { proposalId: args.proposalId, support: args.support },
+          { v: args.v, r: args.r, s: args.s }
+        );
+        return this.castVote(ctx, governor, args.proposalId, voter, args.support, '');
+      }
+    };
+  }
+
+  /**
+   * Compute a proposal ID, as the governor's hashProposal does
+   * @param {Array<string>} targets - Called addresses
+   * @param {Array} values - Wei sent with each call
+   * @param {Array<string>} calldatas - Calldata of each call
+   * @param {string} descriptionHash - keccak256 of the description
+   * @returns {string} - Proposal ID as a decimal string
+   */
+  hashProposal(targets, values, calldatas, descriptionHash) {
+    return ethers.BigNumber.from(ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+      ['address[]', 'uint256[]', 'bytes[]', 'bytes32'],
+      [targets, values, calldatas, descriptionHash]
+    ))).toString();
+  }
+
+  /**
+   * Get a proposal's stored data, empty for an unknown proposal
+   * @param {Object} governor - Governor state
+   * @param {ethers.BigNumber|string} proposalId - Proposal ID
+   * @returns {Object} - { proposer, voteStart, voteEnd, executed, canceled, tallies, voters }
+   */
+  getProposal(governor, proposalId) {
+    return governor.proposals[proposalId.toString()] || {
+      proposer: ZERO_ADDRESS,
+      voteStart: 0,
+      voteEnd: 0,
+      executed: false,
+      canceled: false,
+      againstVotes: 0n,
+      forVotes: 0n,
+      abstainVotes: 0n,
+      voters: {}
+    };
+  }
+
+  /**
+   * Get the quorum at a past block
+   * @param {Object} ctx - Call context
+   * @param {Object} governor - Governor state
+   * @param {ethers.BigNumber|number} blockNumber - Past block (a proposal's snapshot)
+   * @returns {bigint} - Votes needed for or abstaining
+   */
+  quorum(ctx, governor, blockNumber) {
+    const supply = this.getPastTotalSupply(ctx, this.state.contracts[governor.token], blockNumber);
+    return supply * BigInt(governor.quorumPercent) / 100n;
+  }
+
+  /**
+   * Get the state of a proposal, as Governor.state does
+   * @param {Object} ctx - Call context
+   * @param {Object} governor - Governor state
+   * @param {string} proposalId - Proposal ID
+   * @returns {number} - ProposalState
+   */
+  proposalState(ctx, governor, proposalId) {
+    const proposal = governor.proposals[proposalId];
+
+    if (proposal && proposal.executed) return STATE.Executed;
+    if (proposal && proposal.canceled) return STATE.Canceled;
+    if (!proposal) {
+      throw new SimulatedRevert('Governor: unknown proposal id');
+    }
+
+    if (proposal.voteStart >= ctx.blockNumber) return STATE.Pending;
+    if (proposal.voteEnd >= ctx.blockNumber) return STATE.Active;
+
+    const quorumReached = this.quorum(ctx, governor, proposal.voteStart) <= proposal.forVotes + proposal.abstainVotes;
+    const voteSucceeded = proposal.forVotes > proposal.againstVotes;
+    return quorumReached && voteSucceeded ? STATE.Succeeded : STATE.Defeated;
+  }
+
+  /**
+   * Create a proposal
+   * @param {Object} ctx - Call context
+   * @param {Object} governor - Governor state
+   * @param {Array<string>} targets - Called addresses
+   * @param {Array<ethers.BigNumber>} values - Wei sent with each call
+   * @param {Array<string>} calldatas - Calldata of each call
+   * @param {string} description - Proposal description
+   * @returns {ethers.BigNumber} - Proposal ID
+   */
+  propose(ctx, governor, targets, values, calldatas, description) {
+    const token = this.state.contracts[governor.token];
+    if (this.getPastVotes(ctx, token, ctx.from, ctx.blockNumber - 1) < governor.proposalThreshold) {
+      throw new SimulatedRevert('Governor: proposer votes below proposal threshold');
+    }
+
+    const proposalId = this.hashProposal(targets, values, calldatas, ethers.utils.id(description));
+
+    if (targets.length !== values.length || targets.length !== calldatas.length) {
+      throw new SimulatedRevert('Governor: invalid proposal length');
+    }
+    if (targets.length === 0) {
+      throw new SimulatedRevert('Governor: empty proposal');
+    }
+    if (governor.proposals[proposalId]) {
+      throw new SimulatedRevert('Governor: proposal already exists');
+    }
+
+    const voteStart = ctx.blockNumber + governor.votingDelay;
+    const voteEnd = voteStart + governor.votingPeriod;
+
+    governor.proposals[proposalId] = {
+      ...this.getProposal(governor, proposalId),
+      proposer: ctx.from,
+      voteStart,
+      voteEnd
+    };
+
+    this.emit(ctx, governor, 'ProposalCreated', [
+      proposalId, ctx.from, targets, values, targets.map(() => ''), calldatas, voteStart, voteEnd, description
+    ]);
+
+    return ethers.BigNumber.from(proposalId);
+  }
+
+  /**
+   * Count a vote
+   * @param {Object} ctx - Call context
+   * @param {Object} governor - Governor state
+   * @param {ethers.BigNumber} proposalId - Proposal ID
+   * @param {string} voter - Voter address
+   * @param {number} support - 0: against, 1: for, 2: abstain
+   * @param {string} reason - Vote reason, may be empty
+   * @returns {bigint} - Weight of the vote
+   */
+  castVote(ctx, governor, proposalId, voter, support, reason) {
+    const id = proposalId.toString();
+    if (this.proposalState(ctx, governor, id) !== STATE.Active) {
+      throw new SimulatedRevert('Governor: vote not currently active');
+    }
+
+    const proposal = governor.proposals[id];
+    const weight = this.getPastVotes(ctx, this.state.contracts[governor.token], voter, proposal.voteStart);
+
+    if (proposal.voters[voter.toLowerCase()]) {
+      throw new SimulatedRevert('GovernorVotingSimple: vote already cast');
+    }
+
+    const tally = ['againstVotes', 'forVotes', 'abstainVotes'][support];
+    if (!tally) {
+      throw new SimulatedRevert('GovernorVotingSimple: invalid value for enum VoteType');
+    }
+
+    proposal.voters[voter.toLowerCase()] = true;
+    proposal[tally] += weight;
+
+    this.emit(ctx, governor, 'VoteCast', [voter, id, support, weight, reason]);
+    return weight;
+  }
+
+  /**
+   * Execute a successful proposal's calls, from the governor
+   * @param {Object} ctx - Call context
+   * @param {Object} governor - Governor state
+   * @param {Array<string>} targets - Called addresses
+   * @param {Array<ethers.BigNumber>} values - Wei sent with each call
+   * @param {Array<string>} calldatas - Calldata of each call
+   * @param {string} descriptionHash - keccak256 of the description
+   * @returns {ethers.BigNumber} - Proposal ID
+   */
+  execute(ctx, governor, targets, values, calldatas, descriptionHash) {
+    const proposalId = this.hashProposal(targets, values, calldatas, descriptionHash);
+    const state = this.proposalState(ctx, governor, proposalId);
+
+    if (state !== STATE.Succeeded && state !== STATE.Queued) {
+      throw new SimulatedRevert('Governor: proposal not successful');
+    }
+
+    governor.proposals[proposalId].executed = true;
+    this.emit(ctx, governor, 'ProposalExecuted', [proposalId]);
+
+    // Calls run with the governor as sender; a revert reverts the whole execution
+    const governorCtx = { ...ctx, from: governor.address.toLowerCase() };
+    targets.forEach((target, index) => {
+      try {
+        this.dispatch(governorCtx, target, calldatas[index]);
+      } catch (error) {
+        throw error instanceof SimulatedRevert && error.reason
+          ? error
+          : new SimulatedRevert('Governor: call reverted without message');
+      }
+    });
+
+    return ethers.BigNumber.from(proposalId);
+  }
+
+  /**
+   * Cancel a proposal before voting starts, as its proposer
+   * @param {Object} ctx - Call context
+   * @param {Object} governor - Governor state
+   * @param {Array<string>} targets - Called addresses
+   * @param {Array<ethers.BigNumber>} values - Wei sent with each call
+   * @param {Array<string>} calldatas - Calldata of each call
+   * @param {string} descriptionHash - keccak256 of the description
+   * @returns {ethers.BigNumber} - Proposal ID
+   */
+  cancel(ctx, governor, targets, values, calldatas, descriptionHash) {
+    const proposalId = this.hashProposal(targets, values, calldatas, descriptionHash);
+
+    if (this.proposalState(ctx, governor, proposalId) !== STATE.Pending) {
+      throw new SimulatedRevert('Governor: too late to cancel');
+    }
+    if (ctx.from !== governor.proposals[proposalId].proposer) {
+      throw new SimulatedRevert('Governor: only proposer can cancel');
+    }
+
+    governor.proposals[proposalId].canceled = true;
+    this.emit(ctx, governor, 'ProposalCanceled', [proposalId]);
+
+    return ethers.BigNumber.from(proposalId);
+  }
+}
+
+module.exports = GovernanceSimulator;
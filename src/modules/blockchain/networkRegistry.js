@@ -0,0 +1,198 @@
+/**
+ * Networks the bot knows how to link to and read from
+ *
+ * Holds each network's chain ID, native currency, block explorers, average
+ * block time and Multicall3 address, keyed by the name used in
+ * BLOCKCHAIN_NETWORK. The configured network is checked against the chain ID
+ * the RPC endpoint reports, so explorer links and signatures can't silently
+ * point at another chain.
+ */
+
+// Multicall3 has the same address on every network below
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const NETWORKS = {
+  mainnet: {
+    chainId: 1,
+    name: 'Ethereum',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    explorerUrls: ['https://etherscan.io'],
+    blockTimeSeconds: 12,
+    multicallAddress: MULTICALL3_ADDRESS
+  },
+  sepolia: {
+    chainId: 11155111,
+    name: 'Sepolia',
+    nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 },
+    explorerUrls: ['https://sepolia.etherscan.io'],
+    blockTimeSeconds: 12,
+    multicallAddress: MULTICALL3_ADDRESS
+  },
+  goerli: {
+    chainId: 5,
+    name: 'Goerli',
+    nativeCurrency: { name: 'Goerli Ether', symbol: 'ETH', decimals: 18 },
+    explorerUrls: ['https://goerli.etherscan.io'],
+    blockTimeSeconds: 12,
+    multicallAddress: MULTICALL3_ADDRESS
+  },
+  optimism: {
+    chainId: 10,
+    name: 'OP Mainnet',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    explorerUrls: ['https://optimistic.etherscan.io'],
+    blockTimeSeconds: 2,
+    multicallAddress: MULTICALL3_ADDRESS
+  },
+  arbitrum: {
+    chainId: 42161,
+    name: 'Arbitrum One',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    explorerUrls: ['https://arbiscan.io'],
+    blockTimeSeconds: 0.25,
+    multicallAddress: MULTICALL3_ADDRESS
+  },
+  polygon: {
+    chainId: 137,
+    name: 'Polygon',
+    nativeCurrency: { name: 'POL', symbol: 'POL', decimals: 18 },
+    explorerUrls: ['https://polygonscan.com'],
+    blockTimeSeconds: 2,
+    multicallAddress: MULTICALL3_ADDRESS
+  },
+  bsc: {
+    chainId: 56,
+    name: 'BNB Smart Chain',
+    nativeCurrency: { name: 'BNB', symbol: 'BNB', decimals: 18 },
+    explorerUrls: ['https://bscscan.com'],
+    blockTimeSeconds: 3,
+    multicallAddress: MULTICALL3_ADDRESS
+  },
+  avalanche: {
+    chainId: 43114,
+    name: 'Avalanche C-Chain',
+    nativeCurrency: { name: 'Avalanche', symbol: 'AVAX', decimals: 18 },
+    explorerUrls: ['https://snowtrace.io'],
+    blockTimeSeconds: 2,
+    multicallAddress: MULTICALL3_ADDRESS
+  },
+  mantle: {
+    chainId: 5000,
+    name: 'Mantle',
+    nativeCurrency: { name: 'Mantle', symbol: 'MNT', decimals: 18 },
+    explorerUrls: ['https://explorer.mantle.xyz', 'https://mantlescan.xyz'],
+    blockTimeSeconds: 2,
+    multicallAddress: MULTICALL3_ADDRESS
+  },
+  'mantle-sepolia': {
+    chainId: 5003,
+    name: 'Mantle Sepolia',
+    nativeCurrency: { name: 'Mantle', symbol: 'MNT', decimals: 18 },
+    explorerUrls: ['https://explorer.sepolia.mantle.xyz', 'https://sepolia.mantlescan.xyz'],
+    blockTimeSeconds: 2,
+    multicallAddress: MULTICALL3_ADDRESS
+  },
+  // Hardhat, Anvil and the offline governance simulator
+  local: {
+    chainId: 31337,
+    name: 'Local development chain',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    explorerUrls: [],
+    blockTimeSeconds: 1,
+    multicallAddress: null
+  }
+};
+
+// Other names BLOCKCHAIN_NETWORK has been set to
+const ALIASES = {
+  ethereum: 'mainnet',
+  homestead: 'mainnet',
+  mantletestnet: 'mantle-sepolia',
+  mantlesepolia: 'mantle-sepolia',
+  hardhat: 'local',
+  anvil: 'local',
+  localhost: 'local'
+};
+
+class NetworkRegistry {
+  /**
+   * Get a network by the name used in BLOCKCHAIN_NETWORK
+   * @param {string} key - Network key (e.g., 'sepolia', 'mantle'), case-insensitive
+   * @returns {Object|null} - Network, or null if it isn't known
+   */
+  static get(key) {
+    if (!key) {
+      return null;
+    }
+
+    const normalized = String(key).trim().toLowerCase();
+    const resolved = ALIASES[normalized] || normalized;
+    return NETWORKS[resolved] ? { key: resolved, ...NETWORKS[resolved] } : null;
+  }
+
+  /**
+   * Get a network by chain ID
+   * @param {number} chainId - Chain ID
+   * @returns {Object|null} - Network, or null if it isn't known
+   */
+  static getByChainId(chainId) {
+    const key = Object.keys(NETWORKS).find(name => NETWORKS[name].chainId === Number(chainId));
+    return key ? NetworkRegistry.get(key) : null;
+  }
+
+  /**
+   * Get every known network
+   * @returns {Array<Object>} - Networks
+   */
+  static getAll() {
+    return Object.keys(NETWORKS).map(key => NetworkRegistry.get(key));
+  }
+
+  /**
+   * Build a block explorer link
+   * @param {Object|null} network - Network, as returned by get
+   * @param {string} hash - Address or transaction hash
+   * @param {string} [type] - 'address' or 'tx'
+   * @returns {string} - Explorer URL, or an empty string if the network has no known explorer
+   */
+  static getExplorerUrl(network, hash, type = 'address') {
+    if (!network || !network.explorerUrls || network.explorerUrls.length === 0) {
+      return '';
+    }
+    return `${network.explorerUrls[0]}/${type}/${hash}`;
+  }
+
+  /**
+   * Check the configured network against the chain the RPC endpoint is on
+   * @param {ethers.providers.Provider} provider - Provider connected to the RPC endpoint
+   * @param {string} [key] - Configured network key (BLOCKCHAIN_NETWORK); when empty the network is detected
+   * @returns {Promise<Object|null>} - Network the endpoint is on, or null if the chain isn't known
+   * @throws {Error} - If the endpoint is on a different chain than the configured network
+   */
+  static async verify(provider, key) {
+    const { chainId } = await provider.getNetwork();
+    const detected = NetworkRegistry.getByChainId(chainId);
+
+    if (!key) {
+      console.log(`BLOCKCHAIN_NETWORK is not set, detected ${detected ? detected.name : 'an unknown network'} (chain ID ${chainId})`);
+      return detected;
+    }
+
+    const configured = NetworkRegistry.get(key);
+    if (!configured) {
+      console.warn(`Unknown BLOCKCHAIN_NETWORK "${key}", using ${detected ? detected.name : 'no block explorer'} for chain ID ${chainId}`);
+      return detected;
+    }
+
+    if (configured.chainId !== chainId) {
+      throw new Error(
+        `BLOCKCHAIN_NETWORK is ${configured.key} (chain ID ${configured.chainId}), but the RPC endpoint is on chain ID ${chainId}` +
+        (detected ? ` (${detected.key})` : '')
+      );
+    }
+
+    return configured;
+  }
+}
+
+module.exports = NetworkRegistry;
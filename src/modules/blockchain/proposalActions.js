@@ -0,0 +1,366 @@
+const { ethers } = require('ethers');
+
+/**
+ * Helpers for building the executable actions of a governance proposal.
+ * Each action is a call the governor makes when the proposal is executed:
+ * { target, value (wei), signature, args, calldata }
+ */
+
+// Maximum number of actions in one proposal
+const MAX_ACTIONS = parseInt(process.env.PROPOSAL_MAX_ACTIONS || '10', 10);
+
+// Words accepted instead of a function signature for a plain ETH transfer
+const NO_FUNCTION = ['none', '-', ''];
+
+// ERC20 transfer, used by the treasury transfer template
+const ERC20_TRANSFER = 'transfer(address to, uint256 amount)';
+
+/**
+ * Parse the target contract of an action
+ * @param {string} input - Address entered by the user
+ * @returns {string} - Checksummed address
+ */
+function parseTarget(input) {
+  const value = (input || '').trim();
+
+  if (!ethers.utils.isAddress(value)) {
+    throw new Error(`"${value}" is not a valid address. Please send a 0x... contract address.`);
+  }
+
+  return ethers.utils.getAddress(value);
+}
+
+/**
+ * Parse the ETH value sent with an action
+ * @param {string} input - Amount in ETH, e.g. "0" or "0.5"
+ * @returns {string} - Amount in wei
+ */
+function parseValue(input) {
+  const value = (input || '').trim().replace(/\s*eth$/i, '');
+
+  try {
+    const wei = ethers.utils.parseEther(value);
+    if (wei.isNegative()) {
+      throw new Error('negative value');
+    }
+    return wei.toString();
+  } catch (error) {
+    throw new Error(`"${input}" is not a valid ETH amount. Please send a number such as 0 or 0.5.`);
+  }
+}
+
+/**
+ * Parse a function signature such as transfer(address,uint256)
+ * @param {string} input - Signature entered by the user
+ * @returns {ethers.utils.FunctionFragment|null} - Function fragment, or null for a plain ETH transfer
+ */
+function parseFunction(input) {
+  const value = (input || '').trim().replace(/^function\s+/, '');
+
+  if (NO_FUNCTION.includes(value.toLowerCase())) {
+    return null;
+  }
+
+  try {
+    return ethers.utils.Fragment.from(`function ${value}`);
+  } catch (error) {
+    throw new Error(`"${value}" is not a valid function signature. Use the form transfer(address,uint256).`);
+  }
+}
+
+/**
+ * Get the signature stored with an action, keeping parameter names for the preview
+ * @param {ethers.utils.FunctionFragment} fragment - Function being called
+ * @returns {string} - e.g. "transfer(address to, uint256 amount)"
+ */
+function signatureOf(fragment) {
+  return fragment.format('full').replace(/^function\s+/, '');
+}
+
+/**
+ * Split comma-separated arguments, keeping commas inside brackets and quotes
+ * @param {string} input - Arguments entered by the user
+ * @returns {Array<string>} - Trimmed arguments
+ */
+function splitArguments(input) {
+  const args = [];
+  let current = '';
+  let depth = 0;
+  let quote = null;
+
+  for (const char of input) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '(') {
+      depth++;
+    } else if (char === ']' || char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      args.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  args.push(current.trim());
+
+  return args;
+}
+
+/**
+ * Remove one pair of matching quotes around an argument, e.g. "hello, world"
+ * @param {string} arg - Trimmed argument
+ * @returns {string} - Argument without its surrounding quotes
+ */
+function unquote(arg) {
+  if (arg.length >= 2 && (arg[0] === '"' || arg[0] === "'") && arg[arg.length - 1] === arg[0]) {
+    return arg.slice(1, -1);
+  }
+  return arg;
+}
+
+/**
+ * Read input as a JSON array holding every argument of a function
+ * @param {ethers.utils.FunctionFragment} fragment - Function being called
+ * @param {string} value - Trimmed arguments entered by the user
+ * @returns {Array|null} - Arguments, or null if the input isn't the whole argument list
+ *   (e.g. the JSON array is the value of an array argument, or the first of several arguments)
+ */
+function parseArgumentList(fragment, value) {
+  let list;
+  try {
+    list = JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+
+  if (!Array.isArray(list) || list.length !== fragment.inputs.length) {
+    return null;
+  }
+
+  // A lone array or tuple argument takes the JSON array as its value when it can
+  if (fragment.inputs.length === 1 && ['array', 'tuple'].includes(fragment.inputs[0].baseType)) {
+    try {
+      ethers.utils.defaultAbiCoder.encode([fragment.inputs[0]], [list]);
+      return null;
+    } catch (error) {
+      // Not a value of that type, so it's the argument list
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Parse the arguments for a function, given either as a JSON array or separated by commas
+ * @param {ethers.utils.FunctionFragment} fragment - Function being called
+ * @param {string} input - Arguments entered by the user
+ * @returns {Array} - Arguments ready to be ABI-encoded
+ */
+function parseArguments(fragment, input) {
+  const value = (input || '').trim();
+  let args = value.startsWith('[') ? parseArgumentList(fragment, value) : null;
+  const asText = !args;
+
+  if (asText) {
+    if (fragment.inputs.length === 0) {
+      args = [];
+    } else if (fragment.inputs.length === 1) {
+      // A single argument may itself contain commas (e.g. a string)
+      args = [value];
+    } else {
+      args = splitArguments(value);
+    }
+  }
+
+  if (args.length !== fragment.inputs.length) {
+    throw new Error(`${fragment.format()} takes ${fragment.inputs.length} argument(s) but ${args.length} were given. Separate them with commas, or send a JSON array.`);
+  }
+
+  return args.map((rawArg, index) => {
+    const param = fragment.inputs[index];
+
+    // Quotes in text only keep commas together; they aren't part of the value
+    const arg = asText ? unquote(rawArg) : rawArg;
+
+    // Arrays and tuples given as text must be JSON
+    if (typeof arg === 'string' && (param.baseType === 'array' || param.baseType === 'tuple')) {
+      try {
+        return JSON.parse(arg);
+      } catch (error) {
+        throw new Error(`Argument ${index + 1} (${param.type}) must be written as JSON, e.g. ["a","b"].`);
+      }
+    }
+
+    if (typeof arg === 'string' && param.type === 'bool') {
+      if (!['true', 'false'].includes(arg.toLowerCase())) {
+        throw new Error(`Argument ${index + 1} (bool) must be true or false.`);
+      }
+      return arg.toLowerCase() === 'true';
+    }
+
+    return arg;
+  });
+}
+
+/**
+ * Build an action and ABI-encode its calldata
+ * @param {Object} action - Action details
+ * @param {string} action.target - Checksummed target address
+ * @param {string} action.value - ETH value in wei
+ * @param {ethers.utils.FunctionFragment|null} action.fragment - Function to call, or null for a plain ETH transfer
+ * @param {Array} [action.args] - Function arguments
+ * @returns {Object} - Action with target, value, signature, args and calldata
+ */
+function buildAction({ target, value, fragment, args = [] }) {
+  if (!fragment) {
+    return { target, value, signature: null, args: [], calldata: '0x' };
+  }
+
+  try {
+    const iface = new ethers.utils.Interface([fragment]);
+    const calldata = iface.encodeFunctionData(fragment, args);
+    const signature = signatureOf(fragment);
+
+    return {
+      target,
+      value,
+      signature,
+      args: decodeAction({ signature, calldata }).map(arg => arg.value),
+      calldata
+    };
+  } catch (error) {
+    throw new Error(`Couldn't encode ${fragment.format()}: ${error.reason || error.message}`);
+  }
+}
+
+/**
+ * Build an ERC20 transfer action
+ * @param {string} tokenAddress - Token contract
+ * @param {string} recipient - Address receiving the tokens
+ * @param {string} amount - Amount in the token's smallest unit
+ * @returns {Object} - Action calling transfer(recipient, amount) on the token
+ */
+function buildTokenTransfer(tokenAddress, recipient, amount) {
+  return buildAction({
+    target: parseTarget(tokenAddress),
+    value: '0',
+    fragment: parseFunction(ERC20_TRANSFER),
+    args: [parseTarget(recipient), amount]
+  });
+}
+
+/**
+ * Format a decoded ABI value for display
+ * @param {*} value - Decoded value
+ * @returns {*} - Strings for numbers, nested arrays for arrays and tuples
+ */
+function formatDecodedValue(value) {
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatDecodedValue);
+  }
+  return value;
+}
+
+/**
+ * Decode an action's calldata back into named arguments
+ * @param {Object} action - Action with signature and calldata
+ * @returns {Array<Object>} - Arguments as { name, type, value }
+ */
+function decodeAction(action) {
+  if (!action.signature) {
+    return [];
+  }
+
+  const fragment = ethers.utils.Fragment.from(`function ${action.signature}`);
+  const iface = new ethers.utils.Interface([fragment]);
+  const decoded = iface.decodeFunctionData(fragment, action.calldata);
+
+  return fragment.inputs.map((param, index) => ({
+    name: param.name,
+    type: param.type,
+    value: formatDecodedValue(decoded[index])
+  }));
+}
+
+/**
+ * Describe an action as plain text, decoding its calldata so the preview
+ * shows exactly what will be executed
+ * @param {Object} action - Action to describe
+ * @param {number} index - Zero-based position of the action
+ * @returns {string} - Human-readable description
+ */
+function formatAction(action, index) {
+  const lines = [`${index + 1}. ${action.signature || 'Send ETH'} on ${action.target}`];
+
+  if (action.value && action.value !== '0') {
+    lines.push(`   Value: ${ethers.utils.formatEther(action.value)} ETH`);
+  }
+
+  decodeAction(action).forEach((arg, argIndex) => {
+    let text = typeof arg.value === 'string' ? arg.value : JSON.stringify(arg.value);
+    if (text.length > 80) {
+      text = `${text.substring(0, 77)}...`;
+    }
+    lines.push(`   ${arg.name || `arg${argIndex + 1}`} (${arg.type}): ${text}`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Describe the pre-flight simulation of a proposal's actions
+ * @param {Object|null} simulation - Result of BlockchainManager.simulateProposalActions
+ * @param {Array<Object>} actions - The simulated actions
+ * @returns {string} - Warning listing the actions that would revert, the gas estimate if none do,
+ *   or an empty string if there was no simulation
+ */
+function formatSimulation(simulation, actions) {
+  if (!simulation) {
+    return '';
+  }
+
+  if (simulation.success) {
+    return `✅ Simulated against the current chain state: the actions succeed (about ${simulation.gasEstimate} gas).`;
+  }
+
+  const failures = simulation.failures.map(failure => {
+    const action = actions[failure.index];
+    return `Action ${failure.index + 1} (${action.signature || 'Send ETH'} on ${action.target}): ${failure.reason}`;
+  });
+
+  return `⚠️ This proposal would revert at execution:\n${failures.join('\n')}\n\n` +
+    'The simulation uses the current chain state. Fix the actions, or make sure that state changes before the proposal is executed.';
+}
+
+/**
+ * Split actions into the governor's propose() arrays
+ * @param {Array<Object>} actions - Proposal actions
+ * @returns {Object} - { targets, values, calldatas }
+ */
+function toProposalCalls(actions) {
+  return {
+    targets: actions.map(action => action.target),
+    values: actions.map(action => action.value),
+    calldatas: actions.map(action => action.calldata)
+  };
+}
+
+module.exports = {
+  MAX_ACTIONS,
+  parseTarget,
+  parseValue,
+  parseFunction,
+  parseArguments,
+  buildAction,
+  buildTokenTransfer,
+  decodeAction,
+  formatAction,
+  formatSimulation,
+  toProposalCalls
+};
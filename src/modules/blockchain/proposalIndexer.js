@@ -0,0 +1,225 @@
+/**
+ * Persistent index of the governor's proposal history
+ *
+ * Pages through the governor's logs from its deployment block in chunks and
+ * records ProposalCreated, VoteCast, ProposalExecuted and ProposalCanceled
+ * events in SQLite, together with the last indexed block. Each sync picks up
+ * from that checkpoint, re-scanning a safety window of recent blocks so that
+ * events dropped or moved by a reorg are replaced.
+ */
+
+// Events recorded in the index
+const INDEXED_EVENTS = ['ProposalCreated', 'VoteCast', 'ProposalExecuted', 'ProposalCanceled'];
+
+class ProposalIndexer {
+  /**
+   * Create ProposalIndexer instance
+   * @param {ethers.Contract} governorContract - Governor contract
+   * @param {ethers.providers.Provider} provider - Provider used to read logs
+   * @param {Object} databaseService - DatabaseService holding the index
+   * @param {Object} [options] - Indexer settings, defaulting to the PROPOSAL_INDEX_* environment variables
+   * @param {number} [options.startBlock] - Block the governor was deployed in
+   * @param {number} [options.chunkSize] - Blocks per log query
+   * @param {number} [options.reorgWindow] - Recent blocks re-scanned on every sync
+   */
+  constructor(governorContract, provider, databaseService, options = {}) {
+    this.governor = governorContract;
+    this.provider = provider;
+    this.db = databaseService;
+    this.governorAddress = governorContract.address.toLowerCase();
+
+    this.startBlock = options.startBlock !== undefined
+      ? options.startBlock
+      : parseInt(process.env.GOVERNOR_DEPLOYMENT_BLOCK || '0');
+    this.chunkSize = options.chunkSize || parseInt(process.env.PROPOSAL_INDEX_CHUNK_SIZE || '5000');
+    this.reorgWindow = options.reorgWindow !== undefined
+      ? options.reorgWindow
+      : parseInt(process.env.PROPOSAL_INDEX_REORG_WINDOW || '20');
+
+    this.topics = INDEXED_EVENTS.map(name => this.governor.interface.getEventTopic(name));
+
+    // Only one sync runs at a time; concurrent callers share it
+    this.syncing = null;
+
+    if (this.startBlock === 0) {
+      console.warn('GOVERNOR_DEPLOYMENT_BLOCK is not set, the proposal index will be built from block 0');
+    }
+  }
+
+  /**
+   * Bring the index up to the latest block
+   * @returns {Promise<number>} - Last indexed block
+   */
+  async sync() {
+    if (!this.syncing) {
+      this.syncing = this.runSync().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  /**
+   * Index every block since the checkpoint, chunk by chunk
+   * @returns {Promise<number>} - Last indexed block
+   */
+  async runSync() {
+    const latestBlock = await this.provider.getBlockNumber();
+    const checkpoint = await this.db.getIndexCheckpoint(this.governorAddress);
+
+    // Re-scan the safety window below the checkpoint (or below the chain head, if the chain got shorter)
+    let fromBlock = this.startBlock;
+    if (checkpoint !== null) {
+      const resumeFrom = Math.min(checkpoint, latestBlock) - this.reorgWindow + 1;
+      fromBlock = Math.max(this.startBlock, resumeFrom);
+    }
+
+    if (checkpoint === null || latestBlock - fromBlock > this.chunkSize) {
+      console.log(`Indexing governor events from block ${fromBlock} to ${latestBlock}...`);
+    }
+
+    while (fromBlock <= latestBlock) {
+      const toBlock = Math.min(fromBlock + this.chunkSize - 1, latestBlock);
+      const logs = await this.getLogs(fromBlock, toBlock);
+      const events = await this.parseLogs(logs);
+
+      // Events and checkpoint are saved together, so an interrupted sync resumes from the last saved chunk
+      await this.db.saveIndexedEvents(this.governorAddress, fromBlock, toBlock, events);
+      fromBlock = toBlock + 1;
+    }
+
+    return latestBlock;
+  }
+
+  /**
+   * Get the governor's indexed events in a block range, splitting the range if the node refuses it
+   * @param {number} fromBlock - First block
+   * @param {number} toBlock - Last block
+   * @returns {Promise<Array<Object>>} - Raw logs
+   */
+  async getLogs(fromBlock, toBlock) {
+    try {
+      return await this.provider.getLogs({
+        address: this.governor.address,
+        topics: [this.topics],
+        fromBlock,
+        toBlock
+      });
+    } catch (error) {
+      if (toBlock <= fromBlock) {
+        throw error;
+      }
+
+      // Many RPC providers limit the block range or number of results per query
+      const middle = Math.floor((fromBlock + toBlock) / 2);
+      console.warn(`Log query for blocks ${fromBlock}-${toBlock} failed, splitting it: ${error.message}`);
+      return [
+        ...await this.getLogs(fromBlock, middle),
+        ...await this.getLogs(middle + 1, toBlock)
+      ];
+    }
+  }
+
+  /**
+   * Decode logs into the records stored in the index
+   * @param {Array<Object>} logs - Raw governor logs
+   * @returns {Promise<Object>} - { proposals, votes, outcomes }
+   */
+  async parseLogs(logs) {
+    const events = { proposals: [], votes: [], outcomes: [] };
+    const timestamps = await this.getBlockTimestamps(logs);
+
+    logs.forEach(log => {
+      let parsed;
+      try {
+        parsed = this.governor.interface.parseLog(log);
+      } catch (error) {
+        console.warn(`Skipping governor log that doesn't match the ABI in tx ${log.transactionHash}`);
+        return;
+      }
+
+      const base = {
+        proposalId: parsed.args.proposalId.toString(),
+        blockNumber: log.blockNumber,
+        timestamp: timestamps[log.blockNumber],
+        txHash: log.transactionHash,
+        logIndex: log.logIndex
+      };
+
+      if (parsed.name === 'ProposalCreated') {
+        // Positional args: "values" clashes with Array.prototype.values on ethers results
+        events.proposals.push({
+          ...base,
+          proposer: parsed.args.proposer,
+          targets: parsed.args[2],
+          values: parsed.args[3].map(v => v.toString()),
+          signatures: parsed.args[4],
+          calldatas: parsed.args[5],
+          startBlock: parsed.args.startBlock.toString(),
+          endBlock: parsed.args.endBlock.toString(),
+          description: parsed.args.description
+        });
+      } else if (parsed.name === 'VoteCast') {
+        events.votes.push({
+          ...base,
+          voter: parsed.args.voter,
+          support: Number(parsed.args.support),
+          weight: parsed.args.weight.toString(),
+          reason: parsed.args.reason || null
+        });
+      } else {
+        events.outcomes.push({
+          ...base,
+          outcome: parsed.name === 'ProposalExecuted' ? 'executed' : 'canceled'
+        });
+      }
+    });
+
+    return events;
+  }
+
+  /**
+   * Get the timestamps of the blocks the logs are in
+   * @param {Array<Object>} logs - Raw logs
+   * @returns {Promise<Object>} - Unix timestamps by block number
+   */
+  async getBlockTimestamps(logs) {
+    const timestamps = {};
+    const blockNumbers = [...new Set(logs.map(log => log.blockNumber))];
+
+    for (const blockNumber of blockNumbers) {
+      const block = await this.provider.getBlock(blockNumber);
+      timestamps[blockNumber] = block ? block.timestamp : null;
+    }
+
+    return timestamps;
+  }
+
+  /**
+   * Get every indexed proposal
+   * @returns {Promise<Array<Object>>} - Proposal records, newest first
+   */
+  async getProposals() {
+    return this.db.getIndexedProposals(this.governorAddress);
+  }
+
+  /**
+   * Get one indexed proposal
+   * @param {string} proposalId - ID of the proposal
+   * @returns {Promise<Object|null>} - Proposal record, or null if it isn't indexed
+   */
+  async getProposal(proposalId) {
+    return this.db.getIndexedProposal(this.governorAddress, proposalId.toString());
+  }
+
+  /**
+   * Get the indexed votes cast by an address
+   * @param {string} voterAddress - Address of the voter
+   * @returns {Promise<Array<Object>>} - Vote records, oldest first
+   */
+  async getVotesCastBy(voterAddress) {
+    return this.db.getIndexedVotesByVoter(this.governorAddress, voterAddress);
+  }
+}
+
+module.exports = ProposalIndexer;
@@ -1,3 +1,5 @@
+const { formatTimeRemaining } = require('../../utils/helpers');
+
 /**
  * Service for monitoring proposal states and triggering actions when they change
  */
@@ -8,12 +10,14 @@ class ProposalMonitor {
    * @param {Object} databaseService - DatabaseService instance
    * @param {Object} telegramBot - TelegramBot instance
    * @param {string} communityGroupId - Telegram ID of the community group
+   * @param {string} [daoId] - ID of the DAO whose proposals are monitored
    */
-  constructor(blockchainManager, databaseService, telegramBot, communityGroupId) {
+  constructor(blockchainManager, databaseService, telegramBot, communityGroupId, daoId = 'default') {
     this.blockchain = blockchainManager;
     this.db = databaseService;
     this.bot = telegramBot;
     this.communityGroupId = communityGroupId;
+    this.daoId = daoId;
     this.isMonitoring = false;
     this.monitorInterval = null;
   }
@@ -28,7 +32,7 @@ class ProposalMonitor {
       return;
     }
     
-    console.log(`Starting proposal monitor with interval ${intervalMs}ms`);
+    console.log(`Starting proposal monitor for DAO "${this.daoId}" with interval ${intervalMs}ms`);
     this.isMonitoring = true;
     
     // Immediately run a check
@@ -114,7 +118,7 @@ class ProposalMonitor {
       
       // Update proposal in cache regardless of state change
       try {
-        await this.db.updateProposalCache(proposal);
+        await this.db.updateProposalCache(this.daoId, proposal);
       } catch (updateError) {
         console.error(`Error updating proposal cache:`, updateError);
         console.log(`Failed to update cache for proposal ${proposal.id}`);
@@ -129,6 +133,17 @@ class ProposalMonitor {
           console.error(`Error notifying about state change:`, notifyError);
         }
       }
+      
+      // Queued proposals become executable once the timelock delay has passed
+      if (this.isExecutable(proposal)) {
+        try {
+          if (await this.db.markProposalNotified(proposal.id, 'executable')) {
+            await this.notifyProposalExecutable(proposal);
+          }
+        } catch (notifyError) {
+          console.error(`Error notifying that proposal is executable:`, notifyError);
+        }
+      }
     } catch (error) {
       console.error(`Error in checkProposalStateChange for ${proposal?.id || 'unknown'}:`, error);
     }
@@ -143,8 +158,10 @@ class ProposalMonitor {
   isSignificantStateChange(oldState, newState) {
     // These state transitions are significant
     const significantTransitions = {
-      'Active': ['Succeeded', 'Defeated', 'Expired'],
-      'Succeeded': ['Executed', 'Expired'],
+      'Pending': ['Canceled'],
+      'Active': ['Succeeded', 'Defeated', 'Expired', 'Canceled'],
+      'Succeeded': ['Queued', 'Executed', 'Expired', 'Canceled'],
+      'Queued': ['Executed', 'Expired', 'Canceled'],
       null: ['Active'] // New proposal becoming active
     };
     
@@ -153,6 +170,17 @@ class ProposalMonitor {
            significantTransitions[oldState].includes(newState);
   }
   
+  /**
+   * Determine if a queued proposal has waited out its timelock delay
+   * @param {Object} proposal - Current proposal data
+   * @returns {boolean} - True if the proposal can now be executed
+   */
+  isExecutable(proposal) {
+    return proposal.state === 'Queued' &&
+           Boolean(proposal.eta) &&
+           proposal.eta <= Math.floor(Date.now() / 1000);
+  }
+  
   /**
    * Format text safely for Telegram markdown
    * @param {string} text - The text to format
@@ -210,8 +238,10 @@ class ProposalMonitor {
    * Notify community about a proposal state change
    * @param {Object} proposal - Current proposal data
    * @param {string} oldState - Previous proposal state
+   * @param {Object} [details] - Extra context for the message
+   * @param {string} [details.canceledBy] - Who cancelled the proposal through the bot
    */
-  async notifyProposalStateChange(proposal, oldState) {
+  async notifyProposalStateChange(proposal, oldState, details = {}) {
     if (!this.communityGroupId || !this.bot) {
       console.log('Cannot notify: missing community group ID or bot');
       return;
@@ -229,7 +259,14 @@ class ProposalMonitor {
       switch (proposal.state) {
         case 'Succeeded':
           emoji = '✅';
-          message = `*Proposal Approved!*\n\n*${safeTitle}* (ID: ${shortId}) has passed!\n\n*Final Votes:*\n✅ For: ${proposal.votes.forVotes}\n❌ Against: ${proposal.votes.againstVotes}\n⚪ Abstain: ${proposal.votes.abstainVotes}\n\nThe proposal is now ready to be executed by a DAO admin.`;
+          message = `*Proposal Approved!*\n\n*${safeTitle}* (ID: ${shortId}) has passed!\n\n*Final Votes:*\n✅ For: ${proposal.votes.forVotes}\n❌ Against: ${proposal.votes.againstVotes}\n⚪ Abstain: ${proposal.votes.abstainVotes}\n\n${this.blockchain.isTimelocked() ? 'The proposal is now ready to be queued in the timelock by a DAO admin (/queue).' : 'The proposal is now ready to be executed by a DAO admin.'}`;
+          break;
+          
+        case 'Queued':
+          emoji = '⏳';
+          message = proposal.eta
+            ? `*Proposal Queued*\n\n*${safeTitle}* (ID: ${shortId}) has been queued in the timelock.\n\n${this.isExecutable(proposal) ? 'It can be executed now.' : `It can be executed in ${formatTimeRemaining(proposal.eta)} (${new Date(proposal.eta * 1000).toUTCString()}).`}`
+            : `*Proposal Queued*\n\n*${safeTitle}* (ID: ${shortId}) has been queued in the timelock.`;
           break;
           
         case 'Defeated':
@@ -242,6 +279,11 @@ class ProposalMonitor {
           message = `*Proposal Executed*\n\n*${safeTitle}* (ID: ${shortId}) has been executed and its changes are now in effect!\n\nThank you to all members who participated in this governance decision.`;
           break;
           
+        case 'Canceled':
+          emoji = '🚫';
+          message = `*Proposal Cancelled*\n\n*${safeTitle}* (ID: ${shortId}) has been cancelled${details.canceledBy ? ` by ${this.safeMarkdown(details.canceledBy)}` : ''} and can no longer be voted on or executed.`;
+          break;
+          
         case 'Expired':
           emoji = '⏱️';
           message = `*Proposal Expired*\n\n*${safeTitle}* (ID: ${shortId}) has expired without being executed.\n\n*Final Votes:*\n✅ For: ${proposal.votes.forVotes}\n❌ Against: ${proposal.votes.againstVotes}\n⚪ Abstain: ${proposal.votes.abstainVotes}`;
@@ -286,6 +328,30 @@ class ProposalMonitor {
     }
   }
   
+  /**
+   * Notify community that a queued proposal can now be executed
+   * @param {Object} proposal - Current proposal data
+   */
+  async notifyProposalExecutable(proposal) {
+    if (!this.communityGroupId || !this.bot) {
+      console.log('Cannot notify: missing community group ID or bot');
+      return;
+    }
+    
+    const shortId = proposal.id.substring(0, 8);
+    const safeTitle = this.safeMarkdown(proposal.title || `Proposal #${shortId}`);
+    const message = `🔓 *Proposal Ready to Execute*\n\nThe timelock delay for *${safeTitle}* (ID: ${shortId}) has passed.\n\nA DAO admin can now execute it with /execute ${shortId}.`;
+    
+    try {
+      await this.bot.sendMessage(this.communityGroupId, message, { parse_mode: 'Markdown' });
+    } catch (formatError) {
+      console.warn('Markdown formatting error, retrying without markdown:', formatError.message);
+      await this.bot.sendMessage(this.communityGroupId, message.replace(/[\*\`\_\[\]]/g, ''), { parse_mode: null });
+    }
+    
+    console.log(`Notified community that proposal ${proposal.id} is executable`);
+  }
+  
   /**
    * Check if a proposal has reached approval or rejection thresholds
    * @param {Object} proposal - Current proposal data from blockchain
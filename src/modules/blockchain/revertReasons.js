@@ -0,0 +1,139 @@
+const { ethers } = require('ethers');
+
+/**
+ * Helpers for explaining why a call reverted.
+ * Revert data is decoded as an Error(string) reason, a Panic(uint256) code,
+ * or a custom error from the contracts' ABIs or the OpenZeppelin errors
+ * targets commonly use; anything else is shown by its selector.
+ */
+
+// Errors of OpenZeppelin 5 tokens, governors, timelocks and access control
+const COMMON_ERRORS = new ethers.utils.Interface([
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC20InvalidSender(address sender)',
+  'error ERC20InvalidReceiver(address receiver)',
+  'error ERC20InvalidApprover(address approver)',
+  'error ERC20InvalidSpender(address spender)',
+  'error ERC20ExceededSafeSupply(uint256 increasedSupply, uint256 cap)',
+  'error ERC5805FutureLookup(uint256 timepoint, uint48 clock)',
+  'error OwnableUnauthorizedAccount(address account)',
+  'error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)',
+  'error AddressInsufficientBalance(address account)',
+  'error FailedInnerCall()',
+  'error FailedCall()',
+  'error InsufficientBalance(uint256 balance, uint256 needed)',
+  'error SafeERC20FailedOperation(address token)',
+  'error GovernorOnlyExecutor(address account)',
+  'error GovernorNonexistentProposal(uint256 proposalId)',
+  'error GovernorUnexpectedProposalState(uint256 proposalId, uint8 current, bytes32 expectedStates)',
+  'error GovernorAlreadyCastVote(address voter)',
+  'error GovernorInsufficientProposerVotes(address proposer, uint256 votes, uint256 threshold)',
+  'error TimelockInsufficientDelay(uint256 delay, uint256 minDelay)',
+  'error TimelockUnexpectedOperationState(bytes32 operationId, bytes32 expectedStates)',
+  'error TimelockUnexecutedPredecessor(bytes32 predecessorId)',
+  'error TimelockUnauthorizedCaller(address caller)',
+  'error EnforcedPause()'
+]);
+
+// Solidity panic codes
+const PANIC_REASONS = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array',
+  0x31: 'pop from an empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to an uninitialized function'
+};
+
+// Selectors of Error(string) and Panic(uint256)
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+/**
+ * Check whether an error from ethers means the call reverted, rather than
+ * the request failing
+ * @param {Error} error - Error from a call or gas estimate
+ * @returns {boolean} - True for reverts
+ */
+function isRevert(error) {
+  return error.code === 'CALL_EXCEPTION' || error.code === 'UNPREDICTABLE_GAS_LIMIT';
+}
+
+/**
+ * Find the revert data in an error from ethers, which nests the node's
+ * answer a few levels deep
+ * @param {Error} error - Error from a call or gas estimate
+ * @returns {string|null} - Revert data, or null if the node didn't return any
+ */
+function getRevertData(error) {
+  for (let current = error, depth = 0; current && depth < 5; current = current.error, depth++) {
+    if (typeof current.data === 'string' && ethers.utils.isHexString(current.data)) {
+      return current.data;
+    }
+
+    if (typeof current.body === 'string') {
+      try {
+        const body = JSON.parse(current.body);
+        if (body.error && ethers.utils.isHexString(body.error.data)) {
+          return body.error.data;
+        }
+      } catch (parseError) {
+        // Not a JSON-RPC answer
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decode revert data into a readable reason
+ * @param {string|null} data - Revert data
+ * @param {Array<ethers.utils.Interface>} [interfaces] - ABIs whose custom errors may be in the data
+ * @returns {string} - Reason string, panic description or custom error with its arguments
+ */
+function decodeRevert(data, interfaces = []) {
+  if (!data || data === '0x') {
+    return 'reverted without a reason';
+  }
+
+  const selector = ethers.utils.hexDataSlice(data, 0, 4);
+
+  try {
+    if (selector === ERROR_SELECTOR) {
+      return ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(data, 4))[0];
+    }
+
+    if (selector === PANIC_SELECTOR) {
+      const code = ethers.utils.defaultAbiCoder.decode(['uint256'], ethers.utils.hexDataSlice(data, 4))[0].toNumber();
+      return `panic: ${PANIC_REASONS[code] || `code 0x${code.toString(16)}`}`;
+    }
+  } catch (error) {
+    return `malformed revert data ${data}`;
+  }
+
+  for (const iface of [...interfaces, COMMON_ERRORS]) {
+    try {
+      const parsed = iface.parseError(data);
+      const args = parsed.errorFragment.inputs.map((input, index) => {
+        const value = parsed.args[index];
+        return ethers.BigNumber.isBigNumber(value) ? value.toString() : String(value);
+      });
+      return `${parsed.name}(${args.join(', ')})`;
+    } catch (error) {
+      // Not one of this ABI's errors
+    }
+  }
+
+  return `custom error ${selector}`;
+}
+
+module.exports = {
+  isRevert,
+  getRevertData,
+  decodeRevert
+};
@@ -0,0 +1,293 @@
+const { ethers } = require('ethers');
+
+/**
+ * Provider backed by a pool of JSON-RPC endpoints
+ *
+ * Requests go to the active endpoint and fail over to the next one on
+ * connection errors, timeouts and rate limiting. Answers from a node (such as
+ * a revert or "nonce too low") are passed through unchanged. Endpoints are
+ * health-checked in the background: failed or lagging endpoints are skipped
+ * for a cooldown, and the pool moves back to the first endpoint in the list
+ * once it is healthy again. Each endpoint is rate-limited separately.
+ */
+
+// Errors that mean the endpoint, not the request, is the problem
+const ENDPOINT_ERROR_CODES = ['SERVER_ERROR', 'TIMEOUT', 'NETWORK_ERROR'];
+
+// JSON-RPC error code some providers use for "rate limit exceeded"
+const LIMIT_EXCEEDED_CODE = -32005;
+
+class RpcProviderPool extends ethers.providers.StaticJsonRpcProvider {
+  /**
+   * Create RpcProviderPool instance
+   * @param {Array<string>} urls - RPC endpoints, in order of preference
+   * @param {Object} [options] - Pool settings, defaulting to the RPC_* environment variables
+   * @param {number} [options.timeoutSeconds] - Request timeout per endpoint
+   * @param {number} [options.maxRequestsPerSecond] - Rate limit per endpoint
+   * @param {number} [options.cooldownSeconds] - How long a failed endpoint is skipped
+   * @param {number} [options.maxBlockLag] - Blocks an endpoint may fall behind the others before it is skipped
+   */
+  constructor(urls, options = {}) {
+    if (!urls || urls.length === 0) {
+      throw new Error('At least one RPC endpoint is required');
+    }
+
+    super(urls[0]);
+
+    this.timeoutMs = (options.timeoutSeconds || parseInt(process.env.RPC_TIMEOUT_SECONDS || '10')) * 1000;
+    this.minRequestIntervalMs = 1000 / (options.maxRequestsPerSecond || parseInt(process.env.RPC_MAX_REQUESTS_PER_SECOND || '10'));
+    this.cooldownMs = (options.cooldownSeconds || parseInt(process.env.RPC_COOLDOWN_SECONDS || '30')) * 1000;
+    this.maxBlockLag = options.maxBlockLag !== undefined
+      ? options.maxBlockLag
+      : parseInt(process.env.RPC_MAX_BLOCK_LAG || '5');
+
+    this.endpoints = urls.map(url => ({
+      url,
+      // throttleLimit 1: fail over on HTTP 429 instead of retrying the same endpoint
+      provider: new ethers.providers.StaticJsonRpcProvider({ url, timeout: this.timeoutMs, throttleLimit: 1 }),
+      healthy: true,
+      unavailableUntil: 0,
+      failures: 0,
+      lastError: null,
+      latencyMs: null,
+      blockNumber: null,
+      checkedAt: null,
+      nextRequestAt: 0
+    }));
+    this.activeIndex = 0;
+    this.healthCheckTimer = null;
+  }
+
+  /**
+   * Parse BLOCKCHAIN_RPC_URL, which may list several endpoints separated by commas
+   * @param {string} value - Setting value
+   * @returns {Array<string>} - Endpoint URLs
+   */
+  static parseUrls(value) {
+    return String(value || '').split(',').map(url => url.trim()).filter(Boolean);
+  }
+
+  /**
+   * Send a JSON-RPC request through the pool, failing over between endpoints
+   * @param {string} method - JSON-RPC method
+   * @param {Array} params - JSON-RPC params
+   * @returns {Promise<*>} - Result from the first endpoint that answers
+   */
+  async send(method, params) {
+    let lastError = null;
+    let failedOver = false;
+
+    for (const index of this.getEndpointOrder()) {
+      const endpoint = this.endpoints[index];
+
+      try {
+        await this.throttle(endpoint);
+        const result = await endpoint.provider.send(method, params);
+        this.markSuccess(index);
+        return result;
+      } catch (error) {
+        // A transaction broadcast by an endpoint that then timed out is already in the mempool
+        if (failedOver && method === 'eth_sendRawTransaction' && /already known|known transaction/i.test(this.getErrorMessage(error))) {
+          return ethers.utils.keccak256(params[0]);
+        }
+
+        if (!this.isEndpointError(error)) {
+          throw error;
+        }
+
+        this.markFailure(index, error);
+        lastError = error;
+        failedOver = true;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Get the order to try endpoints in: the active one first, then the others
+   * that are available, then those cooling down as a last resort
+   * @returns {Array<number>} - Endpoint indexes
+   */
+  getEndpointOrder() {
+    const now = Date.now();
+    const others = this.endpoints.map((endpoint, index) => index).filter(index => index !== this.activeIndex);
+    const available = others.filter(index => this.endpoints[index].unavailableUntil <= now);
+    const coolingDown = others.filter(index => this.endpoints[index].unavailableUntil > now);
+
+    return [this.activeIndex, ...available, ...coolingDown];
+  }
+
+  /**
+   * Wait for the endpoint's next request slot
+   * @param {Object} endpoint - Pool endpoint
+   */
+  async throttle(endpoint) {
+    const now = Date.now();
+    const slot = Math.max(now, endpoint.nextRequestAt);
+    endpoint.nextRequestAt = slot + this.minRequestIntervalMs;
+
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  }
+
+  /**
+   * Check whether an error means the endpoint failed rather than the request
+   * @param {Error} error - Error from an endpoint
+   * @returns {boolean} - True if another endpoint should be tried
+   */
+  isEndpointError(error) {
+    // The node answered with a JSON-RPC error: only a rate limit is the endpoint's fault
+    const rpcError = error.error;
+    if (rpcError && typeof rpcError.code === 'number') {
+      return rpcError.code === LIMIT_EXCEEDED_CODE || /rate limit|too many requests/i.test(rpcError.message || '');
+    }
+
+    return ENDPOINT_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * Get the most specific message of an endpoint error
+   * @param {Error} error - Error from an endpoint
+   * @returns {string} - Message
+   */
+  getErrorMessage(error) {
+    return (error.error && error.error.message) || error.reason || error.message || String(error);
+  }
+
+  /**
+   * Record a successful request, making the endpoint active
+   * @param {number} index - Endpoint index
+   */
+  markSuccess(index) {
+    const endpoint = this.endpoints[index];
+    endpoint.failures = 0;
+    endpoint.healthy = true;
+    endpoint.unavailableUntil = 0;
+
+    if (index !== this.activeIndex) {
+      console.warn(`RPC failover: now using ${this.describeUrl(endpoint.url)}`);
+      this.activeIndex = index;
+    }
+  }
+
+  /**
+   * Record a failed request and put the endpoint in cooldown
+   * @param {number} index - Endpoint index
+   * @param {Error} error - What went wrong
+   */
+  markFailure(index, error) {
+    const endpoint = this.endpoints[index];
+    endpoint.failures++;
+    endpoint.healthy = false;
+    endpoint.lastError = this.getErrorMessage(error);
+    endpoint.unavailableUntil = Date.now() + this.cooldownMs;
+
+    console.warn(`RPC endpoint ${this.describeUrl(endpoint.url)} failed: ${endpoint.lastError}`);
+  }
+
+  /**
+   * Start checking every endpoint in the background
+   * @param {number} [intervalSeconds] - Seconds between checks (RPC_HEALTH_CHECK_INTERVAL_SECONDS)
+   */
+  startHealthChecks(intervalSeconds = parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL_SECONDS || '30')) {
+    if (this.healthCheckTimer || this.endpoints.length < 2) {
+      return;
+    }
+
+    this.healthCheckTimer = setInterval(() => {
+      this.checkHealth().catch(error => console.error('Error checking RPC endpoints:', error));
+    }, intervalSeconds * 1000);
+
+    // Don't keep the process alive just for health checks
+    this.healthCheckTimer.unref();
+    this.checkHealth().catch(error => console.error('Error checking RPC endpoints:', error));
+  }
+
+  /**
+   * Stop the background health checks
+   */
+  stopHealthChecks() {
+    clearInterval(this.healthCheckTimer);
+    this.healthCheckTimer = null;
+  }
+
+  /**
+   * Check every endpoint's latest block and latency, and go back to the
+   * most preferred healthy endpoint
+   * @returns {Promise<Object>} - Pool status after the check
+   */
+  async checkHealth() {
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      const startedAt = Date.now();
+      try {
+        await this.throttle(endpoint);
+        endpoint.blockNumber = ethers.BigNumber.from(await endpoint.provider.send('eth_blockNumber', [])).toNumber();
+        endpoint.latencyMs = Date.now() - startedAt;
+        endpoint.healthy = true;
+        endpoint.lastError = null;
+      } catch (error) {
+        endpoint.healthy = false;
+        endpoint.lastError = this.getErrorMessage(error);
+      }
+      endpoint.checkedAt = Date.now();
+    }));
+
+    // Endpoints that fall behind serve stale state, so treat them as unhealthy
+    const highestBlock = Math.max(...this.endpoints.filter(e => e.healthy).map(e => e.blockNumber));
+    const now = Date.now();
+    this.endpoints.forEach(endpoint => {
+      if (endpoint.healthy && highestBlock - endpoint.blockNumber > this.maxBlockLag) {
+        endpoint.healthy = false;
+        endpoint.lastError = `${highestBlock - endpoint.blockNumber} blocks behind`;
+      }
+      endpoint.unavailableUntil = endpoint.healthy ? 0 : now + this.cooldownMs;
+    });
+
+    const preferred = this.endpoints.findIndex(endpoint => endpoint.healthy);
+    if (preferred !== -1 && preferred !== this.activeIndex) {
+      console.log(`RPC health check: switching to ${this.describeUrl(this.endpoints[preferred].url)}`);
+      this.activeIndex = preferred;
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Describe an endpoint without the API key most providers put in the path or query
+   * @param {string} url - Endpoint URL
+   * @returns {string} - Protocol and host
+   */
+  describeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      const hasSecret = parsed.pathname.length > 1 || parsed.search || parsed.username;
+      return `${parsed.protocol}//${parsed.host}${hasSecret ? '/…' : ''}`;
+    } catch (error) {
+      return 'invalid URL';
+    }
+  }
+
+  /**
+   * Get the state of the pool
+   * @returns {Object} - { active, endpoints: [{ url, active, healthy, latencyMs, blockNumber, failures, lastError, checkedAt }] }
+   */
+  getStatus() {
+    return {
+      active: this.describeUrl(this.endpoints[this.activeIndex].url),
+      endpoints: this.endpoints.map((endpoint, index) => ({
+        url: this.describeUrl(endpoint.url),
+        active: index === this.activeIndex,
+        healthy: endpoint.healthy,
+        latencyMs: endpoint.latencyMs,
+        blockNumber: endpoint.blockNumber,
+        failures: endpoint.failures,
+        lastError: endpoint.lastError,
+        checkedAt: endpoint.checkedAt
+      }))
+    };
+  }
+}
+
+module.exports = RpcProviderPool;
@@ -0,0 +1,259 @@
+const { ethers } = require('ethers');
+const GovernanceSimulator = require('./governanceSimulator');
+
+/**
+ * Provider backed by the in-process GovernanceSimulator
+ *
+ * Answers the JSON-RPC requests ethers makes (blocks, calls, gas estimates,
+ * fees, nonces, raw transactions, receipts and logs) from the simulated
+ * chain, so BlockchainService, the transaction queue and the proposal index
+ * run unchanged against it. Reverts are reported the way a node reports
+ * them. It also has the health-check methods of RpcProviderPool, reporting
+ * the simulator as its only endpoint.
+ */
+
+// Fees on the simulated chain
+const BASE_FEE = ethers.utils.parseUnits('1', 'gwei');
+const PRIORITY_FEE = ethers.utils.parseUnits('1', 'gwei');
+
+// Ether every account holds, so gas is never a problem
+const ACCOUNT_BALANCE = ethers.utils.parseEther('1000');
+
+// Code returned for the simulated contracts; only its presence matters
+const CONTRACT_CODE = '0x6080604052';
+
+class SimulatedProvider extends ethers.providers.StaticJsonRpcProvider {
+  /**
+   * Create SimulatedProvider instance
+   * @param {GovernanceSimulator} [simulator] - Simulated chain, a new one by default
+   */
+  constructor(simulator = new GovernanceSimulator()) {
+    super('http://simulator.invalid', { name: 'simulated', chainId: simulator.chainId });
+    this.simulator = simulator;
+
+    // Transactions are mined as soon as they are sent
+    this.pollingInterval = 250;
+  }
+
+  /**
+   * Answer a JSON-RPC request from the simulated chain
+   * @param {string} method - JSON-RPC method
+   * @param {Array} params - JSON-RPC params
+   * @returns {Promise<*>} - JSON-RPC result
+   */
+  async send(method, params = []) {
+    const chain = this.simulator;
+
+    try {
+      switch (method) {
+        case 'eth_chainId':
+          return ethers.utils.hexValue(chain.chainId);
+        case 'net_version':
+          return String(chain.chainId);
+        case 'eth_blockNumber':
+          return ethers.utils.hexValue(chain.latestBlock.number);
+        case 'eth_getBlockByNumber':
+          return this.formatBlock(chain.getBlock(params[0]), params[1]);
+        case 'eth_getBlockByHash':
+          return this.formatBlock(chain.getBlockByHash(params[0]), params[1]);
+        case 'eth_gasPrice':
+          return ethers.utils.hexValue(BASE_FEE.add(PRIORITY_FEE));
+        case 'eth_maxPriorityFeePerGas':
+          return ethers.utils.hexValue(PRIORITY_FEE);
+        case 'eth_getBalance':
+          return ethers.utils.hexValue(ACCOUNT_BALANCE);
+        case 'eth_getCode':
+          return chain.isContract(params[0]) ? CONTRACT_CODE : '0x';
+        case 'eth_getTransactionCount':
+          return ethers.utils.hexValue(chain.getNonce(params[0]));
+        case 'eth_call':
+          return chain.call(params[0]);
+        case 'eth_estimateGas':
+          return ethers.utils.hexValue(chain.estimateGas(params[0]));
+        case 'eth_sendRawTransaction':
+          return chain.sendTransaction(ethers.utils.parseTransaction(params[0]));
+        case 'eth_getTransactionByHash':
+          return this.formatTransaction(chain.getTransaction(params[0]));
+        case 'eth_getTransactionReceipt':
+          return this.formatReceipt(chain.getTransaction(params[0]));
+        case 'eth_getLogs':
+          return chain.getLogs(params[0]).map(log => this.formatLog(log));
+        default:
+          throw this.rpcError(-32601, `the method ${method} does not exist/is not available`);
+      }
+    } catch (error) {
+      if (error instanceof GovernanceSimulator.SimulatedRevert) {
+        throw this.rpcError(3, error.message, error.data);
+      }
+      if (error.code === 'SERVER_ERROR') {
+        throw error;
+      }
+      throw this.rpcError(-32000, error.message);
+    }
+  }
+
+  /**
+   * Build the error a JSON-RPC node returns, wrapped the way ethers wraps it
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   * @param {string} [data] - Revert data
+   * @returns {Error} - Error for ethers' checkError to interpret
+   */
+  rpcError(code, message, data) {
+    const rpcError = { code, message, data };
+    return Object.assign(new Error(message), {
+      code: 'SERVER_ERROR',
+      error: rpcError,
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, error: rpcError })
+    });
+  }
+
+  /**
+   * Format a block as eth_getBlockBy* returns it
+   * @param {Object|null} block - Simulated block
+   * @param {boolean} [withTransactions] - Include full transactions instead of hashes
+   * @returns {Object|null} - JSON-RPC block
+   */
+  formatBlock(block, withTransactions = false) {
+    if (!block) {
+      return null;
+    }
+
+    return {
+      number: ethers.utils.hexValue(block.number),
+      hash: block.hash,
+      parentHash: block.parentHash,
+      timestamp: ethers.utils.hexValue(block.timestamp),
+      nonce: '0x0000000000000000',
+      difficulty: '0x0',
+      gasLimit: ethers.utils.hexValue(30000000),
+      gasUsed: ethers.utils.hexValue(block.gasUsed),
+      miner: ethers.constants.AddressZero,
+      extraData: '0x',
+      baseFeePerGas: ethers.utils.hexValue(BASE_FEE),
+      transactions: withTransactions
+        ? block.transactions.map(hash => this.formatTransaction(this.simulator.getTransaction(hash)))
+        : block.transactions
+    };
+  }
+
+  /**
+   * Format a transaction as eth_getTransactionByHash returns it
+   * @param {Object|null} tx - Simulated transaction
+   * @returns {Object|null} - JSON-RPC transaction
+   */
+  formatTransaction(tx) {
+    if (!tx) {
+      return null;
+    }
+
+    const hex = value => ethers.utils.hexValue(ethers.BigNumber.from(value || 0));
+    return {
+      hash: tx.hash,
+      blockHash: tx.blockHash,
+      blockNumber: hex(tx.blockNumber),
+      transactionIndex: hex(tx.transactionIndex),
+      from: tx.from,
+      to: tx.to,
+      nonce: hex(tx.nonce),
+      gas: hex(tx.gasLimit || tx.gasUsed),
+      gasPrice: hex(tx.gasPrice || tx.maxFeePerGas || BASE_FEE),
+      maxFeePerGas: tx.maxFeePerGas ? hex(tx.maxFeePerGas) : undefined,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas ? hex(tx.maxPriorityFeePerGas) : undefined,
+      value: hex(tx.value),
+      input: tx.data,
+      type: hex(tx.type),
+      chainId: hex(this.simulator.chainId),
+      v: hex(tx.v),
+      r: tx.r || ethers.constants.HashZero,
+      s: tx.s || ethers.constants.HashZero
+    };
+  }
+
+  /**
+   * Format a transaction receipt as eth_getTransactionReceipt returns it
+   * @param {Object|null} tx - Simulated transaction
+   * @returns {Object|null} - JSON-RPC receipt
+   */
+  formatReceipt(tx) {
+    if (!tx) {
+      return null;
+    }
+
+    return {
+      transactionHash: tx.hash,
+      transactionIndex: ethers.utils.hexValue(tx.transactionIndex),
+      blockHash: tx.blockHash,
+      blockNumber: ethers.utils.hexValue(tx.blockNumber),
+      from: tx.from,
+      to: tx.to,
+      contractAddress: tx.contractAddress,
+      cumulativeGasUsed: ethers.utils.hexValue(tx.gasUsed),
+      gasUsed: ethers.utils.hexValue(tx.gasUsed),
+      effectiveGasPrice: ethers.utils.hexValue(BASE_FEE.add(PRIORITY_FEE)),
+      logs: tx.logs.map(log => this.formatLog(log)),
+      logsBloom: ethers.utils.hexZeroPad('0x', 256),
+      status: ethers.utils.hexValue(tx.status),
+      type: ethers.utils.hexValue(tx.type || 0)
+    };
+  }
+
+  /**
+   * Format a log as eth_getLogs returns it
+   * @param {Object} log - Simulated log
+   * @returns {Object} - JSON-RPC log
+   */
+  formatLog(log) {
+    return {
+      address: log.address,
+      topics: log.topics,
+      data: log.data,
+      blockNumber: ethers.utils.hexValue(log.blockNumber),
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      transactionIndex: ethers.utils.hexValue(log.transactionIndex),
+      logIndex: ethers.utils.hexValue(log.logIndex),
+      removed: false
+    };
+  }
+
+  /**
+   * Nothing to health-check: the simulator is always available
+   */
+  startHealthChecks() {}
+
+  /**
+   * Nothing to stop
+   */
+  stopHealthChecks() {}
+
+  /**
+   * Report the simulator as the only, healthy endpoint
+   * @returns {Promise<Object>} - Status in the format of RpcProviderPool.getStatus
+   */
+  async checkHealth() {
+    return this.getStatus();
+  }
+
+  /**
+   * Report the simulator as the only, healthy endpoint
+   * @returns {Object} - Status in the format of RpcProviderPool.getStatus
+   */
+  getStatus() {
+    return {
+      active: 'offline simulator',
+      endpoints: [{
+        url: 'offline simulator',
+        active: true,
+        healthy: true,
+        latencyMs: 0,
+        blockNumber: this.simulator.latestBlock.number,
+        failures: 0,
+        lastError: null,
+        checkedAt: Date.now()
+      }]
+    };
+  }
+}
+
+module.exports = SimulatedProvider;
@@ -0,0 +1,404 @@
+const { ethers } = require('ethers');
+const FeePolicy = require('./feePolicy');
+
+/**
+ * Admin wallet transaction queue
+ *
+ * Every sponsored action (welcome tokens, delegation, votes by signature,
+ * proposals, rewards) is sent from the single admin wallet. Sending them
+ * concurrently lets ethers pick the same nonce twice, so this queue sends
+ * one transaction at a time with a locally tracked nonce. Transactions are
+ * persisted in the admin_transactions table, priced by the FeePolicy,
+ * replaced at the same nonce with bumped fees when they have been pending
+ * too long, and their status is reported back to the chat that started them.
+ */
+class TransactionQueue {
+  /**
+   * Create TransactionQueue instance
+   * @param {ethers.Wallet} signer - Admin wallet, connected to a provider
+   * @param {Object} [databaseService] - DatabaseService used to persist transactions
+   * @param {FeePolicy} [feePolicy] - Fee caps, bumps and stuck threshold
+   */
+  constructor(signer, databaseService = null, feePolicy = FeePolicy.fromEnv()) {
+    this.signer = signer;
+    this.db = databaseService;
+    this.feePolicy = feePolicy;
+    this.reporter = null;
+
+    // Next nonce to use, loaded from the chain before the first send
+    this.nextNonce = null;
+
+    // Sends are chained so only one is in flight at a time
+    this.tail = Promise.resolve();
+
+    this.maxAttempts = parseInt(process.env.ADMIN_TX_MAX_ATTEMPTS || '4');
+  }
+
+  /**
+   * Set the function used to report transaction status to a chat
+   * @param {Function} reporter - Called with (chatId, message)
+   */
+  setReporter(reporter) {
+    this.reporter = reporter;
+  }
+
+  /**
+   * Send a transaction from the admin wallet and wait for it to be mined
+   * @param {string} label - What the transaction does, shown to users (e.g. "vote")
+   * @param {Object} request - Transaction request (to, data, value, gasLimit)
+   * @param {Object} [options] - Queue options
+   * @param {string} [options.chatId] - Chat to report retries and failures to
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async send(label, request, options = {}) {
+    const entry = {
+      id: null,
+      label,
+      chatId: options.chatId ? String(options.chatId) : null,
+      request: this.toStoredRequest(request),
+      nonce: null,
+      fees: null,
+      hashes: [],
+      attempts: 0,
+      sentAt: null
+    };
+
+    entry.id = await this.persist(entry, 'queued');
+
+    try {
+      // Only one transaction is signed and broadcast at a time
+      const sending = this.tail.then(() => this.broadcast(entry));
+      this.tail = sending.catch(() => {});
+      await sending;
+
+      return await this.waitForReceipt(entry);
+    } catch (error) {
+      await this.persist(entry, 'failed', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep only the fields needed to (re)send a transaction
+   * @param {Object} request - Transaction request
+   * @returns {Object} - Request with to, data, value and gasLimit as strings
+   */
+  toStoredRequest(request) {
+    return {
+      to: request.to,
+      data: request.data || '0x',
+      value: request.value ? ethers.BigNumber.from(request.value).toString() : '0',
+      gasLimit: request.gasLimit ? ethers.BigNumber.from(request.gasLimit).toString() : null
+    };
+  }
+
+  /**
+   * Sign and broadcast a new transaction with the next nonce
+   * @param {Object} entry - Queue entry
+   */
+  async broadcast(entry) {
+    if (this.nextNonce === null) {
+      await this.syncNonce();
+    }
+
+    let fees = await this.feePolicy.getFees(this.signer.provider);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const tx = await this.signer.sendTransaction(this.buildTransaction(entry.request, this.nextNonce, fees));
+
+        entry.nonce = this.nextNonce;
+        entry.fees = fees;
+        entry.hashes.push(tx.hash);
+        entry.attempts = 1;
+        entry.sentAt = Date.now();
+        this.nextNonce++;
+
+        console.log(`Admin transaction #${entry.id || '-'} (${entry.label}) sent with nonce ${entry.nonce}: ${tx.hash}`);
+        await this.persist(entry, 'pending');
+        return;
+      } catch (error) {
+        // Another transaction took this nonce (e.g. sent from outside the bot): resync and try again
+        if (attempt < this.maxAttempts && this.isNonceError(error)) {
+          console.warn(`Nonce ${this.nextNonce} is stale, resyncing: ${error.message}`);
+          await this.syncNonce();
+          if (this.isUnderpricedError(error)) {
+            fees = this.feePolicy.bumpFees(fees, await this.feePolicy.getFees(this.signer.provider)) || fees;
+          }
+          continue;
+        }
+
+        // The nonce wasn't used, so it stays free for the next transaction
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Wait for a sent transaction, replacing it with higher fees once it has been pending too long
+   * @param {Object} entry - Queue entry that has been broadcast
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async waitForReceipt(entry) {
+    const provider = this.signer.provider;
+    let nonceUsed = false;
+
+    for (;;) {
+      // A timeout of 0 would make ethers wait forever, so only wait while there is time left
+      const timeLeft = this.feePolicy.timeUntilStuck(entry.sentAt || 0);
+      if (!nonceUsed && timeLeft > 0) {
+        const latestHash = entry.hashes[entry.hashes.length - 1];
+        try {
+          await provider.waitForTransaction(latestHash, 1, timeLeft);
+        } catch (error) {
+          console.warn(`Admin transaction #${entry.id || '-'} (${entry.label}) not mined yet: ${error.message}`);
+        }
+      }
+
+      // Any of the submitted versions may be the one that was mined
+      const receipt = await this.findReceipt(entry);
+      if (receipt) {
+        await this.persist(entry, receipt.status === 1 ? 'confirmed' : 'failed', receipt.status === 1 ? null : 'reverted', receipt.transactionHash);
+
+        if (receipt.status !== 1) {
+          throw new Error(`${entry.label} transaction ${receipt.transactionHash} reverted`);
+        }
+        return receipt;
+      }
+
+      if (nonceUsed || entry.attempts >= this.maxAttempts) {
+        // The local nonce may now be ahead of the chain, so reload it before the next send
+        this.nextNonce = null;
+        this.report(entry, `❌ Your ${entry.label} transaction could not be confirmed. Please try again later.`);
+        throw new Error(nonceUsed
+          ? `${entry.label} transaction was replaced by another transaction with nonce ${entry.nonce}`
+          : `${entry.label} transaction was not mined after ${entry.attempts} attempts`);
+      }
+
+      nonceUsed = await this.replace(entry);
+    }
+  }
+
+  /**
+   * Find the receipt of whichever submitted version of a transaction was mined
+   * @param {Object} entry - Queue entry
+   * @returns {Promise<Object|null>} - Receipt, or null if none was mined
+   */
+  async findReceipt(entry) {
+    for (const hash of entry.hashes.slice().reverse()) {
+      const receipt = await this.signer.provider.getTransactionReceipt(hash);
+      if (receipt && receipt.blockNumber) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resubmit a pending transaction at the same nonce with higher fees
+   * @param {Object} entry - Queue entry
+   * @returns {Promise<boolean>} - True if the nonce has already been used, so there is nothing to replace
+   */
+  async replace(entry) {
+    const fees = this.feePolicy.bumpFees(entry.fees, await this.feePolicy.getFees(this.signer.provider));
+
+    // At the fee caps there is no valid replacement, so give the current one more time
+    if (!fees) {
+      console.warn(`Admin transaction #${entry.id || '-'} (${entry.label}) is stuck but already at the fee cap`);
+      entry.attempts++;
+      entry.sentAt = Date.now();
+      return false;
+    }
+
+    try {
+      const tx = await this.signer.sendTransaction(this.buildTransaction(entry.request, entry.nonce, fees));
+
+      entry.fees = fees;
+      entry.hashes.push(tx.hash);
+      entry.attempts++;
+      entry.sentAt = Date.now();
+
+      console.log(`Admin transaction #${entry.id || '-'} (${entry.label}) resubmitted with higher fees: ${tx.hash}`);
+      await this.persist(entry, 'pending');
+      this.report(entry, `⏳ The network is busy, so your ${entry.label} transaction was resubmitted with a higher fee (attempt ${entry.attempts} of ${this.maxAttempts}).`);
+      return false;
+    } catch (error) {
+      // The nonce was used in the meantime, most likely by one of our earlier versions
+      if (this.isNonceError(error) && !this.isUnderpricedError(error)) {
+        console.log(`Nonce ${entry.nonce} already used, checking earlier submissions`);
+        return true;
+      }
+
+      // Keep waiting on the earlier submission, asking for more next time
+      console.warn(`Could not resubmit admin transaction #${entry.id || '-'}: ${error.message}`);
+      entry.fees = fees;
+      entry.attempts++;
+      entry.sentAt = Date.now();
+      return false;
+    }
+  }
+
+  /**
+   * Load the next nonce from the chain, counting transactions still in the mempool
+   */
+  async syncNonce() {
+    this.nextNonce = await this.signer.getTransactionCount('pending');
+    console.log(`Admin wallet next nonce: ${this.nextNonce}`);
+  }
+
+  /**
+   * Build the transaction to sign
+   * @param {Object} request - Stored request
+   * @param {number} nonce - Nonce to use
+   * @param {Object} fees - Fees to pay
+   * @returns {Object} - Transaction for signer.sendTransaction
+   */
+  buildTransaction(request, nonce, fees) {
+    const tx = {
+      to: request.to,
+      data: request.data,
+      value: ethers.BigNumber.from(request.value || '0'),
+      nonce,
+      ...fees
+    };
+
+    if (request.gasLimit) {
+      tx.gasLimit = ethers.BigNumber.from(request.gasLimit);
+    }
+    return tx;
+  }
+
+  /**
+   * Check whether a send failed because of the nonce (or a pending transaction holding it)
+   * @param {Error} error - Error from sendTransaction
+   * @returns {boolean} - True for nonce errors
+   */
+  isNonceError(error) {
+    const message = `${error.code || ''} ${error.message || ''}`.toLowerCase();
+    return message.includes('nonce') ||
+      message.includes('already known') ||
+      this.isUnderpricedError(error);
+  }
+
+  /**
+   * Check whether a send was rejected because another transaction with the nonce pays more
+   * @param {Error} error - Error from sendTransaction
+   * @returns {boolean} - True for "replacement underpriced" errors
+   */
+  isUnderpricedError(error) {
+    const message = `${error.code || ''} ${error.message || ''}`.toLowerCase();
+    return message.includes('underpriced');
+  }
+
+  /**
+   * Pick up transactions that were still pending when the bot stopped
+   * Their callers are gone, so results are only reported to the originating chat.
+   */
+  async resumePending() {
+    if (!this.db) {
+      return;
+    }
+
+    const rows = await this.db.getPendingAdminTransactions();
+
+    for (const row of rows) {
+      const entry = {
+        id: row.id,
+        label: row.label,
+        chatId: row.chat_id,
+        request: JSON.parse(row.request),
+        nonce: row.nonce,
+        fees: row.fees ? JSON.parse(row.fees) : null,
+        hashes: row.tx_hashes ? JSON.parse(row.tx_hashes) : [],
+        attempts: row.attempts || 0,
+        // Counts as stuck straight away if it was last submitted long enough ago
+        sentAt: row.updated_at
+      };
+
+      // Never broadcast: there is nothing to resume
+      if (row.status === 'queued' || entry.hashes.length === 0) {
+        await this.persist(entry, 'failed', 'The bot restarted before the transaction was sent');
+        this.report(entry, `❌ Your ${entry.label} transaction was not sent because the bot restarted. Please try again.`);
+        continue;
+      }
+
+      console.log(`Resuming admin transaction #${entry.id} (${entry.label}) with nonce ${entry.nonce}`);
+      this.waitForReceipt(entry)
+        .then(receipt => this.report(entry, `✅ Your ${entry.label} transaction was confirmed: ${receipt.transactionHash}`))
+        .catch(error => {
+          console.error(`Resumed admin transaction #${entry.id} failed:`, error.message);
+          return this.persist(entry, 'failed', error.message);
+        });
+    }
+  }
+
+  /**
+   * Save the state of a transaction
+   * @param {Object} entry - Queue entry
+   * @param {string} status - queued, pending, confirmed or failed
+   * @param {string} [error] - Failure reason
+   * @param {string} [minedHash] - Hash of the version that was mined
+   * @returns {Promise<number|null>} - Row ID (when the entry is first saved)
+   */
+  async persist(entry, status, error = null, minedHash = null) {
+    if (!this.db) {
+      return entry.id;
+    }
+
+    try {
+      if (!entry.id) {
+        return await this.db.saveAdminTransaction({
+          label: entry.label,
+          chatId: entry.chatId,
+          request: JSON.stringify(entry.request),
+          status
+        });
+      }
+
+      await this.db.updateAdminTransaction(entry.id, {
+        status,
+        nonce: entry.nonce,
+        txHash: minedHash || entry.hashes[entry.hashes.length - 1] || null,
+        txHashes: JSON.stringify(entry.hashes),
+        fees: entry.fees ? JSON.stringify(this.serializeFees(entry.fees)) : null,
+        attempts: entry.attempts,
+        error
+      });
+      return entry.id;
+    } catch (dbError) {
+      // Persisting is for recovery only, so don't fail the transaction over it
+      console.error('Error saving admin transaction:', dbError);
+      return entry.id;
+    }
+  }
+
+  /**
+   * Convert fees to strings for storage
+   * @param {Object} fees - Fees as BigNumbers
+   * @returns {Object} - Fees as decimal strings
+   */
+  serializeFees(fees) {
+    const serialized = {};
+    Object.keys(fees).forEach(key => {
+      if (fees[key]) serialized[key] = ethers.BigNumber.from(fees[key]).toString();
+    });
+    return serialized;
+  }
+
+  /**
+   * Report transaction status to the chat that started it
+   * @param {Object} entry - Queue entry
+   * @param {string} message - Message to send
+   */
+  report(entry, message) {
+    if (!entry.chatId || !this.reporter) {
+      return;
+    }
+
+    Promise.resolve(this.reporter(entry.chatId, message)).catch(error => {
+      console.warn(`Could not report transaction status to chat ${entry.chatId}:`, error.message);
+    });
+  }
+}
+
+module.exports = TransactionQueue;
@@ -1,3 +1,9 @@
+const proposalActions = require('../blockchain/proposalActions');
+const { formatTimeRemaining } = require('../../utils/helpers');
+
+// Longest vote reason accepted (reasons are stored on-chain when the governor supports it)
+const MAX_VOTE_REASON_LENGTH = 500;
+
 /**
  * Command handler for Telegram bot
  */
@@ -5,31 +11,32 @@ class CommandHandler {
   /**
    * Create CommandHandler instance
    * @param {Object} bot - Telegram bot instance
-   * @param {Object} blockchainManager - Blockchain service manager
+   * @param {Object} daoRegistry - DAOs run by the bot, each with its blockchain manager, gamification service and proposal monitor
    * @param {Object} walletManager - Wallet manager
    * @param {Object} aiService - AI service
    * @param {Object} textProcessor - Text processor
-   * @param {Object} gamificationService - Gamification service
-   * @param {string} communityGroupId - Telegram ID of the community group
+   * @param {Object} databaseService - Database service
+   * @param {Object} [guardianRecoveryService] - Guardian-based PIN recovery
    */
   constructor(
     bot, 
-    blockchainManager, 
+    daoRegistry, 
     walletManager, 
     aiService,
     textProcessor,
-    gamificationService,
     databaseService,
-    communityGroupId
+    guardianRecoveryService = null
   ) {
     this.bot = bot;
-    this.blockchain = blockchainManager;
+    this.daos = daoRegistry;
     this.wallets = walletManager;
     this.ai = aiService;
     this.textProcessor = textProcessor;
-    this.gamification = gamificationService;
     this.db = databaseService;
-    this.communityGroupId = communityGroupId;
+    this.recovery = guardianRecoveryService;
+    
+    // Vote reasons given but not yet submitted, by Telegram user ID
+    this.pendingVoteReasons = new Map();
     
     this.registerCommands();
   }
@@ -100,6 +107,37 @@ class CommandHandler {
     return errorString;
   }
   
+  /**
+   * Check if a user is a DAO admin
+   * @param {string|number} userId - Telegram user ID
+   * @param {Object} [dao] - DAO to check; without one, being an admin of any DAO is enough (for bot-wide actions)
+   * @returns {boolean} - True if the user is an admin
+   */
+  isAdmin(userId, dao = null) {
+    const daos = dao ? [dao] : this.daos.getAll();
+    return daos.some(d => d.blockchain.isAdmin(userId));
+  }
+  
+  /**
+   * Get a DAO's name for use in Markdown messages
+   * @param {Object} dao - DAO
+   * @returns {string} - Name without Markdown characters
+   */
+  formatDaoName(dao) {
+    return String(dao.name).replace(/[\*\`\_\[\]]/g, '');
+  }
+  
+  /**
+   * Tie a proposal button to its DAO, so it keeps acting on that DAO after the member picks another
+   * with /dao. DAO IDs are at most 32 characters, which leaves room in Telegram's 64-byte limit.
+   * @param {Object} dao - DAO the button is shown for
+   * @param {string} data - Callback data, e.g. v_[proposalId]_[voteType]
+   * @returns {string} - Callback data ending in @[daoId]
+   */
+  daoCallbackData(dao, data) {
+    return `${data}@${dao.id}`;
+  }
+  
   /**
    * Register all command handlers
    */
@@ -108,9 +146,21 @@ class CommandHandler {
     this.bot.setMyCommands([
       { command: 'start', description: '🚀 Start interacting with the DAO' },
       { command: 'join', description: '🔑 Join the DAO' },
+      { command: 'link', description: '🔗 Join with a wallet you already control' },
       { command: 'balance', description: '💰 Check your token balance' },
+      { command: 'delegate', description: '🤝 Let a trusted member vote with your tokens' },
+      { command: 'undelegate', description: '↩️ Vote with your own tokens again' },
       { command: 'proposal', description: '📝 Create a new proposal' },
       { command: 'proposals', description: '🗳️ View active proposals' },
+      { command: 'changepin', description: '🔐 Change your wallet PIN' },
+      { command: 'unlock', description: '🔓 Vote without re-entering your PIN for a few minutes' },
+      { command: 'lock', description: '🔒 End your signing session' },
+      { command: 'backup', description: '🧾 Back up your recovery phrase' },
+      { command: 'recover', description: '🛟 Recover your wallet with your recovery phrase' },
+      { command: 'guardians', description: '🛡️ Choose guardians who can help reset your PIN' },
+      { command: 'resetpin', description: '🆘 Lost your PIN? Reset it with your guardians' },
+      { command: 'cancelrecovery', description: '🚫 Cancel a PIN reset request' },
+      { command: 'dao', description: '🏛️ Choose which DAO to work with' },
       { command: 'help', description: '❓ Get help' },
       { command: 'whatisdao', description: '🏛️ Learn about DAOs' }
     ], { scope: { type: 'all_private_chats' } });
@@ -125,11 +175,23 @@ class CommandHandler {
     // Command handlers
     this.bot.onText(/^\/start$/, this.handleStart.bind(this));
     this.bot.onText(/^\/join$/, this.handleJoinDAO.bind(this));
+    this.bot.onText(/^\/link(?:\s+(\S+))?$/, this.handleLinkWallet.bind(this));
     this.bot.onText(/^\/proposal$/, this.handleCreateProposal.bind(this));
     this.bot.onText(/^\/proposals$/, this.handleListProposals.bind(this));
     this.bot.onText(/^\/balance$/, this.handleCheckBalance.bind(this));
+    this.bot.onText(/^\/delegate(?:\s+(\S+))?$/, this.handleDelegate.bind(this));
+    this.bot.onText(/^\/undelegate$/, this.handleUndelegate.bind(this));
+    this.bot.onText(/^\/changepin$/, this.handleChangePin.bind(this));
+    this.bot.onText(/^\/unlock(?:\s+(\d+))?$/, this.handleUnlock.bind(this));
+    this.bot.onText(/^\/lock$/, this.handleLock.bind(this));
+    this.bot.onText(/^\/backup$/, this.handleBackupPhrase.bind(this));
+    this.bot.onText(/^\/recover$/, this.handleRecoverWallet.bind(this));
+    this.bot.onText(/^\/guardians(?:\s+(.+))?$/, this.handleGuardians.bind(this));
+    this.bot.onText(/^\/resetpin$/, this.handleResetPin.bind(this));
+    this.bot.onText(/^\/cancelrecovery$/, this.handleCancelRecovery.bind(this));
     this.bot.onText(/^\/help$/, this.handleHelp.bind(this));
     this.bot.onText(/^\/whatisdao$/, this.handleWhatIsDAO.bind(this));
+    this.bot.onText(/^\/dao$/, this.handleDao.bind(this));
     
     // Handle button callbacks
     this.bot.on('callback_query', this.handleCallbackQuery.bind(this));
@@ -149,6 +211,27 @@ class CommandHandler {
       
       await this.handleExecuteProposal(chatId, userId, proposalId);
     });
+    
+    this.bot.onText(/^\/queue(?:\s+([a-zA-Z0-9]+))?$/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const userId = msg.from.id;
+      const proposalId = match[1];
+      
+      if (!proposalId) {
+        return this.bot.sendMessage(
+          chatId,
+          'Please provide a proposal ID to queue. Usage: /queue [proposalId]'
+        );
+      }
+      
+      await this.handleQueueProposal(chatId, userId, proposalId);
+    });
+    
+    this.bot.onText(/^\/unlockpin(?:\s+(\d+))?$/, async (msg, match) => {
+      await this.handleUnlockPin(msg, match[1]);
+    });
+    
+    this.bot.onText(/^\/status$/, this.handleStatus.bind(this));
   }
   
   /**
@@ -228,7 +311,6 @@ class CommandHandler {
   async handleJoinDAO(msg) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
-    const username = msg.from.username;
     
     // Only process private messages for actions requiring signing
     if (msg.chat.type !== 'private') {
@@ -236,23 +318,29 @@ class CommandHandler {
     }
     
     try {
+      const dao = await this.daos.resolve(chatId, userId);
+      
       // Check if user already has a wallet
       const hasWallet = await this.wallets.hasWallet(userId);
       
       if (hasWallet) {
         const address = await this.wallets.getWalletAddress(userId);
-        const balance = await this.blockchain.getTokenBalance(address);
         
-        // Get blockchain explorer URL based on network
-        const network = process.env.BLOCKCHAIN_NETWORK || 'sepolia';
-        const explorerUrl = this.getExplorerUrl(network, address);
+        // Members join further DAOs with the wallet they already have
+        if (!(await this.db.isDaoMember(dao.id, userId))) {
+          return this.joinWithExistingWallet(dao, msg, address);
+        }
+        
+        const balance = await dao.blockchain.getTokenBalance(address);
+        
+        const explorerUrl = dao.blockchain.getExplorerUrl(address);
         
-        // Get the DAO group link from the .env file
-        const groupLink = process.env.DAO_GROUP_LINK;
+        // Get the DAO group link
+        const groupLink = dao.groupLink;
         
         return this.bot.sendMessage(
           chatId,
-          `You are already a member of the DAO!\n\nJoin us on our private channel to keep you updated: [Join DAO Group](${groupLink})\n\nYour wallet address: \`${address}\`\nYour token balance: ${balance} tokens\n\n[View on Block Explorer](${explorerUrl})`,
+          `You are already a member of ${this.formatDaoName(dao)}!\n\nJoin us on our private channel to keep you updated: [Join DAO Group](${groupLink})\n\nYour wallet address: \`${address}\`\nYour token balance: ${balance} tokens${explorerUrl ? `\n\n[View on Block Explorer](${explorerUrl})` : ''}`,
           { parse_mode: 'Markdown' }
         );
       }
@@ -260,8 +348,11 @@ class CommandHandler {
       // Prompt for PIN setup
       const message = await this.bot.sendMessage(
         chatId,
-        'To join the DAO, you need to set up a PIN to secure your wallet. This PIN will be used to sign transactions.\n\nPlease enter a PIN (4-8 digits):',
-        { reply_markup: { force_reply: true } }
+        'To join the DAO, you need to set up a PIN to secure your wallet. This PIN will be used to sign transactions.\n\n_Already have your own wallet? Send /link followed by its address instead._\n\nPlease enter a PIN (4-8 digits):',
+        { 
+          reply_markup: { force_reply: true },
+          parse_mode: 'Markdown'
+        }
       );
       
       // Setup awaiting PIN state
@@ -287,8 +378,10 @@ class CommandHandler {
             }
           );
           
-          // Send welcome tokens - pass userId to check if admin
-          const result = await this.blockchain.sendWelcomeTokens(address, userId);
+          // Send welcome tokens - pass userId to check if admin, and the new wallet to sign its delegation
+          const userWallet = await this.wallets.decryptWallet(userId, pin);
+          const result = await dao.blockchain.sendWelcomeTokens(address, userId, userWallet);
+          await this.db.addDaoMember(dao.id, userId);
           
           // Update status message - tokens sent
           await this.bot.editMessageText(
@@ -300,10 +393,8 @@ class CommandHandler {
             }
           );
           
-          // Get blockchain explorer URL based on network
-          const network = process.env.BLOCKCHAIN_NETWORK || 'sepolia';
-          const explorerUrl = this.getExplorerUrl(network, address);
-          const txExplorerUrl = this.getExplorerUrl(network, result.txHash, 'tx');
+          const explorerUrl = dao.blockchain.getExplorerUrl(address);
+          const txExplorerUrl = dao.blockchain.getExplorerUrl(result.txHash, 'tx');
           
           // Add delegation note if it failed
           let delegationNote = '';
@@ -341,246 +432,1570 @@ class CommandHandler {
             tokenVisual = '👑'; // Crown for very large balance
           }
           
-          const groupLink = process.env.DAO_GROUP_LINK;
+          const groupLink = dao.groupLink;
 
           // Customize message based on admin status
           let welcomeMessage;
           if (result.isAdmin) {
-            welcomeMessage = `${tokenVisual} *Welcome to the DAO, Admin!* 🎉\n\nYour wallet has been created and *${formattedAmount} admin tokens* have been sent to your address.\n\nJoin us on our private channel to keep you updated: [Join DAO Group](${groupLink})\n\nWallet address: \`${address}\`\n\n[View Wallet on Block Explorer](${explorerUrl})\n[View Token Transaction](${txExplorerUrl})\n\nYour tokens ${result.delegationSuccess ? 'are' : 'should be'} delegated, so you can vote on proposals and create new ones right away! Keep your PIN secure - you'll need it for DAO actions.${delegationNote}`;
+            welcomeMessage = `${tokenVisual} *Welcome to the DAO, Admin!* 🎉\n\nYour wallet has been created and *${formattedAmount} admin tokens* have been sent to your address.\n\nJoin us on our private channel to keep you updated: [Join DAO Group](${groupLink})\n\nWallet address: \`${address}\`${explorerUrl ? `\n\n[View Wallet on Block Explorer](${explorerUrl})\n[View Token Transaction](${txExplorerUrl})` : ''}\n\nYour tokens ${result.delegationSuccess ? 'are' : 'should be'} delegated, so you can vote on proposals and create new ones right away! Keep your PIN secure - you'll need it for DAO actions.${delegationNote}`;
           } else {
-            welcomeMessage = `${tokenVisual} *Welcome to the DAO!* 🎉\n\nYour wallet has been created and *${formattedAmount} tokens* have been sent to your address.\n\nJoin us on our private channel to keep you updated: [Join DAO Group](${groupLink})\n\nWallet address: \`${address}\`\n\n[View Wallet on Block Explorer](${explorerUrl})\n[View Token Transaction](${txExplorerUrl})\n\nYour tokens ${result.delegationSuccess ? 'are' : 'should be'} delegated, so you can vote on proposals right away! Keep your PIN secure - you'll need it for DAO actions.${delegationNote}`;
+            welcomeMessage = `${tokenVisual} *Welcome to the DAO!* 🎉\n\nYour wallet has been created and *${formattedAmount} tokens* have been sent to your address.\n\nJoin us on our private channel to keep you updated: [Join DAO Group](${groupLink})\n\nWallet address: \`${address}\`${explorerUrl ? `\n\n[View Wallet on Block Explorer](${explorerUrl})\n[View Token Transaction](${txExplorerUrl})` : ''}\n\nYour tokens ${result.delegationSuccess ? 'are' : 'should be'} delegated, so you can vote on proposals right away! Keep your PIN secure - you'll need it for DAO actions.${delegationNote}`;
           }
           
-          this.bot.sendMessage(
+          await this.bot.sendMessage(
             chatId,
             welcomeMessage,
             { parse_mode: 'Markdown' }
           );
           
-          // Notify community group if configured
-          if (this.communityGroupId) {
-            const usernameDisplay = username 
-              ? `@${username}` 
-              : msg.from.first_name 
-                ? `${msg.from.first_name}${msg.from.last_name ? ' ' + msg.from.last_name : ''}` 
-                : 'A new member';
-                
-            const roleMessage = result.isAdmin ? ' as an admin' : '';
-            
-            try {
-              await this.bot.sendMessage(
-              this.communityGroupId,
-                `🌟 *New Member Alert!*\n\n${tokenVisual} ${usernameDisplay} has joined Alphin DAO${roleMessage}!\n\n💰 *${formattedAmount} tokens* have been granted\n\nThey can now participate in proposals and voting.\n\n*Let's give them a warm welcome!* 👋`,
-                { parse_mode: 'Markdown' }
-              );
-            } catch (groupError) {
-              console.log(`Failed to send message to community group: ${groupError.message}`);
-              
-              // If the error is about supergroup, try to use the new chat ID
-              if (groupError.message.includes('supergroup chat')) {
-                try {
-                  // Try to handle the supergroup migration
-                  const migrationInfo = groupError.response?.parameters;
-                  if (migrationInfo && migrationInfo.migrate_to_chat_id) {
-                    console.log(`Group migrated to supergroup with ID: ${migrationInfo.migrate_to_chat_id}`);
-                    await this.bot.sendMessage(
-                      migrationInfo.migrate_to_chat_id,
-                      `🌟 *New Member Alert!*\n\n${tokenVisual} ${usernameDisplay} has joined Alphin DAO${roleMessage}!\n\n💰 *${formattedAmount} tokens* have been granted\n\nThey can now participate in proposals and voting.\n\n*Let's give them a warm welcome!* 👋`,
-                      { parse_mode: 'Markdown' }
-                    );
-                  }
-                } catch (innerError) {
-                  console.log(`Failed to send message to supergroup: ${innerError.message}`);
-                }
+          // Offer a one-time backup of the recovery phrase
+          this.bot.sendMessage(
+            chatId,
+            '🧾 *Back up your wallet*\n\nIf you ever forget your PIN, your 12-word recovery phrase is the only way to get your wallet back. We can show it to you once, in a message that deletes itself.\n\nYou can also do this later with /backup.',
+            {
+              parse_mode: 'Markdown',
+              reply_markup: {
+                inline_keyboard: [
+                  [{ text: '🧾 Show my recovery phrase', callback_data: 'backup_phrase' }]
+                ]
               }
-              
-              // No need to throw error here, the user has already joined successfully
             }
-          }
+          );
+          
+          // Notify community group if configured
+          await this.announceNewMember(dao, msg.from, tokenVisual, formattedAmount, result.isAdmin);
         } catch (error) {
           console.error('Error in join process:', error);
           this.bot.sendMessage(chatId, `Error joining the DAO: ${error.message}`);
         }
       });
       
-      // Save message ID to delete it later (for security)
-      const state = this.textProcessor.getConversationState(userId);
-      state.messageToDelete = message.message_id;
-      this.textProcessor.setConversationState(userId, state);
+      // Save message ID to delete it later (for security)
+      const state = this.textProcessor.getConversationState(userId);
+      state.messageToDelete = message.message_id;
+      this.textProcessor.setConversationState(userId, state);
+      
+    } catch (error) {
+      console.error('Error in join process:', error);
+      this.bot.sendMessage(chatId, `Error joining the DAO: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle /link command to join with a self-custodied wallet
+   * @param {Object} msg - Telegram message object
+   * @param {Array} match - Regex match, with the address in match[1]
+   */
+  async handleLinkWallet(msg, match) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const address = match && match[1];
+    
+    // Only process in private chat
+    if (msg.chat.type !== 'private') {
+      return this.bot.sendMessage(chatId, 'Please talk to me directly to link your wallet.');
+    }
+    
+    if (!address) {
+      return this.bot.sendMessage(
+        chatId,
+        '🔗 *Link your own wallet*\n\nIf you already have a wallet (MetaMask, a hardware wallet, ...), you can join the DAO with it instead of having the bot create one. You keep your private key and sign DAO actions in your own wallet.\n\nUsage: `/link 0xYourAddress`',
+        { parse_mode: 'Markdown' }
+      );
+    }
+    
+    try {
+      const dao = await this.daos.resolve(chatId, userId);
+      const challenge = await this.wallets.createLinkChallenge(userId, address);
+      
+      await this.bot.sendMessage(
+        chatId,
+        `🔗 *Prove you control this wallet*\n\nSign the message below with \`${address}\` using "Sign message" (personal\\_sign) in your wallet, then paste the signature here.\n\n\`\`\`\n${challenge}\n\`\`\`\n\nThis request expires in ${this.wallets.challengeTtlMinutes} minutes.`,
+        { parse_mode: 'Markdown' }
+      );
+      
+      this.textProcessor.setupAwaitingSignature(userId, async (signature) => {
+        const statusMsg = await this.bot.sendMessage(
+          chatId,
+          '🔄 *Processing your request*\n\nStatus: Verifying signature...',
+          { parse_mode: 'Markdown' }
+        );
+        
+        const linkedAddress = await this.wallets.linkExternalWallet(userId, signature);
+        
+        await this.bot.editMessageText(
+          '🔄 *Processing your request*\n\nStatus: Wallet linked ✅\nStatus: Sending tokens to your wallet...',
+          { 
+            chat_id: chatId, 
+            message_id: statusMsg.message_id,
+            parse_mode: 'Markdown'
+          }
+        );
+        
+        // The bot can't sign for a linked wallet, so the member signs their delegation with /undelegate
+        const result = await dao.blockchain.sendWelcomeTokens(linkedAddress, userId);
+        await this.db.addDaoMember(dao.id, userId);
+        const delegationStatus = result.delegationSuccess ? 'Voting rights activated ✅' : 'Voting rights: send /undelegate to activate ✍️';
+        
+        await this.bot.editMessageText(
+          `🔄 *Processing your request*\n\nStatus: Wallet linked ✅\nStatus: Tokens sent ✅\nStatus: ${delegationStatus}`,
+          { 
+            chat_id: chatId, 
+            message_id: statusMsg.message_id,
+            parse_mode: 'Markdown'
+          }
+        );
+        
+        const explorerUrl = dao.blockchain.getExplorerUrl(linkedAddress);
+        const formattedAmount = Number(result.amount).toLocaleString();
+        const groupLink = dao.groupLink;
+        
+        await this.bot.sendMessage(
+          chatId,
+          `🔗 *Welcome to ${this.formatDaoName(dao)}!* 🎉\n\nYour wallet is linked and *${formattedAmount} tokens* have been sent to it.\n\nJoin us on our private channel to keep you updated: [Join DAO Group](${groupLink})\n\nWallet address: \`${linkedAddress}\`${explorerUrl ? `\n\n[View Wallet on Block Explorer](${explorerUrl})` : ''}\n\nThe bot never holds your private key. When you vote or create a proposal, I'll send you a payload to sign in your own wallet.`,
+          { parse_mode: 'Markdown' }
+        );
+        
+        await this.announceNewMember(dao, msg.from, '🔗', formattedAmount, result.isAdmin);
+      });
+    } catch (error) {
+      console.error('Error linking wallet:', error);
+      this.bot.sendMessage(chatId, `Error linking wallet: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Welcome a member who already has a wallet into another DAO, sending them its welcome tokens
+   * @param {Object} dao - DAO being joined
+   * @param {Object} msg - Telegram message object
+   * @param {string} address - Member's wallet address
+   */
+  async joinWithExistingWallet(dao, msg, address) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const daoName = this.formatDaoName(dao);
+    
+    const statusMsg = await this.bot.sendMessage(
+      chatId,
+      `🔄 *Joining ${daoName}*\n\nStatus: Sending tokens to your wallet...`,
+      { parse_mode: 'Markdown' }
+    );
+    
+    // An unlocked wallet signs the delegation right away; otherwise the member signs it with /undelegate
+    const result = await dao.blockchain.sendWelcomeTokens(address, userId, this.wallets.getUnlockedWallet(userId));
+    await this.db.addDaoMember(dao.id, userId);
+    const delegationStatus = result.delegationSuccess ? 'Voting rights activated ✅' : 'Voting rights: send /undelegate to activate ✍️';
+    
+    await this.bot.editMessageText(
+      `🔄 *Joining ${daoName}*\n\nStatus: Tokens sent ✅\nStatus: ${delegationStatus}`,
+      { 
+        chat_id: chatId, 
+        message_id: statusMsg.message_id,
+        parse_mode: 'Markdown'
+      }
+    );
+    
+    const txExplorerUrl = dao.blockchain.getExplorerUrl(result.txHash, 'tx');
+    const formattedAmount = Number(result.amount).toLocaleString();
+    const groupNote = dao.groupLink ? `Join us on our private channel to keep you updated: [Join DAO Group](${dao.groupLink})\n\n` : '';
+    
+    await this.bot.sendMessage(
+      chatId,
+      `🏛️ *Welcome to ${daoName}!* 🎉\n\n*${formattedAmount} tokens* have been sent to your wallet \`${address}\`.\n\n${groupNote}${txExplorerUrl ? `[View Token Transaction](${txExplorerUrl})\n\n` : ''}${result.delegationSuccess ? `You can vote on ${daoName} proposals right away.` : `Send /undelegate to activate your votes in ${daoName}.`} Use /dao to switch between the DAOs you're in.`,
+      { parse_mode: 'Markdown' }
+    );
+    
+    await this.announceNewMember(dao, msg.from, '🏛️', formattedAmount, result.isAdmin);
+  }
+  
+  /**
+   * Announce a new member in the community group
+   * @param {Object} dao - DAO the member joined
+   * @param {Object} from - Telegram user object of the new member
+   * @param {string} tokenVisual - Emoji for the welcome token amount
+   * @param {string} formattedAmount - Formatted welcome token amount
+   * @param {boolean} isAdmin - Whether the member joined as an admin
+   */
+  async announceNewMember(dao, from, tokenVisual, formattedAmount, isAdmin) {
+    if (!dao.communityGroupId) {
+      return;
+    }
+    
+    const usernameDisplay = from.username 
+      ? `@${from.username}` 
+      : from.first_name 
+        ? `${from.first_name}${from.last_name ? ' ' + from.last_name : ''}` 
+        : 'A new member';
+        
+    const roleMessage = isAdmin ? ' as an admin' : '';
+    
+    try {
+      await this.bot.sendMessage(
+      dao.communityGroupId,
+        `🌟 *New Member Alert!*\n\n${tokenVisual} ${usernameDisplay} has joined ${this.formatDaoName(dao)}${roleMessage}!\n\n💰 *${formattedAmount} tokens* have been granted\n\nThey can now participate in proposals and voting.\n\n*Let's give them a warm welcome!* 👋`,
+        { parse_mode: 'Markdown' }
+      );
+    } catch (groupError) {
+      console.log(`Failed to send message to community group: ${groupError.message}`);
+      
+      // If the error is about supergroup, try to use the new chat ID
+      if (groupError.message.includes('supergroup chat')) {
+        try {
+          // Try to handle the supergroup migration
+          const migrationInfo = groupError.response?.parameters;
+          if (migrationInfo && migrationInfo.migrate_to_chat_id) {
+            console.log(`Group migrated to supergroup with ID: ${migrationInfo.migrate_to_chat_id}`);
+            await this.bot.sendMessage(
+              migrationInfo.migrate_to_chat_id,
+              `🌟 *New Member Alert!*\n\n${tokenVisual} ${usernameDisplay} has joined ${this.formatDaoName(dao)}${roleMessage}!\n\n💰 *${formattedAmount} tokens* have been granted\n\nThey can now participate in proposals and voting.\n\n*Let's give them a warm welcome!* 👋`,
+              { parse_mode: 'Markdown' }
+            );
+          }
+        } catch (innerError) {
+          console.log(`Failed to send message to supergroup: ${innerError.message}`);
+        }
+      }
+      
+      // No need to throw error here, the user has already joined successfully
+    }
+  }
+  
+  /**
+   * Handle /proposal command
+   * @param {Object} msg - Telegram message object
+   */
+  async handleCreateProposal(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    // Only process in private chat
+    if (msg.chat.type !== 'private') {
+      return this.bot.sendMessage(chatId, 'Please talk to me directly to create a proposal.');
+    }
+    
+    try {
+      const dao = await this.daos.resolve(chatId, userId);
+      
+      if (!(await this.checkCanPropose(dao, chatId, userId))) {
+        return;
+      }
+      
+      // Let the user pick a template
+      await this.bot.sendMessage(
+        chatId,
+        `Let's create a new ${dao.name} proposal! What kind of proposal is it?`,
+        {
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: '📝 Custom proposal', callback_data: this.daoCallbackData(dao, 'ptpl_custom') }],
+              [{ text: '💸 Treasury transfer', callback_data: this.daoCallbackData(dao, 'ptpl_treasury') }]
+            ]
+          }
+        }
+      );
+    } catch (error) {
+      console.error('Error starting proposal creation:', error);
+      this.bot.sendMessage(chatId, `Error starting proposal creation: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Check that a user may create proposals, telling them why not if they can't
+   * @param {Object} dao - DAO the proposal is for
+   * @param {number} chatId - Chat ID
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} - True if the user is a member with enough tokens
+   */
+  async checkCanPropose(dao, chatId, userId) {
+    // Check if user is a DAO member
+    const hasWallet = await this.wallets.hasWallet(userId);
+    
+    if (!hasWallet) {
+      await this.bot.sendMessage(
+        chatId,
+        'You need to join the DAO before creating a proposal. Use /join to get started.'
+      );
+      return false;
+    }
+    
+    // Get user's wallet address and check token balance
+    const address = await this.wallets.getWalletAddress(userId);
+    const balance = await dao.blockchain.getTokenBalance(address);
+    
+    // Check if user has enough tokens to create a proposal
+    const minimumTokens = 1; // Configurable minimum
+    
+    if (parseFloat(balance) < minimumTokens) {
+      await this.bot.sendMessage(
+        chatId,
+        `You need at least ${minimumTokens} tokens to create a proposal. Current balance: ${balance} tokens.\n\nParticipate in the DAO by voting on proposals to earn more tokens!`
+      );
+      return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Start the proposal flow for the template chosen from the /proposal menu
+   * @param {number} chatId - Chat ID
+   * @param {Object} from - Telegram user who chose the template
+   * @param {string} template - 'custom' or 'treasury'
+   * @param {Object} [boundDao] - DAO the button was shown for (resolved from the chat when omitted)
+   */
+  async handleProposalTemplate(chatId, from, template, boundDao = null) {
+    const userId = from.id;
+    
+    try {
+      // The proposal goes to this DAO even if the member switches DAO before finishing it
+      const dao = boundDao || await this.daos.resolve(chatId, userId);
+      
+      if (!(await this.checkCanPropose(dao, chatId, userId))) {
+        return;
+      }
+      
+      // Store the user info for use in the proposal announcement
+      const userInfo = {
+        username: from.username,
+        first_name: from.first_name,
+        last_name: from.last_name,
+        id: from.id
+      };
+      
+      // Self-custodied members confirm with a signature instead of a PIN
+      const isExternalWallet = await this.wallets.isExternalWallet(userId);
+      
+      if (template === 'treasury') {
+        return this.startTreasuryProposal(dao, chatId, userInfo, isExternalWallet);
+      }
+      
+      // Start proposal creation flow
+      this.bot.sendMessage(
+        chatId,
+        'First, enter a title for your proposal (keep it concise):'
+      );
+      
+      // The simulation shown with the summary is handed on, so the actions are only simulated once
+      let preflight;
+      
+      // Setup proposal creation state
+      this.textProcessor.setupCreatingProposal(userId, async (pin, title, description, actions) => {
+        if (isExternalWallet) {
+          return this.confirmProposalBySignature(dao, chatId, userId, title, description, userInfo, actions, preflight);
+        }
+        
+        // Call the method that handles the proposal creation with status updates
+        await this.createProposalWithStatus(dao, chatId, userId, pin, title, description, userInfo, actions, preflight);
+      }, {
+        requirePin: !isExternalWallet,
+        simulate: async (actions) => {
+          preflight = await dao.blockchain.simulateProposalActions(actions);
+          return proposalActions.formatSimulation(preflight, actions);
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error starting proposal creation:', error);
+      this.bot.sendMessage(chatId, `Error starting proposal creation: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Ask a self-custodied member to sign a confirmation, then create the proposal
+   * @param {Object} dao - DAO the proposal is for
+   * @param {number} chatId - Chat ID
+   * @param {number} userId - User ID
+   * @param {string} title - Proposal title
+   * @param {string} description - Proposal description
+   * @param {Object} userInfo - User information object with username, first_name, etc.
+   * @param {Array<Object>} actions - On-chain actions of the proposal
+   * @param {Object|null} [preflight] - Simulation of the actions already shown to the member
+   */
+  async confirmProposalBySignature(dao, chatId, userId, title, description, userInfo, actions, preflight) {
+    const address = await this.wallets.getWalletAddress(userId);
+    const challenge = this.wallets.createSignatureChallenge(userId, address, `I approve submitting the proposal "${title}" with ${actions.length} on-chain action(s).`);
+    
+    await this.bot.sendMessage(
+      chatId,
+      `✍️ *Confirm your proposal*\n\nSign the message below with your linked wallet using "Sign message" (personal\\_sign), then paste the signature here.\n\n\`\`\`\n${challenge}\n\`\`\``,
+      { parse_mode: 'Markdown' }
+    );
+    
+    this.textProcessor.setupAwaitingSignature(userId, async (signature) => {
+      this.wallets.verifySignatureChallenge(userId, signature);
+      await this.createProposalWithStatus(dao, chatId, userId, null, title, description, userInfo, actions, preflight);
+    });
+  }
+  
+  /**
+   * Guide a member through the treasury transfer template: recipient, amount and rationale
+   * @param {Object} dao - DAO the proposal is for
+   * @param {number} chatId - Chat ID
+   * @param {Object} userInfo - User information object with username, first_name, etc.
+   * @param {boolean} isExternalWallet - Whether the member confirms with a signature instead of a PIN
+   */
+  async startTreasuryProposal(dao, chatId, userInfo, isExternalWallet) {
+    const userId = userInfo.id;
+    const treasury = await dao.blockchain.getTreasuryInfo();
+    const draft = {};
+    
+    // Ask a question, asking again until the answer is valid
+    const ask = async (prompt, handleAnswer) => {
+      const awaitAnswer = () => this.textProcessor.setupAwaitingInput(userId, async (answer) => {
+        try {
+          await handleAnswer(answer);
+        } catch (error) {
+          await this.bot.sendMessage(chatId, `⚠️ ${error.message}\n\nPlease try again:`);
+          awaitAnswer();
+        }
+      });
+      
+      await this.bot.sendMessage(chatId, prompt);
+      awaitAnswer();
+    };
+    
+    const askRationale = () => ask(
+      'Why should the DAO make this transfer? Your rationale becomes the proposal description.',
+      async (rationale) => {
+        const recipientName = draft.recipient.username ? `@${draft.recipient.username}` : draft.recipient.address;
+        const title = `Treasury transfer: ${draft.transfer.amount} ${draft.transfer.symbol} to ${recipientName}`;
+        const description = `${rationale}\n\n` +
+          `Transfers ${draft.transfer.amount} ${draft.transfer.symbol} from the treasury (${treasury.address}) to ${draft.recipient.address}.`;
+        const preflight = await dao.blockchain.simulateProposalActions([draft.transfer.action]);
+        const simulationText = proposalActions.formatSimulation(preflight, [draft.transfer.action]);
+        
+        await this.bot.sendMessage(
+          chatId,
+          `💸 Treasury transfer proposal\n\n` +
+          `Send: ${draft.transfer.amount} ${draft.transfer.symbol}\n` +
+          `From: treasury ${treasury.address} (holds ${draft.transfer.treasury.balance} ${draft.transfer.symbol})\n` +
+          `To: ${draft.recipient.username ? `@${draft.recipient.username} ` : ''}${draft.recipient.address}\n\n` +
+          `Rationale: ${rationale}\n\n` +
+          `Action executed if it passes:\n${proposalActions.formatAction(draft.transfer.action, 0)}` +
+          (simulationText ? `\n\n${simulationText}` : '')
+        );
+        
+        if (isExternalWallet) {
+          return this.confirmProposalBySignature(dao, chatId, userId, title, description, userInfo, [draft.transfer.action], preflight);
+        }
+        
+        await this.promptForPin(
+          chatId,
+          userId,
+          'Please enter your PIN to confirm and submit this proposal.',
+          async (pin) => {
+            await this.createProposalWithStatus(dao, chatId, userId, pin, title, description, userInfo, [draft.transfer.action], preflight);
+          }
+        );
+      }
+    );
+    
+    const askAmount = () => ask(
+      `How many ${treasury.symbol} should be sent? The treasury holds ${treasury.balance} ${treasury.symbol}.`,
+      async (amount) => {
+        draft.transfer = await dao.blockchain.buildTreasuryTransfer(draft.recipient.address, amount);
+        await askRationale();
+      }
+    );
+    
+    await ask(
+      '💸 Treasury transfer\n\nWho should receive the tokens? Send a wallet address or a member\'s @username.',
+      async (recipient) => {
+        draft.recipient = await this.resolveMemberAddress(recipient);
+        await askAmount();
+      }
+    );
+  }
+  
+  /**
+   * Resolve a wallet from an address or a member's @username (for transfers and delegation)
+   * @param {string} input - 0x address or @username
+   * @returns {Promise<{address: string, username: (string|null), telegramId: (string|null)}>} - Address, and the member's username and Telegram ID if known
+   */
+  async resolveMemberAddress(input) {
+    if (/^0x[0-9a-fA-F]{40}$/.test(input)) {
+      if (/^0x0{40}$/.test(input)) {
+        throw new Error('That\'s the zero address. Please send a real wallet address.');
+      }
+      const telegramId = await this.wallets.getTelegramIdByAddress(input);
+      return { address: input, username: null, telegramId };
+    }
+    
+    if (/^@\w+$/.test(input)) {
+      const telegramId = await this.wallets.getTelegramIdByUsername(input);
+      const address = telegramId ? await this.wallets.getWalletAddress(telegramId) : null;
+      
+      if (!address) {
+        throw new Error(`${input} isn't a DAO member I know of. Ask them to /join (or send me a message), or use their wallet address instead.`);
+      }
+      return { address, username: input.substring(1), telegramId };
+    }
+    
+    throw new Error('Please send a 0x... wallet address or a member\'s @username.');
+  }
+  
+  /**
+   * Handle /balance command
+   * @param {Object} msg - Telegram message object
+   */
+  async handleCheckBalance(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    // Only process in private chat
+    if (msg.chat.type !== 'private') {
+      return this.bot.sendMessage(chatId, 'Please talk to me directly to check your balance.');
+    }
+    
+    try {
+      // Check if user is a DAO member
+      const hasWallet = await this.wallets.hasWallet(userId);
+      
+      if (!hasWallet) {
+        return this.bot.sendMessage(
+          chatId,
+          'You need to join the DAO first. Use /join to get started.'
+        );
+      }
+      
+      // Show loading message
+      const statusMsg = await this.bot.sendMessage(
+        chatId,
+        '🔄 *Checking your balance...*',
+        { parse_mode: 'Markdown' }
+      );
+      
+      // Get user's wallet address and token balance
+      const address = await this.wallets.getWalletAddress(userId);
+      
+      // Update status message
+      await this.bot.editMessageText(
+        '🔄 *Checking your balance...*\n\nRetrieved wallet address ✅\nFetching token balance...',
+        { 
+          chat_id: chatId, 
+          message_id: statusMsg.message_id,
+          parse_mode: 'Markdown'
+        }
+      );
+      
+      const dao = await this.daos.resolve(chatId, userId);
+      const balance = await dao.blockchain.getTokenBalance(address);
+      const isExternalWallet = await this.wallets.isExternalWallet(userId);
+      const delegation = await dao.blockchain.getDelegation(address);
+      const delegateText = await this.describeDelegate(delegation.delegate, address);
+      const receivedVotes = parseFloat(delegation.received);
+      
+      const explorerUrl = dao.blockchain.getExplorerUrl(address);
+      
+      // Delete the status message
+      await this.bot.deleteMessage(chatId, statusMsg.message_id);
+      
+      // Format the balance with commas for better readability
+      const formattedBalance = Number(balance).toLocaleString();
+      
+      // Create a visual representation of tokens based on amount
+      let tokenVisual = '';
+      const balanceNum = parseFloat(balance);
+      
+      if (balanceNum <= 0) {
+        tokenVisual = '⚪'; // Empty circle for zero balance
+      } else if (balanceNum < 100) {
+        tokenVisual = '🥉'; // Bronze for small balance
+      } else if (balanceNum < 1000) {
+        tokenVisual = '🥈'; // Silver for medium balance
+      } else if (balanceNum < 10000) {
+        tokenVisual = '🥇'; // Gold for large balance
+      } else {
+        tokenVisual = '👑'; // Crown for very large balance
+      }
+      
+      // Add user tier based on token amount
+      let userTier = '';
+      if (balanceNum <= 0) {
+        userTier = 'Observer';
+      } else if (balanceNum < 100) {
+        userTier = 'Member';
+      } else if (balanceNum < 1000) {
+        userTier = 'Contributor';
+      } else if (balanceNum < 10000) {
+        userTier = 'Influencer';
+      } else {
+        userTier = 'Leader';
+      }
+      
+      // Format the wallet address for better display (first 6 + last 4 chars)
+      const shortAddress = `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+      
+      // Send the final balance message with enhanced formatting
+      this.bot.sendMessage(
+        chatId,
+        `${tokenVisual} *Your DAO Token Balance*\n\n*${formattedBalance} tokens*\n\n` +
+        `*Tier:* ${userTier}\n` +
+        `*Wallet:* \`${address}\`\n` +
+        `*Custody:* ${isExternalWallet ? 'Your own wallet (linked)' : 'Managed by the bot, protected by your PIN'}\n` +
+        `*Votes go to:* ${delegateText}\n` +
+        `*Voting power:* ${Number(delegation.votes).toLocaleString()} votes` +
+        (receivedVotes > 0 ? ` (${receivedVotes.toLocaleString()} delegated to you by other members)` : '') + '\n\n' +
+        (explorerUrl ? `🔍 [View on Block Explorer](${explorerUrl})\n` : '') +
+        `\nYour tokens represent your voting power in Alphin DAO. The more tokens you have, the greater your influence on governance decisions.`,
+        { parse_mode: 'Markdown' }
+      );
+      
+    } catch (error) {
+      console.error('Error checking balance:', error);
+      this.bot.sendMessage(chatId, `Error checking balance: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle /delegate command: let another member vote with the user's tokens
+   * @param {Object} msg - Telegram message object
+   * @param {Array} match - Regex match, with the @username or address in match[1]
+   */
+  async handleDelegate(msg, match) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const target = match && match[1];
+    
+    // Only process in private chat
+    if (msg.chat.type !== 'private') {
+      return this.bot.sendMessage(chatId, 'Please talk to me directly to delegate your votes.');
+    }
+    
+    if (!target) {
+      return this.bot.sendMessage(
+        chatId,
+        '🤝 *Delegate your votes*\n\nLet a member you trust vote with your tokens. You keep the tokens, and can take your votes back anytime with /undelegate.\n\nUsage: `/delegate @member` or `/delegate 0xAddress`',
+        { parse_mode: 'Markdown' }
+      );
+    }
+    
+    try {
+      if (!(await this.wallets.hasWallet(userId))) {
+        return this.bot.sendMessage(chatId, 'You need to join the DAO first. Use /join to get started.');
+      }
+      
+      const dao = await this.daos.resolve(chatId, userId);
+      const address = await this.wallets.getWalletAddress(userId);
+      const delegatee = await this.resolveMemberAddress(target);
+      
+      if (delegatee.address.toLowerCase() === address.toLowerCase()) {
+        return this.bot.sendMessage(chatId, 'That\'s your own wallet. Use /undelegate to vote with your own tokens again.');
+      }
+      
+      await this.changeDelegation(dao, chatId, msg.from, address, delegatee);
+    } catch (error) {
+      console.error('Error delegating votes:', error);
+      this.bot.sendMessage(chatId, `⚠️ ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle /undelegate command: take back votes delegated to another member
+   * @param {Object} msg - Telegram message object
+   */
+  async handleUndelegate(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    // Only process in private chat
+    if (msg.chat.type !== 'private') {
+      return this.bot.sendMessage(chatId, 'Please talk to me directly to take back your votes.');
+    }
+    
+    try {
+      if (!(await this.wallets.hasWallet(userId))) {
+        return this.bot.sendMessage(chatId, 'You need to join the DAO first. Use /join to get started.');
+      }
+      
+      const dao = await this.daos.resolve(chatId, userId);
+      const address = await this.wallets.getWalletAddress(userId);
+      
+      await this.changeDelegation(dao, chatId, msg.from, address, { address, username: null, telegramId: null });
+    } catch (error) {
+      console.error('Error taking back votes:', error);
+      this.bot.sendMessage(chatId, `⚠️ ${error.message}`);
+    }
+  }
+  
+  /**
+   * Move a member's votes to a delegatee (their own wallet to undelegate). The member signs
+   * a Delegation - in their own wallet if self-custodied, otherwise with their PIN - and the
+   * admin wallet relays it.
+   * @param {Object} dao - DAO whose token is delegated
+   * @param {number} chatId - Chat ID
+   * @param {Object} from - Telegram user delegating
+   * @param {string} address - Wallet address of the user
+   * @param {Object} delegatee - Delegatee from resolveMemberAddress
+   */
+  async changeDelegation(dao, chatId, from, address, delegatee) {
+    const userId = from.id;
+    const toSelf = delegatee.address.toLowerCase() === address.toLowerCase();
+    const delegateeName = delegatee.username ? `@${delegatee.username}` : delegatee.address;
+    
+    const current = await dao.blockchain.getDelegation(address);
+    if (current.delegate && current.delegate.toLowerCase() === delegatee.address.toLowerCase()) {
+      return this.bot.sendMessage(chatId, toSelf ? 'You already vote with your own tokens.' : `Your votes already go to ${delegateeName}.`);
+    }
+    
+    const reportDelegated = async (result) => {
+      if (!result || !result.success) {
+        throw new Error((result && result.message) || 'The delegation did not go through.');
+      }
+      
+      const txExplorerUrl = dao.blockchain.getExplorerUrl(result.txHash, 'tx');
+      const tokens = Number(current.balance).toLocaleString();
+      
+      await this.bot.sendMessage(
+        chatId,
+        (toSelf
+          ? `✅ *Votes taken back*\n\nYou vote with your own ${tokens} tokens again.`
+          : `✅ *Votes delegated*\n\n${this.safeMarkdown(delegateeName)} now votes with your ${tokens} tokens. You keep the tokens, and can take your votes back anytime with /undelegate.`) +
+        (txExplorerUrl ? `\n\n🔗 [View Transaction](${txExplorerUrl})` : ''),
+        { parse_mode: 'Markdown' }
+      );
+      
+      // Let the delegatee know they now carry more weight
+      if (!toSelf && delegatee.telegramId) {
+        try {
+          const delegatorName = from.username ? `@${from.username}` : (from.first_name || 'A DAO member');
+          const updated = await dao.blockchain.getDelegation(delegatee.address);
+          await this.bot.sendMessage(
+            delegatee.telegramId,
+            `🤝 ${delegatorName} delegated their votes (${tokens} tokens) in ${dao.name} to you. Your voting power is now ${Number(updated.votes).toLocaleString()} votes.`
+          );
+        } catch (notifyError) {
+          console.error('Error notifying delegatee:', notifyError);
+        }
+      }
+    };
+    
+    // Self-custodied members sign the Delegation in their own wallet
+    if (await this.wallets.isExternalWallet(userId)) {
+      const { payload, delegation } = await dao.blockchain.getDelegationSigningRequest(address, delegatee.address);
+      
+      await this.bot.sendMessage(
+        chatId,
+        `✍️ *Sign your delegation*\n\nSign this EIP-712 Delegation with \`${address}\` (eth\\_signTypedData\\_v4), then paste the signature here. It is valid for an hour.\n\n\`\`\`\n${JSON.stringify(payload, null, 2)}\n\`\`\``,
+        { parse_mode: 'Markdown' }
+      );
+      
+      // Ask again until the token takes a signature, e.g. after one from the wrong address
+      const awaitSignature = () => this.textProcessor.setupAwaitingSignature(userId, async (signature) => {
+        try {
+          const result = await dao.blockchain.delegateBySignature(address, delegation, signature, { chatId });
+          await reportDelegated(result);
+        } catch (error) {
+          await this.bot.sendMessage(chatId, `⚠️ ${error.message}\n\nPlease paste the signature again:`);
+          awaitSignature();
+        }
+      });
+      
+      awaitSignature();
+      return;
+    }
+    
+    const delegate = async (userWallet) => {
+      const statusMsg = await this.bot.sendMessage(chatId, `🔄 ${toSelf ? 'Taking back your votes' : `Delegating your votes to ${delegateeName}`}...`);
+      try {
+        const result = await dao.blockchain.delegateTokens(userWallet, delegatee.address, { chatId });
+        await reportDelegated(result);
+      } finally {
+        await this.bot.deleteMessage(chatId, statusMsg.message_id).catch(() => {});
+      }
+    };
+    
+    // Bot-managed wallets sign with the PIN, unless a signing session is active
+    const unlockedWallet = this.wallets.getUnlockedWallet(userId);
+    if (unlockedWallet) {
+      return delegate(unlockedWallet);
+    }
+    
+    await this.promptForPin(
+      chatId,
+      userId,
+      `Please enter your PIN to sign the delegation of your votes to ${toSelf ? 'yourself' : this.safeMarkdown(delegateeName)}.`,
+      async (pin) => {
+        await delegate(await this.wallets.decryptWallet(userId, pin));
+      }
+    );
+  }
+  
+  /**
+   * Describe who a member's votes go to, by @username where the delegate is a member
+   * @param {string|null} delegate - Delegate address
+   * @param {string} address - The member's own address
+   * @returns {Promise<string>} - Markdown-safe description
+   */
+  async describeDelegate(delegate, address) {
+    if (!delegate) {
+      return 'nobody yet - use /undelegate to vote with your own tokens';
+    }
+    if (delegate.toLowerCase() === address.toLowerCase()) {
+      return 'yourself';
+    }
+    
+    const username = await this.wallets.getUsernameByAddress(delegate).catch(() => null);
+    return username ? this.safeMarkdown(`@${username}`) : `\`${delegate}\``;
+  }
+  
+  /**
+   * Handle /changepin command
+   * @param {Object} msg - Telegram message object
+   */
+  async handleChangePin(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    // Only process in private chat
+    if (msg.chat.type !== 'private') {
+      return this.bot.sendMessage(chatId, 'Please talk to me directly to change your PIN.');
+    }
+    
+    try {
+      // Check if user is a DAO member
+      const hasWallet = await this.wallets.hasWallet(userId);
+      
+      if (!hasWallet) {
+        return this.bot.sendMessage(
+          chatId,
+          'You need to join the DAO first. Use /join to get started.'
+        );
+      }
+      
+      if (await this.wallets.isExternalWallet(userId)) {
+        return this.bot.sendMessage(chatId, 'Your DAO wallet is your own linked wallet, so there is no PIN to change.');
+      }
+      
+      // Prompt for current PIN
+      const message = await this.bot.sendMessage(
+        chatId,
+        '🔐 *Change your PIN*\n\nPlease enter your current PIN:',
+        { 
+          reply_markup: { force_reply: true },
+          parse_mode: 'Markdown'
+        }
+      );
+      
+      this.textProcessor.setupAwaitingPin(userId, async (oldPin) => {
+        // Verify the current PIN before asking for a new one
+        await this.wallets.decryptWallet(userId, oldPin);
+        
+        const newPinMessage = await this.bot.sendMessage(
+          chatId,
+          'PIN verified ✅\n\nPlease enter your new PIN (4-8 digits):',
+          { reply_markup: { force_reply: true } }
+        );
+        
+        this.textProcessor.setupAwaitingNewPin(userId, async (newPin) => {
+          const statusMsg = await this.bot.sendMessage(
+            chatId,
+            '🔄 *Changing your PIN*\n\nStatus: Re-encrypting your wallet...',
+            { parse_mode: 'Markdown' }
+          );
+          
+          await this.wallets.changePin(userId, oldPin, newPin);
+          
+          await this.bot.editMessageText(
+            '✅ *PIN Changed*\n\nYour wallet is now protected by your new PIN. Your old PIN no longer works.\n\nKeep your new PIN secure - you\'ll need it for DAO actions.',
+            { 
+              chat_id: chatId, 
+              message_id: statusMsg.message_id,
+              parse_mode: 'Markdown'
+            }
+          );
+        });
+        
+        // Save message ID to delete it later (for security)
+        const newPinState = this.textProcessor.getConversationState(userId);
+        newPinState.messageToDelete = newPinMessage.message_id;
+        this.textProcessor.setConversationState(userId, newPinState);
+      });
+      
+      // Save message ID to delete it later (for security)
+      const state = this.textProcessor.getConversationState(userId);
+      state.messageToDelete = message.message_id;
+      this.textProcessor.setConversationState(userId, state);
+    } catch (error) {
+      console.error('Error starting PIN change:', error);
+      this.bot.sendMessage(chatId, `Error changing PIN: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle /unlock command to start a time-boxed signing session
+   * @param {Object} msg - Telegram message object
+   * @param {Array} match - Regex match, with the optional number of minutes in match[1]
+   */
+  async handleUnlock(msg, match) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const minutes = match && match[1] ? parseInt(match[1]) : undefined;
+    
+    // Only process in private chat
+    if (msg.chat.type !== 'private') {
+      return this.bot.sendMessage(chatId, 'Please talk to me directly to unlock your wallet.');
+    }
+    
+    try {
+      // Check if user is a DAO member
+      const hasWallet = await this.wallets.hasWallet(userId);
+      
+      if (!hasWallet) {
+        return this.bot.sendMessage(
+          chatId,
+          'You need to join the DAO first. Use /join to get started.'
+        );
+      }
+      
+      if (await this.wallets.isExternalWallet(userId)) {
+        return this.bot.sendMessage(chatId, 'Your DAO wallet is your own linked wallet. You sign each action in your wallet, so there is nothing to unlock.');
+      }
+      
+      // Prompt for PIN
+      const message = await this.bot.sendMessage(
+        chatId,
+        '🔓 *Unlock your wallet*\n\nWhile unlocked, you can vote on several proposals without entering your PIN each time. The session ends automatically, or when you send /lock.\n\nPlease enter your PIN:',
+        { 
+          reply_markup: { force_reply: true },
+          parse_mode: 'Markdown'
+        }
+      );
+      
+      this.textProcessor.setupAwaitingPin(userId, async (pin) => {
+        const session = await this.wallets.unlockWallet(userId, pin, minutes);
+        const expiresAt = new Date(session.expiresAt).toLocaleTimeString();
+        
+        this.bot.sendMessage(
+          chatId,
+          `🔓 *Wallet Unlocked*\n\nYou can vote without your PIN for the next *${session.minutes} minutes* (until ${expiresAt}).\n\nSend /lock to end the session early.`,
+          { parse_mode: 'Markdown' }
+        );
+      });
+      
+      // Save message ID to delete it later (for security)
+      const state = this.textProcessor.getConversationState(userId);
+      state.messageToDelete = message.message_id;
+      this.textProcessor.setConversationState(userId, state);
+    } catch (error) {
+      console.error('Error unlocking wallet:', error);
+      this.bot.sendMessage(chatId, `Error unlocking wallet: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle /lock command to end a signing session
+   * @param {Object} msg - Telegram message object
+   */
+  async handleLock(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    const wasUnlocked = this.wallets.lockWallet(userId);
+    
+    this.bot.sendMessage(
+      chatId,
+      wasUnlocked
+        ? '🔒 Your wallet is locked. You\'ll be asked for your PIN on your next vote.'
+        : 'Your wallet is already locked.'
+    );
+  }
+  
+  /**
+   * Handle /backup command to show the wallet recovery phrase once
+   * @param {Object} msg - Telegram message object
+   */
+  async handleBackupPhrase(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    // Only process in private chat
+    if (msg.chat.type !== 'private') {
+      return this.bot.sendMessage(chatId, 'Please talk to me directly to back up your wallet.');
+    }
+    
+    try {
+      // Check if user is a DAO member
+      const hasWallet = await this.wallets.hasWallet(userId);
+      
+      if (!hasWallet) {
+        return this.bot.sendMessage(
+          chatId,
+          'You need to join the DAO first. Use /join to get started.'
+        );
+      }
+      
+      if (await this.wallets.isExternalWallet(userId)) {
+        return this.bot.sendMessage(chatId, 'Your DAO wallet is your own linked wallet. Back it up with your wallet software - the bot never had its recovery phrase.');
+      }
+      
+      // Prompt for PIN
+      const message = await this.bot.sendMessage(
+        chatId,
+        '🧾 *Back up your recovery phrase*\n\nYour phrase will be shown *only once*, and the message will delete itself shortly after. Make sure nobody can see your screen and have pen and paper ready.\n\nPlease enter your PIN:',
+        { 
+          reply_markup: { force_reply: true },
+          parse_mode: 'Markdown'
+        }
+      );
+      
+      this.textProcessor.setupAwaitingPin(userId, async (pin) => {
+        const phrase = await this.wallets.revealBackupPhrase(userId, pin);
+        
+        if (!phrase) {
+          return this.bot.sendMessage(
+            chatId,
+            'Your recovery phrase is no longer stored. It has either already been shown to you, or your wallet was created before backups were available.'
+          );
+        }
+        
+        const ttlSeconds = parseInt(process.env.BACKUP_MESSAGE_TTL_SECONDS || '60');
+        const phraseMsg = await this.bot.sendMessage(
+          chatId,
+          `🧾 *Your Recovery Phrase*\n\n\`${phrase}\`\n\nWrite these 12 words down in order and keep them somewhere safe and offline. Anyone with this phrase controls your wallet.\n\n_This message will be deleted in ${ttlSeconds} seconds and the phrase will not be shown again._`,
+          { 
+            parse_mode: 'Markdown',
+            protect_content: true
+          }
+        );
+        
+        // Schedule the deletion first, so the phrase disappears even if clearing it below fails
+        setTimeout(() => {
+          this.bot.deleteMessage(chatId, phraseMsg.message_id).catch(error => {
+            console.warn('Could not delete recovery phrase message:', error.message);
+          });
+        }, ttlSeconds * 1000);
+        
+        // The phrase has been shown, so stop storing it
+        await this.wallets.clearBackupPhrase(userId);
+      });
+      
+      // Save message ID to delete it later (for security)
+      const state = this.textProcessor.getConversationState(userId);
+      state.messageToDelete = message.message_id;
+      this.textProcessor.setConversationState(userId, state);
+    } catch (error) {
+      console.error('Error starting wallet backup:', error);
+      this.bot.sendMessage(chatId, `Error backing up wallet: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle /recover command to rebuild a wallet from its recovery phrase
+   * @param {Object} msg - Telegram message object
+   */
+  async handleRecoverWallet(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    // Only process in private chat
+    if (msg.chat.type !== 'private') {
+      return this.bot.sendMessage(chatId, 'Please talk to me directly to recover your wallet.');
+    }
+    
+    try {
+      // Recovery only restores an existing membership
+      const hasWallet = await this.wallets.hasWallet(userId);
+      
+      if (!hasWallet) {
+        return this.bot.sendMessage(
+          chatId,
+          'No DAO wallet is registered for your account. Use /join to get started.'
+        );
+      }
+      
+      if (await this.wallets.isExternalWallet(userId)) {
+        return this.bot.sendMessage(chatId, 'Your DAO wallet is your own linked wallet. Recover it with your wallet software - the bot never had its recovery phrase.');
+      }
+      
+      // Prompt for recovery phrase
+      const message = await this.bot.sendMessage(
+        chatId,
+        '🛟 *Recover your wallet*\n\nPlease send your 12-word recovery phrase, with the words separated by spaces. The message will be deleted right away.',
+        { 
+          reply_markup: { force_reply: true },
+          parse_mode: 'Markdown'
+        }
+      );
+      
+      this.textProcessor.setupAwaitingRecoveryPhrase(userId, async (phrase) => {
+        // Check the phrase before asking for a new PIN
+        await this.wallets.verifyRecoveryPhrase(userId, phrase);
+        
+        const newPinMessage = await this.bot.sendMessage(
+          chatId,
+          'Recovery phrase verified ✅\n\nPlease choose a new PIN (4-8 digits):',
+          { reply_markup: { force_reply: true } }
+        );
+        
+        this.textProcessor.setupAwaitingNewPin(userId, async (newPin) => {
+          const statusMsg = await this.bot.sendMessage(
+            chatId,
+            '🔄 *Recovering your wallet*\n\nStatus: Re-encrypting your wallet...',
+            { parse_mode: 'Markdown' }
+          );
+          
+          const address = await this.wallets.recoverWallet(userId, phrase, newPin);
+          
+          await this.bot.editMessageText(
+            `✅ *Wallet Recovered*\n\nYour wallet \`${address}\` is now protected by your new PIN. Your tokens and voting power are unchanged.`,
+            { 
+              chat_id: chatId, 
+              message_id: statusMsg.message_id,
+              parse_mode: 'Markdown'
+            }
+          );
+        });
+        
+        // Save message ID to delete it later (for security)
+        const newPinState = this.textProcessor.getConversationState(userId);
+        newPinState.messageToDelete = newPinMessage.message_id;
+        this.textProcessor.setConversationState(userId, newPinState);
+      });
+      
+      // Save message ID to delete it later (for security)
+      const state = this.textProcessor.getConversationState(userId);
+      state.messageToDelete = message.message_id;
+      this.textProcessor.setConversationState(userId, state);
+    } catch (error) {
+      console.error('Error starting wallet recovery:', error);
+      this.bot.sendMessage(chatId, `Error recovering wallet: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Check that guardian recovery can be used by this member
+   * @param {number} chatId - Chat ID to reply in
+   * @param {string} userId - Telegram user ID
+   * @returns {Promise<boolean>} - True if the member can use guardian recovery
+   */
+  async checkGuardianRecoveryAvailable(chatId, userId) {
+    if (!this.recovery || !this.wallets.isEscrowEnabled()) {
+      await this.bot.sendMessage(chatId, 'Guardian recovery is not enabled on this bot. If you have your recovery phrase, use /recover instead.');
+      return false;
+    }
+    
+    if (!(await this.wallets.hasWallet(userId))) {
+      await this.bot.sendMessage(chatId, 'You need to join the DAO first. Use /join to get started.');
+      return false;
+    }
+    
+    if (await this.wallets.isExternalWallet(userId)) {
+      await this.bot.sendMessage(chatId, 'Your DAO wallet is your own linked wallet. Recover it with your wallet software - the bot never had its key.');
+      return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Ask for the user's PIN and run an action with it
+   * @param {number} chatId - Chat ID
+   * @param {string} userId - Telegram user ID
+   * @param {string} prompt - Prompt text (Markdown)
+   * @param {Function} callback - Function to call with the PIN
+   */
+  async promptForPin(chatId, userId, prompt, callback) {
+    const message = await this.bot.sendMessage(
+      chatId,
+      prompt,
+      { 
+        reply_markup: { force_reply: true },
+        parse_mode: 'Markdown'
+      }
+    );
+    
+    this.textProcessor.setupAwaitingPin(userId, callback);
+    
+    // Save message ID to delete it later (for security)
+    const state = this.textProcessor.getConversationState(userId);
+    state.messageToDelete = message.message_id;
+    this.textProcessor.setConversationState(userId, state);
+  }
+  
+  /**
+   * Handle /guardians command to show, set or remove recovery guardians
+   * Usage: /guardians [approvals] [member] [member]... where members are
+   * wallet addresses or Telegram IDs, or /guardians off
+   * @param {Object} msg - Telegram message object
+   * @param {Array} match - Regex match with the command arguments
+   */
+  async handleGuardians(msg, match) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const args = match && match[1] ? match[1].trim().split(/\s+/) : [];
+    
+    // Only process in private chat
+    if (msg.chat.type !== 'private') {
+      return this.bot.sendMessage(chatId, 'Please talk to me directly to manage your recovery guardians.');
+    }
+    
+    try {
+      if (!(await this.checkGuardianRecoveryAvailable(chatId, userId))) {
+        return;
+      }
+      
+      const usage = 'To choose guardians, send `/guardians [approvals] [member] [member]...` with each member\'s wallet address or Telegram ID, for example:\n`/guardians 2 0x1234... 0xabcd... 0x9876...`\n\nSend `/guardians off` to remove them.';
+      
+      // Show the current setup
+      if (args.length === 0) {
+        const setup = await this.recovery.getGuardians(userId);
+        
+        if (!setup) {
+          return this.bot.sendMessage(
+            chatId,
+            `🛡️ *Recovery Guardians*\n\nYou haven't chosen any guardians yet. Guardians are DAO members you trust who can approve resetting your PIN if you ever lose it.\n\n${usage}`,
+            { parse_mode: 'Markdown' }
+          );
+        }
+        
+        const request = await this.recovery.getOpenRequest(userId);
+        const trail = await this.recovery.getAuditTrail(userId, 5);
+        
+        let message = `🛡️ *Recovery Guardians*\n\n${setup.threshold} of these ${setup.guardians.length} members must approve a PIN reset:\n`;
+        message += setup.guardians.map(id => `• ${id}`).join('\n');
+        
+        if (request) {
+          message += request.status === 'cooling_down'
+            ? `\n\n⏳ A PIN reset is approved and can be finished after ${this.recovery.formatTime(request.executableAfter)}.`
+            : '\n\n🛟 A PIN reset request is waiting for guardian approval.';
+          message += ' Send /cancelrecovery if you didn\'t ask for it.';
+        }
+        
+        if (trail.length > 0) {
+          message += '\n\n*Recent activity:*\n';
+          message += trail.map(entry => `• ${new Date(entry.createdAt).toISOString().substring(0, 16).replace('T', ' ')} ${entry.event.replace(/_/g, ' ')}`).join('\n');
+        }
+        
+        return this.bot.sendMessage(chatId, `${message}\n\n${usage}`, { parse_mode: 'Markdown' });
+      }
+      
+      // Remove guardians
+      if (args.length === 1 && args[0].toLowerCase() === 'off') {
+        return this.promptForPin(
+          chatId,
+          userId,
+          '🛡️ *Remove guardians*\n\nWithout guardians, a lost PIN can only be recovered with your recovery phrase.\n\nPlease enter your PIN to confirm:',
+          async (pin) => {
+            const removed = await this.recovery.removeGuardians(userId, pin);
+            this.bot.sendMessage(chatId, removed ? '🛡️ Your recovery guardians have been removed.' : 'You don\'t have any recovery guardians.');
+          }
+        );
+      }
+      
+      const threshold = parseInt(args[0]);
+      const members = args.slice(1);
+      
+      if (isNaN(threshold) || members.length === 0) {
+        return this.bot.sendMessage(chatId, usage, { parse_mode: 'Markdown' });
+      }
+      
+      // Guardians can be given by wallet address or Telegram ID
+      const guardianIds = [];
+      for (const member of members) {
+        let guardianId = null;
+        
+        if (/^0x[0-9a-fA-F]{40}$/.test(member)) {
+          guardianId = await this.wallets.getTelegramIdByAddress(member);
+        } else if (/^\d+$/.test(member)) {
+          guardianId = member;
+        }
+        
+        if (!guardianId) {
+          return this.bot.sendMessage(chatId, `I couldn't find a DAO member for \`${member}\`.`, { parse_mode: 'Markdown' });
+        }
+        guardianIds.push(guardianId);
+      }
+      
+      await this.promptForPin(
+        chatId,
+        userId,
+        `🛡️ *Set recovery guardians*\n\n${threshold} of ${guardianIds.length} guardians will need to approve resetting your PIN. A recovery copy of your wallet, encrypted with the bot's master recovery key, will be stored so they can help.\n\nPlease enter your PIN to confirm:`,
+        async (pin) => {
+          const setup = await this.recovery.setGuardians(userId, guardianIds, threshold, pin);
+          
+          this.bot.sendMessage(
+            chatId,
+            `✅ *Guardians Saved*\n\n${setup.threshold} of your ${setup.guardians.length} guardians can now approve a PIN reset with /resetpin. They have been notified.`,
+            { parse_mode: 'Markdown' }
+          );
+        }
+      );
+    } catch (error) {
+      console.error('Error managing recovery guardians:', error);
+      this.bot.sendMessage(chatId, `Error managing guardians: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle /resetpin command to reset a lost PIN with guardian approval
+   * The first call opens a request; once guardians have approved and the
+   * cool-down has passed, calling it again asks for the new PIN.
+   * @param {Object} msg - Telegram message object
+   */
+  async handleResetPin(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    // Only process in private chat
+    if (msg.chat.type !== 'private') {
+      return this.bot.sendMessage(chatId, 'Please talk to me directly to reset your PIN.');
+    }
+    
+    try {
+      if (!(await this.checkGuardianRecoveryAvailable(chatId, userId))) {
+        return;
+      }
+      
+      const request = await this.recovery.getOpenRequest(userId);
+      
+      if (!request) {
+        const newRequest = await this.recovery.startRecovery(userId);
+        
+        return this.bot.sendMessage(
+          chatId,
+          `🛟 *PIN Reset Requested*\n\nI've asked your guardians to approve. ${newRequest.threshold} of them must approve before ${this.recovery.formatTime(newRequest.expiresAt)}.\n\nAfter that there is a ${this.recovery.cooldownHours} hour cool-down before you can choose a new PIN. Let your guardians know the request is really from you.`,
+          { parse_mode: 'Markdown' }
+        );
+      }
+      
+      if (request.status === 'pending') {
+        const approvals = await this.db.getRecoveryApprovals(request.id);
+        
+        return this.bot.sendMessage(
+          chatId,
+          `🛟 Your PIN reset is waiting for your guardians (${approvals.length} of ${request.threshold} approvals so far). It expires ${this.recovery.formatTime(request.expiresAt)}.`
+        );
+      }
+      
+      // Throws with the remaining time if the cool-down hasn't ended
+      await this.recovery.getCompletableRequest(userId);
+      
+      const message = await this.bot.sendMessage(
+        chatId,
+        '✅ Your guardians approved the reset and the cool-down is over.\n\nPlease choose a new PIN (4-8 digits):',
+        { reply_markup: { force_reply: true } }
+      );
+      
+      this.textProcessor.setupAwaitingNewPin(userId, async (newPin) => {
+        const address = await this.recovery.completeRecovery(userId, newPin);
+        
+        this.bot.sendMessage(
+          chatId,
+          `✅ *PIN Reset*\n\nYour wallet \`${address}\` is now protected by your new PIN. Your tokens and voting power are unchanged.`,
+          { parse_mode: 'Markdown' }
+        );
+      });
+      
+      // Save message ID to delete it later (for security)
+      const state = this.textProcessor.getConversationState(userId);
+      state.messageToDelete = message.message_id;
+      this.textProcessor.setConversationState(userId, state);
+    } catch (error) {
+      console.error('Error resetting PIN with guardians:', error);
+      this.bot.sendMessage(chatId, `Error resetting PIN: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle /cancelrecovery command to cancel an open PIN reset request
+   * @param {Object} msg - Telegram message object
+   */
+  async handleCancelRecovery(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    if (!this.recovery) {
+      return this.bot.sendMessage(chatId, 'Guardian recovery is not enabled on this bot.');
+    }
+    
+    try {
+      const cancelled = await this.recovery.cancelRecovery(userId);
+      
+      this.bot.sendMessage(
+        chatId,
+        cancelled
+          ? '🚫 Your PIN reset request has been cancelled and your guardians have been told.'
+          : 'You don\'t have an open PIN reset request.'
+      );
+    } catch (error) {
+      console.error('Error cancelling recovery request:', error);
+      this.bot.sendMessage(chatId, `Error cancelling recovery: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle a guardian approving or declining a PIN reset request
+   * @param {number} chatId - Chat ID
+   * @param {string} userId - Guardian's Telegram ID
+   * @param {number} requestId - Recovery request ID
+   * @param {boolean} approve - True to approve, false to decline
+   */
+  async handleGuardianDecision(chatId, userId, requestId, approve) {
+    if (!this.recovery) {
+      return this.bot.sendMessage(chatId, 'Guardian recovery is not enabled on this bot.');
+    }
+    
+    try {
+      if (!approve) {
+        await this.recovery.decline(requestId, userId);
+        return this.bot.sendMessage(chatId, 'You declined the PIN reset. The member has been told.');
+      }
+      
+      const progress = await this.recovery.approve(requestId, userId);
       
+      this.bot.sendMessage(
+        chatId,
+        progress.executableAfter
+          ? `✅ Thank you. Enough guardians have approved, so the member can reset their PIN after a ${this.recovery.cooldownHours} hour cool-down.`
+          : `✅ Thank you. ${progress.approvals} of ${progress.threshold} guardians have approved so far.`
+      );
     } catch (error) {
-      console.error('Error in join process:', error);
-      this.bot.sendMessage(chatId, `Error joining the DAO: ${error.message}`);
+      console.error('Error handling guardian decision:', error);
+      this.bot.sendMessage(chatId, `Error: ${error.message}`);
     }
   }
   
   /**
-   * Handle /proposal command
+   * Handle /unlockpin admin command to clear a user's PIN lockout
    * @param {Object} msg - Telegram message object
+   * @param {string} targetUserId - Telegram ID of the locked-out user
    */
-  async handleCreateProposal(msg) {
+  async handleUnlockPin(msg, targetUserId) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     
-    // Only process in private chat
-    if (msg.chat.type !== 'private') {
-      return this.bot.sendMessage(chatId, 'Please talk to me directly to create a proposal.');
+    if (!this.isAdmin(userId)) {
+      return this.bot.sendMessage(chatId, 'Only DAO administrators can clear PIN lockouts.');
+    }
+    
+    if (!targetUserId) {
+      return this.bot.sendMessage(
+        chatId,
+        'Please provide the Telegram ID of the user to unlock. Usage: /unlockpin [telegramId]'
+      );
     }
     
     try {
-      // Check if user is a DAO member
-      const hasWallet = await this.wallets.hasWallet(userId);
-      
-      if (!hasWallet) {
-        return this.bot.sendMessage(
-          chatId,
-          'You need to join the DAO before creating a proposal. Use /join to get started.'
-        );
-      }
-      
-      // Get user's wallet address and check token balance
-      const address = await this.wallets.getWalletAddress(userId);
-      const balance = await this.blockchain.getTokenBalance(address);
-      
-      // Check if user has enough tokens to create a proposal
-      const minimumTokens = 1; // Configurable minimum
-      
-      if (parseFloat(balance) < minimumTokens) {
-        return this.bot.sendMessage(
-          chatId,
-          `You need at least ${minimumTokens} tokens to create a proposal. Current balance: ${balance} tokens.\n\nParticipate in the DAO by voting on proposals to earn more tokens!`
-        );
-      }
+      const cleared = await this.wallets.clearPinLockout(targetUserId);
       
-      // Start proposal creation flow
       this.bot.sendMessage(
         chatId,
-        'Let\'s create a new DAO proposal! First, enter a title for your proposal (keep it concise):'
+        cleared
+          ? `🔓 PIN lockout cleared for user ${targetUserId}. They have been notified.`
+          : `User ${targetUserId} has no failed PIN attempts recorded.`
       );
-      
-      // Setup proposal creation state
-      this.textProcessor.setupCreatingProposal(userId, async (pin, title, description) => {
-        // Store the user info for use in the proposal announcement
-        const userInfo = {
-          username: msg.from.username,
-          first_name: msg.from.first_name,
-          last_name: msg.from.last_name,
-          id: msg.from.id
-        };
-        
-        // Call the method that handles the proposal creation with status updates
-        await this.createProposalWithStatus(chatId, userId, pin, title, description, userInfo);
-      });
-      
     } catch (error) {
-      console.error('Error starting proposal creation:', error);
-      this.bot.sendMessage(chatId, `Error starting proposal creation: ${error.message}`);
+      console.error('Error clearing PIN lockout:', error);
+      this.bot.sendMessage(chatId, `Error clearing PIN lockout: ${error.message}`);
     }
   }
   
   /**
-   * Handle /balance command
+   * Handle /status admin command showing which RPC endpoint is in use and the health of each one
    * @param {Object} msg - Telegram message object
    */
-  async handleCheckBalance(msg) {
+  async handleStatus(msg) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     
-    // Only process in private chat
-    if (msg.chat.type !== 'private') {
-      return this.bot.sendMessage(chatId, 'Please talk to me directly to check your balance.');
+    if (!this.isAdmin(userId)) {
+      return this.bot.sendMessage(chatId, 'Only DAO administrators can view the bot status.');
     }
     
     try {
-      // Check if user is a DAO member
-      const hasWallet = await this.wallets.hasWallet(userId);
+      // All DAOs share the RPC endpoints
+      const blockchain = this.daos.getDefault().blockchain;
+      const status = await blockchain.getRpcStatus();
+      const network = blockchain.getNetwork();
       
-      if (!hasWallet) {
-        return this.bot.sendMessage(
-          chatId,
-          'You need to join the DAO first. Use /join to get started.'
-        );
+      if (!status) {
+        return this.bot.sendMessage(chatId, 'Blockchain features are disabled, so no RPC endpoint is in use.');
       }
       
-      // Show loading message
-      const statusMsg = await this.bot.sendMessage(
-        chatId,
-        '🔄 *Checking your balance...*',
-        { parse_mode: 'Markdown' }
-      );
-      
-      // Get user's wallet address and token balance
-      const address = await this.wallets.getWalletAddress(userId);
+      const lines = status.endpoints.map(endpoint => {
+        const details = endpoint.healthy
+          ? `block ${endpoint.blockNumber}, ${endpoint.latencyMs} ms`
+          : `${endpoint.lastError || 'unavailable'}${endpoint.failures ? ` (${endpoint.failures} failed requests)` : ''}`;
+        return `${endpoint.healthy ? '✅' : '❌'} ${endpoint.url}${endpoint.active ? ' (active)' : ''}: ${details}`;
+      });
       
-      // Update status message
-      await this.bot.editMessageText(
-        '🔄 *Checking your balance...*\n\nRetrieved wallet address ✅\nFetching token balance...',
-        { 
-          chat_id: chatId, 
-          message_id: statusMsg.message_id,
-          parse_mode: 'Markdown'
-        }
+      // Plain text: endpoint errors can contain Markdown characters
+      this.bot.sendMessage(
+        chatId,
+        `🩺 Bot status\n\nNetwork: ${network ? `${network.name} (chain ID ${network.chainId})` : 'unknown'}\nRPC endpoint in use: ${status.active}\n\nEndpoints:\n${lines.join('\n')}`
       );
+    } catch (error) {
+      console.error('Error getting bot status:', error);
+      this.bot.sendMessage(chatId, `Error getting bot status: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Handle /dao command: show the DAO this chat works with, and in private chat let the member switch
+   * @param {Object} msg - Telegram message object
+   */
+  async handleDao(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    try {
+      const dao = await this.daos.resolve(chatId, userId);
       
-      const balance = await this.blockchain.getTokenBalance(address);
-      
-      // Get blockchain explorer URL based on network
-      const network = process.env.BLOCKCHAIN_NETWORK || 'sepolia';
-      const explorerUrl = this.getExplorerUrl(network, address);
-      
-      // Delete the status message
-      await this.bot.deleteMessage(chatId, statusMsg.message_id);
-      
-      // Format the balance with commas for better readability
-      const formattedBalance = Number(balance).toLocaleString();
-      
-      // Create a visual representation of tokens based on amount
-      let tokenVisual = '';
-      const balanceNum = parseFloat(balance);
-      
-      if (balanceNum <= 0) {
-        tokenVisual = '⚪'; // Empty circle for zero balance
-      } else if (balanceNum < 100) {
-        tokenVisual = '🥉'; // Bronze for small balance
-      } else if (balanceNum < 1000) {
-        tokenVisual = '🥈'; // Silver for medium balance
-      } else if (balanceNum < 10000) {
-        tokenVisual = '🥇'; // Gold for large balance
-      } else {
-        tokenVisual = '👑'; // Crown for very large balance
+      // Groups are bound to the DAO whose community group they are
+      if (msg.chat.type !== 'private') {
+        return this.bot.sendMessage(
+          chatId,
+          `🏛️ This group works with ${dao.name}. Message me directly to work with another DAO.`,
+          { reply_to_message_id: msg.message_id }
+        );
       }
       
-      // Add user tier based on token amount
-      let userTier = '';
-      if (balanceNum <= 0) {
-        userTier = 'Observer';
-      } else if (balanceNum < 100) {
-        userTier = 'Member';
-      } else if (balanceNum < 1000) {
-        userTier = 'Contributor';
-      } else if (balanceNum < 10000) {
-        userTier = 'Influencer';
-      } else {
-        userTier = 'Leader';
+      if (!this.daos.hasMultiple()) {
+        return this.bot.sendMessage(chatId, `🏛️ I work with one DAO: ${dao.name}.`);
       }
       
-      // Format the wallet address for better display (first 6 + last 4 chars)
-      const shortAddress = `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+      const buttons = await Promise.all(this.daos.getAll().map(async (option) => {
+        const isMember = await this.db.isDaoMember(option.id, userId);
+        const marker = option.id === dao.id ? '✅ ' : '';
+        return [{ text: `${marker}${option.name}${isMember ? '' : ' (not joined)'}`, callback_data: `dao_${option.id}` }];
+      }));
       
-      // Send the final balance message with enhanced formatting
       this.bot.sendMessage(
         chatId,
-        `${tokenVisual} *Your DAO Token Balance*\n\n*${formattedBalance} tokens*\n\n` +
-        `*Tier:* ${userTier}\n` +
-        `*Wallet:* \`${address}\`\n\n` +
-        `🔍 [View on Block Explorer](${explorerUrl})\n` +
-        `\nYour tokens represent your voting power in Alphin DAO. The more tokens you have, the greater your influence on governance decisions.`,
-        { parse_mode: 'Markdown' }
+        `🏛️ You're working with ${dao.name}.\n\nBalances, proposals and votes in this chat are for that DAO. Choose another DAO to switch:`,
+        { reply_markup: { inline_keyboard: buttons } }
       );
+    } catch (error) {
+      console.error('Error showing DAOs:', error);
+      this.bot.sendMessage(chatId, `Error showing DAOs: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Switch the DAO a member works with in private chat
+   * @param {string} chatId - Telegram chat ID
+   * @param {string} userId - Telegram user ID
+   * @param {string} daoId - ID of the chosen DAO
+   */
+  async handleDaoSelection(chatId, userId, daoId) {
+    // Groups stay bound to their own DAO
+    if (String(chatId) !== String(userId)) {
+      return this.bot.sendMessage(chatId, 'Please talk to me directly to switch DAOs.');
+    }
+    
+    try {
+      const dao = await this.daos.select(userId, daoId);
+      const isMember = await this.db.isDaoMember(dao.id, userId);
       
+      this.bot.sendMessage(
+        chatId,
+        `✅ You're now working with ${dao.name}.` +
+        (isMember ? '' : '\n\nYou haven\'t joined it yet. Use /join to get its welcome tokens.')
+      );
     } catch (error) {
-      console.error('Error checking balance:', error);
-      this.bot.sendMessage(chatId, `Error checking balance: ${error.message}`);
+      console.error('Error switching DAO:', error);
+      this.bot.sendMessage(chatId, `Error switching DAO: ${error.message}`);
     }
   }
   
@@ -684,27 +2099,65 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
    * @param {Object} callbackQuery - Callback query data
    */
   async handleCallbackQuery(callbackQuery) {
-    const data = callbackQuery.data;
     const chatId = callbackQuery.message.chat.id;
     const userId = callbackQuery.from.id;
     
+    // Proposal buttons end in @[daoId] (see daoCallbackData); older buttons act on the chat's DAO
+    let data = callbackQuery.data;
+    let dao = null;
+    const daoSeparator = data.lastIndexOf('@');
+    if (daoSeparator !== -1) {
+      dao = this.daos.get(data.substring(daoSeparator + 1));
+      data = data.substring(0, daoSeparator);
+    }
+    
     try {
       // Answer callback query to stop loading animation
       await this.bot.answerCallbackQuery(callbackQuery.id);
       
+      if (daoSeparator !== -1 && !dao) {
+        return this.bot.sendMessage(chatId, 'This button belongs to a DAO I no longer run.');
+      }
+      
       // Vote callback format: v_[proposalId]_[voteType]
       if (data.startsWith('v_')) {
         const parts = data.split('_');
         if (parts.length === 3) {
           const proposalId = parts[1];
           const voteType = parts[2];
-      await this.handleVoteAction(chatId, userId, proposalId, voteType);
+          await this.handleVoteAction(chatId, userId, proposalId, voteType, false, undefined, dao);
         }
       } 
+      // External signing callback format: vx_[proposalId]_[voteType]
+      else if (data.startsWith('vx_')) {
+        const parts = data.split('_');
+        if (parts.length === 3) {
+          await this.handleVoteAction(chatId, userId, parts[1], parts[2], true, undefined, dao);
+        }
+      }
+      // Skip vote reason callback format: vs_[proposalId]_[voteType] (with _x when signing externally)
+      else if (data.startsWith('vs_')) {
+        const parts = data.split('_');
+        if (parts.length >= 3) {
+          // Stop waiting for a typed reason
+          this.textProcessor.resetConversationState(userId);
+          await this.handleVoteAction(chatId, userId, parts[1], parts[2], parts[3] === 'x', null, dao);
+        }
+      }
       // Execute proposal callback: exec_[proposalId]
       else if (data.startsWith('exec_')) {
         const proposalId = data.split('_')[1];
-        await this.handleExecuteProposal(chatId, userId, proposalId);
+        await this.handleExecuteProposal(chatId, userId, proposalId, dao);
+      }
+      // Cancel proposal callback: pcancel_[proposalId]
+      else if (data.startsWith('pcancel_')) {
+        const proposalId = data.split('_')[1];
+        await this.handleCancelProposal(chatId, callbackQuery.from, proposalId, dao);
+      }
+      // Queue proposal callback: queue_[proposalId]
+      else if (data.startsWith('queue_')) {
+        const proposalId = data.split('_')[1];
+        await this.handleQueueProposal(chatId, userId, proposalId, dao);
       }
       // Join DAO callback
       else if (data === 'join_dao') {
@@ -722,6 +2175,25 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
       else if (data === 'view_proposals') {
         await this.handleViewProposals(chatId, userId);
       }
+      // Proposal template callbacks: ptpl_custom / ptpl_treasury
+      else if (data.startsWith('ptpl_')) {
+        await this.handleProposalTemplate(chatId, callbackQuery.from, data.substring(5), dao);
+      }
+      // Guardian recovery callbacks: rg_ok_[requestId] / rg_no_[requestId]
+      else if (data.startsWith('rg_')) {
+        const parts = data.split('_');
+        if (parts.length === 3) {
+          await this.handleGuardianDecision(chatId, userId, parseInt(parts[2]), parts[1] === 'ok');
+        }
+      }
+      // Recovery phrase backup callback
+      else if (data === 'backup_phrase') {
+        await this.handleBackupPhrase({ ...callbackQuery.message, from: callbackQuery.from });
+      }
+      // DAO selection callback: dao_[daoId]
+      else if (data.startsWith('dao_')) {
+        await this.handleDaoSelection(chatId, userId, data.substring(4));
+      }
       // Help callback
       else if (data === 'help') {
         await this.handleHelp(chatId);
@@ -741,9 +2213,14 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
    * @param {string} userId - Telegram user ID
    * @param {string} proposalId - ID or shortened ID of the proposal
    * @param {string} voteType - Type of vote (0=against, 1=for, 2=abstain)
+   * @param {boolean} [signExternally] - Sign the Ballot in the user's own wallet instead of with the PIN
+   * @param {string|null} [reason] - Reason for the vote (null for none); the user is asked for one when omitted
+   * @param {Object} [boundDao] - DAO the button was shown for (resolved from the chat when omitted)
    */
-  async handleVoteAction(chatId, userId, proposalId, voteType) {
+  async handleVoteAction(chatId, userId, proposalId, voteType, signExternally = false, reason, boundDao = null) {
     try {
+      const dao = boundDao || await this.daos.resolve(chatId, userId);
+      
       // Check if user is a DAO member
       const hasWallet = await this.wallets.hasWallet(userId);
       
@@ -762,7 +2239,7 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
       if (proposalId.length <= 10) {
         try {
           // Get all active proposals
-          const activeProposals = await this.blockchain.getActiveProposals();
+          const activeProposals = await dao.blockchain.getActiveProposals();
           
           // Find the proposal that matches the short ID
           const matchingProposal = activeProposals.find(p => 
@@ -773,7 +2250,7 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
           if (matchingProposal) {
             // Use the appropriate property based on what's available
             fullProposalId = matchingProposal.id || matchingProposal.proposalId;
-            proposal = await this.blockchain.getProposalInfo(fullProposalId);
+            proposal = await dao.blockchain.getProposalInfo(fullProposalId);
           } else {
             return this.bot.sendMessage(
               chatId,
@@ -790,7 +2267,7 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
       } else {
         // Direct fetch if full ID was provided
         try {
-          proposal = await this.blockchain.getProposalInfo(fullProposalId);
+          proposal = await dao.blockchain.getProposalInfo(fullProposalId);
         } catch (error) {
           console.error('Error getting proposal info:', error);
           return this.bot.sendMessage(
@@ -811,11 +2288,36 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
       // Get vote type description
       const voteTypeDesc = voteType === '0' ? 'AGAINST' : voteType === '1' ? 'FOR' : 'ABSTAIN';
       
+      // Ask for an optional reason first, unless one was already given for this vote
+      // (e.g. before switching to external signing)
+      if (reason === undefined) {
+        const pendingReason = this.pendingVoteReasons.get(String(userId));
+        if (!pendingReason || pendingReason.proposalId !== fullProposalId || pendingReason.voteType !== voteType) {
+          return this.promptForVoteReason(dao, chatId, userId, fullProposalId, voteType, voteTypeDesc, signExternally);
+        }
+        reason = pendingReason.reason;
+      }
+      this.pendingVoteReasons.set(String(userId), { proposalId: fullProposalId, voteType, reason });
+      
+      // Self-custodied members always sign the Ballot in their own wallet
+      const signsExternally = signExternally || await this.wallets.isExternalWallet(userId);
+      const unlockedWallet = signsExternally ? null : this.wallets.getUnlockedWallet(userId);
+      
+      // Members who imported their recovery phrase elsewhere can sign there instead of using the PIN
+      const pendingOptions = { parse_mode: 'Markdown' };
+      if (!signsExternally && !unlockedWallet) {
+        pendingOptions.reply_markup = {
+          inline_keyboard: [
+            [{ text: '✍️ I\'ll sign externally', callback_data: this.daoCallbackData(dao, `vx_${fullProposalId.substring(0, 10)}_${voteType}`) }]
+          ]
+        };
+      }
+      
       // Show pending message to user
       const pendingMsg = await this.bot.sendMessage(
         chatId,
         `🕒 *Processing Your Vote*\n\nYou are voting ${voteTypeDesc} on proposal ${fullProposalId.substring(0, 8)}...\n\nPlease wait while we process your vote...`,
-        { parse_mode: 'Markdown' }
+        pendingOptions
       );
       
       // Save pending message ID to state to ensure we can reference it later
@@ -823,18 +2325,9 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
       state.pendingVoteMessageId = pendingMsg.message_id;
       this.textProcessor.setConversationState(userId, state);
       
-      // Prompt for PIN
-      const message = await this.bot.sendMessage(
-        chatId,
-        `Please enter your PIN to confirm your vote:\n\n_(Your vote will be cryptographically signed with your private key for true decentralization. Only gas fees are covered by the DAO.)_`,
-        { 
-          reply_markup: { force_reply: true },
-          parse_mode: 'Markdown'
-        }
-      );
-      
-      // Setup awaiting vote PIN state
-      this.textProcessor.setupAwaitingVotePin(userId, async (pin) => {
+      // Sign and submit the vote with the wallet returned by resolveWallet
+      // (castBallot can replace the signing step, e.g. with an externally signed Ballot)
+      const submitVote = async (resolveWallet, castBallot = (wallet) => dao.blockchain.castVote(fullProposalId, wallet, parseInt(voteType), reason, { chatId })) => {
         try {
           // Get current state to retrieve message IDs
           const currentState = this.textProcessor.getConversationState(userId) || {};
@@ -862,7 +2355,7 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
           this.textProcessor.setConversationState(userId, updatedState);
           
           // Get user's wallet
-          const userWallet = await this.wallets.decryptWallet(userId, pin);
+          const userWallet = await resolveWallet();
           const address = await this.wallets.getWalletAddress(userId);
           
           // Update status message - make sure the message ID still exists
@@ -931,7 +2424,7 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
           }
           
           // Submit vote with full proposal ID
-          const result = await this.blockchain.castVote(fullProposalId, userWallet, parseInt(voteType));
+          const result = await castBallot(userWallet);
           
           // Get latest state to ensure we have the most current message ID
           latestState = this.textProcessor.getConversationState(userId) || {};
@@ -1026,7 +2519,7 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
             
             // Get updated proposal info for current vote counts
             try {
-              const updatedProposal = await this.blockchain.getProposalInfo(fullProposalId);
+              const updatedProposal = await dao.blockchain.getProposalInfo(fullProposalId);
               proposal = updatedProposal; // Use the updated vote counts
             } catch (error) {
               console.warn('Could not get updated proposal info:', error.message);
@@ -1035,16 +2528,27 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
             
             // Track vote in database
             try {
-              await this.db.trackUserVote(userId, fullProposalId, parseInt(voteType), result.txHash);
+              await this.db.trackUserVote(dao.id, userId, fullProposalId, parseInt(voteType), result.txHash, reason);
               console.log(`Tracked vote for user ${userId} on proposal ${fullProposalId}`);
             } catch (trackError) {
               console.error('Error tracking user vote:', trackError);
               // Continue even if tracking fails - non-critical
             }
+            this.pendingVoteReasons.delete(String(userId));
+            
+            // Share the reason with the community
+            if (reason) {
+              await this.announceVoteReason(dao, userId, fullProposalId, voteTypeDesc, reason);
+            }
 
+            // Say where the reason was recorded
+            const reasonLine = reason
+              ? `*Reason:* ${this.cleanVoteReason(reason)}\n_${result.reasonOnChain ? 'Your reason was recorded on-chain with your vote' : 'Your reason was saved by the bot and shared with the community'}_\n`
+              : '';
+            
             // Reward user for voting
             try {
-              await this.gamification.rewardForVoting(address);
+              await dao.gamification.rewardForVoting(address);
               
               // Delete status message before showing final success if we have a valid message ID
               if (currentVotingMsgId) {
@@ -1062,6 +2566,8 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
               // Determine voting method description based on the method used
               if (result.method === 'meta-transaction') {
                 votingMethod = "Your vote was cryptographically signed with your private key and recorded on-chain";
+              } else if (result.method === 'external-signature') {
+                votingMethod = "Your vote was signed in your own wallet and recorded on-chain";
               } else if (result.method === 'direct-user-vote') {
                 votingMethod = "Your vote was submitted directly from your wallet";
               } else if (result.method === 'admin-assisted') {
@@ -1081,7 +2587,8 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
                 `✅ *Vote Cast Successfully!* 🗳️\n\n` +
                 `*Vote:* ${voteTypeDesc}\n` +
                 `*Proposal ID:* \`${fullProposalId.substring(0, 8)}...\`\n` +
-                `*Transaction:* \`${result.txHash.substring(0, 8)}...\`\n\n` +
+                `*Transaction:* \`${result.txHash.substring(0, 8)}...\`\n` +
+                reasonLine + `\n` +
                 `_${votingMethod}_${warningNote}\n\n` +
                 `You've earned tokens as a reward for participating!`,
                 { parse_mode: 'Markdown' }
@@ -1095,7 +2602,8 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
                 `✅ *Vote Cast Successfully!* 🗳️\n\n` +
                 `*Vote:* ${voteTypeDesc}\n` +
                 `*Proposal ID:* \`${fullProposalId.substring(0, 8)}...\`\n` +
-                `*Transaction:* \`${result.txHash.substring(0, 8)}...\`\n\n` +
+                `*Transaction:* \`${result.txHash.substring(0, 8)}...\`\n` +
+                reasonLine + `\n` +
                 `_Your vote was cryptographically signed with your private key and recorded on-chain_`,
                 { parse_mode: 'Markdown' }
               );
@@ -1104,10 +2612,10 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
             // Update proposal in cache and check its status after the vote
             try {
               // Get updated proposal information with latest votes
-              const updatedProposal = await this.blockchain.getProposalInfo(fullProposalId);
+              const updatedProposal = await dao.blockchain.getProposalInfo(fullProposalId);
               
               // Save updated proposal to cache
-              await this.db.updateProposalCache(updatedProposal);
+              await this.db.updateProposalCache(dao.id, updatedProposal);
               
               // Check if this vote makes the proposal pass or fail
               // This is a simple check - in a real DAO, use the governance rules
@@ -1117,14 +2625,14 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
               
               // If the vote is close to threshold or quorum, notify admins
               if (Math.abs(forVotes - againstVotes) / totalVotes < 0.1 && 
-                  this.communityGroupId && totalVotes > 5) {
+                  dao.communityGroupId && totalVotes > 5) {
                 try {
                   // This is a close vote - send a notification to the community
                   const forPercent = (forVotes / totalVotes * 100).toFixed(1);
                   const againstPercent = (againstVotes / totalVotes * 100).toFixed(1);
                   
                   await this.bot.sendMessage(
-                    this.communityGroupId,
+                    dao.communityGroupId,
                     `⚠️ *Close Vote Alert!*\n\nProposal #${fullProposalId.substring(0, 8)} is very close!\n\n` +
                     `Current results:\n` +
                     `✅ For: ${forVotes} (${forPercent}%)\n` +
@@ -1222,6 +2730,9 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
             errorMsg = 'You have already voted on this proposal.';
           } else if (error.message.includes('Invalid PIN')) {
             errorMsg = 'Invalid PIN. Please try again with the correct PIN.';
+          } else if (error.message.includes('Incorrect PIN') || error.message.includes('PIN attempts')) {
+            // Includes any lockout or back-off details
+            errorMsg = error.message;
           } else if (error.message.includes('insufficient funds')) {
             errorMsg = 'There are insufficient funds to process your vote. Please contact a DAO admin.';
           } else if (error.message.includes('rejected')) {
@@ -1230,19 +2741,136 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
           
           this.bot.sendMessage(chatId, `❌ *Vote Failed*\n\n${errorMsg}`, { parse_mode: 'Markdown' });
         }
-      });
-
-            
-      // Save message ID to delete it later (for security)
-      const updatedState = this.textProcessor.getConversationState(userId) || {};
-      updatedState.messageToDelete = message.message_id;
-      this.textProcessor.setConversationState(userId, updatedState);
-    } catch (error) {
-      console.error('Error in handleVoteAction:', error);
-      this.bot.sendMessage(
-        chatId,
-        'Sorry, there was an error processing your vote. Please try again later.'
+      };
+      
+      // Send the Ballot to be signed in the user's own wallet
+      if (signsExternally) {
+        const address = await this.wallets.getWalletAddress(userId);
+        const payload = await dao.blockchain.getBallotSigningRequest(fullProposalId, address, parseInt(voteType), reason);
+        
+        await this.bot.sendMessage(
+          chatId,
+          `✍️ *Sign your vote*\n\nSign this EIP-712 Ballot with \`${address}\` (eth\\_signTypedData\\_v4), then paste the signature here:\n\n\`\`\`\n${JSON.stringify(payload, null, 2)}\n\`\`\``,
+          { parse_mode: 'Markdown' }
+        );
+        
+        this.textProcessor.setupAwaitingSignature(userId, (signature) => submitVote(
+          async () => null,
+          () => dao.blockchain.castVoteBySignature(fullProposalId, address, parseInt(voteType), signature, reason, { chatId })
+        ));
+        return;
+      }
+      
+      // Skip the PIN prompt while the user has an active signing session
+      if (unlockedWallet) {
+        return submitVote(async () => unlockedWallet);
+      }
+      
+      // Prompt for PIN
+      const message = await this.bot.sendMessage(
+        chatId,
+        `Please enter your PIN to confirm your vote:\n\n_(Your vote will be cryptographically signed with your private key for true decentralization. Only gas fees are covered by the DAO. Voting on several proposals? Use /unlock to skip the PIN for a few minutes.)_`,
+        { 
+          reply_markup: { force_reply: true },
+          parse_mode: 'Markdown'
+        }
+      );
+      
+      // Setup awaiting vote PIN state
+      this.textProcessor.setupAwaitingVotePin(userId, (pin) => submitVote(
+        () => this.wallets.decryptWallet(userId, pin)
+      ));
+      
+      // Save message ID to delete it later (for security)
+      const updatedState = this.textProcessor.getConversationState(userId) || {};
+      updatedState.messageToDelete = message.message_id;
+      this.textProcessor.setConversationState(userId, updatedState);
+    } catch (error) {
+      console.error('Error in handleVoteAction:', error);
+      this.bot.sendMessage(
+        chatId,
+        'Sorry, there was an error processing your vote. Please try again later.'
+      );
+    }
+  }
+  
+  /**
+   * Ask the user for an optional reason before their vote is cast
+   * @param {Object} dao - DAO the proposal belongs to
+   * @param {string} chatId - Telegram chat ID
+   * @param {string} userId - Telegram user ID
+   * @param {string} fullProposalId - Full proposal ID
+   * @param {string} voteType - Type of vote (0=against, 1=for, 2=abstain)
+   * @param {string} voteTypeDesc - Vote type shown to the user
+   * @param {boolean} signExternally - Whether the user chose to sign the Ballot externally
+   */
+  async promptForVoteReason(dao, chatId, userId, fullProposalId, voteType, voteTypeDesc, signExternally) {
+    await this.bot.sendMessage(
+      chatId,
+      `💬 *Add a reason?*\n\nYou're voting ${voteTypeDesc} on proposal ${fullProposalId.substring(0, 8)}...\n\nSend a short reason to share with the community (up to ${MAX_VOTE_REASON_LENGTH} characters), or tap Skip.`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '⏭️ Skip', callback_data: this.daoCallbackData(dao, `vs_${fullProposalId.substring(0, 10)}_${voteType}${signExternally ? '_x' : ''}`) }]
+          ]
+        }
+      }
+    );
+    
+    // Ask again until the reason fits
+    const awaitReason = () => this.textProcessor.setupAwaitingInput(userId, async (answer) => {
+      if (answer.length > MAX_VOTE_REASON_LENGTH) {
+        await this.bot.sendMessage(
+          chatId,
+          `⚠️ Your reason is ${answer.length} characters long. Please keep it under ${MAX_VOTE_REASON_LENGTH} characters, or send "skip".`
+        );
+        return awaitReason();
+      }
+      
+      const reason = answer.toLowerCase() === 'skip' ? null : answer;
+      await this.handleVoteAction(chatId, userId, fullProposalId, voteType, signExternally, reason, dao);
+    });
+    awaitReason();
+  }
+  
+  /**
+   * Remove Markdown characters from a vote reason so it can be shown in formatted messages
+   * @param {string} reason - Reason given by the voter
+   * @returns {string} - Reason without Markdown characters
+   */
+  cleanVoteReason(reason) {
+    return String(reason).replace(/[\*\`\_\[\]]/g, '');
+  }
+  
+  /**
+   * Post a member's vote reason in the community group
+   * @param {Object} dao - DAO the proposal belongs to
+   * @param {string} userId - Telegram user ID of the voter
+   * @param {string} fullProposalId - Full proposal ID
+   * @param {string} voteTypeDesc - Vote type (FOR, AGAINST or ABSTAIN)
+   * @param {string} reason - Reason given by the voter
+   */
+  async announceVoteReason(dao, userId, fullProposalId, voteTypeDesc, reason) {
+    if (!dao.communityGroupId) {
+      return;
+    }
+    
+    try {
+      const userInfo = await this.bot.getChat(userId);
+      const voterName = userInfo.username
+        ? `@${userInfo.username}`
+        : userInfo.first_name || 'A member';
+      const voteIcon = voteTypeDesc === 'FOR' ? '✅' : voteTypeDesc === 'AGAINST' ? '❌' : '⚪';
+      
+      // Plain text, so names and reasons are shown exactly as written
+      await this.bot.sendMessage(
+        dao.communityGroupId,
+        `🗣️ ${voterName} voted ${voteIcon} ${voteTypeDesc} on proposal #${fullProposalId.substring(0, 8)}\n\n"${reason}"`,
+        { parse_mode: null }
       );
+    } catch (error) {
+      console.error('Error announcing vote reason:', error);
     }
   }
   
@@ -1262,15 +2890,15 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
       const fallbackHelp = {
         'dao': `🏛️ *What is Alphin DAO?*\n\nA DAO (Decentralized Autonomous Organization) is a community-governed entity where decisions are made collectively by members who hold voting tokens.\n\n✨ With Alphin DAO:\n• No technical knowledge needed\n• All blockchain complexity is hidden\n• You can join with a simple command\n• Participate directly from Telegram`,
         
-        'joining': `🔑 *Joining Alphin DAO*\n\nJoining is simple and only takes a minute:\n\n1. Click the "Join DAO" button or use the /join command\n2. Create a PIN (4-8 digits) to secure your wallet\n3. Your wallet will be created automatically\n4. You'll receive welcome tokens to start participating\n\n*Important:* Remember your PIN! You'll need it to vote and create proposals.`,
+        'joining': `🔑 *Joining Alphin DAO*\n\nJoining is simple and only takes a minute:\n\n1. Click the "Join DAO" button or use the /join command\n2. Create a PIN (4-8 digits) to secure your wallet\n3. Your wallet will be created automatically\n4. You'll receive welcome tokens to start participating\n\n*Important:* Remember your PIN! You'll need it to vote and create proposals.\n\nAlready have your own wallet? Use /link with its address instead - you'll sign DAO actions in your wallet and the bot never holds your key.`,
         
-        'voting': `🗳️ *Voting in Alphin DAO*\n\nVoting is easy! When you see a proposal in the community group:\n\n1. Click one of the vote buttons (Yes/No/Abstain)\n2. You'll be redirected to a private chat\n3. Enter your PIN to confirm your vote\n4. Earn tokens as a reward for participating\n\nYour vote power is based on how many tokens you hold.`,
+        'voting': `🗳️ *Voting in Alphin DAO*\n\nVoting is easy! When you see a proposal in the community group:\n\n1. Click one of the vote buttons (Yes/No/Abstain)\n2. You'll be redirected to a private chat\n3. Optionally add a reason - it's shared with the community and shown on the proposal\n4. Enter your PIN to confirm your vote\n5. Earn tokens as a reward for participating\n\nYour vote power is based on how many tokens you hold.\n\nCan't follow every proposal? /delegate @member lets someone you trust vote with your tokens; /undelegate takes your votes back. /balance shows who your votes go to.`,
         
-        'proposals': `📝 *Creating Proposals*\n\nShare your ideas with the community:\n\n1. Use the "Create Proposal" button or /proposal command\n2. Enter a clear title and detailed description\n3. Confirm with your PIN\n4. Your proposal will be announced to all members for voting\n\n*Note:* You need tokens to create proposals. The more thoughtful proposals you make, the more influence you gain!`,
+        'proposals': `📝 *Creating Proposals*\n\nShare your ideas with the community:\n\n1. Use the "Create Proposal" button or /proposal command\n2. Choose a custom proposal, or the treasury transfer template to send tokens to an address or @member\n3. Enter a clear title and detailed description\n4. Optionally add on-chain actions (contract calls the DAO makes if the proposal passes)\n5. Review the decoded actions and confirm with your PIN\n6. Your proposal will be announced to all members for voting\n\n*Note:* You need tokens to create proposals. The more thoughtful proposals you make, the more influence you gain!`,
         
         'tokens': `💰 *Alphin DAO Tokens*\n\nTokens are the core of our DAO:\n\n• They represent your voting power\n• You receive tokens when joining\n• Earn more by voting on proposals\n• Earn even more by creating good proposals\n• All tokens are managed automatically\n\nCheck your balance anytime with the "Check Balance" button!`,
         
-        'security': `🔐 *Security in Alphin DAO*\n\nYour security is our priority:\n\n• Your PIN secures your wallet\n• *Never* share your PIN with anyone\n• PIN messages are automatically deleted\n• Your private key never leaves the server\n• All sensitive actions happen in private chat\n\nIf you forget your PIN, you'll need to create a new wallet.`
+        'security': `🔐 *Security in Alphin DAO*\n\nYour security is our priority:\n\n• Your PIN secures your wallet\n• *Never* share your PIN with anyone\n• PIN messages are automatically deleted\n• Your private key never leaves the server\n• All sensitive actions happen in private chat\n• Change your PIN anytime with /changepin\n\nIf you forget your PIN, use /recover with the recovery phrase you saved using /backup.`
       };
       
       const selectedHelp = fallbackHelp[topic] || `❓ *Help*\n\nSorry, I couldn't generate help content for that topic right now.\n\nTry asking about:\n• What is a DAO?\n• How voting works\n• Creating proposals\n• Tokens and rewards\n• Security`;
@@ -1283,46 +2911,20 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
     }
   }
   
-  /**
-   * Get blockchain explorer URL based on network and address/transaction
-   * @param {string} network - The blockchain network (e.g., 'sepolia', 'mainnet')
-   * @param {string} hash - The address or transaction hash
-   * @param {string} type - Type of URL ('address' or 'tx')
-   * @returns {string} - The explorer URL
-   */
-  getExplorerUrl(network, hash, type = 'address') {
-    // Define base URLs for different networks
-    const explorers = {
-      'mainnet': 'https://etherscan.io',
-      'goerli': 'https://goerli.etherscan.io',
-      'sepolia': 'https://sepolia.etherscan.io',
-      'optimism': 'https://optimistic.etherscan.io',
-      'arbitrum': 'https://arbiscan.io',
-      'polygon': 'https://polygonscan.com',
-      'bsc': 'https://bscscan.com',
-      'avalanche': 'https://snowtrace.io',
-      'mantletestnet': 'https://explorer.sepolia.mantle.xyz'
-      // Add more networks as needed
-    };
-    
-    // Default to Sepolia if network not found
-    const baseUrl = explorers[network.toLowerCase()] || explorers['sepolia'];
-    console.log(`Using explorer URL for ${network}: ${baseUrl}`);
-    
-    return `${baseUrl}/${type}/${hash}`;
-  }
-
   /**
    * Handle proposal creation with steps and status updates
+   * @param {Object} dao - DAO the proposal is for
    * @param {number} chatId - Chat ID
    * @param {number} userId - User ID
-   * @param {string} pin - User's PIN
+   * @param {string|null} pin - User's PIN, or null once a self-custodied member has signed the confirmation
    * @param {string} title - Proposal title
    * @param {string} description - Proposal description
    * @param {Object} userInfo - User information object with username, first_name, etc.
+   * @param {Array<Object>} [actions] - On-chain actions built with proposalActions (empty for a text-only proposal)
+   * @param {Object|null} [preflight] - Simulation of the actions already shown to the member (simulated here if not given)
    * @returns {Promise<void>}
    */
-  async createProposalWithStatus(chatId, userId, pin, title, description, userInfo) {
+  async createProposalWithStatus(dao, chatId, userId, pin, title, description, userInfo, actions = [], preflight) {
     try {
       // Send initial status message
       const statusMsg = await this.bot.sendMessage(
@@ -1331,8 +2933,8 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
         { parse_mode: 'Markdown' }
       );
       
-      // Get user's wallet
-      const userWallet = await this.wallets.decryptWallet(userId, pin);
+      // Get user's wallet (self-custodied members were verified by signature)
+      const userWallet = pin === null ? null : await this.wallets.decryptWallet(userId, pin);
       
       // Update status - validated
       await this.bot.editMessageText(
@@ -1347,10 +2949,18 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
       // Create the proposal
       const proposal = {
         title: title,
-        description: description
+        description: description,
+        actions: actions
       };
       
-      const result = await this.blockchain.createProposal(proposal, userWallet);
+      const result = await dao.blockchain.createProposal(proposal, userWallet, { chatId, preflight });
+      
+      // Remember who submitted it: on-chain the admin wallet is the proposer
+      try {
+        await this.db.saveProposalAuthor(dao.id, result.proposalId, userId);
+      } catch (error) {
+        console.error('Error saving proposal author:', error);
+      }
       
       // Update status - proposal created
       await this.bot.editMessageText(
@@ -1366,7 +2976,7 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
       const address = await this.wallets.getWalletAddress(userId);
       
       // Reward user for creating proposal
-      await this.gamification.rewardForProposal(address);
+      await dao.gamification.rewardForProposal(address);
       
       // Final status update - all done
       await this.bot.editMessageText(
@@ -1378,9 +2988,7 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
         }
       );
       
-      // Create network explorer link
-      const network = process.env.BLOCKCHAIN_NETWORK || 'sepolia';
-      const txExplorerUrl = this.getExplorerUrl(network, result.txHash, 'tx');
+      const txExplorerUrl = dao.blockchain.getExplorerUrl(result.txHash, 'tx');
       
       // Delete the status message
       await this.bot.deleteMessage(chatId, statusMsg.message_id);
@@ -1389,9 +2997,13 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
       await this.bot.sendMessage(
         chatId,
         `📜 *Proposal Created Successfully!*\n\n` +
-        `*Title:* ${title}\n\n` +
+        `*Title:* ${title}\n` +
+        `*Actions:* ${actions.length > 0 ? `${actions.length} on-chain action(s) will run if it passes` : 'none (text-only)'}\n\n` +
+        (result.preflight && !result.preflight.success
+          ? `${this.safeMarkdown(proposalActions.formatSimulation(result.preflight, actions))}\n\n`
+          : '') +
         `Your proposal has been submitted to the blockchain and will be announced in the community group.\n\n` +
-        `🔗 [View Transaction](${txExplorerUrl})\n\n` +
+        (txExplorerUrl ? `🔗 [View Transaction](${txExplorerUrl})\n\n` : '') +
         `✨ *What's Next?*\n` +
         `• Members will now vote on your proposal\n` +
         `• You've earned tokens for your contribution\n` +
@@ -1400,7 +3012,7 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
       );
       
       // Announce proposal in community group
-      if (this.communityGroupId) {
+      if (dao.communityGroupId) {
         // Truncate the proposal ID to ensure it fits within Telegram's callback_data limit
         // Telegram has a 64-byte limit for callback_data
         const shortProposalId = result.proposalId.substring(0, 10); // Take only first 10 chars
@@ -1408,9 +3020,9 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
         const inlineKeyboard = {
           inline_keyboard: [
             [
-              { text: 'Vote Yes', callback_data: `v_${shortProposalId}_1` },
-              { text: 'Vote No', callback_data: `v_${shortProposalId}_0` },
-              { text: 'Abstain', callback_data: `v_${shortProposalId}_2` }
+              { text: 'Vote Yes', callback_data: this.daoCallbackData(dao, `v_${shortProposalId}_1`) },
+              { text: 'Vote No', callback_data: this.daoCallbackData(dao, `v_${shortProposalId}_0`) },
+              { text: 'Abstain', callback_data: this.daoCallbackData(dao, `v_${shortProposalId}_2`) }
             ]
           ]
         };
@@ -1425,10 +3037,11 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
           const safeName = this.safeMarkdown(submitterName);
           const safeTitle = this.safeMarkdown(title);
           const safeDesc = this.safeMarkdown(description.substring(0, 200) + (description.length > 200 ? '...' : ''));
+          const actionsNote = actions.length > 0 ? `\n\n⚙️ *${actions.length} on-chain action(s)* will be executed if this passes.` : '';
               
           await this.bot.sendMessage(
-            this.communityGroupId,
-            `📢 *New Governance Proposal*\n\nSubmitted by: ${safeName}\n\n*${safeTitle}*\n\n${safeDesc}\n\n🗳️ *Voting is now open!* Your vote matters in shaping the future of Alphin DAO.\n\nSelect an option below to cast your vote:`,
+            dao.communityGroupId,
+            `📢 *New Governance Proposal*\n\nSubmitted by: ${safeName}\n\n*${safeTitle}*\n\n${safeDesc}${actionsNote}\n\n🗳️ *Voting is now open!* Your vote matters in shaping the future of ${this.formatDaoName(dao)}.\n\nSelect an option below to cast your vote:`,
             { 
               parse_mode: 'Markdown',
               reply_markup: inlineKeyboard
@@ -1446,8 +3059,8 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
                 : 'a DAO member';
                 
             await this.bot.sendMessage(
-              this.communityGroupId,
-              `📢 New Governance Proposal\n\nSubmitted by: ${submitterName}\n\n${title}\n\n${description.substring(0, 200)}${description.length > 200 ? '...' : ''}\n\n🗳️ Voting is now open! Your vote matters in shaping the future of Alphin DAO.\n\nSelect an option below to cast your vote:`,
+              dao.communityGroupId,
+              `📢 New Governance Proposal\n\nSubmitted by: ${submitterName}\n\n${title}\n\n${description.substring(0, 200)}${description.length > 200 ? '...' : ''}\n\n🗳️ Voting is now open! Your vote matters in shaping the future of ${dao.name}.\n\nSelect an option below to cast your vote:`,
               { 
                 parse_mode: null,
                 reply_markup: inlineKeyboard
@@ -1466,6 +3079,38 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
     }
   }
 
+  /**
+   * Get the proposals a user has voted on
+   * Linked wallets can also vote outside the bot, so their on-chain votes are included.
+   * @param {Object} dao - DAO whose proposals to look at
+   * @param {string} userId - Telegram user ID
+   * @returns {Promise<Array>} - Votes in the user_votes row format
+   */
+  async getUserVoteHistory(dao, userId) {
+    const votes = await this.db.getUserVotedProposals(dao.id, userId);
+    
+    if (!(await this.wallets.isExternalWallet(userId))) {
+      return votes;
+    }
+    
+    const address = await this.wallets.getWalletAddress(userId);
+    const onChainVotes = await dao.blockchain.getVoteHistory(address);
+    
+    for (const vote of onChainVotes) {
+      if (!votes.some(v => v.proposal_id === vote.proposalId)) {
+        votes.push({
+          proposal_id: vote.proposalId,
+          vote_type: vote.support,
+          vote_timestamp: vote.timestamp,
+          tx_hash: vote.txHash,
+          reason: vote.reason
+        });
+      }
+    }
+    
+    return votes;
+  }
+  
   /**
    * Handle /proposals command to list active proposals
    * @param {Object} msg - Telegram message object
@@ -1483,14 +3128,15 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
         { parse_mode: 'Markdown' }
       );
       
-      // Get active proposals
-      const activeProposals = await this.blockchain.getActiveProposals();
+      // Get active proposals of the DAO this chat works with
+      const dao = await this.daos.resolve(chatId, userId);
+      const activeProposals = await dao.blockchain.getActiveProposals();
       
       // For private chats, get the user's voting history to mark what they've voted on
       let userVotes = [];
       if (isPrivateChat && userId) {
         try {
-          userVotes = await this.db.getUserVotedProposals(userId);
+          userVotes = await this.getUserVoteHistory(dao, userId);
         } catch (error) {
           console.warn('Error getting user votes:', error);
           // Continue without user votes
@@ -1552,9 +3198,9 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
               voteKeyboard = {
                 inline_keyboard: [
                   [
-                    { text: '✅ Vote Yes', callback_data: `v_${shortId}_1` },
-                    { text: '❌ Vote No', callback_data: `v_${shortId}_0` },
-                    { text: '⚪ Abstain', callback_data: `v_${shortId}_2` }
+                    { text: '✅ Vote Yes', callback_data: this.daoCallbackData(dao, `v_${shortId}_1`) },
+                    { text: '❌ Vote No', callback_data: this.daoCallbackData(dao, `v_${shortId}_0`) },
+                    { text: '⚪ Abstain', callback_data: this.daoCallbackData(dao, `v_${shortId}_2`) }
                   ]
                 ]
               };
@@ -1626,14 +3272,278 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
     }
   }
 
+  /**
+   * Resolve a short proposal ID (e.g. from a callback) to the full ID
+   * @param {Object} dao - DAO the proposal belongs to
+   * @param {string} chatId - Telegram chat ID, used to report a missing proposal
+   * @param {string} proposalId - Full or shortened proposal ID
+   * @returns {Promise<string|null>} - Full proposal ID, or null if it couldn't be found
+   */
+  async resolveProposalId(dao, chatId, proposalId) {
+    let fullProposalId = proposalId;
+    
+    // If proposalId is short (likely from callback), find the full ID
+    if (proposalId.length <= 10) {
+      try {
+        // Get all proposals
+        const proposals = await dao.blockchain.getAllProposals();
+        
+        // Find the proposal that matches the short ID
+        const matchingProposal = proposals.find(p => 
+          (p.id && p.id.startsWith(proposalId)) || 
+          (p.proposalId && p.proposalId.startsWith(proposalId))
+        );
+        
+        if (matchingProposal) {
+          // Use the appropriate property based on what's available
+          fullProposalId = matchingProposal.id || matchingProposal.proposalId;
+        } else {
+          await this.bot.sendMessage(
+            chatId,
+            `Error: Could not find a proposal matching ID ${proposalId}.`
+          );
+          return null;
+        }
+      } catch (error) {
+        console.error('Error finding full proposal ID:', error);
+        await this.bot.sendMessage(
+          chatId,
+          `Error: Could not retrieve proposal information. Please check the proposal ID.`
+        );
+        return null;
+      }
+    }
+    
+    return fullProposalId;
+  }
+  
+  /**
+   * Handle queue proposal command (governors with a timelock)
+   * @param {string} chatId - Telegram chat ID
+   * @param {string} userId - Telegram user ID
+   * @param {string} proposalId - ID of the proposal to queue
+   * @param {Object} [boundDao] - DAO the button was shown for (resolved from the chat when omitted)
+   */
+  async handleQueueProposal(chatId, userId, proposalId, boundDao = null) {
+    try {
+      const dao = boundDao || await this.daos.resolve(chatId, userId);
+      
+      if (!this.isAdmin(userId, dao)) {
+        return this.bot.sendMessage(
+          chatId,
+          'Only DAO administrators can queue proposals.'
+        );
+      }
+      
+      if (!dao.blockchain.isTimelocked()) {
+        return this.bot.sendMessage(
+          chatId,
+          'This DAO\'s governor has no timelock, so passed proposals don\'t need to be queued. Use /execute instead.'
+        );
+      }
+      
+      // Find the full ID if only a short ID was provided
+      const fullProposalId = await this.resolveProposalId(dao, chatId, proposalId);
+      if (!fullProposalId) {
+        return;
+      }
+      
+      const shortId = fullProposalId.substring(0, 8);
+      
+      // Show processing message
+      const statusMsg = await this.bot.sendMessage(
+        chatId,
+        `🔄 *Queueing Proposal*\n\nProposal ID: \`${shortId}...\`\n\n*Status:* Checking proposal eligibility ⏳`,
+        { parse_mode: 'Markdown' }
+      );
+      
+      // Define a status callback to update the message
+      const updateStatus = async (status) => {
+        try {
+          await this.bot.editMessageText(
+            `🔄 *Queueing Proposal*\n\nProposal ID: \`${shortId}...\`\n\n*Status:* ${status}`,
+            {
+              chat_id: chatId,
+              message_id: statusMsg.message_id,
+              parse_mode: 'Markdown'
+            }
+          );
+        } catch (error) {
+          console.warn('Could not update status message:', error.message);
+        }
+      };
+      
+      const result = await dao.blockchain.queueProposal(fullProposalId, { statusCallback: updateStatus, chatId });
+      
+      let text;
+      if (result.success && result.queued) {
+        const etaText = result.eta
+          ? `It can be executed in *${formatTimeRemaining(result.eta)}* (${new Date(result.eta * 1000).toUTCString()}).`
+          : 'It can be executed once the timelock delay has passed.';
+        text = `⏳ *Proposal Queued*\n\nProposal ID: \`${shortId}...\`\n\n${etaText}\n\n${result.txHash ? `*Transaction:* \`${result.txHash.substring(0, 8)}...\`\n\n${result.blockExplorerUrl ? `[View on Block Explorer](${result.blockExplorerUrl})` : ''}` : ''}`;
+      } else if (result.success) {
+        // Not queued but not an error (e.g., already queued or wrong state)
+        text = `ℹ️ *Proposal Not Queued*\n\nProposal ID: \`${shortId}...\`\n\nReason: ${result.reason}`;
+      } else {
+        text = `❌ *Proposal Queueing Failed*\n\nProposal ID: \`${shortId}...\`\n\nError: ${result.reason}`;
+      }
+      
+      await this.bot.editMessageText(text, {
+        chat_id: chatId,
+        message_id: statusMsg.message_id,
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+      });
+    } catch (error) {
+      console.error('Error in handleQueueProposal:', error);
+      this.bot.sendMessage(
+        chatId,
+        'Sorry, there was an error queueing the proposal. Please try again later.'
+      );
+    }
+  }
+  
+  /**
+   * Handle cancel proposal button (original proposer or admin)
+   * @param {string} chatId - Telegram chat ID
+   * @param {Object} from - Telegram user who pressed the button
+   * @param {string} proposalId - ID or shortened ID of the proposal to cancel
+   * @param {Object} [boundDao] - DAO the button was shown for (resolved from the chat when omitted)
+   */
+  async handleCancelProposal(chatId, from, proposalId, boundDao = null) {
+    const userId = from.id;
+    
+    try {
+      const dao = boundDao || await this.daos.resolve(chatId, userId);
+      
+      if (!(await this.wallets.hasWallet(userId))) {
+        return this.bot.sendMessage(
+          chatId,
+          'You need to join the DAO before cancelling proposals. Use /join to get started.'
+        );
+      }
+      
+      // Find the full ID if only a short ID was provided
+      const fullProposalId = await this.resolveProposalId(dao, chatId, proposalId);
+      if (!fullProposalId) {
+        return;
+      }
+      
+      const author = await this.db.getProposalAuthor(fullProposalId);
+      if (author !== String(userId) && !this.isAdmin(userId, dao)) {
+        return this.bot.sendMessage(
+          chatId,
+          'Only the member who submitted this proposal or a DAO administrator can cancel it.'
+        );
+      }
+      
+      // Check with the governor before asking for confirmation
+      const check = await dao.blockchain.canCancelProposal(fullProposalId);
+      if (!check.cancellable) {
+        return this.bot.sendMessage(
+          chatId,
+          `This proposal can't be cancelled.\n\nReason: ${check.reason}`
+        );
+      }
+      
+      const shortId = fullProposalId.substring(0, 8);
+      
+      if (await this.wallets.isExternalWallet(userId)) {
+        const address = await this.wallets.getWalletAddress(userId);
+        const challenge = this.wallets.createSignatureChallenge(userId, address, `I approve cancelling proposal ${shortId}.`);
+        
+        await this.bot.sendMessage(
+          chatId,
+          `✍️ *Confirm cancellation*\n\nCancelling proposal \`${shortId}...\` can't be undone. Sign the message below with your linked wallet using "Sign message" (personal\\_sign), then paste the signature here.\n\n\`\`\`\n${challenge}\n\`\`\``,
+          { parse_mode: 'Markdown' }
+        );
+        
+        return this.textProcessor.setupAwaitingSignature(userId, async (signature) => {
+          this.wallets.verifySignatureChallenge(userId, signature);
+          await this.submitProposalCancellation(dao, chatId, from, fullProposalId);
+        });
+      }
+      
+      await this.promptForPin(
+        chatId,
+        userId,
+        `🚫 *Cancel Proposal*\n\nProposal ID: \`${shortId}...\`\n\nCancelling a proposal can't be undone. Please enter your PIN to confirm:`,
+        async (pin) => {
+          // Check the PIN before sending the transaction
+          await this.wallets.decryptWallet(userId, pin);
+          await this.submitProposalCancellation(dao, chatId, from, fullProposalId);
+        }
+      );
+    } catch (error) {
+      console.error('Error in handleCancelProposal:', error);
+      this.bot.sendMessage(
+        chatId,
+        'Sorry, there was an error cancelling the proposal. Please try again later.'
+      );
+    }
+  }
+  
+  /**
+   * Submit a confirmed cancellation, update the proposal cache and announce it
+   * @param {Object} dao - DAO the proposal belongs to
+   * @param {string} chatId - Telegram chat ID
+   * @param {Object} from - Telegram user who cancelled the proposal
+   * @param {string} proposalId - Full proposal ID
+   */
+  async submitProposalCancellation(dao, chatId, from, proposalId) {
+    const shortId = proposalId.substring(0, 8);
+    
+    const statusMsg = await this.bot.sendMessage(
+      chatId,
+      `🔄 *Cancelling Proposal*\n\nProposal ID: \`${shortId}...\`\n\n*Status:* Submitting to blockchain ⏳`,
+      { parse_mode: 'Markdown' }
+    );
+    
+    const result = await dao.blockchain.cancelProposal(proposalId, { chatId });
+    
+    let text;
+    if (result.success && result.canceled) {
+      text = `🚫 *Proposal Cancelled*\n\nProposal ID: \`${shortId}...\`\n\n${result.txHash ? `*Transaction:* \`${result.txHash.substring(0, 8)}...\`\n\n${result.blockExplorerUrl ? `[View on Block Explorer](${result.blockExplorerUrl})` : ''}` : ''}`;
+    } else if (result.success) {
+      text = `ℹ️ *Proposal Not Cancelled*\n\nProposal ID: \`${shortId}...\`\n\nReason: ${result.reason}`;
+    } else {
+      text = `❌ *Proposal Cancellation Failed*\n\nProposal ID: \`${shortId}...\`\n\nError: ${result.reason}`;
+    }
+    
+    await this.bot.editMessageText(text, {
+      chat_id: chatId,
+      message_id: statusMsg.message_id,
+      parse_mode: 'Markdown',
+      disable_web_page_preview: true
+    });
+    
+    if (!result.canceled) {
+      return;
+    }
+    
+    // Update the cache first so the monitor doesn't announce the same change again
+    const cached = await this.db.getCachedProposal(proposalId);
+    await this.db.updateProposalState(proposalId, 'Canceled');
+    
+    const canceledBy = from.username ? `@${from.username}` : from.first_name || 'a DAO member';
+    await dao.monitor.notifyProposalStateChange(
+      { ...(cached || { id: proposalId }), state: 'Canceled' },
+      cached ? cached.state : null,
+      { canceledBy }
+    );
+  }
+  
   /**
    * Handle execute proposal command
    * @param {string} chatId - Telegram chat ID
    * @param {string} userId - Telegram user ID
    * @param {string} proposalId - ID of the proposal to execute
+   * @param {Object} [boundDao] - DAO the button was shown for (resolved from the chat when omitted)
    */
-  async handleExecuteProposal(chatId, userId, proposalId) {
+  async handleExecuteProposal(chatId, userId, proposalId, boundDao = null) {
     try {
+      const dao = boundDao || await this.daos.resolve(chatId, userId);
+      
       // Check if user is a DAO member and admin
       const hasWallet = await this.wallets.hasWallet(userId);
       
@@ -1645,7 +3555,7 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
       }
       
       // Check if user is an admin
-      const isAdmin = await this.userService.isAdmin(userId);
+      const isAdmin = this.isAdmin(userId, dao);
       if (!isAdmin) {
         return this.bot.sendMessage(
           chatId,
@@ -1653,37 +3563,10 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
         );
       }
       
-      // Get active proposals to find the full ID if only a short ID was provided
-      let fullProposalId = proposalId;
-      
-      // If proposalId is short (likely from callback), find the full ID
-      if (proposalId.length <= 10) {
-        try {
-          // Get all proposals
-          const proposals = await this.blockchain.getAllProposals();
-          
-          // Find the proposal that matches the short ID
-          const matchingProposal = proposals.find(p => 
-            (p.id && p.id.startsWith(proposalId)) || 
-            (p.proposalId && p.proposalId.startsWith(proposalId))
-          );
-          
-          if (matchingProposal) {
-            // Use the appropriate property based on what's available
-            fullProposalId = matchingProposal.id || matchingProposal.proposalId;
-          } else {
-            return this.bot.sendMessage(
-              chatId,
-              `Error: Could not find a proposal matching ID ${proposalId}.`
-            );
-          }
-        } catch (error) {
-          console.error('Error finding full proposal ID:', error);
-          return this.bot.sendMessage(
-            chatId,
-            `Error: Could not retrieve proposal information. Please check the proposal ID.`
-          );
-        }
+      // Find the full ID if only a short ID was provided
+      const fullProposalId = await this.resolveProposalId(dao, chatId, proposalId);
+      if (!fullProposalId) {
+        return;
       }
       
       // Show processing message
@@ -1710,9 +3593,9 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
       };
       
       // Execute the proposal with status updates
-      const result = await this.blockchain.verifyApprovalsAndFinalizeProposal(
+      const result = await dao.blockchain.verifyApprovalsAndFinalizeProposal(
         fullProposalId, 
-        { statusCallback: updateStatus }
+        { statusCallback: updateStatus, chatId }
       );
       
       // Handle the result
@@ -1730,7 +3613,7 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
           );
           
           // Announce in the community group
-          if (this.communityGroupId) {
+          if (dao.communityGroupId) {
             try {
               // Get user information for the announcement
               const userInfo = await this.bot.getChat(userId);
@@ -1741,7 +3624,7 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
                   : 'An administrator';
                   
               await this.bot.sendMessage(
-                this.communityGroupId,
+                dao.communityGroupId,
                 `🚀 *Proposal Executed*\n\nProposal ID: \`${fullProposalId.substring(0, 8)}...\` has been executed by ${username}.\n\nThe approved changes have now been implemented.`,
                 { 
                   parse_mode: 'Markdown',
@@ -1785,16 +3668,19 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
 
   /**
    * Format proposal information for display
+   * @param {Object} dao - DAO the proposal belongs to
    * @param {Object} proposal - Proposal data
    * @param {boolean} isDetailView - If true, show more details
    * @param {boolean} isAdmin - If true, show admin actions
+   * @param {boolean} isProposer - If true, the viewer submitted this proposal and may cancel it
    * @returns {Object} Formatted message and keyboard
    */
-  formatProposalDisplay(proposal, isDetailView = false, isAdmin = false) {
+  formatProposalDisplay(dao, proposal, isDetailView = false, isAdmin = false, isProposer = false) {
     const shortenedId = proposal.id.substring(0, 8);
     const stateEmoji = 
       proposal.state === 'Active' ? '🟢' :
       proposal.state === 'Succeeded' ? '✅' :
+      proposal.state === 'Queued' ? '🔒' :
       proposal.state === 'Executed' ? '🏁' :
       proposal.state === 'Defeated' ? '❌' :
       proposal.state === 'Pending' ? '⏳' : '⚪';
@@ -1815,6 +3701,15 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
     
     // Add state and votes
     message += `*State:* ${proposal.state}\n`;
+    
+    // Countdown until a queued proposal leaves the timelock
+    const isExecutable = proposal.state === 'Queued' && (!proposal.eta || proposal.eta <= Math.floor(Date.now() / 1000));
+    if (proposal.state === 'Queued' && proposal.eta) {
+      message += isExecutable
+        ? `*Executable:* now (timelock delay has passed)\n`
+        : `*Executable in:* ${formatTimeRemaining(proposal.eta)} (${new Date(proposal.eta * 1000).toUTCString()})\n`;
+    }
+    
     message += `*Votes:*\n`;
     message += `✅ For: ${proposal.votes.forVotesFormatted || proposal.votes.forVotes}\n`;
     message += `❌ Against: ${proposal.votes.againstVotesFormatted || proposal.votes.againstVotes}\n`;
@@ -1832,6 +3727,17 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
         message += `\n*Technical Details:*\n`;
         message += `Targets: ${proposal.targets.length} contract(s)\n`;
       }
+      
+      // Latest reasons members gave with their votes
+      if (proposal.voteReasons && proposal.voteReasons.length > 0) {
+        message += `\n*Why members voted:*\n`;
+        proposal.voteReasons.forEach(vote => {
+          const voteIcon = vote.voteType === 0 ? '❌' : vote.voteType === 1 ? '✅' : '⚪';
+          const voterName = vote.username ? `@${vote.username.replace(/_/g, '\\_')}` : 'A member';
+          const reason = this.cleanVoteReason(vote.reason);
+          message += `${voteIcon} ${voterName}: ${reason.length > 150 ? reason.substring(0, 150) + '...' : reason}\n`;
+        });
+      }
     }
     
     // Create inline keyboard for actions
@@ -1840,16 +3746,29 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
     // Add voting buttons for active proposals
     if (proposal.state === 'Active') {
       keyboard.push([
-        { text: 'Vote For ✅', callback_data: `v_${shortenedId}_1` },
-        { text: 'Vote Against ❌', callback_data: `v_${shortenedId}_0` },
-        { text: 'Abstain ⚪', callback_data: `v_${shortenedId}_2` }
+        { text: 'Vote For ✅', callback_data: this.daoCallbackData(dao, `v_${shortenedId}_1`) },
+        { text: 'Vote Against ❌', callback_data: this.daoCallbackData(dao, `v_${shortenedId}_0`) },
+        { text: 'Abstain ⚪', callback_data: this.daoCallbackData(dao, `v_${shortenedId}_2`) }
+      ]);
+    }
+    
+    // Add queue/execute buttons for passed proposals (admin only)
+    // With a timelock, proposals are queued first and executed once the delay has passed
+    const isTimelocked = dao.blockchain.isTimelocked();
+    if (proposal.state === 'Succeeded' && isTimelocked && isAdmin) {
+      keyboard.push([
+        { text: '⏳ Queue Proposal', callback_data: this.daoCallbackData(dao, `queue_${shortenedId}`) }
+      ]);
+    } else if (((proposal.state === 'Succeeded' && !isTimelocked) || isExecutable) && isAdmin) {
+      keyboard.push([
+        { text: '🚀 Execute Proposal', callback_data: this.daoCallbackData(dao, `exec_${shortenedId}`) }
       ]);
     }
     
-    // Add execute button for succeeded proposals (admin only)
-    if (proposal.state === 'Succeeded' && isAdmin) {
+    // Add cancel button for the proposer and admins while the proposal is still open
+    if (isDetailView && (isAdmin || isProposer) && ['Pending', 'Active', 'Succeeded', 'Queued'].includes(proposal.state)) {
       keyboard.push([
-        { text: '🚀 Execute Proposal', callback_data: `exec_${shortenedId}` }
+        { text: '🚫 Cancel Proposal', callback_data: this.daoCallbackData(dao, `pcancel_${shortenedId}`) }
       ]);
     }
     
@@ -1866,6 +3785,8 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
    */
   async handleViewProposals(chatId, userId) {
     try {
+      const dao = await this.daos.resolve(chatId, userId);
+      
       // Check if user is a DAO member
       const hasWallet = await this.wallets.hasWallet(userId);
       
@@ -1884,13 +3805,31 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
       );
       
       // Check if user is an admin
-      const isAdmin = await this.userService.isAdmin(userId);
+      const isAdmin = this.isAdmin(userId, dao);
+      
+      // Proposals this member submitted, which they may cancel
+      let authoredIds = new Set();
+      try {
+        authoredIds = new Set(await this.db.getProposalsByAuthor(dao.id, userId));
+      } catch (error) {
+        console.error('Error getting authored proposals:', error);
+      }
+      
+      // Add recent vote reasons for the detailed view
+      const withVoteReasons = async (proposal) => {
+        try {
+          return { ...proposal, voteReasons: await this.db.getProposalVoteReasons(proposal.id, 3) };
+        } catch (error) {
+          console.error('Error getting vote reasons:', error);
+          return proposal;
+        }
+      };
       
       // Get active proposals first
-      const activeProposals = await this.blockchain.getActiveProposals();
+      const activeProposals = await dao.blockchain.getActiveProposals();
       
       // Get all proposals to show in the list
-      const allProposals = await this.blockchain.getAllProposals();
+      const allProposals = await dao.blockchain.getAllProposals();
       
       // Delete loading message
       try {
@@ -1916,7 +3855,7 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
         
         // Send each active proposal
         for (const proposal of activeProposals) {
-          const { message, keyboard } = this.formatProposalDisplay(proposal, true, isAdmin);
+          const { message, keyboard } = this.formatProposalDisplay(dao, await withVoteReasons(proposal), true, isAdmin, authoredIds.has(proposal.id));
           
           await this.bot.sendMessage(
             chatId,
@@ -1933,21 +3872,46 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
       
       // Group other proposals by state for display
       const succeededProposals = allProposals.filter(p => p.state === 'Succeeded');
+      const queuedProposals = allProposals.filter(p => p.state === 'Queued');
       const executedProposals = allProposals.filter(p => p.state === 'Executed');
       const otherProposals = allProposals.filter(p => 
-        !['Active', 'Succeeded', 'Executed'].includes(p.state)
+        !['Active', 'Succeeded', 'Queued', 'Executed'].includes(p.state)
       );
       
       // Send succeeded proposals (if any) - these can be executed
       if (succeededProposals.length > 0) {
         await this.bot.sendMessage(
           chatId,
-          `*✅ Passed Proposals (${succeededProposals.length})*\n\nThe following proposals have passed and are waiting to be executed:`,
+          `*✅ Passed Proposals (${succeededProposals.length})*\n\nThe following proposals have passed and are waiting to be ${dao.blockchain.isTimelocked() ? 'queued' : 'executed'}:`,
           { parse_mode: 'Markdown' }
         );
         
         for (const proposal of succeededProposals) {
-          const { message, keyboard } = this.formatProposalDisplay(proposal, true, isAdmin);
+          const { message, keyboard } = this.formatProposalDisplay(dao, await withVoteReasons(proposal), true, isAdmin, authoredIds.has(proposal.id));
+          
+          await this.bot.sendMessage(
+            chatId,
+            message,
+            {
+              parse_mode: 'Markdown',
+              reply_markup: keyboard.length > 0 ? {
+                inline_keyboard: keyboard
+              } : undefined
+            }
+          );
+        }
+      }
+      
+      // Send queued proposals (if any) - these wait in the timelock before execution
+      if (queuedProposals.length > 0) {
+        await this.bot.sendMessage(
+          chatId,
+          `*🔒 Queued Proposals (${queuedProposals.length})*\n\nThe following proposals are queued in the timelock and can be executed once their delay has passed:`,
+          { parse_mode: 'Markdown' }
+        );
+        
+        for (const proposal of queuedProposals) {
+          const { message, keyboard } = this.formatProposalDisplay(dao, await withVoteReasons(proposal), true, isAdmin, authoredIds.has(proposal.id));
           
           await this.bot.sendMessage(
             chatId,
@@ -1971,7 +3935,7 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
         );
         
         for (const proposal of executedProposals.slice(0, 3)) { // Limit to 3 most recent
-          const { message, keyboard } = this.formatProposalDisplay(proposal, false, isAdmin);
+          const { message, keyboard } = this.formatProposalDisplay(dao, proposal, false, isAdmin, authoredIds.has(proposal.id));
           
           await this.bot.sendMessage(
             chatId,
@@ -2003,7 +3967,7 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
         );
         
         for (const proposal of otherProposals.slice(0, 3)) { // Limit to 3 most recent
-          const { message, keyboard } = this.formatProposalDisplay(proposal, false, isAdmin);
+          const { message, keyboard } = this.formatProposalDisplay(dao, proposal, false, isAdmin, authoredIds.has(proposal.id));
           
           await this.bot.sendMessage(
             chatId,
@@ -2032,7 +3996,9 @@ ${isPrivateChat ? '\nReady to join? Just tap the "🔑 Join DAO" button to get s
         '*Proposal Instructions*\n\n' +
         '• To vote on active proposals, click the vote buttons above\n' +
         '• To create a new proposal, use the /propose command\n' +
-        (isAdmin ? '• To execute passed proposals, click the execute button\n' : '') +
+        (isAdmin ? (dao.blockchain.isTimelocked()
+          ? '• To queue passed proposals, click the queue button, then execute them once the timelock delay has passed\n'
+          : '• To execute passed proposals, click the execute button\n') : '') +
         '• To get more help, use the /help command',
         { parse_mode: 'Markdown' }
       );
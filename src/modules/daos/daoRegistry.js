@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+const BlockchainManager = require('../blockchain/blockchainManager');
+const ProposalMonitor = require('../blockchain/proposalMonitor');
+const GamificationService = require('../gamification/gamificationService');
+
+/**
+ * The DAOs run by this bot instance
+ *
+ * Each DAO has its own token and governor, community group, welcome and
+ * reward amounts and admins, and gets its own BlockchainManager,
+ * GamificationService and ProposalMonitor. The DAOs share the RPC endpoints
+ * and the admin wallet, and with it the admin transaction queue.
+ *
+ * A Telegram group works with the DAO whose community group it is. In
+ * private chat, members pick the DAO they want to work with (/dao).
+ */
+
+// ID of the DAO configured from the single-DAO environment variables.
+// Votes, proposals and members recorded before multi-DAO support belong to it.
+const DEFAULT_DAO_ID = 'default';
+
+// DAO IDs end up in callback data, which Telegram limits to 64 bytes
+const DAO_ID_PATTERN = /^[a-z0-9-]{1,32}$/;
+
+class DaoRegistry {
+  /**
+   * Create DaoRegistry instance
+   * @param {Array<Object>} definitions - DAO settings, as returned by loadDefinitions
+   * @param {Object} options - Settings shared by all DAOs
+   * @param {string} options.rpcUrl - RPC endpoint(s)
+   * @param {string} options.adminPrivateKey - Private key of the admin wallet
+   * @param {Object} options.databaseService - DatabaseService instance
+   * @param {Object} options.bot - Telegram bot instance
+   */
+  constructor(definitions, { rpcUrl, adminPrivateKey, databaseService, bot }) {
+    this.db = databaseService;
+    this.daos = new Map();
+
+    let sharedService = null;
+
+    definitions.forEach(definition => {
+      const blockchain = new BlockchainManager({
+        rpcUrl,
+        adminPrivateKey,
+        databaseService,
+        sharedService,
+        tokenAddress: definition.tokenAddress,
+        governorAddress: definition.governorAddress,
+        treasuryAddress: definition.treasuryAddress,
+        deploymentBlock: definition.deploymentBlock,
+        admins: definition.admins,
+        welcomeTokens: definition.welcomeTokens,
+        welcomeAdmins: definition.welcomeAdmins,
+        targetAddress: definition.targetAddress
+      });
+
+      // The first DAO that connects sets up the provider, admin wallet and queue for the others
+      if (!sharedService && blockchain.service.txQueue) {
+        sharedService = blockchain.service;
+      }
+
+      this.daos.set(definition.id, {
+        id: definition.id,
+        name: definition.name,
+        communityGroupId: definition.communityGroupId || null,
+        groupLink: definition.groupLink || null,
+        blockchain,
+        gamification: new GamificationService(blockchain, definition.rewards),
+        monitor: new ProposalMonitor(blockchain, databaseService, bot, definition.communityGroupId, definition.id)
+      });
+    });
+
+    this.defaultDao = this.daos.values().next().value;
+  }
+
+  /**
+   * Load the DAO settings: from the JSON file named by DAOS_CONFIG, or a single
+   * DAO from the TOKEN_ADDRESS, GOVERNOR_ADDRESS, ... environment variables
+   * @param {Object} [env] - Environment, defaults to process.env
+   * @returns {Array<Object>} - DAO settings, the first DAO being the default
+   */
+  static loadDefinitions(env = process.env) {
+    if (!env.DAOS_CONFIG) {
+      return [{
+        id: DEFAULT_DAO_ID,
+        name: 'Alphin DAO',
+        tokenAddress: env.TOKEN_ADDRESS,
+        governorAddress: env.GOVERNOR_ADDRESS,
+        treasuryAddress: env.TREASURY_ADDRESS,
+        communityGroupId: env.COMMUNITY_GROUP_ID,
+        groupLink: env.DAO_GROUP_LINK
+      }];
+    }
+
+    const configPath = path.resolve(env.DAOS_CONFIG);
+    let definitions;
+    try {
+      definitions = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read DAOS_CONFIG (${configPath}): ${error.message}`);
+    }
+
+    DaoRegistry.validateDefinitions(definitions);
+
+    return definitions.map(definition => ({
+      ...definition,
+      name: definition.name || definition.id,
+      communityGroupId: definition.communityGroupId ? String(definition.communityGroupId) : null,
+      admins: definition.admins ? definition.admins.map(id => String(id).trim()) : undefined,
+      welcomeTokens: definition.welcomeTokens !== undefined ? String(definition.welcomeTokens) : undefined,
+      welcomeAdmins: definition.welcomeAdmins !== undefined ? String(definition.welcomeAdmins) : undefined
+    }));
+  }
+
+  /**
+   * Check the DAO settings read from DAOS_CONFIG
+   * @param {*} definitions - Parsed JSON
+   * @throws {Error} - If the settings are unusable
+   */
+  static validateDefinitions(definitions) {
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+      throw new Error('DAOS_CONFIG must contain a non-empty array of DAOs');
+    }
+
+    const ids = new Set();
+    const groups = new Set();
+
+    definitions.forEach((definition, index) => {
+      if (!definition || !DAO_ID_PATTERN.test(definition.id || '')) {
+        throw new Error(`DAO #${index + 1} in DAOS_CONFIG needs an "id" of up to 32 lowercase letters, digits and dashes`);
+      }
+      if (ids.has(definition.id)) {
+        throw new Error(`DAO "${definition.id}" appears more than once in DAOS_CONFIG`);
+      }
+      ids.add(definition.id);
+
+      ['tokenAddress', 'governorAddress'].forEach(field => {
+        if (!definition[field]) {
+          throw new Error(`DAO "${definition.id}" in DAOS_CONFIG is missing "${field}"`);
+        }
+      });
+
+      // A group works with exactly one DAO
+      if (definition.communityGroupId) {
+        const groupId = String(definition.communityGroupId);
+        if (groups.has(groupId)) {
+          throw new Error(`Group ${groupId} is the community group of more than one DAO in DAOS_CONFIG`);
+        }
+        groups.add(groupId);
+      }
+    });
+  }
+
+  /**
+   * Get a DAO by ID
+   * @param {string} daoId - DAO ID
+   * @returns {Object|null} - DAO, or null if there is no such DAO
+   */
+  get(daoId) {
+    return this.daos.get(daoId) || null;
+  }
+
+  /**
+   * Get every DAO
+   * @returns {Array<Object>} - DAOs, in configuration order
+   */
+  getAll() {
+    return [...this.daos.values()];
+  }
+
+  /**
+   * Get the DAO used when a chat isn't tied to one: the first one configured
+   * @returns {Object} - DAO
+   */
+  getDefault() {
+    return this.defaultDao;
+  }
+
+  /**
+   * Check whether the bot runs more than one DAO
+   * @returns {boolean} - True if it does
+   */
+  hasMultiple() {
+    return this.daos.size > 1;
+  }
+
+  /**
+   * Get the DAO a group is bound to
+   * @param {string|number} chatId - Telegram chat ID
+   * @returns {Object|null} - DAO whose community group it is, or null
+   */
+  findByGroup(chatId) {
+    return this.getAll().find(dao => dao.communityGroupId && dao.communityGroupId === String(chatId)) || null;
+  }
+
+  /**
+   * Get the DAO a chat works with: the DAO a group is bound to, or in private
+   * chat the DAO the member picked, falling back to the default DAO
+   * @param {string|number} chatId - Telegram chat ID
+   * @param {string|number} userId - Telegram user ID
+   * @returns {Promise<Object>} - DAO
+   */
+  async resolve(chatId, userId) {
+    const groupDao = this.findByGroup(chatId);
+    if (groupDao) {
+      return groupDao;
+    }
+
+    // Private chats have the same ID as the user
+    if (this.hasMultiple() && userId && String(chatId) === String(userId)) {
+      try {
+        const selected = this.get(await this.db.getUserDao(userId));
+        if (selected) {
+          return selected;
+        }
+      } catch (error) {
+        console.error('Error getting selected DAO:', error);
+      }
+    }
+
+    return this.defaultDao;
+  }
+
+  /**
+   * Make a DAO the one a member works with in private chat
+   * @param {string|number} userId - Telegram user ID
+   * @param {string} daoId - DAO ID
+   * @returns {Promise<Object>} - Selected DAO
+   */
+  async select(userId, daoId) {
+    const dao = this.get(daoId);
+    if (!dao) {
+      throw new Error(`Unknown DAO "${daoId}"`);
+    }
+
+    await this.db.setUserDao(userId, dao.id);
+    return dao;
+  }
+
+  /**
+   * Start every DAO's proposal monitor
+   * @param {number} intervalMs - Monitoring interval in milliseconds
+   */
+  startMonitoring(intervalMs) {
+    this.getAll().forEach(dao => dao.monitor.startMonitoring(intervalMs));
+  }
+
+  /**
+   * Stop every DAO's proposal monitor
+   */
+  stopMonitoring() {
+    this.getAll().forEach(dao => dao.monitor.stopMonitoring());
+  }
+
+  /**
+   * Report admin wallet transaction retries and failures to the chat that started them
+   * @param {Function} reporter - Called with (chatId, message)
+   */
+  setTransactionReporter(reporter) {
+    this.getAll().forEach(dao => dao.blockchain.setTransactionReporter(reporter));
+  }
+
+  /**
+   * Check BLOCKCHAIN_NETWORK against the chain the RPC endpoint is on
+   * @returns {Promise<Object|null>} - Network in use (see NetworkRegistry), or null if it isn't known
+   * @throws {Error} - If the RPC endpoint is on another chain
+   */
+  async verifyNetwork() {
+    let network = null;
+
+    // Every DAO keeps its own copy of the network, but they share the RPC endpoints
+    for (const dao of this.getAll()) {
+      network = await dao.blockchain.verifyNetwork();
+    }
+    return network;
+  }
+
+  /**
+   * Follow up admin wallet transactions left pending by a restart, once per transaction queue
+   */
+  async resumePendingTransactions() {
+    const resumed = new Set();
+
+    for (const dao of this.getAll()) {
+      const queue = dao.blockchain.service.txQueue;
+      if (queue && !resumed.has(queue)) {
+        resumed.add(queue);
+        await dao.blockchain.resumePendingTransactions();
+      }
+    }
+  }
+}
+
+module.exports = DaoRegistry;
@@ -18,6 +18,219 @@ class DatabaseService {
    */
   initializeDatabase() {
     this.db.serialize(() => {
+      // Failed PIN attempts per user, persisted so lockouts survive restarts
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS pin_attempts (
+          telegram_id TEXT PRIMARY KEY,
+          failed_attempts INTEGER NOT NULL DEFAULT 0,
+          locked_until INTEGER,
+          last_failed_at INTEGER
+        )
+      `);
+      
+      // Guardians nominated by each member for social recovery
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS recovery_guardians (
+          telegram_id TEXT NOT NULL,
+          guardian_id TEXT NOT NULL,
+          threshold INTEGER NOT NULL,
+          added_at INTEGER NOT NULL,
+          PRIMARY KEY (telegram_id, guardian_id)
+        )
+      `);
+      
+      // Guardian-approved PIN reset requests
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS recovery_requests (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          telegram_id TEXT NOT NULL,
+          status TEXT NOT NULL,
+          threshold INTEGER NOT NULL,
+          created_at INTEGER NOT NULL,
+          expires_at INTEGER NOT NULL,
+          executable_after INTEGER,
+          closed_at INTEGER
+        )
+      `);
+      
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS recovery_approvals (
+          request_id INTEGER NOT NULL,
+          guardian_id TEXT NOT NULL,
+          approved_at INTEGER NOT NULL,
+          PRIMARY KEY (request_id, guardian_id)
+        )
+      `);
+      
+      // Append-only log of every recovery step
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS recovery_audit (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          telegram_id TEXT NOT NULL,
+          request_id INTEGER,
+          event TEXT NOT NULL,
+          actor_id TEXT,
+          details TEXT,
+          created_at INTEGER NOT NULL
+        )
+      `);
+      
+      // One-off proposal notifications already sent (e.g. "now executable"), so they aren't repeated
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS proposal_notifications (
+          proposal_id TEXT NOT NULL,
+          event TEXT NOT NULL,
+          sent_at INTEGER NOT NULL,
+          PRIMARY KEY (proposal_id, event)
+        )
+      `);
+      
+      // Votes cast through the bot (also created in index.js; the reason column was added later)
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS user_votes (
+          telegram_id TEXT,
+          proposal_id TEXT,
+          vote_type INTEGER,
+          vote_timestamp INTEGER NOT NULL,
+          tx_hash TEXT,
+          reason TEXT,
+          dao_id TEXT NOT NULL DEFAULT 'default',
+          PRIMARY KEY (telegram_id, proposal_id)
+        )
+      `);
+      this.db.run("ALTER TABLE user_votes ADD COLUMN reason TEXT", err => {
+        if (err && !err.message.includes('duplicate column')) {
+          console.error('Error adding reason column:', err);
+        }
+      });
+      
+      // Telegram member who submitted each proposal (on-chain, the admin wallet is the proposer)
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS proposal_authors (
+          proposal_id TEXT PRIMARY KEY,
+          telegram_id TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          dao_id TEXT NOT NULL DEFAULT 'default'
+        )
+      `);
+      
+      // Rows recorded before multi-DAO support belong to the default DAO
+      ['user_votes', 'proposal_authors'].forEach(table => {
+        this.db.run(`ALTER TABLE ${table} ADD COLUMN dao_id TEXT NOT NULL DEFAULT 'default'`, err => {
+          if (err && !err.message.includes('duplicate column')) {
+            console.error(`Error adding dao_id column to ${table}:`, err);
+          }
+        });
+      });
+      
+      // DAOs each member has joined (one wallet per member, welcome tokens per DAO)
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS dao_members (
+          dao_id TEXT NOT NULL,
+          telegram_id TEXT NOT NULL,
+          joined_at INTEGER NOT NULL,
+          PRIMARY KEY (dao_id, telegram_id)
+        )
+      `);
+      
+      // Members with a wallet from before multi-DAO support joined the default DAO
+      this.db.run(`
+        INSERT OR IGNORE INTO dao_members (dao_id, telegram_id, joined_at)
+        SELECT 'default', telegram_id, join_date FROM users
+        WHERE NOT EXISTS (SELECT 1 FROM dao_members)
+      `, err => {
+        if (err && !err.message.includes('no such table')) {
+          console.error('Error adding existing members to the default DAO:', err);
+        }
+      });
+      
+      // DAO each member picked to work with in private chat
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS user_dao_context (
+          telegram_id TEXT PRIMARY KEY,
+          dao_id TEXT NOT NULL,
+          updated_at INTEGER NOT NULL
+        )
+      `);
+      
+      // Transactions sent from the admin wallet, kept so pending ones can be followed up after a restart
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS admin_transactions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          label TEXT NOT NULL,
+          chat_id TEXT,
+          request TEXT NOT NULL,
+          status TEXT NOT NULL,
+          nonce INTEGER,
+          tx_hash TEXT,
+          tx_hashes TEXT,
+          fees TEXT,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          error TEXT,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        )
+      `);
+      
+      // Governor event index: last indexed block per governor, and the events found up to it
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS governance_index_checkpoints (
+          governor_address TEXT PRIMARY KEY,
+          last_block INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        )
+      `);
+      
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS indexed_proposals (
+          governor_address TEXT NOT NULL,
+          proposal_id TEXT NOT NULL,
+          proposer TEXT NOT NULL,
+          targets TEXT NOT NULL,
+          call_values TEXT NOT NULL,
+          signatures TEXT NOT NULL,
+          calldatas TEXT NOT NULL,
+          start_block TEXT,
+          end_block TEXT,
+          description TEXT,
+          block_number INTEGER NOT NULL,
+          block_timestamp INTEGER,
+          tx_hash TEXT NOT NULL,
+          log_index INTEGER NOT NULL,
+          PRIMARY KEY (governor_address, proposal_id)
+        )
+      `);
+      
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS indexed_votes (
+          governor_address TEXT NOT NULL,
+          proposal_id TEXT NOT NULL,
+          voter TEXT NOT NULL,
+          support INTEGER NOT NULL,
+          weight TEXT NOT NULL,
+          reason TEXT,
+          block_number INTEGER NOT NULL,
+          block_timestamp INTEGER,
+          tx_hash TEXT NOT NULL,
+          log_index INTEGER NOT NULL,
+          PRIMARY KEY (governor_address, tx_hash, log_index)
+        )
+      `);
+      
+      // ProposalExecuted and ProposalCanceled events
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS indexed_proposal_outcomes (
+          governor_address TEXT NOT NULL,
+          proposal_id TEXT NOT NULL,
+          outcome TEXT NOT NULL,
+          block_number INTEGER NOT NULL,
+          block_timestamp INTEGER,
+          tx_hash TEXT NOT NULL,
+          log_index INTEGER NOT NULL,
+          PRIMARY KEY (governor_address, tx_hash, log_index)
+        )
+      `);
+      
       // Check if proposal_cache table has all required columns
       this.db.get("PRAGMA table_info(proposal_cache)", (err, row) => {
         if (err) {
@@ -39,7 +252,11 @@ class DatabaseService {
             against_votes TEXT,
             abstain_votes TEXT,
             last_updated INTEGER NOT NULL,
-            is_executed INTEGER DEFAULT 0
+            is_executed INTEGER DEFAULT 0,
+            eta INTEGER,
+            snapshot INTEGER,
+            deadline INTEGER,
+            dao_id TEXT NOT NULL DEFAULT 'default'
           )
         `);
         
@@ -66,7 +283,11 @@ class DatabaseService {
           "for_votes TEXT",
           "against_votes TEXT", 
           "abstain_votes TEXT",
-          "is_executed INTEGER DEFAULT 0"
+          "is_executed INTEGER DEFAULT 0",
+          "eta INTEGER",
+          "snapshot INTEGER",
+          "deadline INTEGER",
+          "dao_id TEXT NOT NULL DEFAULT 'default'"
         ];
         
         additionalColumns.forEach(colDef => {
@@ -133,13 +354,15 @@ class DatabaseService {
   
   /**
    * Track a user's vote on a proposal
+   * @param {string} daoId - ID of the DAO the proposal belongs to
    * @param {string} telegramId - User's Telegram ID
    * @param {string} proposalId - Proposal ID
    * @param {number} voteType - Vote type (0=against, 1=for, 2=abstain)
    * @param {string} txHash - Transaction hash
+   * @param {string|null} [reason] - Reason the member gave for their vote
    * @returns {Promise<boolean>} - Success status
    */
-  async trackUserVote(telegramId, proposalId, voteType, txHash) {
+  async trackUserVote(daoId, telegramId, proposalId, voteType, txHash, reason = null) {
     if (!telegramId || !proposalId) {
       console.warn('Missing telegramId or proposalId in trackUserVote');
       return false;
@@ -150,9 +373,9 @@ class DatabaseService {
       
       this.db.run(
         `INSERT OR REPLACE INTO user_votes 
-        (telegram_id, proposal_id, vote_type, vote_timestamp, tx_hash) 
-        VALUES (?, ?, ?, ?, ?)`,
-        [telegramId, proposalId, voteType, timestamp, txHash],
+        (telegram_id, proposal_id, vote_type, vote_timestamp, tx_hash, reason, dao_id) 
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [telegramId, proposalId, voteType, timestamp, txHash, reason, daoId],
         (err) => {
           if (err) {
             console.error('Error tracking user vote:', err);
@@ -193,19 +416,20 @@ class DatabaseService {
   }
   
   /**
-   * Get all proposals a user has voted on
+   * Get all proposals of a DAO a user has voted on
+   * @param {string} daoId - DAO ID
    * @param {string} telegramId - User's Telegram ID
    * @returns {Promise<Array>} - Array of proposals the user has voted on
    */
-  async getUserVotedProposals(telegramId) {
+  async getUserVotedProposals(daoId, telegramId) {
     if (!telegramId) {
       return []; // Return empty array if no telegramId is provided
     }
     
     return new Promise((resolve, reject) => {
       this.db.all(
-        'SELECT proposal_id, vote_type, vote_timestamp, tx_hash FROM user_votes WHERE telegram_id = ?',
-        [telegramId],
+        'SELECT proposal_id, vote_type, vote_timestamp, tx_hash, reason FROM user_votes WHERE telegram_id = ? AND dao_id = ?',
+        [telegramId, daoId],
         (err, rows) => {
           if (err) {
             console.error('Error getting user voted proposals:', err);
@@ -218,12 +442,454 @@ class DatabaseService {
     });
   }
   
+  /**
+   * Get the most recent reasons members gave for their votes on a proposal
+   * @param {string} proposalId - Proposal ID
+   * @param {number} [limit] - Maximum number of reasons
+   * @returns {Promise<Array>} - Reasons as { voteType, reason, username, timestamp }, newest first
+   */
+  async getProposalVoteReasons(proposalId, limit = 5) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT v.vote_type, v.reason, v.vote_timestamp, u.username
+        FROM user_votes v LEFT JOIN users u ON u.telegram_id = v.telegram_id
+        WHERE v.proposal_id = ? AND v.reason IS NOT NULL AND v.reason != ''
+        ORDER BY v.vote_timestamp DESC LIMIT ?`,
+        [proposalId, limit],
+        (err, rows) => {
+          if (err) {
+            console.error('Error getting vote reasons:', err);
+            reject(err);
+          } else {
+            resolve((rows || []).map(row => ({
+              voteType: row.vote_type,
+              reason: row.reason,
+              username: row.username,
+              timestamp: row.vote_timestamp
+            })));
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Get failed PIN attempt data for a user
+   * @param {string} telegramId - User's Telegram ID
+   * @returns {Promise<Object|null>} - Attempt data or null if there are no failed attempts
+   */
+  async getPinAttempts(telegramId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT failed_attempts, locked_until, last_failed_at FROM pin_attempts WHERE telegram_id = ?',
+        [String(telegramId)],
+        (err, row) => {
+          if (err) {
+            console.error('Error getting PIN attempts:', err);
+            reject(err);
+          } else if (row) {
+            resolve({
+              failedAttempts: row.failed_attempts,
+              lockedUntil: row.locked_until,
+              lastFailedAt: row.last_failed_at
+            });
+          } else {
+            resolve(null);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Count a failed PIN attempt for a user
+   * The counter is incremented in SQL, so PINs checked at the same time are all counted
+   * @param {string} telegramId - User's Telegram ID
+   * @returns {Promise<number>} - Number of consecutive failed attempts, this one included
+   */
+  async incrementPinAttempts(telegramId) {
+    const db = this.db;
+    const id = String(telegramId);
+    
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.run(
+          `INSERT INTO pin_attempts (telegram_id, failed_attempts, last_failed_at)
+          VALUES (?, 1, ?)
+          ON CONFLICT(telegram_id) DO UPDATE SET
+            failed_attempts = failed_attempts + 1,
+            last_failed_at = excluded.last_failed_at`,
+          [id, Date.now()],
+          (err) => {
+            if (err) {
+              console.error('Error counting PIN attempt:', err);
+              reject(err);
+            }
+          }
+        );
+        db.get(
+          'SELECT failed_attempts FROM pin_attempts WHERE telegram_id = ?',
+          [id],
+          (err, row) => {
+            if (err) {
+              console.error('Error getting PIN attempts:', err);
+              reject(err);
+            } else {
+              resolve(row ? row.failed_attempts : 0);
+            }
+          }
+        );
+      });
+    });
+  }
+  
+  /**
+   * Block PIN entry for a user until a given time, unless it is already blocked for longer
+   * @param {string} telegramId - User's Telegram ID
+   * @param {number} lockedUntil - Timestamp (ms) until which PIN entry is blocked
+   * @returns {Promise<boolean>} - Success status
+   */
+  async extendPinLockout(telegramId, lockedUntil) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE pin_attempts SET locked_until = MAX(COALESCE(locked_until, 0), ?) WHERE telegram_id = ?',
+        [lockedUntil, String(telegramId)],
+        (err) => {
+          if (err) {
+            console.error('Error saving PIN lockout:', err);
+            reject(err);
+          } else {
+            resolve(true);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Clear failed PIN attempt data for a user
+   * @param {string} telegramId - User's Telegram ID
+   * @returns {Promise<boolean>} - True if there was anything to clear
+   */
+  async clearPinAttempts(telegramId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'DELETE FROM pin_attempts WHERE telegram_id = ?',
+        [String(telegramId)],
+        function(err) {
+          if (err) {
+            console.error('Error clearing PIN attempts:', err);
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Replace a user's recovery guardians
+   * @param {string} telegramId - User's Telegram ID
+   * @param {Array<string>} guardianIds - Telegram IDs of the guardians (empty to remove them all)
+   * @param {number} threshold - Number of guardian approvals needed for a reset
+   * @returns {Promise<boolean>} - Success status
+   */
+  async saveRecoveryGuardians(telegramId, guardianIds, threshold) {
+    const db = this.db;
+    const addedAt = Date.now();
+    
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+        db.run('DELETE FROM recovery_guardians WHERE telegram_id = ?', [String(telegramId)]);
+        
+        guardianIds.forEach(guardianId => {
+          db.run(
+            'INSERT INTO recovery_guardians (telegram_id, guardian_id, threshold, added_at) VALUES (?, ?, ?, ?)',
+            [String(telegramId), String(guardianId), threshold, addedAt]
+          );
+        });
+        
+        db.run('COMMIT', (err) => {
+          if (err) {
+            console.error('Error saving recovery guardians:', err);
+            db.run('ROLLBACK');
+            reject(err);
+          } else {
+            resolve(true);
+          }
+        });
+      });
+    });
+  }
+  
+  /**
+   * Get a user's recovery guardians
+   * @param {string} telegramId - User's Telegram ID
+   * @returns {Promise<{guardians: Array<string>, threshold: number}|null>} - Guardian setup or null if none
+   */
+  async getRecoveryGuardians(telegramId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT guardian_id, threshold FROM recovery_guardians WHERE telegram_id = ? ORDER BY added_at, guardian_id',
+        [String(telegramId)],
+        (err, rows) => {
+          if (err) {
+            console.error('Error getting recovery guardians:', err);
+            reject(err);
+          } else if (rows && rows.length > 0) {
+            resolve({
+              guardians: rows.map(row => row.guardian_id),
+              threshold: rows[0].threshold
+            });
+          } else {
+            resolve(null);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Create a guardian recovery request
+   * @param {string} telegramId - Telegram ID of the member being recovered
+   * @param {number} threshold - Approvals needed
+   * @param {number} expiresAt - Timestamp (ms) after which approvals are no longer accepted
+   * @returns {Promise<number>} - Request ID
+   */
+  async createRecoveryRequest(telegramId, threshold, expiresAt) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO recovery_requests
+        (telegram_id, status, threshold, created_at, expires_at)
+        VALUES (?, 'pending', ?, ?, ?)`,
+        [String(telegramId), threshold, Date.now(), expiresAt],
+        function(err) {
+          if (err) {
+            console.error('Error creating recovery request:', err);
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Convert a recovery_requests row to a request object
+   * @param {Object} row - Database row
+   * @returns {Object} - Recovery request
+   */
+  mapRecoveryRequest(row) {
+    return {
+      id: row.id,
+      telegramId: row.telegram_id,
+      status: row.status,
+      threshold: row.threshold,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      executableAfter: row.executable_after,
+      closedAt: row.closed_at
+    };
+  }
+  
+  /**
+   * Get a recovery request by ID
+   * @param {number} requestId - Request ID
+   * @returns {Promise<Object|null>} - Recovery request or null if not found
+   */
+  async getRecoveryRequest(requestId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM recovery_requests WHERE id = ?',
+        [requestId],
+        (err, row) => {
+          if (err) {
+            console.error('Error getting recovery request:', err);
+            reject(err);
+          } else {
+            resolve(row ? this.mapRecoveryRequest(row) : null);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Get a user's open (pending or cooling down) recovery request
+   * @param {string} telegramId - User's Telegram ID
+   * @returns {Promise<Object|null>} - Recovery request or null if there is none
+   */
+  async getOpenRecoveryRequest(telegramId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM recovery_requests
+        WHERE telegram_id = ? AND status IN ('pending', 'cooling_down')
+        ORDER BY created_at DESC LIMIT 1`,
+        [String(telegramId)],
+        (err, row) => {
+          if (err) {
+            console.error('Error getting open recovery request:', err);
+            reject(err);
+          } else {
+            resolve(row ? this.mapRecoveryRequest(row) : null);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Move a recovery request to a new status
+   * The update only applies if the request is still in the expected status,
+   * so two concurrent transitions can't both succeed.
+   * @param {number} requestId - Request ID
+   * @param {string} fromStatus - Status the request must currently have
+   * @param {string} toStatus - New status
+   * @param {Object} [fields] - Timestamps to set
+   * @param {number} [fields.executableAfter] - End of the cool-down period
+   * @param {number} [fields.closedAt] - When the request was completed, cancelled or expired (cleared if omitted)
+   * @returns {Promise<boolean>} - True if the request was updated
+   */
+  async updateRecoveryRequestStatus(requestId, fromStatus, toStatus, fields = {}) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE recovery_requests
+        SET status = ?,
+          executable_after = COALESCE(?, executable_after),
+          closed_at = ?
+        WHERE id = ? AND status = ?`,
+        [toStatus, fields.executableAfter || null, fields.closedAt || null, requestId, fromStatus],
+        function(err) {
+          if (err) {
+            console.error('Error updating recovery request:', err);
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Record a guardian's approval of a recovery request
+   * @param {number} requestId - Request ID
+   * @param {string} guardianId - Guardian's Telegram ID
+   * @returns {Promise<boolean>} - False if the guardian had already approved
+   */
+  async addRecoveryApproval(requestId, guardianId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'INSERT OR IGNORE INTO recovery_approvals (request_id, guardian_id, approved_at) VALUES (?, ?, ?)',
+        [requestId, String(guardianId), Date.now()],
+        function(err) {
+          if (err) {
+            console.error('Error recording recovery approval:', err);
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Get the guardians who approved a recovery request
+   * @param {number} requestId - Request ID
+   * @returns {Promise<Array<string>>} - Telegram IDs of the approving guardians
+   */
+  async getRecoveryApprovals(requestId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT guardian_id FROM recovery_approvals WHERE request_id = ? ORDER BY approved_at',
+        [requestId],
+        (err, rows) => {
+          if (err) {
+            console.error('Error getting recovery approvals:', err);
+            reject(err);
+          } else {
+            resolve((rows || []).map(row => row.guardian_id));
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Append an entry to the recovery audit trail
+   * @param {string} telegramId - Telegram ID of the member the entry is about
+   * @param {number|null} requestId - Related recovery request, if any
+   * @param {string} event - Event name (e.g. guardians_set, approved, completed)
+   * @param {string|null} actorId - Telegram ID of whoever triggered the event
+   * @param {Object} [details] - Extra data, stored as JSON
+   * @returns {Promise<boolean>} - Success status
+   */
+  async addRecoveryAuditEntry(telegramId, requestId, event, actorId, details = null) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO recovery_audit
+        (telegram_id, request_id, event, actor_id, details, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          String(telegramId),
+          requestId,
+          event,
+          actorId === null ? null : String(actorId),
+          details ? JSON.stringify(details) : null,
+          Date.now()
+        ],
+        (err) => {
+          if (err) {
+            console.error('Error writing recovery audit entry:', err);
+            reject(err);
+          } else {
+            resolve(true);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Get the most recent recovery audit entries for a member
+   * @param {string} telegramId - User's Telegram ID
+   * @param {number} [limit] - Maximum number of entries
+   * @returns {Promise<Array>} - Audit entries, newest first
+   */
+  async getRecoveryAuditTrail(telegramId, limit = 20) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM recovery_audit WHERE telegram_id = ? ORDER BY id DESC LIMIT ?',
+        [String(telegramId), limit],
+        (err, rows) => {
+          if (err) {
+            console.error('Error getting recovery audit trail:', err);
+            reject(err);
+          } else {
+            resolve((rows || []).map(row => ({
+              requestId: row.request_id,
+              event: row.event,
+              actorId: row.actor_id,
+              details: row.details ? JSON.parse(row.details) : null,
+              createdAt: row.created_at
+            })));
+          }
+        }
+      );
+    });
+  }
+  
   /**
    * Update or insert a proposal in the cache
+   * @param {string} daoId - ID of the DAO the proposal belongs to
    * @param {Object} proposal - Proposal data
    * @returns {Promise<boolean>} - Success status
    */
-  async updateProposalCache(proposal) {
+  async updateProposalCache(daoId, proposal) {
     if (!proposal || !proposal.id) {
       console.warn('Cannot update proposal cache: Invalid proposal data');
       return false;
@@ -244,12 +910,15 @@ class DatabaseService {
       const againstVotes = String(proposal.votes?.againstVotes || '0');
       const abstainVotes = String(proposal.votes?.abstainVotes || '0');
       const isExecuted = proposal.state === 'Executed' ? 1 : 0;
+      const eta = proposal.eta || null;
+      const snapshot = proposal.snapshot || null;
+      const deadline = proposal.deadline || null;
       
       this.db.run(
         `INSERT OR REPLACE INTO proposal_cache 
         (proposal_id, title, description, proposer, state, start_block, end_block, 
-         for_votes, against_votes, abstain_votes, last_updated, is_executed) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+         for_votes, against_votes, abstain_votes, last_updated, is_executed, eta, snapshot, deadline, dao_id) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           id,
           title, 
@@ -262,7 +931,11 @@ class DatabaseService {
           againstVotes,
           abstainVotes,
           timestamp,
-          isExecuted
+          isExecuted,
+          eta,
+          snapshot,
+          deadline,
+          daoId
         ],
         (err) => {
           if (err) {
@@ -277,9 +950,53 @@ class DatabaseService {
   }
   
   /**
-   * Get proposal from cache
-   * @param {string} proposalId - Proposal ID
-   * @returns {Promise<Object|null>} - Cached proposal or null
+   * Refresh the cached vote tallies, snapshot and deadline of proposals already in the cache.
+   * The state is left alone so the proposal monitor still sees state changes.
+   * @param {Array<Object>} proposals - Proposals with id, votes, snapshot and deadline
+   * @returns {Promise<void>}
+   */
+  async updateProposalTallies(proposals) {
+    const db = this.db;
+    const timestamp = Math.floor(Date.now() / 1000);
+    
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+        
+        proposals.forEach(proposal => {
+          db.run(
+            `UPDATE proposal_cache
+            SET for_votes = ?, against_votes = ?, abstain_votes = ?, snapshot = ?, deadline = ?, last_updated = ?
+            WHERE proposal_id = ?`,
+            [
+              String(proposal.votes.forVotes),
+              String(proposal.votes.againstVotes),
+              String(proposal.votes.abstainVotes),
+              proposal.snapshot || null,
+              proposal.deadline || null,
+              timestamp,
+              proposal.id
+            ]
+          );
+        });
+        
+        db.run('COMMIT', (err) => {
+          if (err) {
+            console.error('Error updating proposal tallies:', err);
+            db.run('ROLLBACK');
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    });
+  }
+  
+  /**
+   * Get proposal from cache
+   * @param {string} proposalId - Proposal ID
+   * @returns {Promise<Object|null>} - Cached proposal or null
    */
   async getCachedProposal(proposalId) {
     return new Promise((resolve, reject) => {
@@ -306,7 +1023,11 @@ class DatabaseService {
                   againstVotes: row.against_votes,
                   abstainVotes: row.abstain_votes
                 },
-                isExecuted: row.is_executed === 1
+                isExecuted: row.is_executed === 1,
+                eta: row.eta || null,
+                snapshot: row.snapshot || null,
+                deadline: row.deadline || null,
+                daoId: row.dao_id
               };
               resolve(proposal);
             } else {
@@ -318,6 +1039,98 @@ class DatabaseService {
     });
   }
   
+  /**
+   * Update the cached state of a proposal, e.g. right after the bot cancels it
+   * @param {string} proposalId - Proposal ID
+   * @param {string} state - New proposal state
+   * @returns {Promise<boolean>} - True if a cached proposal was updated
+   */
+  async updateProposalState(proposalId, state) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE proposal_cache SET state = ?, last_updated = ? WHERE proposal_id = ?',
+        [state, Math.floor(Date.now() / 1000), proposalId],
+        function(err) {
+          if (err) {
+            console.error('Error updating proposal state:', err);
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Record which member submitted a proposal
+   * @param {string} daoId - ID of the DAO the proposal belongs to
+   * @param {string} proposalId - Proposal ID
+   * @param {string} telegramId - Telegram ID of the proposer
+   * @returns {Promise<boolean>} - Success status
+   */
+  async saveProposalAuthor(daoId, proposalId, telegramId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'INSERT OR REPLACE INTO proposal_authors (proposal_id, telegram_id, created_at, dao_id) VALUES (?, ?, ?, ?)',
+        [proposalId, String(telegramId), Date.now(), daoId],
+        (err) => {
+          if (err) {
+            console.error('Error saving proposal author:', err);
+            reject(err);
+          } else {
+            resolve(true);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Get the member who submitted a proposal
+   * @param {string} proposalId - Proposal ID
+   * @returns {Promise<string|null>} - Telegram ID of the proposer, or null if it wasn't submitted through the bot
+   */
+  async getProposalAuthor(proposalId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT telegram_id FROM proposal_authors WHERE proposal_id = ?',
+        [proposalId],
+        (err, row) => {
+          if (err) {
+            console.error('Error getting proposal author:', err);
+            reject(err);
+          } else {
+            resolve(row ? row.telegram_id : null);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Get the IDs of all proposals a member has submitted to a DAO
+   * @param {string} daoId - DAO ID
+   * @param {string} telegramId - Telegram ID of the proposer
+   * @returns {Promise<Array<string>>} - Proposal IDs
+   */
+  async getProposalsByAuthor(daoId, telegramId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT proposal_id FROM proposal_authors WHERE telegram_id = ? AND dao_id = ?',
+        [String(telegramId), daoId],
+        (err, rows) => {
+          if (err) {
+            console.error('Error getting proposals by author:', err);
+            reject(err);
+          } else {
+            resolve((rows || []).map(row => row.proposal_id));
+          }
+        }
+      );
+    });
+  }
+  
   /**
    * Check if a proposal status has changed from active to another state
    * @param {string} proposalId - Proposal ID
@@ -348,14 +1161,415 @@ class DatabaseService {
   }
   
   /**
-   * Get all active proposals from cache
-   * @returns {Promise<Array>} - Array of active proposals
+   * Record that a one-off notification about a proposal has been sent
+   * @param {string} proposalId - Proposal ID
+   * @param {string} event - Notification type (e.g. 'executable')
+   * @returns {Promise<boolean>} - True if this is the first time, false if it was already sent
+   */
+  async markProposalNotified(proposalId, event) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'INSERT OR IGNORE INTO proposal_notifications (proposal_id, event, sent_at) VALUES (?, ?, ?)',
+        [proposalId, event, Date.now()],
+        function(err) {
+          if (err) {
+            console.error('Error recording proposal notification:', err);
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Record that a member joined a DAO
+   * @param {string} daoId - DAO ID
+   * @param {string} telegramId - Member's Telegram ID
+   * @returns {Promise<boolean>} - True if they weren't a member yet
+   */
+  async addDaoMember(daoId, telegramId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'INSERT OR IGNORE INTO dao_members (dao_id, telegram_id, joined_at) VALUES (?, ?, ?)',
+        [daoId, String(telegramId), Date.now()],
+        function(err) {
+          if (err) {
+            console.error('Error adding DAO member:', err);
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Check whether a member has joined a DAO
+   * @param {string} daoId - DAO ID
+   * @param {string} telegramId - Member's Telegram ID
+   * @returns {Promise<boolean>} - True if they have
+   */
+  async isDaoMember(daoId, telegramId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT 1 FROM dao_members WHERE dao_id = ? AND telegram_id = ?',
+        [daoId, String(telegramId)],
+        (err, row) => {
+          if (err) {
+            console.error('Error checking DAO membership:', err);
+            reject(err);
+          } else {
+            resolve(!!row);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Get the DAO a member picked to work with in private chat
+   * @param {string} telegramId - Member's Telegram ID
+   * @returns {Promise<string|null>} - DAO ID, or null if they haven't picked one
+   */
+  async getUserDao(telegramId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT dao_id FROM user_dao_context WHERE telegram_id = ?',
+        [String(telegramId)],
+        (err, row) => {
+          if (err) {
+            console.error('Error getting selected DAO:', err);
+            reject(err);
+          } else {
+            resolve(row ? row.dao_id : null);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Save the DAO a member picked to work with in private chat
+   * @param {string} telegramId - Member's Telegram ID
+   * @param {string} daoId - DAO ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setUserDao(telegramId, daoId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'INSERT OR REPLACE INTO user_dao_context (telegram_id, dao_id, updated_at) VALUES (?, ?, ?)',
+        [String(telegramId), daoId, Date.now()],
+        (err) => {
+          if (err) {
+            console.error('Error saving selected DAO:', err);
+            reject(err);
+          } else {
+            resolve(true);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Save a transaction queued for the admin wallet
+   * @param {Object} transaction - Transaction details
+   * @param {string} transaction.label - What the transaction does (e.g. "vote")
+   * @param {string|null} transaction.chatId - Chat that started it
+   * @param {string} transaction.request - Transaction request as JSON
+   * @param {string} transaction.status - Initial status
+   * @returns {Promise<number>} - ID of the new row
+   */
+  async saveAdminTransaction({ label, chatId, request, status }) {
+    return new Promise((resolve, reject) => {
+      const now = Date.now();
+      this.db.run(
+        `INSERT INTO admin_transactions (label, chat_id, request, status, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)`,
+        [label, chatId, request, status, now, now],
+        function(err) {
+          if (err) {
+            console.error('Error saving admin transaction:', err);
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Update the state of an admin wallet transaction
+   * @param {number} id - Row ID
+   * @param {Object} update - New values
+   * @param {string} update.status - queued, pending, confirmed or failed
+   * @param {number|null} update.nonce - Nonce used
+   * @param {string|null} update.txHash - Latest (or mined) transaction hash
+   * @param {string} update.txHashes - Every hash submitted for this nonce, as JSON
+   * @param {string|null} update.fees - Fees of the latest submission, as JSON
+   * @param {number} update.attempts - Number of submissions
+   * @param {string|null} update.error - Failure reason
+   * @returns {Promise<void>}
+   */
+  async updateAdminTransaction(id, { status, nonce, txHash, txHashes, fees, attempts, error }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE admin_transactions
+        SET status = ?, nonce = ?, tx_hash = ?, tx_hashes = ?, fees = ?, attempts = ?, error = ?, updated_at = ?
+        WHERE id = ?`,
+        [status, nonce, txHash, txHashes, fees, attempts, error, Date.now(), id],
+        (err) => {
+          if (err) {
+            console.error('Error updating admin transaction:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Get admin wallet transactions that were queued or pending
+   * @returns {Promise<Array<Object>>} - admin_transactions rows, oldest first
    */
-  async getActiveProposalsFromCache() {
+  async getPendingAdminTransactions() {
     return new Promise((resolve, reject) => {
       this.db.all(
-        'SELECT * FROM proposal_cache WHERE state = "Active"',
+        "SELECT * FROM admin_transactions WHERE status IN ('queued', 'pending') ORDER BY id",
         [],
+        (err, rows) => {
+          if (err) {
+            console.error('Error getting pending admin transactions:', err);
+            reject(err);
+          } else {
+            resolve(rows || []);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Get the last block indexed for a governor
+   * @param {string} governorAddress - Governor address (lowercase)
+   * @returns {Promise<number|null>} - Block number, or null if nothing has been indexed yet
+   */
+  async getIndexCheckpoint(governorAddress) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT last_block FROM governance_index_checkpoints WHERE governor_address = ?',
+        [governorAddress],
+        (err, row) => {
+          if (err) {
+            console.error('Error getting index checkpoint:', err);
+            reject(err);
+          } else {
+            resolve(row ? row.last_block : null);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Save the governor events found in a block range and move the checkpoint to its end.
+   * Events already indexed from fromBlock onwards are replaced, which drops any undone by a reorg.
+   * @param {string} governorAddress - Governor address (lowercase)
+   * @param {number} fromBlock - First block of the range
+   * @param {number} toBlock - Last block of the range
+   * @param {Object} events - { proposals, votes, outcomes } from ProposalIndexer.parseLogs
+   * @returns {Promise<void>}
+   */
+  async saveIndexedEvents(governorAddress, fromBlock, toBlock, { proposals, votes, outcomes }) {
+    const db = this.db;
+    
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+        ['indexed_proposals', 'indexed_votes', 'indexed_proposal_outcomes'].forEach(table => {
+          db.run(`DELETE FROM ${table} WHERE governor_address = ? AND block_number >= ?`, [governorAddress, fromBlock]);
+        });
+        
+        proposals.forEach(p => {
+          db.run(
+            `INSERT OR REPLACE INTO indexed_proposals
+            (governor_address, proposal_id, proposer, targets, call_values, signatures, calldatas,
+            start_block, end_block, description, block_number, block_timestamp, tx_hash, log_index)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              governorAddress, p.proposalId, p.proposer,
+              JSON.stringify(p.targets), JSON.stringify(p.values), JSON.stringify(p.signatures), JSON.stringify(p.calldatas),
+              p.startBlock, p.endBlock, p.description, p.blockNumber, p.timestamp, p.txHash, p.logIndex
+            ]
+          );
+        });
+        
+        votes.forEach(v => {
+          db.run(
+            `INSERT OR REPLACE INTO indexed_votes
+            (governor_address, proposal_id, voter, support, weight, reason, block_number, block_timestamp, tx_hash, log_index)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [governorAddress, v.proposalId, v.voter, v.support, v.weight, v.reason, v.blockNumber, v.timestamp, v.txHash, v.logIndex]
+          );
+        });
+        
+        outcomes.forEach(o => {
+          db.run(
+            `INSERT OR REPLACE INTO indexed_proposal_outcomes
+            (governor_address, proposal_id, outcome, block_number, block_timestamp, tx_hash, log_index)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [governorAddress, o.proposalId, o.outcome, o.blockNumber, o.timestamp, o.txHash, o.logIndex]
+          );
+        });
+        
+        db.run(
+          'INSERT OR REPLACE INTO governance_index_checkpoints (governor_address, last_block, updated_at) VALUES (?, ?, ?)',
+          [governorAddress, toBlock, Date.now()]
+        );
+        
+        db.run('COMMIT', (err) => {
+          if (err) {
+            console.error('Error saving indexed governor events:', err);
+            db.run('ROLLBACK');
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    });
+  }
+  
+  /**
+   * Map an indexed_proposals row (joined with its outcomes) to a proposal record
+   * @param {Object} row - Database row
+   * @returns {Object} - Proposal record
+   */
+  mapIndexedProposal(row) {
+    return {
+      proposalId: row.proposal_id,
+      proposer: row.proposer,
+      targets: JSON.parse(row.targets),
+      values: JSON.parse(row.call_values),
+      signatures: JSON.parse(row.signatures),
+      calldatas: JSON.parse(row.calldatas),
+      startBlock: row.start_block,
+      endBlock: row.end_block,
+      description: row.description || '',
+      blockNumber: row.block_number,
+      timestamp: row.block_timestamp,
+      txHash: row.tx_hash,
+      executed: row.executed === 1,
+      canceled: row.canceled === 1
+    };
+  }
+  
+  /**
+   * Get every proposal indexed for a governor
+   * @param {string} governorAddress - Governor address (lowercase)
+   * @returns {Promise<Array<Object>>} - Proposal records, newest first
+   */
+  async getIndexedProposals(governorAddress) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT p.*,
+          EXISTS (SELECT 1 FROM indexed_proposal_outcomes o
+            WHERE o.governor_address = p.governor_address AND o.proposal_id = p.proposal_id AND o.outcome = 'executed') AS executed,
+          EXISTS (SELECT 1 FROM indexed_proposal_outcomes o
+            WHERE o.governor_address = p.governor_address AND o.proposal_id = p.proposal_id AND o.outcome = 'canceled') AS canceled
+        FROM indexed_proposals p
+        WHERE p.governor_address = ?
+        ORDER BY p.block_number DESC, p.log_index DESC`,
+        [governorAddress],
+        (err, rows) => {
+          if (err) {
+            console.error('Error getting indexed proposals:', err);
+            reject(err);
+          } else {
+            resolve((rows || []).map(row => this.mapIndexedProposal(row)));
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Get one indexed proposal
+   * @param {string} governorAddress - Governor address (lowercase)
+   * @param {string} proposalId - Proposal ID
+   * @returns {Promise<Object|null>} - Proposal record, or null if it isn't indexed
+   */
+  async getIndexedProposal(governorAddress, proposalId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT p.*,
+          EXISTS (SELECT 1 FROM indexed_proposal_outcomes o
+            WHERE o.governor_address = p.governor_address AND o.proposal_id = p.proposal_id AND o.outcome = 'executed') AS executed,
+          EXISTS (SELECT 1 FROM indexed_proposal_outcomes o
+            WHERE o.governor_address = p.governor_address AND o.proposal_id = p.proposal_id AND o.outcome = 'canceled') AS canceled
+        FROM indexed_proposals p
+        WHERE p.governor_address = ? AND p.proposal_id = ?`,
+        [governorAddress, proposalId],
+        (err, row) => {
+          if (err) {
+            console.error('Error getting indexed proposal:', err);
+            reject(err);
+          } else {
+            resolve(row ? this.mapIndexedProposal(row) : null);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Get the indexed votes cast by an address
+   * @param {string} governorAddress - Governor address (lowercase)
+   * @param {string} voterAddress - Voter address (any case)
+   * @returns {Promise<Array<Object>>} - Votes as { proposalId, support, weight, reason, timestamp, txHash }, oldest first
+   */
+  async getIndexedVotesByVoter(governorAddress, voterAddress) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM indexed_votes
+        WHERE governor_address = ? AND voter = ? COLLATE NOCASE
+        ORDER BY block_number, log_index`,
+        [governorAddress, voterAddress],
+        (err, rows) => {
+          if (err) {
+            console.error('Error getting indexed votes:', err);
+            reject(err);
+          } else {
+            resolve((rows || []).map(row => ({
+              proposalId: row.proposal_id,
+              support: row.support,
+              weight: row.weight,
+              reason: row.reason,
+              timestamp: row.block_timestamp,
+              txHash: row.tx_hash
+            })));
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Get all active proposals of a DAO from cache
+   * @param {string} daoId - DAO ID
+   * @returns {Promise<Array>} - Array of active proposals
+   */
+  async getActiveProposalsFromCache(daoId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM proposal_cache WHERE state = "Active" AND dao_id = ?',
+        [daoId],
         (err, rows) => {
           if (err) {
             console.error('Error getting active proposals from cache:', err);
@@ -374,7 +1588,11 @@ class DatabaseService {
                 againstVotes: row.against_votes,
                 abstainVotes: row.abstain_votes
               },
-              isExecuted: row.is_executed === 1
+              isExecuted: row.is_executed === 1,
+              eta: row.eta || null,
+              snapshot: row.snapshot || null,
+              deadline: row.deadline || null,
+              daoId: row.dao_id
             }));
             resolve(proposals);
           }
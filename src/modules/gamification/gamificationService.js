@@ -5,12 +5,16 @@ class GamificationService {
   /**
    * Create GamificationService instance
    * @param {Object} blockchainManager - Blockchain service manager
+   * @param {Object} [rewards] - Reward settings of the DAO, defaulting to environment variables
+   * @param {string} [rewards.vote] - Tokens for voting (VOTE_REWARD_AMOUNT)
+   * @param {string} [rewards.proposal] - Tokens for creating a proposal (PROPOSAL_REWARD_AMOUNT)
+   * @param {string} [rewards.approvedMultiplier] - Multiplier for approved proposals (APPROVED_PROPOSAL_MULTIPLIER)
    */
-  constructor(blockchainManager) {
+  constructor(blockchainManager, rewards = {}) {
     this.blockchain = blockchainManager;
-    this.voteReward = process.env.VOTE_REWARD_AMOUNT || "1";
-    this.proposalReward = process.env.PROPOSAL_REWARD_AMOUNT || "10";
-    this.approvedProposalMultiplier = process.env.APPROVED_PROPOSAL_MULTIPLIER || "2";
+    this.voteReward = rewards.vote || process.env.VOTE_REWARD_AMOUNT || "1";
+    this.proposalReward = rewards.proposal || process.env.PROPOSAL_REWARD_AMOUNT || "10";
+    this.approvedProposalMultiplier = rewards.approvedMultiplier || process.env.APPROVED_PROPOSAL_MULTIPLIER || "2";
   }
   
   /**
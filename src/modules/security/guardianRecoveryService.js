@@ -0,0 +1,416 @@
+/**
+ * Guardian-based social recovery for bot-managed wallets
+ *
+ * A member nominates other DAO members as guardians and chooses how many of
+ * them (M of N) must approve a PIN reset. Setting up guardians stores the
+ * private key in an escrow record encrypted under the master recovery key
+ * (RECOVERY_ESCROW_KEY). When the member has lost their PIN they open a
+ * request, guardians approve it in a private chat with the bot, and after a
+ * cool-down period the escrow re-keys the wallet keystore under a new PIN. The
+ * member's account is told about every step, so they can cancel a request
+ * they didn't make, and every step is written to the recovery audit trail.
+ */
+
+// Lifecycle of a recovery request
+const STATUS = {
+  PENDING: 'pending',
+  COOLING_DOWN: 'cooling_down',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired'
+};
+
+class GuardianRecoveryService {
+  /**
+   * Create GuardianRecoveryService instance
+   * @param {Object} databaseService - DatabaseService instance
+   * @param {Object} walletManager - WalletManager instance holding the keystores and escrow records
+   * @param {Object} [telegramBot] - TelegramBot instance used to message members and guardians
+   */
+  constructor(databaseService, walletManager, telegramBot = null) {
+    this.db = databaseService;
+    this.wallets = walletManager;
+    this.bot = telegramBot;
+    this.cooldownHours = parseInt(process.env.RECOVERY_COOLDOWN_HOURS || '48');
+    this.approvalWindowHours = parseInt(process.env.RECOVERY_APPROVAL_WINDOW_HOURS || '72');
+    this.maxGuardians = parseInt(process.env.RECOVERY_MAX_GUARDIANS || '7');
+  }
+
+  /**
+   * Format a timestamp for display
+   * @param {number} timestamp - Timestamp in ms
+   * @returns {string} - UTC date and time
+   */
+  formatTime(timestamp) {
+    return new Date(timestamp).toUTCString();
+  }
+
+  /**
+   * Send a private message, logging instead of failing if it can't be delivered
+   * @param {string} telegramId - Recipient's Telegram ID
+   * @param {string} message - Message text (Markdown)
+   * @param {Object} [options] - Extra sendMessage options
+   */
+  async notify(telegramId, message, options = {}) {
+    if (!this.bot) return;
+
+    try {
+      await this.bot.sendMessage(telegramId, message, { parse_mode: 'Markdown', ...options });
+    } catch (error) {
+      console.warn(`Could not send recovery notice to user ${telegramId}:`, error.message);
+    }
+  }
+
+  /**
+   * Write an entry to the recovery audit trail
+   * @param {string} telegramId - Member the entry is about
+   * @param {number|null} requestId - Related recovery request
+   * @param {string} event - Event name
+   * @param {string|null} actorId - Who triggered the event
+   * @param {Object} [details] - Extra data
+   */
+  async audit(telegramId, requestId, event, actorId, details = null) {
+    await this.db.addRecoveryAuditEntry(telegramId, requestId, event, actorId, details);
+    console.log(`Recovery audit: ${event} for user ${telegramId}${requestId ? ` (request ${requestId})` : ''}`);
+  }
+
+  /**
+   * Get a member's guardian setup
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<{guardians: Array<string>, threshold: number}|null>} - Guardian setup or null if none
+   */
+  async getGuardians(telegramId) {
+    return this.db.getRecoveryGuardians(telegramId);
+  }
+
+  /**
+   * Nominate guardians and store the recovery escrow
+   * @param {string} telegramId - Telegram user ID
+   * @param {Array<string>} guardianIds - Telegram IDs of the guardians
+   * @param {number} threshold - Approvals needed for a reset
+   * @param {string} pin - Current PIN, needed to create the escrow
+   * @returns {Promise<{guardians: Array<string>, threshold: number}>} - Saved guardian setup
+   */
+  async setGuardians(telegramId, guardianIds, threshold, pin) {
+    const owner = String(telegramId);
+    const guardians = Array.from(new Set(guardianIds.map(String)));
+
+    if (guardians.includes(owner)) {
+      throw new Error('You can\'t be your own guardian.');
+    }
+
+    if (guardians.length === 0 || guardians.length > this.maxGuardians) {
+      throw new Error(`Please choose between 1 and ${this.maxGuardians} guardians.`);
+    }
+
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > guardians.length) {
+      throw new Error(`The number of required approvals must be between 1 and ${guardians.length}.`);
+    }
+
+    if (await this.wallets.isExternalWallet(owner)) {
+      throw new Error('Your DAO wallet is your own linked wallet, so the bot can\'t recover it.');
+    }
+
+    for (const guardianId of guardians) {
+      if (!(await this.wallets.hasWallet(guardianId))) {
+        throw new Error(`User ${guardianId} is not a DAO member, so they can't be a guardian.`);
+      }
+    }
+
+    if (await this.getOpenRequest(owner)) {
+      throw new Error('You can\'t change guardians while a recovery request is open. Send /cancelrecovery first.');
+    }
+
+    // Checks the PIN, so this has to succeed before anything is saved
+    await this.wallets.createRecoveryEscrow(owner, pin);
+    await this.db.saveRecoveryGuardians(owner, guardians, threshold);
+    await this.audit(owner, null, 'guardians_set', owner, { guardians, threshold });
+
+    for (const guardianId of guardians) {
+      await this.notify(
+        guardianId,
+        `🛡️ *You are now a recovery guardian*\n\nDAO member ${owner} has chosen you as one of ${guardians.length} guardians for their wallet. If they ever lose their PIN, the bot will ask you to approve resetting it.\n\nOnly approve a reset after confirming with them directly.`
+      );
+    }
+
+    return { guardians, threshold };
+  }
+
+  /**
+   * Remove a member's guardians and delete their recovery escrow
+   * @param {string} telegramId - Telegram user ID
+   * @param {string} pin - Current PIN
+   * @returns {Promise<boolean>} - True if guardians were removed
+   */
+  async removeGuardians(telegramId, pin) {
+    const owner = String(telegramId);
+    const setup = await this.getGuardians(owner);
+
+    if (!setup) {
+      return false;
+    }
+
+    if (await this.getOpenRequest(owner)) {
+      throw new Error('You can\'t remove guardians while a recovery request is open. Send /cancelrecovery first.');
+    }
+
+    // Confirm the PIN so someone holding the phone can't quietly disable recovery
+    await this.wallets.decryptWallet(owner, pin);
+
+    await this.db.saveRecoveryGuardians(owner, [], setup.threshold);
+    await this.wallets.removeRecoveryEscrow(owner);
+    await this.audit(owner, null, 'guardians_removed', owner, { guardians: setup.guardians });
+
+    return true;
+  }
+
+  /**
+   * Get a member's open recovery request, expiring it if guardians ran out of time
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<Object|null>} - Recovery request or null if none is open
+   */
+  async getOpenRequest(telegramId) {
+    const request = await this.db.getOpenRecoveryRequest(telegramId);
+
+    if (request && request.status === STATUS.PENDING && request.expiresAt <= Date.now()) {
+      await this.expireRequest(request);
+      return null;
+    }
+
+    return request;
+  }
+
+  /**
+   * Mark a pending request as expired
+   * @param {Object} request - Recovery request
+   */
+  async expireRequest(request) {
+    const expired = await this.db.updateRecoveryRequestStatus(
+      request.id, STATUS.PENDING, STATUS.EXPIRED, { closedAt: Date.now() }
+    );
+
+    if (expired) {
+      await this.audit(request.telegramId, request.id, 'expired', null);
+    }
+  }
+
+  /**
+   * Open a recovery request and ask the guardians to approve it
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<Object>} - The new recovery request
+   */
+  async startRecovery(telegramId) {
+    const owner = String(telegramId);
+    const setup = await this.getGuardians(owner);
+
+    if (!setup || !(await this.wallets.hasRecoveryEscrow(owner))) {
+      throw new Error('You haven\'t set up recovery guardians, so your PIN can\'t be reset this way. If you have your recovery phrase, use /recover instead.');
+    }
+
+    if (await this.getOpenRequest(owner)) {
+      throw new Error('You already have an open recovery request.');
+    }
+
+    const expiresAt = Date.now() + this.approvalWindowHours * 60 * 60 * 1000;
+    const requestId = await this.db.createRecoveryRequest(owner, setup.threshold, expiresAt);
+    await this.audit(owner, requestId, 'requested', owner, { guardians: setup.guardians, threshold: setup.threshold });
+
+    for (const guardianId of setup.guardians) {
+      await this.notify(
+        guardianId,
+        `🛟 *Recovery Approval Needed*\n\nDAO member ${owner} says they have lost their PIN and wants to reset it. ${setup.threshold} of ${setup.guardians.length} guardians must approve.\n\n*Please confirm with them directly before approving.* If you can't reach them, decline.\n\nThis request expires ${this.formatTime(expiresAt)}.`,
+        {
+          reply_markup: {
+            inline_keyboard: [[
+              { text: '✅ Approve', callback_data: `rg_ok_${requestId}` },
+              { text: '❌ Decline', callback_data: `rg_no_${requestId}` }
+            ]]
+          }
+        }
+      );
+    }
+
+    return this.db.getRecoveryRequest(requestId);
+  }
+
+  /**
+   * Load a pending request and check the guardian may act on it
+   * @param {number} requestId - Request ID
+   * @param {string} guardianId - Guardian's Telegram ID
+   * @returns {Promise<{request: Object, setup: Object}>} - Request and the member's guardian setup
+   */
+  async getRequestForGuardian(requestId, guardianId) {
+    const request = await this.db.getRecoveryRequest(requestId);
+
+    if (!request || request.status !== STATUS.PENDING) {
+      throw new Error('This recovery request is no longer open.');
+    }
+
+    if (request.expiresAt <= Date.now()) {
+      await this.expireRequest(request);
+      throw new Error('This recovery request has expired.');
+    }
+
+    const setup = await this.getGuardians(request.telegramId);
+    if (!setup || !setup.guardians.includes(String(guardianId))) {
+      throw new Error('You are not a guardian for this member.');
+    }
+
+    return { request, setup };
+  }
+
+  /**
+   * Record a guardian's approval and start the cool-down once enough have approved
+   * @param {number} requestId - Request ID
+   * @param {string} guardianId - Guardian's Telegram ID
+   * @returns {Promise<{approvals: number, threshold: number, executableAfter: number|null}>} - Approval progress
+   */
+  async approve(requestId, guardianId) {
+    const { request } = await this.getRequestForGuardian(requestId, guardianId);
+
+    if (!(await this.db.addRecoveryApproval(request.id, guardianId))) {
+      throw new Error('You have already approved this request.');
+    }
+    await this.audit(request.telegramId, request.id, 'approved', guardianId);
+
+    const approvals = await this.db.getRecoveryApprovals(request.id);
+
+    if (approvals.length < request.threshold) {
+      await this.notify(
+        request.telegramId,
+        `🛡️ A guardian approved your recovery request (${approvals.length} of ${request.threshold} approvals).\n\nIf you didn't ask to reset your PIN, send /cancelrecovery now.`
+      );
+      return { approvals: approvals.length, threshold: request.threshold, executableAfter: null };
+    }
+
+    const executableAfter = Date.now() + this.cooldownHours * 60 * 60 * 1000;
+    const started = await this.db.updateRecoveryRequestStatus(
+      request.id, STATUS.PENDING, STATUS.COOLING_DOWN, { executableAfter }
+    );
+
+    // Another guardian's approval may have started the cool-down first
+    if (started) {
+      await this.audit(request.telegramId, request.id, 'cooldown_started', null, { approvals, executableAfter });
+      await this.notify(
+        request.telegramId,
+        `⏳ *PIN Reset Approved - Cool-down Started*\n\nYour guardians approved resetting your PIN. For your security, the reset can only be finished after ${this.formatTime(executableAfter)}. Then send /resetpin to choose a new PIN.\n\n*If you didn't ask for this, send /cancelrecovery immediately* and tell your guardians.`
+      );
+    }
+
+    return { approvals: approvals.length, threshold: request.threshold, executableAfter };
+  }
+
+  /**
+   * Record that a guardian declined a request
+   * Declining doesn't close the request; it lets the member know a guardian has doubts.
+   * @param {number} requestId - Request ID
+   * @param {string} guardianId - Guardian's Telegram ID
+   */
+  async decline(requestId, guardianId) {
+    const { request } = await this.getRequestForGuardian(requestId, guardianId);
+
+    await this.audit(request.telegramId, request.id, 'declined', guardianId);
+    await this.notify(
+      request.telegramId,
+      '⚠️ A guardian declined your recovery request. If you made the request, contact your guardians directly. If you didn\'t, send /cancelrecovery now.'
+    );
+  }
+
+  /**
+   * Cancel a member's open recovery request
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<boolean>} - True if a request was cancelled
+   */
+  async cancelRecovery(telegramId) {
+    const owner = String(telegramId);
+    const request = await this.getOpenRequest(owner);
+
+    if (!request) {
+      return false;
+    }
+
+    const cancelled = await this.db.updateRecoveryRequestStatus(
+      request.id, request.status, STATUS.CANCELLED, { closedAt: Date.now() }
+    );
+
+    if (cancelled) {
+      await this.audit(owner, request.id, 'cancelled', owner);
+
+      const setup = await this.getGuardians(owner);
+      for (const guardianId of (setup ? setup.guardians : [])) {
+        await this.notify(guardianId, `ℹ️ DAO member ${owner} cancelled their recovery request. No action is needed.`);
+      }
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Get a member's request if its cool-down has ended
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<Object>} - Recovery request ready to complete
+   */
+  async getCompletableRequest(telegramId) {
+    const request = await this.getOpenRequest(telegramId);
+
+    if (!request || request.status !== STATUS.COOLING_DOWN) {
+      throw new Error('You don\'t have an approved recovery request.');
+    }
+
+    if (request.executableAfter > Date.now()) {
+      throw new Error(`Your PIN reset is still in its cool-down period. You can finish it after ${this.formatTime(request.executableAfter)}.`);
+    }
+
+    return request;
+  }
+
+  /**
+   * Re-key the member's wallet under a new PIN once the cool-down has ended
+   * @param {string} telegramId - Telegram user ID
+   * @param {string} newPin - New PIN
+   * @returns {Promise<string>} - Wallet address
+   */
+  async completeRecovery(telegramId, newPin) {
+    const owner = String(telegramId);
+    const request = await this.getCompletableRequest(owner);
+
+    // Claim the request first so it can't be used twice
+    const claimed = await this.db.updateRecoveryRequestStatus(
+      request.id, STATUS.COOLING_DOWN, STATUS.COMPLETED, { closedAt: Date.now() }
+    );
+    if (!claimed) {
+      throw new Error('This recovery request is no longer open.');
+    }
+
+    let address;
+    try {
+      address = await this.wallets.resetPinFromEscrow(owner, newPin);
+    } catch (error) {
+      // Put the request back so the member can try again
+      await this.db.updateRecoveryRequestStatus(request.id, STATUS.COMPLETED, STATUS.COOLING_DOWN);
+      await this.audit(owner, request.id, 'reset_failed', owner, { error: error.message });
+      throw error;
+    }
+
+    await this.audit(owner, request.id, 'completed', owner, { address });
+
+    const setup = await this.getGuardians(owner);
+    for (const guardianId of (setup ? setup.guardians : [])) {
+      await this.notify(guardianId, `✅ DAO member ${owner} finished resetting their PIN. Thank you for helping them recover their wallet.`);
+    }
+
+    return address;
+  }
+
+  /**
+   * Get the most recent recovery audit entries for a member
+   * @param {string} telegramId - Telegram user ID
+   * @param {number} [limit] - Maximum number of entries
+   * @returns {Promise<Array>} - Audit entries, newest first
+   */
+  async getAuditTrail(telegramId, limit = 10) {
+    return this.db.getRecoveryAuditTrail(telegramId, limit);
+  }
+}
+
+module.exports = GuardianRecoveryService;
@@ -0,0 +1,163 @@
+/**
+ * Service for limiting PIN brute-force attempts
+ *
+ * Failed attempts are stored in SQLite so lockouts survive restarts. After a few
+ * free attempts every failure doubles the wait before the next try, and once the
+ * maximum is reached PIN entry stays locked until an admin clears it.
+ */
+class PinLockoutService {
+  /**
+   * Create PinLockoutService instance
+   * @param {Object} databaseService - DatabaseService instance
+   * @param {Object} [telegramBot] - TelegramBot instance used to DM lockout notices
+   */
+  constructor(databaseService, telegramBot = null) {
+    this.db = databaseService;
+    this.bot = telegramBot;
+    this.freeAttempts = parseInt(process.env.PIN_FREE_ATTEMPTS || '3');
+    this.baseDelaySeconds = parseInt(process.env.PIN_LOCKOUT_BASE_SECONDS || '30');
+    this.maxAttempts = parseInt(process.env.PIN_MAX_ATTEMPTS || '10');
+  }
+
+  /**
+   * Format a duration for display
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} - Human readable duration
+   */
+  formatDuration(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+
+    const minutes = Math.ceil(seconds / 60);
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+
+    const hours = Math.ceil(minutes / 60);
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Throw if the user is not currently allowed to enter a PIN
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<void>}
+   */
+  async assertNotLocked(telegramId) {
+    const attempts = await this.db.getPinAttempts(telegramId);
+    if (!attempts) return;
+
+    if (attempts.failedAttempts >= this.maxAttempts) {
+      throw new Error('Your wallet is locked after too many incorrect PIN attempts. Please contact a DAO admin to unlock it.');
+    }
+
+    if (attempts.lockedUntil && attempts.lockedUntil > Date.now()) {
+      const wait = this.formatDuration(attempts.lockedUntil - Date.now());
+      throw new Error(`Too many incorrect PIN attempts. Please wait ${wait} before trying again.`);
+    }
+  }
+
+  /**
+   * Record a failed PIN attempt and apply back-off
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<{failedAttempts: number, lockedUntil: number|null, permanentlyLocked: boolean}>}
+   */
+  async recordFailure(telegramId) {
+    // Counted atomically, so concurrent wrong PINs can't share one attempt
+    const failedAttempts = await this.db.incrementPinAttempts(telegramId);
+
+    let lockedUntil = null;
+    const permanentlyLocked = failedAttempts >= this.maxAttempts;
+
+    // Exponential back-off once the free attempts are used up
+    if (!permanentlyLocked && failedAttempts >= this.freeAttempts) {
+      const delayMs = this.baseDelaySeconds * 1000 * Math.pow(2, failedAttempts - this.freeAttempts);
+      lockedUntil = Date.now() + delayMs;
+    }
+
+    if (lockedUntil) {
+      await this.db.extendPinLockout(telegramId, lockedUntil);
+    }
+    console.warn(`Failed PIN attempt ${failedAttempts}/${this.maxAttempts} for user ${telegramId}`);
+
+    const result = { failedAttempts, lockedUntil, permanentlyLocked };
+
+    if (permanentlyLocked || lockedUntil) {
+      await this.notifyLockout(telegramId, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Reset the failed attempt counter after a correct PIN
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(telegramId) {
+    await this.db.clearPinAttempts(telegramId);
+  }
+
+  /**
+   * Clear a user's lockout (admin action)
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<boolean>} - True if the user had failed attempts recorded
+   */
+  async clearLockout(telegramId) {
+    const cleared = await this.db.clearPinAttempts(telegramId);
+
+    if (cleared && this.bot) {
+      try {
+        await this.bot.sendMessage(
+          telegramId,
+          '🔓 *PIN Lockout Cleared*\n\nA DAO admin has cleared the lockout on your wallet. You can use your PIN again.',
+          { parse_mode: 'Markdown' }
+        );
+      } catch (error) {
+        console.warn(`Could not notify user ${telegramId} about cleared lockout:`, error.message);
+      }
+    }
+
+    return cleared;
+  }
+
+  /**
+   * Build the message shown after an incorrect PIN
+   * @param {Object} result - Result from recordFailure
+   * @returns {string} - User-facing error message
+   */
+  describeFailure(result) {
+    if (result.permanentlyLocked) {
+      return 'Incorrect PIN. Your wallet is now locked after too many incorrect attempts. Please contact a DAO admin to unlock it.';
+    }
+
+    if (result.lockedUntil) {
+      const wait = this.formatDuration(result.lockedUntil - Date.now());
+      return `Incorrect PIN. Please wait ${wait} before trying again.`;
+    }
+
+    return 'Incorrect PIN. Please try again.';
+  }
+
+  /**
+   * Send the user a private message explaining their lockout
+   * @param {string} telegramId - Telegram user ID
+   * @param {Object} result - Result from recordFailure
+   */
+  async notifyLockout(telegramId, result) {
+    if (!this.bot) return;
+
+    let message;
+    if (result.permanentlyLocked) {
+      message = `🔒 *Wallet Locked*\n\nThere have been ${result.failedAttempts} incorrect PIN attempts on your wallet, so voting, proposals and other PIN-protected actions are now locked.\n\nIf this wasn't you, your PIN may have been exposed. Please contact a DAO admin to unlock your wallet.`;
+    } else {
+      const wait = this.formatDuration(result.lockedUntil - Date.now());
+      message = `⏳ *Too Many Incorrect PIN Attempts*\n\nThere have been ${result.failedAttempts} incorrect PIN attempts on your wallet. For your security, PIN entry is paused for ${wait}.\n\nEach further incorrect attempt doubles the wait, and after ${this.maxAttempts} attempts your wallet will be locked until a DAO admin unlocks it.`;
+    }
+
+    try {
+      await this.bot.sendMessage(telegramId, message, { parse_mode: 'Markdown' });
+    } catch (error) {
+      console.warn(`Could not send lockout notice to user ${telegramId}:`, error.message);
+    }
+  }
+}
+
+module.exports = PinLockoutService;
@@ -1,3 +1,6 @@
+const helpers = require('../../utils/helpers');
+const proposalActions = require('../blockchain/proposalActions');
+
 /**
  * Text processor for handling natural language interactions
  */
@@ -18,8 +21,14 @@ class TextProcessor {
       AWAITING_PIN: 'awaiting_pin',
       CREATING_PROPOSAL_TITLE: 'creating_proposal_title',
       CREATING_PROPOSAL_DESCRIPTION: 'creating_proposal_description',
+      CREATING_PROPOSAL_ACTIONS: 'creating_proposal_actions',
       AWAITING_PROPOSAL_PIN: 'awaiting_proposal_pin',
-      AWAITING_VOTE_PIN: 'awaiting_vote_pin'
+      AWAITING_VOTE_PIN: 'awaiting_vote_pin',
+      AWAITING_NEW_PIN: 'awaiting_new_pin',
+      AWAITING_NEW_PIN_CONFIRMATION: 'awaiting_new_pin_confirmation',
+      AWAITING_RECOVERY_PHRASE: 'awaiting_recovery_phrase',
+      AWAITING_SIGNATURE: 'awaiting_signature',
+      AWAITING_INPUT: 'awaiting_input'
     };
   }
   
@@ -82,6 +91,10 @@ class TextProcessor {
       return this.handleProposalDescriptionInput(userId, chatId, messageText, bot);
     }
     
+    if (state.state === this.STATES.CREATING_PROPOSAL_ACTIONS) {
+      return this.handleProposalActionInput(userId, chatId, messageText, bot);
+    }
+    
     if (state.state === this.STATES.AWAITING_PROPOSAL_PIN) {
       return this.handleProposalPinInput(userId, chatId, messageText, bot);
     }
@@ -90,6 +103,23 @@ class TextProcessor {
       return this.handleVotePinInput(userId, chatId, messageText, bot);
     }
     
+    if (state.state === this.STATES.AWAITING_NEW_PIN || 
+        state.state === this.STATES.AWAITING_NEW_PIN_CONFIRMATION) {
+      return this.handleNewPinInput(userId, chatId, messageText, bot);
+    }
+    
+    if (state.state === this.STATES.AWAITING_RECOVERY_PHRASE) {
+      return this.handleRecoveryPhraseInput(userId, chatId, messageText, bot, msg.message_id);
+    }
+    
+    if (state.state === this.STATES.AWAITING_SIGNATURE) {
+      return this.handleSignatureInput(userId, chatId, messageText, bot);
+    }
+    
+    if (state.state === this.STATES.AWAITING_INPUT) {
+      return this.handleInput(userId, chatId, messageText, bot);
+    }
+    
     // Default: process with AI
     try {
       const response = await this.ai.processMessage(messageText);
@@ -209,9 +239,10 @@ class TextProcessor {
     }
     
     // Execute the callback associated with PIN input
-    if (state.callback) {
+    const callback = state.callback;
+    if (callback) {
       try {
-        await state.callback(pin);
+        await callback(pin);
       } catch (error) {
         console.error('Error in PIN callback:', error);
         bot.sendMessage(chatId, `Error: ${error.message}`);
@@ -220,8 +251,180 @@ class TextProcessor {
       bot.sendMessage(chatId, 'Sorry, I\'ve lost track of what we were doing. Please start over with your Alphin DAO request.');
     }
     
-    // Reset state
-    this.resetConversationState(userId);
+    // Reset state, unless the callback moved the conversation on to another step
+    if (this.getConversationState(userId).callback === callback) {
+      this.resetConversationState(userId);
+    }
+  }
+  
+  /**
+   * Handle new PIN input (entry and confirmation)
+   * @param {string} userId - Telegram user ID
+   * @param {string} chatId - Telegram chat ID
+   * @param {string} pin - PIN input by user
+   * @param {Object} bot - Telegram bot instance
+   */
+  async handleNewPinInput(userId, chatId, pin, bot) {
+    const state = this.getConversationState(userId);
+    
+    // Delete PIN prompt for security
+    try {
+      bot.deleteMessage(chatId, state.messageToDelete);
+    } catch (error) {
+      console.error('Error deleting PIN message:', error);
+    }
+    
+    // First step: choose the new PIN
+    if (state.state === this.STATES.AWAITING_NEW_PIN) {
+      if (!helpers.isValidPin(pin)) {
+        const message = await bot.sendMessage(
+          chatId,
+          'Your PIN must be 4-8 digits. Please enter a new PIN:',
+          { reply_markup: { force_reply: true } }
+        );
+        state.messageToDelete = message.message_id;
+        this.setConversationState(userId, state);
+        return;
+      }
+      
+      state.newPin = pin;
+      state.state = this.STATES.AWAITING_NEW_PIN_CONFIRMATION;
+      
+      const message = await bot.sendMessage(
+        chatId,
+        'Please enter your new PIN again to confirm:',
+        { reply_markup: { force_reply: true } }
+      );
+      state.messageToDelete = message.message_id;
+      this.setConversationState(userId, state);
+      return;
+    }
+    
+    // Second step: confirm the new PIN
+    if (pin !== state.newPin) {
+      state.newPin = null;
+      state.state = this.STATES.AWAITING_NEW_PIN;
+      
+      const message = await bot.sendMessage(
+        chatId,
+        'The PINs you entered don\'t match. Please enter your new PIN again (4-8 digits):',
+        { reply_markup: { force_reply: true } }
+      );
+      state.messageToDelete = message.message_id;
+      this.setConversationState(userId, state);
+      return;
+    }
+    
+    const callback = state.callback;
+    if (callback) {
+      try {
+        await callback(pin);
+      } catch (error) {
+        console.error('Error in new PIN callback:', error);
+        bot.sendMessage(chatId, `Error: ${error.message}`);
+      }
+    } else {
+      bot.sendMessage(chatId, 'Sorry, I\'ve lost track of what we were doing. Please start over with your Alphin DAO request.');
+    }
+    
+    // Reset state, unless the callback moved the conversation on to another step
+    if (this.getConversationState(userId).callback === callback) {
+      this.resetConversationState(userId);
+    }
+  }
+  
+  /**
+   * Handle recovery phrase input
+   * @param {string} userId - Telegram user ID
+   * @param {string} chatId - Telegram chat ID
+   * @param {string} phrase - Recovery phrase input by user
+   * @param {Object} bot - Telegram bot instance
+   * @param {number} messageId - ID of the user's message containing the phrase
+   */
+  async handleRecoveryPhraseInput(userId, chatId, phrase, bot, messageId) {
+    const state = this.getConversationState(userId);
+    
+    // Delete both the prompt and the phrase itself for security
+    for (const id of [state.messageToDelete, messageId]) {
+      try {
+        await bot.deleteMessage(chatId, id);
+      } catch (error) {
+        console.error('Error deleting recovery phrase message:', error.message);
+      }
+    }
+    
+    const callback = state.callback;
+    if (callback) {
+      try {
+        await callback(phrase);
+      } catch (error) {
+        console.error('Error in recovery phrase callback:', error);
+        bot.sendMessage(chatId, `Error: ${error.message}`);
+      }
+    } else {
+      bot.sendMessage(chatId, 'Sorry, I\'ve lost track of what we were doing. Please start over with your Alphin DAO request.');
+    }
+    
+    // Reset state, unless the callback moved the conversation on to another step
+    if (this.getConversationState(userId).callback === callback) {
+      this.resetConversationState(userId);
+    }
+  }
+  
+  /**
+   * Handle a signature pasted from the user's own wallet
+   * @param {string} userId - Telegram user ID
+   * @param {string} chatId - Telegram chat ID
+   * @param {string} signature - Signature input by user
+   * @param {Object} bot - Telegram bot instance
+   */
+  async handleSignatureInput(userId, chatId, signature, bot) {
+    const state = this.getConversationState(userId);
+    
+    const callback = state.callback;
+    if (callback) {
+      try {
+        await callback(signature.trim());
+      } catch (error) {
+        console.error('Error in signature callback:', error);
+        bot.sendMessage(chatId, `Error: ${error.message}`);
+      }
+    } else {
+      bot.sendMessage(chatId, 'Sorry, I\'ve lost track of what we were doing. Please start over with your Alphin DAO request.');
+    }
+    
+    // Reset state, unless the callback moved the conversation on to another step
+    if (this.getConversationState(userId).callback === callback) {
+      this.resetConversationState(userId);
+    }
+  }
+  
+  /**
+   * Handle a free-text answer for a multi-step flow (e.g. a proposal template)
+   * @param {string} userId - Telegram user ID
+   * @param {string} chatId - Telegram chat ID
+   * @param {string} text - Text input by user
+   * @param {Object} bot - Telegram bot instance
+   */
+  async handleInput(userId, chatId, text, bot) {
+    const state = this.getConversationState(userId);
+    
+    const callback = state.callback;
+    if (callback) {
+      try {
+        await callback(text.trim());
+      } catch (error) {
+        console.error('Error in input callback:', error);
+        bot.sendMessage(chatId, `Error: ${error.message}`);
+      }
+    } else {
+      bot.sendMessage(chatId, 'Sorry, I\'ve lost track of what we were doing. Please start over with your Alphin DAO request.');
+    }
+    
+    // Reset state, unless the callback moved the conversation on to another step
+    if (this.getConversationState(userId).callback === callback) {
+      this.resetConversationState(userId);
+    }
   }
   
   /**
@@ -252,15 +455,141 @@ class TextProcessor {
    * @param {Object} bot - Telegram bot instance
    */
   async handleProposalDescriptionInput(userId, chatId, description, bot) {
-    // Store description and prompt for PIN
     const state = this.getConversationState(userId);
     state.proposalDescription = description;
+    
+    // Move on to the on-chain actions
+    state.state = this.STATES.CREATING_PROPOSAL_ACTIONS;
+    state.proposalActions = [];
+    state.actionDraft = { step: 'target' };
+    this.setConversationState(userId, state);
+    
+    bot.sendMessage(
+      chatId,
+      `Thank you! Should your Alphin DAO proposal do something on-chain if it passes?\n\nEach action is a contract call (or ETH transfer) the DAO makes when the proposal is executed. You can add up to ${proposalActions.MAX_ACTIONS} actions.\n\nSend the target contract address of action 1, or type "skip" for a text-only proposal.`
+    );
+  }
+  
+  /**
+   * Handle input for the on-chain actions of a proposal (target, value, function, arguments)
+   * @param {string} userId - Telegram user ID
+   * @param {string} chatId - Telegram chat ID
+   * @param {string} text - Input for the current step
+   * @param {Object} bot - Telegram bot instance
+   */
+  async handleProposalActionInput(userId, chatId, text, bot) {
+    const state = this.getConversationState(userId);
+    const draft = state.actionDraft;
+    const input = text.trim();
+    const actionNumber = state.proposalActions.length + 1;
+    
+    try {
+      if (draft.step === 'target') {
+        if (['skip', 'done'].includes(input.toLowerCase())) {
+          return this.finishProposalActions(userId, chatId, bot);
+        }
+        
+        draft.target = proposalActions.parseTarget(input);
+        draft.step = 'value';
+        bot.sendMessage(chatId, `How much ETH should action ${actionNumber} send? (e.g. 0 or 0.5)`);
+        return;
+      }
+      
+      if (draft.step === 'value') {
+        draft.value = proposalActions.parseValue(input);
+        draft.step = 'function';
+        bot.sendMessage(chatId, `Which function should action ${actionNumber} call? Send its signature, e.g. transfer(address,uint256), or "none" to only send ETH.`);
+        return;
+      }
+      
+      if (draft.step === 'function') {
+        draft.fragment = proposalActions.parseFunction(input);
+        
+        if (draft.fragment && draft.fragment.inputs.length > 0) {
+          draft.step = 'args';
+          const params = draft.fragment.inputs.map(param => param.name ? `${param.type} ${param.name}` : param.type).join(', ');
+          bot.sendMessage(chatId, `Enter the arguments for ${draft.fragment.format()} (${params}), separated by commas or as a JSON array. Put text that contains commas in quotes, e.g. "hello, world":`);
+          return;
+        }
+      } else if (draft.step === 'args') {
+        draft.args = proposalActions.parseArguments(draft.fragment, input);
+      }
+      
+      // All parts are in - encode the action
+      const action = proposalActions.buildAction(draft);
+      state.proposalActions.push(action);
+      state.actionDraft = { step: 'target' };
+      this.setConversationState(userId, state);
+      
+      if (state.proposalActions.length >= proposalActions.MAX_ACTIONS) {
+        await bot.sendMessage(chatId, `✅ Action ${actionNumber} added. That's the maximum number of actions.`);
+        return this.finishProposalActions(userId, chatId, bot);
+      }
+      
+      bot.sendMessage(
+        chatId,
+        `✅ Action added:\n\n${proposalActions.formatAction(action, actionNumber - 1)}\n\nSend the target address of the next action, or type "done" to review your proposal.`
+      );
+    } catch (error) {
+      bot.sendMessage(chatId, `⚠️ ${error.message}\n\nPlease try again:`);
+    }
+  }
+  
+  /**
+   * Show the proposal with its decoded actions, then ask for the PIN
+   * (or hand over to the callback when no PIN is required)
+   * @param {string} userId - Telegram user ID
+   * @param {string} chatId - Telegram chat ID
+   * @param {Object} bot - Telegram bot instance
+   */
+  async finishProposalActions(userId, chatId, bot) {
+    const state = this.getConversationState(userId);
+    const description = state.proposalDescription;
+    const actions = state.proposalActions;
+    state.actionDraft = null;
+    
+    const actionsText = actions.length > 0
+      ? `Actions executed if it passes:\n${actions.map(proposalActions.formatAction).join('\n')}`
+      : 'Actions: none (text-only proposal)';
+    
+    // Simulate the actions, so the member learns before the vote if they would revert
+    const simulationText = actions.length > 0 && state.proposalSimulate ? await state.proposalSimulate(actions) : '';
+    
+    const summary = `Your Alphin DAO proposal is ready to be submitted:\n\nTitle: ${state.proposalTitle}\n\nDescription: ${description.substring(0, 100)}${description.length > 100 ? '...' : ''}\n\n${actionsText}` +
+      (simulationText ? `\n\n${simulationText}` : '');
+    
+    // Without a PIN step, hand over straight away (the callback asks for a signature instead)
+    if (state.proposalRequiresPin === false) {
+      await bot.sendMessage(chatId, summary);
+      
+      const callback = this.proposalCallbacks[userId];
+      delete this.proposalCallbacks[userId];
+      
+      if (callback) {
+        try {
+          await callback(null, state.proposalTitle, description, actions);
+        } catch (error) {
+          console.error('Error in proposal submission:', error);
+          bot.sendMessage(chatId, `Error submitting your Alphin DAO proposal: ${error.message}`);
+        }
+      } else {
+        bot.sendMessage(chatId, 'Sorry, I\'ve lost track of what we were doing. Please start over with your Alphin DAO proposal.');
+      }
+      
+      // Reset state, unless the callback moved the conversation on to another step
+      if (this.getConversationState(userId).state === this.STATES.CREATING_PROPOSAL_ACTIONS) {
+        this.resetConversationState(userId);
+      }
+      return;
+    }
+    
+    // Prompt for PIN
     state.state = this.STATES.AWAITING_PROPOSAL_PIN;
     this.setConversationState(userId, state);
     
     const message = await bot.sendMessage(
       chatId, 
-      `Thank you! Your Alphin DAO proposal is ready to be submitted:\n\nTitle: ${state.proposalTitle}\n\nDescription: ${description.substring(0, 100)}${description.length > 100 ? '...' : ''}\n\nPlease enter your PIN to confirm and submit this proposal.`,
+      `${summary}\n\nPlease enter your PIN to confirm and submit this proposal.`,
       { reply_markup: { force_reply: true } }
     );
     
@@ -289,7 +618,7 @@ class TextProcessor {
     // Process proposal submission with PIN
     if (this.proposalCallbacks[userId]) {
       try {
-        await this.proposalCallbacks[userId](pin, state.proposalTitle, state.proposalDescription);
+        await this.proposalCallbacks[userId](pin, state.proposalTitle, state.proposalDescription, state.proposalActions || []);
         // Remove the callback after successful execution
         delete this.proposalCallbacks[userId];
       } catch (error) {
@@ -349,22 +678,76 @@ class TextProcessor {
     this.setConversationState(userId, state);
   }
   
+  /**
+   * Set up a conversation to choose and confirm a new PIN
+   * @param {string} userId - Telegram user ID
+   * @param {Function} callback - Function to call with the confirmed new PIN
+   */
+  setupAwaitingNewPin(userId, callback) {
+    const state = this.getConversationState(userId);
+    state.state = this.STATES.AWAITING_NEW_PIN;
+    state.newPin = null;
+    state.callback = callback;
+    this.setConversationState(userId, state);
+  }
+  
+  /**
+   * Set up a conversation to await a wallet recovery phrase
+   * @param {string} userId - Telegram user ID
+   * @param {Function} callback - Function to call with the phrase
+   */
+  setupAwaitingRecoveryPhrase(userId, callback) {
+    const state = this.getConversationState(userId);
+    state.state = this.STATES.AWAITING_RECOVERY_PHRASE;
+    state.callback = callback;
+    this.setConversationState(userId, state);
+  }
+  
   /**
    * Set up a conversation for creating a proposal
    * @param {string} userId - Telegram user ID
-   * @param {Function} callback - Callback to execute when proposal data is complete
+   * @param {Function} callback - Callback to execute when proposal data is complete, called with (pin, title, description, actions)
+   * @param {Object} [options] - Conversation options
+   * @param {boolean} [options.requirePin=true] - Ask for the PIN before calling back (the PIN is null otherwise)
+   * @param {Function} [options.simulate] - Called with the actions before the review; returns a note on how they would execute
    */
-  setupCreatingProposal(userId, callback) {
+  setupCreatingProposal(userId, callback, options = {}) {
     // Initialize state for proposal creation
     const state = this.getConversationState(userId);
     state.state = this.STATES.CREATING_PROPOSAL_TITLE;
     state.data = {}; // Reset any existing data
+    state.proposalRequiresPin = options.requirePin !== false;
+    state.proposalSimulate = options.simulate || null;
     this.setConversationState(userId, state);
     
     // Store the callback for later use
     this.proposalCallbacks[userId] = callback;
   }
   
+  /**
+   * Set up a conversation to await a signature made in the user's own wallet
+   * @param {string} userId - Telegram user ID
+   * @param {Function} callback - Function to call with the signature
+   */
+  setupAwaitingSignature(userId, callback) {
+    const state = this.getConversationState(userId);
+    state.state = this.STATES.AWAITING_SIGNATURE;
+    state.callback = callback;
+    this.setConversationState(userId, state);
+  }
+  
+  /**
+   * Set up a conversation to await a free-text answer
+   * @param {string} userId - Telegram user ID
+   * @param {Function} callback - Function to call with the trimmed text
+   */
+  setupAwaitingInput(userId, callback) {
+    const state = this.getConversationState(userId);
+    state.state = this.STATES.AWAITING_INPUT;
+    state.callback = callback;
+    this.setConversationState(userId, state);
+  }
+  
   /**
    * Set up a conversation to await vote PIN
    * @param {string} userId - Telegram user ID
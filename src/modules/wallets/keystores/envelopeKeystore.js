@@ -0,0 +1,159 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+const ENVELOPE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Encrypt a buffer with AES-256-GCM
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @param {string} aad - Additional authenticated data
+ * @returns {{ciphertext: string, iv: string, authTag: string}} - Hex-encoded encrypted data
+ */
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return {
+    ciphertext: ciphertext.toString('hex'),
+    iv: iv.toString('hex'),
+    authTag: cipher.getAuthTag().toString('hex')
+  };
+}
+
+/**
+ * Decrypt data encrypted with seal
+ * @param {Buffer} key - 32-byte key
+ * @param {{ciphertext: string, iv: string, authTag: string}} sealed - Hex-encoded encrypted data
+ * @param {string} aad - Additional authenticated data
+ * @returns {Buffer} - Decrypted data
+ */
+function unseal(key, sealed, aad) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(sealed.iv, 'hex'));
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(Buffer.from(sealed.authTag, 'hex'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(sealed.ciphertext, 'hex')),
+    decipher.final()
+  ]);
+}
+
+/**
+ * Load the server master key from a local key file
+ * The file holds 32 bytes, either raw or as 64 hex characters.
+ * @param {string} keyFile - Path to the key file
+ * @returns {Buffer} - 32-byte master key
+ */
+function loadMasterKey(keyFile) {
+  if (!keyFile || !fs.existsSync(keyFile)) {
+    throw new Error(`Keystore master key file not found at ${keyFile}. Create one with: openssl rand -hex 32 > ${keyFile}`);
+  }
+
+  // The key protects every wallet, so warn if other users can read it
+  const mode = fs.statSync(keyFile).mode;
+  if (process.platform !== 'win32' && (mode & 0o077)) {
+    console.warn(`Keystore master key file ${keyFile} is readable by other users. Run: chmod 600 ${keyFile}`);
+  }
+
+  const contents = fs.readFileSync(keyFile);
+  const text = contents.toString('utf8').trim();
+
+  if (/^[0-9a-fA-F]{64}$/.test(text)) {
+    return Buffer.from(text, 'hex');
+  }
+
+  if (contents.length === 32) {
+    return contents;
+  }
+
+  throw new Error(`Keystore master key file ${keyFile} must contain 32 bytes (64 hex characters).`);
+}
+
+/**
+ * Keystore backend that envelope-encrypts records before storing them
+ *
+ * Each record is encrypted with its own random data key, and the data key is
+ * wrapped with the server master key. The wrapped record is stored in another
+ * backend (file or SQLite), so a copy of that storage is useless without the
+ * key file. Both layers are bound to the collection and Telegram ID, so
+ * records can't be swapped between users.
+ */
+class EnvelopeKeystore {
+  /**
+   * Create EnvelopeKeystore instance
+   * @param {Object} inner - Keystore backend that stores the wrapped records
+   * @param {Buffer} masterKey - 32-byte server master key
+   * @param {string} collection - Collection name, bound into the encryption
+   */
+  constructor(inner, masterKey, collection) {
+    this.inner = inner;
+    this.masterKey = masterKey;
+    this.collection = collection;
+    // Identifies which master key wrapped a record without revealing it
+    this.keyId = crypto.createHash('sha256').update(masterKey).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * Read and unwrap a user's keystore record
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<Object|null>} - Keystore record or null if there is none
+   */
+  async get(telegramId) {
+    const envelope = await this.inner.get(telegramId);
+    if (!envelope) return null;
+
+    if (envelope.envelope !== ENVELOPE_VERSION) {
+      throw new Error(`Keystore record for user ${telegramId} is not envelope-encrypted.`);
+    }
+
+    if (envelope.keyId !== this.keyId) {
+      throw new Error(`Keystore record for user ${telegramId} was wrapped with a different master key (${envelope.keyId}).`);
+    }
+
+    const aad = `${this.collection}:${telegramId}`;
+    const dataKey = unseal(this.masterKey, envelope.wrappedKey, `${aad}:key`);
+    return JSON.parse(unseal(dataKey, envelope.payload, aad).toString('utf8'));
+  }
+
+  /**
+   * Wrap and write a user's keystore record
+   * @param {string} telegramId - Telegram user ID
+   * @param {Object} record - Keystore record
+   */
+  async put(telegramId, record) {
+    const aad = `${this.collection}:${telegramId}`;
+    const dataKey = crypto.randomBytes(32);
+
+    await this.inner.put(telegramId, {
+      envelope: ENVELOPE_VERSION,
+      keyId: this.keyId,
+      wrappedKey: seal(this.masterKey, dataKey, `${aad}:key`),
+      payload: seal(dataKey, Buffer.from(JSON.stringify(record), 'utf8'), aad)
+    });
+  }
+
+  /**
+   * Delete a user's keystore record
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<boolean>} - True if a record was deleted
+   */
+  async delete(telegramId) {
+    return this.inner.delete(telegramId);
+  }
+
+  /**
+   * List the users that have a keystore record
+   * @returns {Promise<Array<string>>} - Telegram user IDs
+   */
+  async list() {
+    return this.inner.list();
+  }
+}
+
+EnvelopeKeystore.loadMasterKey = loadMasterKey;
+
+module.exports = EnvelopeKeystore;
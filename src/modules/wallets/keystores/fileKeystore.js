@@ -0,0 +1,103 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * Keystore backend that keeps one JSON file per user in a directory
+ *
+ * This is the original storage layout: `<directory>/<telegramId>.json`.
+ */
+class FileKeystore {
+  /**
+   * Create FileKeystore instance
+   * @param {string} directory - Directory holding the keystore files
+   */
+  constructor(directory) {
+    this.directory = directory;
+
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+    }
+  }
+
+  /**
+   * Get the path of a user's keystore file
+   * @param {string} telegramId - Telegram user ID
+   * @returns {string} - File path
+   */
+  getPath(telegramId) {
+    return path.join(this.directory, `${telegramId}.json`);
+  }
+
+  /**
+   * Read a user's keystore record
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<Object|null>} - Keystore record or null if there is none
+   */
+  async get(telegramId) {
+    const filePath = this.getPath(telegramId);
+
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Atomically write a user's keystore record
+   * The data is written to a temporary file first and renamed over the old one,
+   * so a failed write never leaves a half-written keystore behind.
+   * @param {string} telegramId - Telegram user ID
+   * @param {Object} record - Keystore record
+   */
+  async put(telegramId, record) {
+    const filePath = this.getPath(telegramId);
+    const tmpPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    try {
+      const fd = fs.openSync(tmpPath, 'w', 0o600);
+      try {
+        fs.writeSync(fd, JSON.stringify(record));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      if (fs.existsSync(tmpPath)) {
+        fs.unlinkSync(tmpPath);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a user's keystore record
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<boolean>} - True if a record was deleted
+   */
+  async delete(telegramId) {
+    const filePath = this.getPath(telegramId);
+
+    if (!fs.existsSync(filePath)) {
+      return false;
+    }
+
+    fs.unlinkSync(filePath);
+    return true;
+  }
+
+  /**
+   * List the users that have a keystore record
+   * @returns {Promise<Array<string>>} - Telegram user IDs
+   */
+  async list() {
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length));
+  }
+}
+
+module.exports = FileKeystore;
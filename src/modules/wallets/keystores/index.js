@@ -0,0 +1,74 @@
+const path = require('path');
+const FileKeystore = require('./fileKeystore');
+const SqliteKeystore = require('./sqliteKeystore');
+const EnvelopeKeystore = require('./envelopeKeystore');
+
+/**
+ * Keystore backends
+ *
+ * Every backend stores one JSON record per Telegram user and collection
+ * ('wallets' for PIN-encrypted keystores, 'escrow' for recovery escrow,
+ * 'quarantine' for records set aside by scripts/check_wallets.js) and
+ * implements the same async interface:
+ *   get(telegramId) -> record or null
+ *   put(telegramId, record)
+ *   delete(telegramId) -> boolean
+ *   list() -> Telegram IDs
+ * WalletManager picks the backend from KEYSTORE_BACKEND; scripts/migrate_keystore.js
+ * moves records between backends.
+ */
+const KEYSTORE_BACKENDS = ['file', 'sqlite', 'envelope'];
+
+/**
+ * Read keystore settings from the environment
+ * @param {Object} db - sqlite3 Database connection used by the SQLite backend
+ * @returns {Object} - Keystore options
+ */
+function getKeystoreOptions(db) {
+  const walletDir = process.env.WALLET_DIRECTORY || './wallets';
+
+  return {
+    db,
+    directories: {
+      wallets: walletDir,
+      escrow: process.env.RECOVERY_ESCROW_DIRECTORY || path.join(walletDir, 'escrow'),
+      quarantine: path.join(walletDir, 'quarantine')
+    },
+    masterKeyFile: process.env.KEYSTORE_MASTER_KEY_FILE || './keystore-master.key',
+    envelopeBackend: process.env.KEYSTORE_ENVELOPE_BACKEND || 'sqlite'
+  };
+}
+
+/**
+ * Create a keystore backend for a collection
+ * @param {string} backend - 'file', 'sqlite' or 'envelope'
+ * @param {string} collection - Collection name ('wallets', 'escrow' or 'quarantine')
+ * @param {Object} options - Options from getKeystoreOptions
+ * @returns {Object} - Keystore backend
+ */
+function createKeystore(backend, collection, options) {
+  switch (backend) {
+    case 'file':
+      return new FileKeystore(options.directories[collection]);
+    case 'sqlite':
+      return new SqliteKeystore(options.db, collection);
+    case 'envelope': {
+      if (options.envelopeBackend === 'envelope') {
+        throw new Error('KEYSTORE_ENVELOPE_BACKEND must be file or sqlite.');
+      }
+      const inner = createKeystore(options.envelopeBackend, collection, options);
+      return new EnvelopeKeystore(inner, EnvelopeKeystore.loadMasterKey(options.masterKeyFile), collection);
+    }
+    default:
+      throw new Error(`Unknown keystore backend "${backend}". Use one of: ${KEYSTORE_BACKENDS.join(', ')}.`);
+  }
+}
+
+module.exports = {
+  KEYSTORE_BACKENDS,
+  getKeystoreOptions,
+  createKeystore,
+  FileKeystore,
+  SqliteKeystore,
+  EnvelopeKeystore
+};
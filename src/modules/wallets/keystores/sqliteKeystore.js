@@ -0,0 +1,136 @@
+/**
+ * Keystore backend that keeps records in the bot's SQLite database
+ *
+ * Records live in the `keystore_entries` table, keyed by collection (e.g.
+ * wallets or recovery escrow) and Telegram ID, so they are backed up with
+ * the rest of the database.
+ */
+class SqliteKeystore {
+  /**
+   * Create SqliteKeystore instance
+   * @param {Object} db - sqlite3 Database connection
+   * @param {string} collection - Collection name (e.g. 'wallets', 'escrow')
+   */
+  constructor(db, collection) {
+    this.db = db;
+    this.collection = collection;
+
+    this.ready = new Promise((resolve, reject) => {
+      this.db.run(
+        `CREATE TABLE IF NOT EXISTS keystore_entries (
+          collection TEXT NOT NULL,
+          telegram_id TEXT NOT NULL,
+          data TEXT NOT NULL,
+          updated_at INTEGER NOT NULL,
+          PRIMARY KEY (collection, telegram_id)
+        )`,
+        (err) => {
+          if (err) {
+            console.error('Error creating keystore_entries table:', err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Read a user's keystore record
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<Object|null>} - Keystore record or null if there is none
+   */
+  async get(telegramId) {
+    await this.ready;
+
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT data FROM keystore_entries WHERE collection = ? AND telegram_id = ?',
+        [this.collection, String(telegramId)],
+        (err, row) => {
+          if (err) {
+            console.error(`Error reading ${this.collection} keystore for user ${telegramId}:`, err);
+            reject(err);
+          } else {
+            resolve(row ? JSON.parse(row.data) : null);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Write a user's keystore record, replacing any existing one
+   * @param {string} telegramId - Telegram user ID
+   * @param {Object} record - Keystore record
+   */
+  async put(telegramId, record) {
+    await this.ready;
+
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT OR REPLACE INTO keystore_entries (collection, telegram_id, data, updated_at)
+        VALUES (?, ?, ?, ?)`,
+        [this.collection, String(telegramId), JSON.stringify(record), Date.now()],
+        (err) => {
+          if (err) {
+            console.error(`Error writing ${this.collection} keystore for user ${telegramId}:`, err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Delete a user's keystore record
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<boolean>} - True if a record was deleted
+   */
+  async delete(telegramId) {
+    await this.ready;
+
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'DELETE FROM keystore_entries WHERE collection = ? AND telegram_id = ?',
+        [this.collection, String(telegramId)],
+        function(err) {
+          if (err) {
+            console.error(`Error deleting keystore for user ${telegramId}:`, err);
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * List the users that have a keystore record
+   * @returns {Promise<Array<string>>} - Telegram user IDs
+   */
+  async list() {
+    await this.ready;
+
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT telegram_id FROM keystore_entries WHERE collection = ? ORDER BY telegram_id',
+        [this.collection],
+        (err, rows) => {
+          if (err) {
+            console.error(`Error listing ${this.collection} keystores:`, err);
+            reject(err);
+          } else {
+            resolve((rows || []).map(row => row.telegram_id));
+          }
+        }
+      );
+    });
+  }
+}
+
+module.exports = SqliteKeystore;
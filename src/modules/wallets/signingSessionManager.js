@@ -0,0 +1,118 @@
+/**
+ * Time-boxed signing sessions
+ *
+ * Keeps a user's decrypted wallet in memory for a limited time so they can
+ * sign several votes without re-entering their PIN. Sessions are opt-in and
+ * are dropped on /lock, on timeout and on shutdown. JavaScript can't zero
+ * strings, so "wiping" means releasing every reference to the signer.
+ */
+class SigningSessionManager {
+  /**
+   * Create SigningSessionManager instance
+   * @param {Object} [telegramBot] - TelegramBot instance used to notify users when a session expires
+   */
+  constructor(telegramBot = null) {
+    this.bot = telegramBot;
+    this.sessions = new Map();
+    this.defaultMinutes = parseInt(process.env.SIGNING_SESSION_DEFAULT_MINUTES || '10');
+    this.maxMinutes = parseInt(process.env.SIGNING_SESSION_MAX_MINUTES || '30');
+  }
+
+  /**
+   * Start (or restart) a signing session for a user
+   * @param {string} telegramId - Telegram user ID
+   * @param {ethers.Wallet} wallet - Decrypted wallet
+   * @param {number} [minutes] - Session length, capped at SIGNING_SESSION_MAX_MINUTES
+   * @returns {{expiresAt: number, minutes: number}} - Session details
+   */
+  startSession(telegramId, wallet, minutes = this.defaultMinutes) {
+    const key = String(telegramId);
+    this.endSession(key);
+
+    const sessionMinutes = Math.min(Math.max(1, Math.floor(minutes) || this.defaultMinutes), this.maxMinutes);
+    const ttlMs = sessionMinutes * 60 * 1000;
+    const expiresAt = Date.now() + ttlMs;
+
+    const timer = setTimeout(() => this.expireSession(key), ttlMs);
+    // Don't keep the process alive just for a session timer
+    if (timer.unref) timer.unref();
+
+    this.sessions.set(key, { wallet, expiresAt, timer });
+    console.log(`Started ${sessionMinutes} minute signing session for user ${key}`);
+
+    return { expiresAt, minutes: sessionMinutes };
+  }
+
+  /**
+   * Get the signer for an active session
+   * @param {string} telegramId - Telegram user ID
+   * @returns {ethers.Wallet|null} - Decrypted wallet or null if there is no active session
+   */
+  getSigner(telegramId) {
+    const session = this.sessions.get(String(telegramId));
+    if (!session) return null;
+
+    // Never hand out a signer past its TTL, even if the timer hasn't fired yet
+    if (session.expiresAt <= Date.now()) {
+      this.endSession(telegramId);
+      return null;
+    }
+
+    return session.wallet;
+  }
+
+  /**
+   * Get the expiry time of an active session
+   * @param {string} telegramId - Telegram user ID
+   * @returns {number|null} - Expiry timestamp in ms or null if there is no active session
+   */
+  getExpiry(telegramId) {
+    return this.getSigner(telegramId) ? this.sessions.get(String(telegramId)).expiresAt : null;
+  }
+
+  /**
+   * End a user's session and drop the decrypted signer
+   * @param {string} telegramId - Telegram user ID
+   * @returns {boolean} - True if a session was active
+   */
+  endSession(telegramId) {
+    const key = String(telegramId);
+    const session = this.sessions.get(key);
+    if (!session) return false;
+
+    clearTimeout(session.timer);
+    session.wallet = null;
+    this.sessions.delete(key);
+    console.log(`Ended signing session for user ${key}`);
+
+    return true;
+  }
+
+  /**
+   * End a session when its TTL runs out and let the user know
+   * @param {string} telegramId - Telegram user ID
+   */
+  async expireSession(telegramId) {
+    if (!this.endSession(telegramId) || !this.bot) return;
+
+    try {
+      await this.bot.sendMessage(
+        telegramId,
+        '🔒 Your signing session has expired. You\'ll be asked for your PIN again on your next vote.'
+      );
+    } catch (error) {
+      console.warn(`Could not notify user ${telegramId} about expired session:`, error.message);
+    }
+  }
+
+  /**
+   * End every active session (used on shutdown)
+   */
+  endAllSessions() {
+    for (const telegramId of Array.from(this.sessions.keys())) {
+      this.endSession(telegramId);
+    }
+  }
+}
+
+module.exports = SigningSessionManager;
@@ -1,23 +1,64 @@
 const ethers = require('ethers');
-const fs = require('fs');
 const crypto = require('crypto');
+const util = require('util');
 const sqlite3 = require('sqlite3').verbose();
+const { createKeystore, getKeystoreOptions } = require('./keystores');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+// Current on-disk keystore format. Files without a version field are the
+// original {iv, encryptedPrivateKey} format (fixed salt, AES-256-CBC).
+const KEYSTORE_VERSION = 2;
+const KEYSTORE_CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+// Who holds the private key for a member's address
+const CUSTODY_BOT = 'bot';
+const CUSTODY_EXTERNAL = 'external';
 
 class WalletManager {
-  constructor() {
-    this.walletDir = process.env.WALLET_DIRECTORY || './wallets';
+  /**
+   * Create WalletManager instance
+   * @param {Object} [pinLockoutService] - PinLockoutService used to limit PIN attempts
+   * @param {Object} [signingSessions] - SigningSessionManager for time-boxed unlocks
+   */
+  constructor(pinLockoutService = null, signingSessions = null) {
+    this.pinLockout = pinLockoutService;
+    this.sessions = signingSessions;
+    this.signatureChallenges = new Map();
+    this.challengeTtlMinutes = parseInt(process.env.SIGNATURE_CHALLENGE_TTL_MINUTES || '15');
     this.db = new sqlite3.Database('./dao_bot.sqlite');
     
-    if (!fs.existsSync(this.walletDir)) {
-      fs.mkdirSync(this.walletDir, { recursive: true });
-    }
+    // Keystores and recovery escrow go to the backend chosen by KEYSTORE_BACKEND
+    const keystoreOptions = getKeystoreOptions(this.db);
+    this.keystoreBackend = process.env.KEYSTORE_BACKEND || 'file';
+    this.keystore = createKeystore(this.keystoreBackend, 'wallets', keystoreOptions);
+    this.escrowStore = createKeystore(this.keystoreBackend, 'escrow', keystoreOptions);
     
-    // Ensure users table exists
-    this.db.run(`CREATE TABLE IF NOT EXISTS users (
-      telegram_id TEXT PRIMARY KEY,
-      wallet_address TEXT NOT NULL,
-      join_date INTEGER NOT NULL
-    )`);
+    this.db.serialize(() => {
+      // Ensure users table exists
+      this.db.run(`CREATE TABLE IF NOT EXISTS users (
+        telegram_id TEXT PRIMARY KEY,
+        wallet_address TEXT NOT NULL,
+        join_date INTEGER NOT NULL,
+        custody TEXT NOT NULL DEFAULT '${CUSTODY_BOT}',
+        username TEXT
+      )`);
+      
+      // Ensure custody column exists on older databases
+      this.db.run(`ALTER TABLE users ADD COLUMN custody TEXT NOT NULL DEFAULT '${CUSTODY_BOT}'`, err => {
+        if (err && !err.message.includes('duplicate column')) {
+          console.error('Error adding custody column:', err);
+        }
+      });
+      
+      // Ensure username column exists on older databases
+      this.db.run(`ALTER TABLE users ADD COLUMN username TEXT`, err => {
+        if (err && !err.message.includes('duplicate column')) {
+          console.error('Error adding username column:', err);
+        }
+      });
+    });
   }
   
   /**
@@ -39,23 +80,24 @@ class WalletManager {
     const wallet = ethers.Wallet.createRandom();
     console.log(`Generated new wallet with address ${wallet.address}`);
     
-    const encryptedWallet = await this.encryptWallet(wallet, pin);
+    // Keep the recovery phrase (encrypted) until the user has backed it up
+    const encryptedWallet = await this.encryptWallet(wallet, pin, { mnemonic: wallet.mnemonic.phrase });
     
-    // Save encrypted wallet file named with Telegram ID
-    fs.writeFileSync(
-      `${this.walletDir}/${telegramId}.json`,
-      JSON.stringify(encryptedWallet)
-    );
+    // Save encrypted keystore under the user's Telegram ID
+    await this.keystore.put(telegramId, encryptedWallet);
     
     // Store mapping in SQLite
     return new Promise((resolve, reject) => {
       this.db.run(
-        `INSERT INTO users (telegram_id, wallet_address, join_date) VALUES (?, ?, ?)`,
-        [telegramId, wallet.address, Date.now()],
+        `INSERT INTO users (telegram_id, wallet_address, join_date, custody) VALUES (?, ?, ?, ?)`,
+        [telegramId, wallet.address, Date.now(), CUSTODY_BOT],
         (err) => {
           if (err) {
             console.error('Error storing wallet in database:', err);
-            reject(err);
+            // Don't leave a keystore behind for a user who was never registered
+            this.keystore.delete(telegramId)
+              .catch(deleteError => console.error(`Error removing keystore for user ${telegramId}:`, deleteError))
+              .finally(() => reject(err));
           } else {
             console.log(`Wallet for ${telegramId} stored in database`);
             resolve(wallet.address);
@@ -66,52 +108,124 @@ class WalletManager {
   }
   
   /**
-   * Encrypt a wallet with a PIN
-   * @param {ethers.Wallet} wallet - Wallet to encrypt
-   * @param {string} pin - PIN for encryption
-   * @returns {Object} - Encrypted wallet data
+   * Get the scrypt parameters used for new keystores
+   * Tunable through WALLET_SCRYPT_N, WALLET_SCRYPT_R and WALLET_SCRYPT_P
+   * @returns {{N: number, r: number, p: number}} - scrypt cost parameters
    */
-  async encryptWallet(wallet, pin) {
-    // Generate a secure key from the PIN
-    const key = crypto.scryptSync(pin, 'salt', 32);
-    const iv = crypto.randomBytes(16);
-    
-    // Encrypt the private key
-    const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
-    const encryptedPrivateKey = Buffer.concat([
-      cipher.update(wallet.privateKey, 'utf8'),
+  getScryptParams() {
+    return {
+      N: parseInt(process.env.WALLET_SCRYPT_N || '131072'),
+      r: parseInt(process.env.WALLET_SCRYPT_R || '8'),
+      p: parseInt(process.env.WALLET_SCRYPT_P || '1')
+    };
+  }
+  
+  /**
+   * Derive an encryption key from a PIN
+   * @param {string} pin - User PIN
+   * @param {Buffer} salt - Per-wallet random salt
+   * @param {{N: number, r: number, p: number}} params - scrypt cost parameters
+   * @returns {Promise<Buffer>} - Derived key
+   */
+  async deriveKey(pin, salt, params) {
+    return scrypt(pin, salt, KEY_LENGTH, {
+      N: params.N,
+      r: params.r,
+      p: params.p,
+      // scrypt needs roughly 128 * N * r bytes; leave headroom over Node's 32MB default
+      maxmem: 256 * params.N * params.r
+    });
+  }
+  
+  /**
+   * Encrypt data with AES-256-GCM
+   * @param {Buffer} key - Encryption key
+   * @param {string} plaintext - Data to encrypt
+   * @param {string} aad - Additional authenticated data bound to the ciphertext
+   * @returns {{ciphertext: string, iv: string, authTag: string}} - Hex-encoded encrypted data
+   */
+  encryptWithKey(key, plaintext, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(KEYSTORE_CIPHER, key, iv);
+    cipher.setAAD(Buffer.from(aad, 'utf8'));
+    const ciphertext = Buffer.concat([
+      cipher.update(plaintext, 'utf8'),
       cipher.final()
     ]);
     
     return {
-      address: wallet.address,
+      ciphertext: ciphertext.toString('hex'),
       iv: iv.toString('hex'),
-      encryptedPrivateKey: encryptedPrivateKey.toString('hex')
+      authTag: cipher.getAuthTag().toString('hex')
     };
   }
   
   /**
-   * Decrypt a wallet using a PIN
-   * @param {string} telegramId - Telegram user ID
-   * @param {string} pin - PIN for decryption
-   * @returns {Promise<ethers.Wallet>} - Decrypted wallet
+   * Decrypt data encrypted with encryptWithKey
+   * @param {Buffer} key - Encryption key
+   * @param {{ciphertext: string, iv: string, authTag: string}} encrypted - Hex-encoded encrypted data
+   * @param {string} aad - Additional authenticated data bound to the ciphertext
+   * @returns {string} - Decrypted data
    */
-  async decryptWallet(telegramId, pin) {
-    console.log(`Decrypting wallet for user ${telegramId}`);
+  decryptWithKey(key, encrypted, aad) {
+    const decipher = crypto.createDecipheriv(KEYSTORE_CIPHER, key, Buffer.from(encrypted.iv, 'hex'));
+    decipher.setAAD(Buffer.from(aad, 'utf8'));
+    decipher.setAuthTag(Buffer.from(encrypted.authTag, 'hex'));
     
-    // Read encrypted wallet from file
-    const walletPath = `${this.walletDir}/${telegramId}.json`;
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted.ciphertext, 'hex')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+  
+  /**
+   * Encrypt a wallet with a PIN
+   * @param {ethers.Wallet} wallet - Wallet to encrypt
+   * @param {string} pin - PIN for encryption
+   * @param {Object} [options] - Encryption options
+   * @param {string} [options.mnemonic] - Recovery phrase to keep until the user backs it up
+   * @returns {Object} - Encrypted wallet data (keystore v2)
+   */
+  async encryptWallet(wallet, pin, options = {}) {
+    // Every wallet gets its own salt so keys can't be precomputed across files
+    const params = this.getScryptParams();
+    const salt = crypto.randomBytes(32);
+    const key = await this.deriveKey(pin, salt, params);
+    const address = wallet.address.toLowerCase();
     
-    if (!fs.existsSync(walletPath)) {
-      console.error(`Wallet file not found for user ${telegramId}`);
-      throw new Error('Wallet not found. Please join the DAO first.');
-    }
+    // Encrypt the private key, binding the address so it can't be swapped
+    const encryptedWallet = {
+      version: KEYSTORE_VERSION,
+      address: wallet.address,
+      crypto: {
+        cipher: KEYSTORE_CIPHER,
+        ...this.encryptWithKey(key, wallet.privateKey, address),
+        kdf: 'scrypt',
+        kdfparams: {
+          ...params,
+          dklen: KEY_LENGTH,
+          salt: salt.toString('hex')
+        }
+      }
+    };
     
-    const encryptedWallet = JSON.parse(fs.readFileSync(walletPath, 'utf8'));
+    if (options.mnemonic) {
+      encryptedWallet.backup = this.encryptWithKey(key, options.mnemonic, `${address}:mnemonic`);
+    }
     
-    try {
-      // Decrypt the private key
-      const key = crypto.scryptSync(pin, 'salt', 32);
+    return encryptedWallet;
+  }
+  
+  /**
+   * Decrypt the secrets stored in a keystore object
+   * @param {Object} encryptedWallet - Keystore contents (v2 or legacy)
+   * @param {string} pin - PIN for decryption
+   * @returns {Promise<{privateKey: string, mnemonic: string|null}>} - Private key and pending recovery phrase
+   */
+  async decryptKeystore(encryptedWallet, pin) {
+    if (!encryptedWallet.version) {
+      // Legacy format: fixed salt and unauthenticated AES-256-CBC
+      const key = crypto.scryptSync(pin, 'salt', KEY_LENGTH);
       const iv = Buffer.from(encryptedWallet.iv, 'hex');
       const encryptedPrivateKey = Buffer.from(encryptedWallet.encryptedPrivateKey, 'hex');
       
@@ -121,12 +235,604 @@ class WalletManager {
         decipher.final()
       ]).toString('utf8');
       
-      // Create and return wallet instance
-      return new ethers.Wallet(privateKey);
+      return { privateKey, mnemonic: null };
+    }
+    
+    if (encryptedWallet.version !== KEYSTORE_VERSION) {
+      throw new Error(`Unsupported keystore version: ${encryptedWallet.version}`);
+    }
+    
+    const { kdfparams } = encryptedWallet.crypto;
+    const key = await this.deriveKey(pin, Buffer.from(kdfparams.salt, 'hex'), kdfparams);
+    const address = encryptedWallet.address.toLowerCase();
+    
+    return {
+      privateKey: this.decryptWithKey(key, encryptedWallet.crypto, address),
+      mnemonic: encryptedWallet.backup
+        ? this.decryptWithKey(key, encryptedWallet.backup, `${address}:mnemonic`)
+        : null
+    };
+  }
+  
+  /**
+   * Check whether a keystore should be re-encrypted with the current format
+   * @param {Object} encryptedWallet - Keystore contents
+   * @returns {boolean} - True if the keystore is legacy or uses outdated scrypt parameters
+   */
+  needsReencryption(encryptedWallet) {
+    if (encryptedWallet.version !== KEYSTORE_VERSION) {
+      return true;
+    }
+    
+    const current = this.getScryptParams();
+    const stored = encryptedWallet.crypto.kdfparams;
+    return stored.N !== current.N || stored.r !== current.r || stored.p !== current.p;
+  }
+  
+  /**
+   * Open a user's keystore with their PIN
+   * Legacy keystores are transparently re-encrypted with the current format
+   * once the correct PIN has been entered.
+   * @param {string} telegramId - Telegram user ID
+   * @param {string} pin - PIN for decryption
+   * @returns {Promise<{wallet: ethers.Wallet, mnemonic: string|null}>} - Decrypted wallet and pending recovery phrase
+   */
+  async openKeystore(telegramId, pin) {
+    // Read encrypted wallet from the keystore backend
+    const encryptedWallet = await this.keystore.get(telegramId);
+    
+    if (!encryptedWallet) {
+      if (await this.isExternalWallet(telegramId)) {
+        throw new Error('Your DAO wallet is self-custodied, so there is no PIN. Sign with your linked wallet instead.');
+      }
+      console.error(`Keystore not found for user ${telegramId}`);
+      throw new Error('Wallet not found. Please join the DAO first.');
+    }
+    
+    // Refuse PIN entry while the user is locked out
+    if (this.pinLockout) {
+      await this.pinLockout.assertNotLocked(telegramId);
+    }
+    
+    let wallet;
+    let mnemonic;
+    try {
+      // Decrypt the private key
+      const secrets = await this.decryptKeystore(encryptedWallet, pin);
+      wallet = new ethers.Wallet(secrets.privateKey);
+      mnemonic = secrets.mnemonic;
+      
+      if (wallet.address.toLowerCase() !== String(encryptedWallet.address).toLowerCase()) {
+        throw new Error('Decrypted address does not match keystore');
+      }
     } catch (error) {
-      console.error(`Error decrypting wallet for user ${telegramId}:`, error);
+      console.error(`Error decrypting wallet for user ${telegramId}:`, error.message);
+      
+      if (this.pinLockout) {
+        const failure = await this.pinLockout.recordFailure(telegramId);
+        throw new Error(this.pinLockout.describeFailure(failure));
+      }
       throw new Error('Incorrect PIN. Please try again.');
     }
+    
+    if (this.pinLockout) {
+      await this.pinLockout.recordSuccess(telegramId);
+    }
+    
+    // Upgrade old keystores now that we know the PIN
+    if (this.needsReencryption(encryptedWallet)) {
+      try {
+        await this.keystore.put(telegramId, await this.encryptWallet(wallet, pin, { mnemonic }));
+        console.log(`Re-encrypted wallet for user ${telegramId} with keystore v${KEYSTORE_VERSION}`);
+      } catch (error) {
+        // The old keystore is still intact, so the user can keep using it
+        console.error(`Error re-encrypting wallet for user ${telegramId}:`, error);
+      }
+    }
+    
+    return { wallet, mnemonic };
+  }
+  
+  /**
+   * Decrypt a wallet using a PIN
+   * @param {string} telegramId - Telegram user ID
+   * @param {string} pin - PIN for decryption
+   * @returns {Promise<ethers.Wallet>} - Decrypted wallet
+   */
+  async decryptWallet(telegramId, pin) {
+    console.log(`Decrypting wallet for user ${telegramId}`);
+    
+    const { wallet } = await this.openKeystore(telegramId, pin);
+    return wallet;
+  }
+  
+  /**
+   * Change the PIN protecting a user's wallet
+   * The keystore record is replaced atomically, so the old PIN keeps working
+   * if anything fails before the new one is in place.
+   * @param {string} telegramId - Telegram user ID
+   * @param {string} oldPin - Current PIN
+   * @param {string} newPin - New PIN
+   * @returns {Promise<string>} - Wallet address
+   */
+  async changePin(telegramId, oldPin, newPin) {
+    console.log(`Changing PIN for user ${telegramId}`);
+    
+    const { wallet, mnemonic } = await this.openKeystore(telegramId, oldPin);
+    const encryptedWallet = await this.encryptWallet(wallet, newPin, { mnemonic });
+    
+    await this.keystore.put(telegramId, encryptedWallet);
+    console.log(`PIN changed for user ${telegramId}`);
+    
+    return wallet.address;
+  }
+  
+  /**
+   * Reveal a wallet's recovery phrase if it hasn't been backed up yet
+   * @param {string} telegramId - Telegram user ID
+   * @param {string} pin - PIN for decryption
+   * @returns {Promise<string|null>} - Recovery phrase or null if none is stored
+   */
+  async revealBackupPhrase(telegramId, pin) {
+    const { mnemonic } = await this.openKeystore(telegramId, pin);
+    return mnemonic;
+  }
+  
+  /**
+   * Remove the stored recovery phrase once the user has been shown it
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<void>}
+   */
+  async clearBackupPhrase(telegramId) {
+    const encryptedWallet = await this.keystore.get(telegramId);
+    
+    if (encryptedWallet && encryptedWallet.backup) {
+      delete encryptedWallet.backup;
+      await this.keystore.put(telegramId, encryptedWallet);
+      console.log(`Removed stored recovery phrase for user ${telegramId}`);
+    }
+  }
+  
+  /**
+   * Check that a recovery phrase belongs to a user's registered wallet
+   * @param {string} telegramId - Telegram user ID
+   * @param {string} phrase - Recovery phrase
+   * @returns {Promise<ethers.Wallet>} - Wallet derived from the phrase
+   */
+  async verifyRecoveryPhrase(telegramId, phrase) {
+    const normalizedPhrase = String(phrase).trim().toLowerCase().split(/\s+/).join(' ');
+    
+    if (!ethers.utils.isValidMnemonic(normalizedPhrase)) {
+      throw new Error('That doesn\'t look like a valid recovery phrase. Please check the words and try again.');
+    }
+    
+    const registeredAddress = await this.getWalletAddress(telegramId);
+    if (!registeredAddress) {
+      throw new Error('No DAO wallet is registered for your account. Use /join to get started.');
+    }
+    
+    if (await this.isExternalWallet(telegramId)) {
+      throw new Error('Your DAO wallet is self-custodied. Recover it with your own wallet software instead.');
+    }
+    
+    const wallet = ethers.Wallet.fromMnemonic(normalizedPhrase);
+    if (wallet.address.toLowerCase() !== registeredAddress.toLowerCase()) {
+      console.warn(`Recovery phrase for user ${telegramId} derived ${wallet.address}, expected ${registeredAddress}`);
+      throw new Error('This recovery phrase does not match your DAO wallet.');
+    }
+    
+    return wallet;
+  }
+  
+  /**
+   * Rebuild a user's keystore from their recovery phrase under a new PIN
+   * @param {string} telegramId - Telegram user ID
+   * @param {string} phrase - Recovery phrase
+   * @param {string} newPin - New PIN
+   * @returns {Promise<string>} - Wallet address
+   */
+  async recoverWallet(telegramId, phrase, newPin) {
+    console.log(`Recovering wallet for user ${telegramId}`);
+    
+    const wallet = await this.verifyRecoveryPhrase(telegramId, phrase);
+    
+    // The user already holds the phrase, so it isn't stored again
+    await this.keystore.put(telegramId, await this.encryptWallet(wallet, newPin));
+    
+    // Recovery proves ownership, so lift any PIN lockout and drop stale sessions
+    if (this.pinLockout) {
+      await this.pinLockout.recordSuccess(telegramId);
+    }
+    this.lockWallet(telegramId);
+    
+    console.log(`Recovered wallet ${wallet.address} for user ${telegramId}`);
+    return wallet.address;
+  }
+  
+  /**
+   * Check whether guardian recovery is enabled (RECOVERY_ESCROW_KEY is set)
+   * @returns {boolean} - True if escrow records can be created
+   */
+  isEscrowEnabled() {
+    return !!process.env.RECOVERY_ESCROW_KEY;
+  }
+  
+  /**
+   * Check whether a user's wallet has a recovery escrow
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<boolean>} - True if an escrow record exists
+   */
+  async hasRecoveryEscrow(telegramId) {
+    return !!(await this.escrowStore.get(telegramId));
+  }
+  
+  /**
+   * Store a copy of a user's private key encrypted under the master recovery key
+   * The escrow is what lets guardians reset a forgotten PIN, so it is only
+   * written once the user has proved they know their current PIN.
+   * @param {string} telegramId - Telegram user ID
+   * @param {string} pin - Current PIN
+   * @returns {Promise<string>} - Wallet address
+   */
+  async createRecoveryEscrow(telegramId, pin) {
+    if (!this.isEscrowEnabled()) {
+      throw new Error('Guardian recovery is not enabled on this bot.');
+    }
+    
+    const { wallet } = await this.openKeystore(telegramId, pin);
+    
+    // Same keystore format as the wallet, keyed by the master recovery key
+    const escrow = await this.encryptWallet(wallet, process.env.RECOVERY_ESCROW_KEY);
+    
+    await this.escrowStore.put(telegramId, escrow);
+    
+    console.log(`Stored recovery escrow for user ${telegramId}`);
+    return wallet.address;
+  }
+  
+  /**
+   * Delete a user's recovery escrow
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<boolean>} - True if an escrow record was removed
+   */
+  async removeRecoveryEscrow(telegramId) {
+    const removed = await this.escrowStore.delete(telegramId);
+    
+    if (removed) {
+      console.log(`Removed recovery escrow for user ${telegramId}`);
+    }
+    return removed;
+  }
+  
+  /**
+   * Re-key a user's wallet under a new PIN using their recovery escrow
+   * Callers must have checked guardian approval and the cool-down first.
+   * A recovery phrase still waiting for /backup can't be read without the
+   * old PIN, so it is not carried over.
+   * @param {string} telegramId - Telegram user ID
+   * @param {string} newPin - New PIN
+   * @returns {Promise<string>} - Wallet address
+   */
+  async resetPinFromEscrow(telegramId, newPin) {
+    const escrow = this.isEscrowEnabled() ? await this.escrowStore.get(telegramId) : null;
+    if (!escrow) {
+      throw new Error('No recovery escrow is stored for this wallet.');
+    }
+    
+    const { privateKey } = await this.decryptKeystore(escrow, process.env.RECOVERY_ESCROW_KEY);
+    const wallet = new ethers.Wallet(privateKey);
+    
+    const registeredAddress = await this.getWalletAddress(telegramId);
+    if (!registeredAddress || wallet.address.toLowerCase() !== registeredAddress.toLowerCase()) {
+      throw new Error('Recovery escrow does not match the registered wallet.');
+    }
+    
+    await this.keystore.put(telegramId, await this.encryptWallet(wallet, newPin));
+    
+    // Same as phrase recovery: lift any PIN lockout and drop stale sessions
+    if (this.pinLockout) {
+      await this.pinLockout.recordSuccess(telegramId);
+    }
+    this.lockWallet(telegramId);
+    
+    console.log(`Reset PIN from recovery escrow for user ${telegramId}`);
+    return wallet.address;
+  }
+  
+  /**
+   * Unlock a user's wallet for a limited time so actions don't need the PIN
+   * @param {string} telegramId - Telegram user ID
+   * @param {string} pin - PIN for decryption
+   * @param {number} [minutes] - Session length in minutes
+   * @returns {Promise<{expiresAt: number, minutes: number}>} - Session details
+   */
+  async unlockWallet(telegramId, pin, minutes) {
+    if (!this.sessions) {
+      throw new Error('Signing sessions are not available.');
+    }
+    
+    const wallet = await this.decryptWallet(telegramId, pin);
+    return this.sessions.startSession(telegramId, wallet, minutes);
+  }
+  
+  /**
+   * Get a user's wallet from an active signing session
+   * @param {string} telegramId - Telegram user ID
+   * @returns {ethers.Wallet|null} - Unlocked wallet or null if there is no active session
+   */
+  getUnlockedWallet(telegramId) {
+    return this.sessions ? this.sessions.getSigner(telegramId) : null;
+  }
+  
+  /**
+   * Get the expiry time of a user's signing session
+   * @param {string} telegramId - Telegram user ID
+   * @returns {number|null} - Expiry timestamp in ms or null if the wallet is locked
+   */
+  getUnlockExpiry(telegramId) {
+    return this.sessions ? this.sessions.getExpiry(telegramId) : null;
+  }
+  
+  /**
+   * End a user's signing session
+   * @param {string} telegramId - Telegram user ID
+   * @returns {boolean} - True if a session was active
+   */
+  lockWallet(telegramId) {
+    return this.sessions ? this.sessions.endSession(telegramId) : false;
+  }
+  
+  /**
+   * End all signing sessions (used on shutdown)
+   */
+  lockAllWallets() {
+    if (this.sessions) {
+      this.sessions.endAllSessions();
+    }
+  }
+  
+  /**
+   * Clear a user's PIN lockout
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<boolean>} - True if the user had failed attempts recorded
+   */
+  async clearPinLockout(telegramId) {
+    if (!this.pinLockout) {
+      return false;
+    }
+    return this.pinLockout.clearLockout(telegramId);
+  }
+  
+  /**
+   * Create a message the user must sign to prove they control an address
+   * Only the latest challenge per user is kept, and each one can be answered once.
+   * @param {string} telegramId - Telegram user ID
+   * @param {string} address - Address the user claims to control
+   * @param {string} statement - What the signature authorizes
+   * @returns {string} - Message to sign with personal_sign
+   */
+  createSignatureChallenge(telegramId, address, statement) {
+    if (!ethers.utils.isAddress(address)) {
+      throw new Error('That is not a valid Ethereum address.');
+    }
+    
+    const checksumAddress = ethers.utils.getAddress(address);
+    const expiresAt = Date.now() + this.challengeTtlMinutes * 60 * 1000;
+    
+    const message = [
+      'Alphin DAO',
+      statement,
+      '',
+      `Telegram user: ${telegramId}`,
+      `Address: ${checksumAddress}`,
+      `Nonce: ${crypto.randomBytes(16).toString('hex')}`,
+      `Expires: ${new Date(expiresAt).toISOString()}`
+    ].join('\n');
+    
+    this.signatureChallenges.set(String(telegramId), { address: checksumAddress, message, expiresAt });
+    return message;
+  }
+  
+  /**
+   * Check a signature against the user's pending challenge
+   * @param {string} telegramId - Telegram user ID
+   * @param {string} signature - Signature of the challenge message
+   * @returns {string} - Checksummed address that signed the challenge
+   */
+  verifySignatureChallenge(telegramId, signature) {
+    const key = String(telegramId);
+    const challenge = this.signatureChallenges.get(key);
+    this.signatureChallenges.delete(key);
+    
+    if (!challenge || challenge.expiresAt <= Date.now()) {
+      throw new Error('This signature request has expired. Please start again.');
+    }
+    
+    let signer;
+    try {
+      signer = ethers.utils.verifyMessage(challenge.message, String(signature).trim());
+    } catch (error) {
+      throw new Error('That does not look like a valid signature. Please paste the full 0x... signature.');
+    }
+    
+    if (signer !== challenge.address) {
+      console.warn(`Challenge for user ${telegramId} expected ${challenge.address}, signed by ${signer}`);
+      throw new Error(`The message was signed by ${signer}, not by ${challenge.address}.`);
+    }
+    
+    return challenge.address;
+  }
+  
+  /**
+   * Start linking a self-custodied address to a Telegram user
+   * @param {string} telegramId - Telegram user ID
+   * @param {string} address - Address to link
+   * @returns {Promise<string>} - Message the user must sign with the address
+   */
+  async createLinkChallenge(telegramId, address) {
+    if (await this.hasWallet(telegramId)) {
+      throw new Error('You already have a DAO wallet.');
+    }
+    
+    if (ethers.utils.isAddress(address) && await this.getTelegramIdByAddress(address)) {
+      throw new Error('This address is already linked to another DAO member.');
+    }
+    
+    return this.createSignatureChallenge(telegramId, address, 'I control this wallet and want to use it for my DAO membership.');
+  }
+  
+  /**
+   * Finish linking a self-custodied address once the challenge is signed
+   * @param {string} telegramId - Telegram user ID
+   * @param {string} signature - Signature of the link challenge
+   * @returns {Promise<string>} - Linked address
+   */
+  async linkExternalWallet(telegramId, signature) {
+    const address = this.verifySignatureChallenge(telegramId, signature);
+    
+    // Re-check in case the address or user was registered while we waited
+    if (await this.hasWallet(telegramId)) {
+      throw new Error('You already have a DAO wallet.');
+    }
+    if (await this.getTelegramIdByAddress(address)) {
+      throw new Error('This address is already linked to another DAO member.');
+    }
+    
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO users (telegram_id, wallet_address, join_date, custody) VALUES (?, ?, ?, ?)`,
+        [telegramId, address, Date.now(), CUSTODY_EXTERNAL],
+        (err) => {
+          if (err) {
+            console.error('Error storing linked wallet in database:', err);
+            reject(err);
+          } else {
+            console.log(`Linked external wallet ${address} to user ${telegramId}`);
+            resolve(address);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Get the Telegram user an address belongs to
+   * @param {string} address - Wallet address
+   * @returns {Promise<string|null>} - Telegram user ID or null if the address isn't registered
+   */
+  async getTelegramIdByAddress(address) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT telegram_id FROM users WHERE lower(wallet_address) = lower(?)`,
+        [address],
+        (err, row) => {
+          if (err) {
+            console.error(`Error looking up owner of ${address}:`, err);
+            reject(err);
+          } else {
+            resolve(row ? row.telegram_id : null);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Get the Telegram username of the member an address belongs to
+   * @param {string} address - Wallet address
+   * @returns {Promise<string|null>} - Username without the @, or null if the address isn't registered or its owner has no username
+   */
+  async getUsernameByAddress(address) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT username FROM users WHERE lower(wallet_address) = lower(?)`,
+        [address],
+        (err, row) => {
+          if (err) {
+            console.error(`Error looking up username of ${address}:`, err);
+            reject(err);
+          } else {
+            resolve(row && row.username ? row.username : null);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Remember a member's current Telegram username so they can be addressed as @username
+   * @param {string} telegramId - Telegram user ID
+   * @param {string|undefined} username - Telegram username without the @, if the user has one
+   * @returns {Promise<void>}
+   */
+  async updateUsername(telegramId, username) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE users SET username = ? WHERE telegram_id = ? AND username IS NOT ?`,
+        [username || null, telegramId, username || null],
+        (err) => {
+          if (err) {
+            console.error(`Error updating username for user ${telegramId}:`, err);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Get the Telegram user with a given username
+   * @param {string} username - Telegram username, with or without the @
+   * @returns {Promise<string|null>} - Telegram user ID or null if no member has that username
+   */
+  async getTelegramIdByUsername(username) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT telegram_id FROM users WHERE lower(username) = lower(?)`,
+        [username.replace(/^@/, '')],
+        (err, row) => {
+          if (err) {
+            console.error(`Error looking up user @${username}:`, err);
+            reject(err);
+          } else {
+            resolve(row ? row.telegram_id : null);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Get who holds the private key for a user's wallet
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<string|null>} - 'bot', 'external' or null if the user has no wallet
+   */
+  async getCustody(telegramId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT custody FROM users WHERE telegram_id = ?`,
+        [telegramId],
+        (err, row) => {
+          if (err) {
+            console.error(`Error getting custody for user ${telegramId}:`, err);
+            reject(err);
+          } else {
+            resolve(row ? row.custody : null);
+          }
+        }
+      );
+    });
+  }
+  
+  /**
+   * Check if a user's wallet is self-custodied (linked rather than generated by the bot)
+   * @param {string} telegramId - Telegram user ID
+   * @returns {Promise<boolean>} - True if the user signs with their own wallet
+   */
+  async isExternalWallet(telegramId) {
+    return (await this.getCustody(telegramId)) === CUSTODY_EXTERNAL;
   }
   
   /**
@@ -168,7 +874,7 @@ class WalletManager {
   async getAllUsers() {
     return new Promise((resolve, reject) => {
       this.db.all(
-        `SELECT telegram_id, wallet_address, join_date FROM users`,
+        `SELECT telegram_id, wallet_address, join_date, custody FROM users`,
         (err, rows) => {
           if (err) {
             console.error('Error getting all users:', err);
@@ -32,30 +32,6 @@ function createTelegramDeepLink(botUsername, startPayload) {
   return `https://t.me/${botUsername}?start=${encodeURIComponent(startPayload)}`;
 }
 
-/**
- * Get blockchain explorer URL for an address or transaction
- * @param {string} hash - Address or transaction hash
- * @param {string} type - Type of hash ('address' or 'tx')
- * @param {string} network - Network name
- * @returns {string} - Explorer URL
- */
-function getExplorerUrl(hash, type = 'address', network = 'mainnet') {
-  // Configuration for different networks
-  const explorers = {
-    mainnet: 'https://etherscan.io',
-    goerli: 'https://goerli.etherscan.io',
-    sepolia: 'https://sepolia.etherscan.io',
-    polygon: 'https://polygonscan.com',
-    mumbai: 'https://mumbai.polygonscan.com',
-    avalanche: 'https://snowtrace.io',
-    optimism: 'https://optimistic.etherscan.io',
-    arbitrum: 'https://arbiscan.io'
-  };
-  
-  const baseUrl = explorers[network] || explorers.mainnet;
-  return `${baseUrl}/${type}/${hash}`;
-}
-
 /**
  * Sleep for a specified duration
  * @param {number} ms - Milliseconds to sleep
@@ -88,12 +64,31 @@ function generateRandomString(length = 10) {
   return result;
 }
 
+/**
+ * Format the time left until a Unix timestamp as a short countdown
+ * @param {number} timestamp - Target time in seconds
+ * @param {number} [now] - Current time in seconds (defaults to the system clock)
+ * @returns {string} - Countdown (e.g., "2d 4h", "3h 12m", "45m"), or "now" if the time has passed
+ */
+function formatTimeRemaining(timestamp, now = Math.floor(Date.now() / 1000)) {
+  const seconds = timestamp - now;
+  if (seconds <= 0) return 'now';
+  
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.ceil((seconds % 3600) / 60);
+  
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
 module.exports = {
   formatAddress,
   formatTokenAmount,
   createTelegramDeepLink,
-  getExplorerUrl,
   sleep,
   isValidPin,
-  generateRandomString
+  generateRandomString,
+  formatTimeRemaining
 };